@@ -5,42 +5,96 @@
 const express = require("express");
 const cors = require("cors");
 
-const { NotFoundError } = require("./expressError");
+const {
+  NotFoundError,
+  ExpressError,
+  codeForStatus,
+} = require("./expressError");
+const { mapPgError } = require("./helpers/pgErrors");
+const { buildOpenApiSpec, docsPage } = require("./helpers/openapi");
 
 const { authenticateJWT } = require("./middleware/auth");
+const { assignRequestId } = require("./middleware/requestId");
 const authRoutes = require("./routes/auth");
 const companiesRoutes = require("./routes/companies");
 const usersRoutes = require("./routes/users");
 const jobRoutes = require("./routes/jobs");
+const searchRoutes = require("./routes/search");
+const rolesRoutes = require("./routes/roles");
+const adminRoutes = require("./routes/admin");
+const skillsRoutes = require("./routes/skills");
 
 const morgan = require("morgan");
 
 const app = express();
 
-app.use(cors());
+app.use(assignRequestId);
+app.use(cors({ exposedHeaders: ["X-Request-Id", "Retry-After"] }));
 app.use(express.json());
-app.use(morgan("tiny"));
+
+// Request logs end with the request id, as error logs start with it
+morgan.token("request-id", (req, res) => res.locals.requestId);
+app.use(morgan(
+  ":method :url :status :res[content-length] - :response-time ms :request-id"
+));
 app.use(authenticateJWT);
 
-app.use("/auth", authRoutes);
-app.use("/companies", companiesRoutes);
-app.use("/users", usersRoutes);
-app.use("/jobs", jobRoutes);
+/** Routers, by the path they are mounted on. */
+const routers = {
+  "/auth": authRoutes,
+  "/companies": companiesRoutes,
+  "/users": usersRoutes,
+  "/jobs": jobRoutes,
+  "/search": searchRoutes,
+  "/roles": rolesRoutes,
+  "/skills": skillsRoutes,
+  "/admin": adminRoutes,
+};
+
+for (const [path, router] of Object.entries(routers)) app.use(path, router);
+
+/** API docs: the OpenAPI document and an interactive page for it. */
+const openApiSpec = buildOpenApiSpec(routers);
+
+app.get("/openapi.json", function (req, res) {
+  return res.json(openApiSpec);
+});
+
+app.get("/docs", function (req, res) {
+  return res.type("html").send(docsPage("/openapi.json"));
+});
 
 /** Handle 404 errors -- this matches everything */
 app.use(function (req, res, next) {
   throw new NotFoundError();
 });
 
-/** Generic error handler; anything unhandled goes here. */
+/** Generic error handler; anything unhandled goes here.
+ *
+ * Database errors for broken constraints or bad input become 400s/409s (see
+ * helpers/pgErrors.js) rather than 500s.
+ *
+ * Responds with
+ *   { error: { message, status, code, requestId, details } }
+ * where code is a stable name for the error (eg, "NOT_FOUND"; see
+ * expressError.js), requestId matches the X-Request-Id response header, and
+ * details (only for some 400s) is [{ field, message }, ...].
+ */
 app.use(function (err, req, res, next) {
-  if (process.env.NODE_ENV !== "test") console.error(err.stack);
+  err = mapPgError(err);
+  if (process.env.NODE_ENV !== "test") {
+    console.error(`[${res.locals.requestId}] ${err.stack}`);
+  }
   const status = err.status || 500;
   const message = err.message;
+  const code = err instanceof ExpressError ? err.code : codeForStatus(status);
+
+  if (err.retryAfter) res.set("Retry-After", String(err.retryAfter));
+
+  const error = { message, status, code, requestId: res.locals.requestId };
+  if (err.details) error.details = err.details;
 
-  return res.status(status).json({
-    error: { message, status },
-  });
+  return res.status(status).json({ error });
 });
 
 module.exports = app;
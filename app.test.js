@@ -1,5 +1,7 @@
 const request = require("supertest");
 
+const morgan = require("morgan");
+
 const app = require("./app");
 const db = require("./db");
 
@@ -11,11 +13,146 @@ test("not found for site 404", async function () {
 
 test("not found for site 404 (test stack print)", async function () {
   process.env.NODE_ENV = "";
-  const resp = await request(app).get("/no-such-path");
-  expect(resp.statusCode).toEqual(404);
-  delete process.env.NODE_ENV;
+  const error = jest.spyOn(console, "error").mockImplementation(() => {});
+  try {
+    const resp = await request(app)
+      .get("/no-such-path")
+      .set("X-Request-Id", "req-2");
+    expect(resp.statusCode).toEqual(404);
+    expect(error).toHaveBeenCalledWith(
+      expect.stringMatching(/^\[req-2\] Error: Not Found/));
+  } finally {
+    error.mockRestore();
+    delete process.env.NODE_ENV;
+  }
+});
+
+test("request logs include the request id", function () {
+  const res = { locals: { requestId: "req-3" } };
+  expect(morgan["request-id"]({}, res)).toEqual("req-3");
 });
 
 afterAll(function () {
   db.end();
 });
+
+describe("error responses", function () {
+  test("have a code and the request id", async function () {
+    const resp = await request(app)
+      .get("/no-such-path")
+      .set("X-Request-Id", "req-1");
+
+    expect(resp.headers["x-request-id"]).toEqual("req-1");
+    expect(resp.body).toEqual({
+      error: {
+        message: "Not Found",
+        status: 404,
+        code: "NOT_FOUND",
+        requestId: "req-1",
+      },
+    });
+  });
+
+  test("list the fields that failed validation", async function () {
+    const resp = await request(app)
+      .get("/companies")
+      .query({ minEmployees: "x", nope: "1" });
+
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.code).toEqual("VALIDATION_FAILED");
+    expect(resp.body.error.details).toEqual([
+      {
+        field: "minEmployees",
+        location: "query",
+        message: "is not of a type(s) integer",
+      },
+      {
+        field: "nope",
+        location: "query",
+        message: 'is not allowed to have the additional property "nope"',
+      },
+    ]);
+  });
+
+  test("get a code from the status for other errors", async function () {
+    const resp = await request(app)
+      .post("/auth/token")
+      .set("Content-Type", "application/json")
+      .send("{not json");
+
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.code).toEqual("BAD_REQUEST");
+  });
+});
+
+describe("API docs", function () {
+  // Routes that take no input beyond their path
+  const NO_BODY = [
+    "post /auth/verify/resend",
+    "post /users/{username}/unlock",
+    "post /companies/{handle}/restore",
+    "post /jobs/{id}/publish",
+    "post /jobs/{id}/restore",
+    "post /users/{username}/restore",
+  ];
+
+  // GET routes that take no query string
+  const NO_QUERY = [
+    "get /auth/verify/{token}",
+    "get /companies/{handle}",
+    "get /companies/{handle}/members",
+    "get /users/{username}",
+    "get /users/{username}/jobs/{id}",
+    "get /jobs/{id}",
+    "get /roles",
+  ];
+
+  test("serve the OpenAPI document", async function () {
+    const resp = await request(app).get("/openapi.json");
+
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.openapi).toEqual("3.1.0");
+    expect(resp.body.paths["/companies/{handle}"].patch).toBeDefined();
+  });
+
+  test("serve the docs page", async function () {
+    const resp = await request(app).get("/docs");
+
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.headers["content-type"]).toMatch(/html/);
+  });
+
+  test("document a schema for every route taking a body", async function () {
+    const { paths, components } = (await request(app).get("/openapi.json"))
+      .body;
+
+    for (const ops of Object.values(paths)) {
+      for (const [method, op] of Object.entries(ops)) {
+        if (!["post", "put", "patch"].includes(method)) continue;
+        if (NO_BODY.includes(op.operationId)) continue;
+
+        const schema = op.requestBody?.content["application/json"].schema;
+        expect({ route: op.operationId, schema }).toEqual({
+          route: op.operationId,
+          schema: expect.anything(),
+        });
+        const name = schema.$ref.split("/").pop();
+        expect(components.schemas[name]).toBeDefined();
+      }
+    }
+  });
+
+  test("document the query string of every GET route", async function () {
+    const { paths } = (await request(app).get("/openapi.json")).body;
+
+    for (const ops of Object.values(paths)) {
+      if (!ops.get || NO_QUERY.includes(ops.get.operationId)) continue;
+
+      const query = ops.get.parameters.filter((p) => p.in === "query");
+      expect({ route: ops.get.operationId, query }).toEqual({
+        route: ops.get.operationId,
+        query: expect.arrayContaining([expect.anything()]),
+      });
+    }
+  });
+});
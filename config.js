@@ -5,6 +5,9 @@
 require("dotenv").config();
 require("colors");
 
+const os = require("os");
+const path = require("path");
+
 const SECRET_KEY = process.env.SECRET_KEY || "secret-dev";
 
 const PORT = +process.env.PORT || 3001;
@@ -15,18 +18,87 @@ function getDatabaseUri() {
       : process.env.DATABASE_URL || "jobly";
 }
 
+// Most connections the app holds open to the database at once. Tests use a
+// single connection, since each test runs inside one transaction.
+const DATABASE_POOL_SIZE = process.env.NODE_ENV === "test"
+    ? 1
+    : +process.env.DATABASE_POOL_SIZE || 10;
+
 const BCRYPT_WORK_FACTOR = process.env.NODE_ENV === "test" ? 1 : 12;
 
+// Access tokens are short-lived; clients use a refresh token to get a new one
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || "15m";
+const REFRESH_TOKEN_EXPIRES_DAYS = +process.env.REFRESH_TOKEN_EXPIRES_DAYS || 30;
+
+const PASSWORD_RESET_EXPIRES_MINUTES =
+    +process.env.PASSWORD_RESET_EXPIRES_MINUTES || 60;
+
+const EMAIL_VERIFICATION_EXPIRES_MINUTES =
+    +process.env.EMAIL_VERIFICATION_EXPIRES_MINUTES || 48 * 60;
+
+// Login throttling: after this many failed logins in a row (per username,
+// and separately per IP address), logins are locked out for
+// LOGIN_LOCKOUT_BASE_SECONDS, doubling with each further failure up to
+// LOGIN_LOCKOUT_MAX_SECONDS. Failures older than LOGIN_FAILURE_WINDOW_MINUTES
+// are forgotten.
+const LOGIN_MAX_FAILURES_PER_USERNAME =
+    +process.env.LOGIN_MAX_FAILURES_PER_USERNAME || 5;
+const LOGIN_MAX_FAILURES_PER_IP = +process.env.LOGIN_MAX_FAILURES_PER_IP || 20;
+const LOGIN_LOCKOUT_BASE_SECONDS = +process.env.LOGIN_LOCKOUT_BASE_SECONDS || 30;
+const LOGIN_LOCKOUT_MAX_SECONDS = +process.env.LOGIN_LOCKOUT_MAX_SECONDS || 3600;
+const LOGIN_FAILURE_WINDOW_MINUTES =
+    +process.env.LOGIN_FAILURE_WINDOW_MINUTES || 60;
+
+// Deleted companies, jobs and users can be restored for this many days;
+// after that, purge.js removes them for good
+const SOFT_DELETE_RETENTION_DAYS =
+    +process.env.SOFT_DELETE_RETENTION_DAYS || 30;
+
+// Where links in emails point to
+const FRONTEND_URL = process.env.FRONTEND_URL || "http://localhost:3000";
+
+// Whether users must verify their email before applying to jobs
+const REQUIRE_VERIFIED_EMAIL_TO_APPLY =
+    process.env.REQUIRE_VERIFIED_EMAIL_TO_APPLY === "true";
+
+// How mail is delivered: "console" prints it, "file" appends it to MAIL_FILE
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT
+    || (process.env.NODE_ENV === "test" ? "file" : "console");
+const MAIL_FILE = process.env.MAIL_FILE
+    || (process.env.NODE_ENV === "test"
+        ? path.join(os.tmpdir(), "jobly-test-mail.log")
+        : "mail.log");
+const MAIL_FROM = process.env.MAIL_FROM || "Jobly <no-reply@jobly.dev>";
+
 console.log("Jobly Config:".green);
 console.log("SECRET_KEY:".yellow, SECRET_KEY);
 console.log("PORT:".yellow, PORT.toString());
 console.log("BCRYPT_WORK_FACTOR".yellow, BCRYPT_WORK_FACTOR);
+console.log("ACCESS_TOKEN_EXPIRES_IN".yellow, ACCESS_TOKEN_EXPIRES_IN);
+console.log("MAIL_TRANSPORT".yellow, MAIL_TRANSPORT);
 console.log("Database:".yellow, getDatabaseUri());
+console.log("DATABASE_POOL_SIZE".yellow, DATABASE_POOL_SIZE);
 console.log("---");
 
 module.exports = {
   SECRET_KEY,
   PORT,
   BCRYPT_WORK_FACTOR,
+  ACCESS_TOKEN_EXPIRES_IN,
+  REFRESH_TOKEN_EXPIRES_DAYS,
+  PASSWORD_RESET_EXPIRES_MINUTES,
+  EMAIL_VERIFICATION_EXPIRES_MINUTES,
+  REQUIRE_VERIFIED_EMAIL_TO_APPLY,
+  LOGIN_MAX_FAILURES_PER_USERNAME,
+  LOGIN_MAX_FAILURES_PER_IP,
+  LOGIN_LOCKOUT_BASE_SECONDS,
+  LOGIN_LOCKOUT_MAX_SECONDS,
+  LOGIN_FAILURE_WINDOW_MINUTES,
+  SOFT_DELETE_RETENTION_DAYS,
+  FRONTEND_URL,
+  MAIL_TRANSPORT,
+  MAIL_FILE,
+  MAIL_FROM,
+  DATABASE_POOL_SIZE,
   getDatabaseUri,
 };
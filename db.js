@@ -2,13 +2,82 @@
 
 /** Database setup for jobly. */
 
-const { Client } = require("pg");
-const { getDatabaseUri } = require("./config");
+const { Pool } = require("pg");
+const { getDatabaseUri, DATABASE_POOL_SIZE } = require("./config");
 
-const db = new Client({
+/** Pool of connections; db.query runs on whichever connection is free.
+ *
+ * A connection that breaks is dropped from the pool, and a new one is made
+ * the next time one is needed.
+ */
+
+const db = new Pool({
   connectionString: getDatabaseUri(),
+  max: DATABASE_POOL_SIZE,
+  // Keep the tests' single connection (and its open transaction) alive
+  idleTimeoutMillis: process.env.NODE_ENV === "test" ? 0 : 10000,
+});
+
+/** Client already in a transaction of its own; see nestTransactionsIn. */
+
+let outerClient = null;
+
+// An idle connection failing (eg, the server restarting) would otherwise
+// crash the app; the pool replaces it on the next query.
+db.on("error", function (err) {
+  console.error("Database connection error:", err.message);
 });
 
-db.connect();
+/** Run fn(client) inside a transaction, on one connection from the pool.
+ *
+ * Commits and returns fn's result if it succeeds; rolls back and rethrows if
+ * it throws. fn must make all its queries with client, not db: the pool may
+ * have no other connection to give (in tests it has only one).
+ *
+ * Pass the client of an outer withTransaction as outer to run inside that
+ * one, with a savepoint. The same happens when the pool hands out the client
+ * given to nestTransactionsIn.
+ **/
+
+async function withTransaction(fn, outer = db) {
+  const shared = outer !== db;
+  const client = shared ? outer : await db.connect();
+  const nested = shared || client === outerClient;
+
+  try {
+    await client.query(nested ? "SAVEPOINT with_transaction" : "BEGIN");
+  } catch (err) {
+    if (!shared) client.release(err);
+    throw err;
+  }
+
+  try {
+    const result = await fn(client);
+    await client.query(
+      nested ? "RELEASE SAVEPOINT with_transaction" : "COMMIT");
+    return result;
+  } catch (err) {
+    await client.query(
+      nested ? "ROLLBACK TO SAVEPOINT with_transaction" : "ROLLBACK");
+    throw err;
+  } finally {
+    if (!shared) client.release();
+  }
+}
+
+/** Make withTransaction nest in client's open transaction, with a savepoint,
+ * whenever the pool hands it out; pass null to stop.
+ *
+ * For the tests, which wrap each test in a transaction on the pool's single
+ * connection and roll it back afterwards. The app never calls this, so its
+ * transactions always start with BEGIN.
+ **/
+
+function nestTransactionsIn(client) {
+  outerClient = client;
+}
+
+db.withTransaction = withTransaction;
+db.nestTransactionsIn = nestTransactionsIn;
 
 module.exports = db;
@@ -0,0 +1,111 @@
+"use strict";
+
+const db = require("./db");
+
+beforeAll(async function () {
+  await db.query("CREATE TABLE db_test_things (name TEXT)");
+});
+
+afterEach(async function () {
+  await db.query("DELETE FROM db_test_things");
+});
+
+afterAll(async function () {
+  await db.query("DROP TABLE db_test_things");
+  await db.end();
+});
+
+async function thingNames() {
+  const result = await db.query("SELECT name FROM db_test_things");
+  return result.rows.map((r) => r.name);
+}
+
+/************************************** withTransaction */
+
+describe("withTransaction", function () {
+  test("commits and returns result", async function () {
+    const result = await db.withTransaction(async (client) => {
+      await client.query("INSERT INTO db_test_things VALUES ('a')");
+      return "done";
+    });
+
+    expect(result).toEqual("done");
+    expect(await thingNames()).toEqual(["a"]);
+  });
+
+  test("rolls back and rethrows on error", async function () {
+    await expect(
+      db.withTransaction(async (client) => {
+        await client.query("INSERT INTO db_test_things VALUES ('a')");
+        throw new Error("oops");
+      })
+    ).rejects.toThrow("oops");
+
+    expect(await thingNames()).toEqual([]);
+  });
+
+  test("nests in the transaction of the client given to nestTransactionsIn",
+    async function () {
+      const client = await db.connect();
+      await client.query("BEGIN");
+      client.release();
+      db.nestTransactionsIn(client);
+      await db.query("INSERT INTO db_test_things VALUES ('outer')");
+
+      await expect(
+        db.withTransaction(async (client) => {
+          await client.query("INSERT INTO db_test_things VALUES ('inner')");
+          throw new Error("oops");
+        })
+      ).rejects.toThrow("oops");
+      await db.withTransaction(async (client) => {
+        await client.query("INSERT INTO db_test_things VALUES ('kept')");
+      });
+
+      expect(await thingNames()).toEqual(["outer", "kept"]);
+      db.nestTransactionsIn(null);
+      await db.query("ROLLBACK");
+      expect(await thingNames()).toEqual([]);
+    });
+
+  test("starts its own transaction when not nesting", async function () {
+    const client = await db.connect();
+    const queries = jest.spyOn(client, "query");
+    client.release();
+
+    await db.withTransaction(async (client) => {
+      await client.query("INSERT INTO db_test_things VALUES ('a')");
+    });
+
+    expect(queries.mock.calls.map((c) => c[0])).toEqual([
+      "BEGIN",
+      "INSERT INTO db_test_things VALUES ('a')",
+      "COMMIT",
+    ]);
+    queries.mockRestore();
+  });
+
+  test("nests in an outer withTransaction given its client",
+    async function () {
+      await expect(
+        db.withTransaction(async (client) => {
+          await client.query("INSERT INTO db_test_things VALUES ('outer')");
+          await expect(
+            db.withTransaction(async (inner) => {
+              await inner.query("INSERT INTO db_test_things VALUES ('inner')");
+              throw new Error("inner oops");
+            }, client)
+          ).rejects.toThrow("inner oops");
+          await db.withTransaction(async (inner) => {
+            await inner.query("INSERT INTO db_test_things VALUES ('kept')");
+          }, client);
+
+          const result = await client.query("SELECT name FROM db_test_things");
+          expect(result.rows.map((r) => r.name)).toEqual(["outer", "kept"]);
+          throw new Error("outer oops");
+        })
+      ).rejects.toThrow("outer oops");
+
+      expect(await thingNames()).toEqual([]);
+    });
+});
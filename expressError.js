@@ -2,13 +2,34 @@
  *  add a status when we make an instance of it.
  *
  *  The error-handling middleware will return this.
+ *
+ *  Each error also has a code: a stable, machine-readable name for what went
+ *  wrong (eg, "NOT_FOUND"), which clients can rely on where the message is
+ *  meant for people.
  */
 
+/** Codes for each status; errors with other statuses get "ERROR". */
+
+const ERROR_CODES = {
+  400: "BAD_REQUEST",
+  401: "UNAUTHORIZED",
+  403: "FORBIDDEN",
+  404: "NOT_FOUND",
+  409: "CONFLICT",
+  429: "TOO_MANY_REQUESTS",
+  500: "INTERNAL_ERROR",
+};
+
+function codeForStatus(status) {
+  return ERROR_CODES[status] || "ERROR";
+}
+
 class ExpressError extends Error {
-  constructor(message, status) {
+  constructor(message, status, code = codeForStatus(status)) {
     super();
     this.message = message;
     this.status = status;
+    this.code = code;
   }
 }
 
@@ -20,7 +41,7 @@ class NotFoundError extends ExpressError {
   }
 }
 
-/** 401 UNAUTHORIZED error. */
+/** 401 UNAUTHORIZED error: not logged in (or bad credentials). */
 
 class UnauthorizedError extends ExpressError {
   constructor(message = "Unauthorized") {
@@ -28,11 +49,84 @@ class UnauthorizedError extends ExpressError {
   }
 }
 
-/** 400 BAD REQUEST error. */
+/** 403 FORBIDDEN error: logged in, but not allowed to do this. */
+
+class ForbiddenError extends ExpressError {
+  constructor(message = "Forbidden") {
+    super(message, 403);
+  }
+}
+
+/** 400 BAD REQUEST error.
+ *
+ * details is optional: a list of { field, message } for the fields at fault.
+ */
 
 class BadRequestError extends ExpressError {
-  constructor(message = "Bad Request") {
+  constructor(message = "Bad Request", details) {
     super(message, 400);
+    if (details) this.details = details;
+  }
+}
+
+/** 400 error for a request that failed JSON schema validation.
+ *
+ * Given the errors of jsonschema validation results, the details list each
+ * field at fault, eg
+ *   [{ field: "salary", message: "is not of a type(s) integer" },
+ *    { field: "title", message: "requires property \"title\"" }]
+ * (field is null when the error is about the request as a whole.)
+ *
+ * Errors from validating part of a request (see middleware/validate.js) also
+ * say where the field was: { field, location: "query", message }.
+ */
+
+class ValidationError extends BadRequestError {
+  constructor(schemaErrors) {
+    super(
+      schemaErrors.map((e) => e.stack).join("; "),
+      schemaErrors.map(detailOf)
+    );
+    this.code = "VALIDATION_FAILED";
+  }
+}
+
+/** Given a jsonschema error, returns { field, location, message }; field is
+ * eg "title" or "address.city", location is the part of the request, if
+ * any. */
+
+function detailOf(schemaError) {
+  const [, root, rest] = /^(\w+)\.?(.*)$/.exec(schemaError.property);
+  const named = ["required", "additionalProperties"].includes(schemaError.name)
+    ? schemaError.argument
+    : null;
+
+  let field = rest || null;
+  if (named) field = rest ? `${rest}.${named}` : named;
+
+  const detail = { field, message: schemaError.message };
+  if (root !== "instance") detail.location = root;
+  return detail;
+}
+
+/** 409 CONFLICT error. */
+
+class ConflictError extends ExpressError {
+  constructor(message = "Conflict") {
+    super(message, 409);
+  }
+}
+
+/** 429 TOO MANY REQUESTS error.
+ *
+ * retryAfter is the number of seconds to wait before trying again; the
+ * error handler sends it as a Retry-After header.
+ */
+
+class TooManyRequestsError extends ExpressError {
+  constructor(message = "Too Many Requests", retryAfter) {
+    super(message, 429);
+    this.retryAfter = retryAfter;
   }
 }
 
@@ -40,5 +134,10 @@ module.exports = {
   ExpressError,
   NotFoundError,
   UnauthorizedError,
+  ForbiddenError,
   BadRequestError,
+  ValidationError,
+  ConflictError,
+  TooManyRequestsError,
+  codeForStatus,
 };
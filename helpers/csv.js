@@ -0,0 +1,38 @@
+"use strict";
+
+/** Helpers for CSV exports. */
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/** Format one value as a CSV field.
+ *
+ * Dates become ISO strings and null / undefined become empty. Fields with
+ * commas, quotes or line breaks are quoted; text that a spreadsheet would
+ * take for a formula is prefixed with ' so it is shown, not run.
+ */
+
+function csvField(value) {
+  if (value === null || value === undefined) return "";
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === "string" && FORMULA_START.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/** Given rows of data and the columns to export, return a CSV document.
+ *
+ * columns is [key, ...]; the keys also serve as the header row.
+ *
+ * ex: toCsv([{ a: 1, b: "x,y" }], ["a", "b"]) => 'a,b\r\n1,"x,y"\r\n'
+ */
+
+function toCsv(rows, columns) {
+  const lines = [columns, ...rows.map((row) => columns.map((c) => row[c]))];
+  return lines.map((line) => line.map(csvField).join(",") + "\r\n").join("");
+}
+
+module.exports = { toCsv };
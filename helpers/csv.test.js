@@ -0,0 +1,44 @@
+const { toCsv } = require("./csv");
+
+describe("toCsv", function () {
+  test("works", function () {
+    const rows = [
+      { name: "a", count: 1 },
+      { name: "b", count: 2 },
+    ];
+    expect(toCsv(rows, ["name", "count"])).toEqual(
+      "name,count\r\na,1\r\nb,2\r\n"
+    );
+  });
+
+  test("works: no rows", function () {
+    expect(toCsv([], ["name"])).toEqual("name\r\n");
+  });
+
+  test("leaves out keys not in columns", function () {
+    expect(toCsv([{ name: "a", secret: "x" }], ["name"])).toEqual(
+      "name\r\na\r\n"
+    );
+  });
+
+  test("quotes fields with commas, quotes and line breaks", function () {
+    const rows = [{ a: "x,y", b: 'say "hi"', c: "two\nlines" }];
+    expect(toCsv(rows, ["a", "b", "c"])).toEqual(
+      'a,b,c\r\n"x,y","say ""hi""","two\nlines"\r\n'
+    );
+  });
+
+  test("formats dates, nulls and undefined", function () {
+    const rows = [{ a: new Date("2020-01-02T03:04:05Z"), b: null }];
+    expect(toCsv(rows, ["a", "b", "c"])).toEqual(
+      "a,b,c\r\n2020-01-02T03:04:05.000Z,,\r\n"
+    );
+  });
+
+  test("defuses text that looks like a formula", function () {
+    const rows = [{ a: "=SUM(A1)", b: "@cmd", c: -5 }];
+    expect(toCsv(rows, ["a", "b", "c"])).toEqual(
+      "a,b,c\r\n'=SUM(A1),'@cmd,-5\r\n"
+    );
+  });
+});
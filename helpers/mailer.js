@@ -0,0 +1,66 @@
+"use strict";
+
+/** Sending email.
+ *
+ * Mail goes through a pluggable transport: an async function given
+ * { from, to, subject, text }. The built-in ones are picked with
+ * MAIL_TRANSPORT; a real provider (SMTP, an HTTP API, ...) only needs to be
+ * wrapped in a function of the same shape and passed to setTransport.
+ */
+
+const fs = require("fs");
+const { MAIL_TRANSPORT, MAIL_FILE, MAIL_FROM } = require("../config");
+
+/** Transport that prints mail to the console; for local development. */
+
+async function consoleTransport(message) {
+  console.log("--- mail ---");
+  console.log(`From: ${message.from}`);
+  console.log(`To: ${message.to}`);
+  console.log(`Subject: ${message.subject}`);
+  console.log("");
+  console.log(message.text);
+  console.log("------------");
+}
+
+/** Returns a transport that appends mail to file, one JSON message per
+ * line; for local development and tests. */
+
+function fileTransport(file) {
+  return async function (message) {
+    await fs.promises.appendFile(
+      file,
+      JSON.stringify({ ...message, sentAt: new Date() }) + "\n"
+    );
+  };
+}
+
+const transports = {
+  console: () => consoleTransport,
+  file: () => fileTransport(MAIL_FILE),
+};
+
+if (!transports[MAIL_TRANSPORT]) {
+  throw new Error(`Unknown MAIL_TRANSPORT: ${MAIL_TRANSPORT}`);
+}
+
+let transport = transports[MAIL_TRANSPORT]();
+
+/** Replace the transport used by sendMail. */
+
+function setTransport(newTransport) {
+  transport = newTransport;
+}
+
+/** Send an email: { to, subject, text }; returns undefined. */
+
+async function sendMail({ to, subject, text }) {
+  await transport({ from: MAIL_FROM, to, subject, text });
+}
+
+module.exports = {
+  sendMail,
+  setTransport,
+  consoleTransport,
+  fileTransport,
+};
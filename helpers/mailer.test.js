@@ -0,0 +1,47 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  sendMail,
+  setTransport,
+  consoleTransport,
+  fileTransport,
+} = require("./mailer");
+
+describe("sendMail", function () {
+  afterEach(function () {
+    setTransport(consoleTransport);
+  });
+
+  test("works: uses the transport set", async function () {
+    const sent = [];
+    setTransport(async (message) => sent.push(message));
+    await sendMail({ to: "u1@email.com", subject: "Hi", text: "Hello" });
+    expect(sent).toEqual([
+      {
+        from: expect.any(String),
+        to: "u1@email.com",
+        subject: "Hi",
+        text: "Hello",
+      },
+    ]);
+  });
+});
+
+describe("fileTransport", function () {
+  test("works: appends one JSON message per line", async function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "jobly-mail-"));
+    const file = path.join(dir, "mail.log");
+    const transport = fileTransport(file);
+
+    await transport({ from: "a@b.com", to: "u1@email.com", subject: "1", text: "" });
+    await transport({ from: "a@b.com", to: "u2@email.com", subject: "2", text: "" });
+
+    const lines = fs.readFileSync(file, "utf8").trim().split("\n");
+    expect(lines.map((l) => JSON.parse(l))).toEqual([
+      expect.objectContaining({ to: "u1@email.com", subject: "1" }),
+      expect.objectContaining({ to: "u2@email.com", subject: "2" }),
+    ]);
+    fs.rmSync(dir, { recursive: true });
+  });
+});
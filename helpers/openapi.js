@@ -0,0 +1,246 @@
+"use strict";
+
+/** Build an OpenAPI document describing the API.
+ *
+ * The document is generated from the routers themselves: each route's path
+ * and method, the JSON schemas given to its validate() middleware (see
+ * middleware/validate.js) and the auth middleware it uses. Schemas appear
+ * under components.schemas, named for their file in schemas/.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const { version, description } = require("../package.json");
+
+const SCHEMAS_DIR = path.join(__dirname, "..", "schemas");
+
+// What each auth middleware (see middleware/auth.js) requires of the caller;
+// middleware made by a factory carries its own as .authorization
+const AUTHORIZATION = {
+  ensureLoggedIn: "logged in",
+};
+
+const ERROR_RESPONSE = {
+  description: "Error",
+  content: {
+    "application/json": {
+      schema: { $ref: "#/components/schemas/Error" },
+    },
+  },
+};
+
+const ERROR_SCHEMA = {
+  type: "object",
+  properties: {
+    error: {
+      type: "object",
+      properties: {
+        message: { type: "string" },
+        status: { type: "integer" },
+        code: { type: "string" },
+        requestId: { type: "string" },
+        details: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              field: { type: "string" },
+              location: { type: "string" },
+              message: { type: "string" },
+            },
+          },
+        },
+      },
+      required: ["message", "status", "code"],
+    },
+  },
+};
+
+/** Returns a Map of each schema in schemas/ to its name (eg, "jobNew").
+ *
+ * Routes require() the same files, so their schemas are these objects.
+ */
+
+function loadSchemaNames() {
+  const names = new Map();
+  for (const file of fs.readdirSync(SCHEMAS_DIR)) {
+    if (path.extname(file) !== ".json") continue;
+    names.set(
+      require(path.join(SCHEMAS_DIR, file)),
+      path.basename(file, ".json")
+    );
+  }
+  return names;
+}
+
+/** Copy of a JSON schema usable inside the OpenAPI document. */
+
+function componentSchema(schema) {
+  const { $schema, $id, ...rest } = schema;
+  return rest;
+}
+
+/** Returns the routes of router, mounted at prefix:
+ *    [{ path, method, handlers }, ...]
+ *
+ * path is in OpenAPI form, eg "/users/{username}".
+ */
+
+function routesOf(prefix, router) {
+  const routes = [];
+  for (const layer of router.stack) {
+    if (!layer.route) continue;
+
+    const fullPath = (prefix + layer.route.path).replace(/\/$/, "") || "/";
+    const handlers = layer.route.stack.map((l) => l.handle);
+    for (const method of Object.keys(layer.route.methods)) {
+      routes.push({
+        path: fullPath.replace(/:(\w+)/g, "{$1}"),
+        method,
+        handlers,
+      });
+    }
+  }
+  return routes;
+}
+
+/** Build the OpenAPI operation for a route, adding any schemas it uses to
+ * components. */
+
+function operationFor(route, schemaNames, components) {
+  const schemas = Object.assign(
+    {},
+    ...route.handlers.map((h) => h.schemas || {})
+  );
+
+  function ref(schema) {
+    const name = schemaNames.get(schema);
+    if (!name) return componentSchema(schema);
+    components[name] = componentSchema(schema);
+    return { $ref: `#/components/schemas/${name}` };
+  }
+
+  const operation = {
+    operationId: `${route.method} ${route.path}`,
+    tags: [route.path.split("/")[1]],
+    parameters: [],
+    responses: {
+      "2XX": { description: "Success" },
+      "4XX": ERROR_RESPONSE,
+    },
+  };
+
+  const pathParams = schemas.params ? schemas.params.properties : {};
+  for (const [, name] of route.path.matchAll(/\{(\w+)\}/g)) {
+    operation.parameters.push({
+      name,
+      in: "path",
+      required: true,
+      schema: pathParams[name] || { type: "string" },
+    });
+  }
+
+  if (schemas.query) {
+    const required = schemas.query.required || [];
+    for (const [name, schema] of Object.entries(schemas.query.properties)) {
+      operation.parameters.push({
+        name,
+        in: "query",
+        required: required.includes(name),
+        schema,
+      });
+    }
+  }
+
+  if (schemas.body) {
+    operation.requestBody = {
+      required: (schemas.body.required || []).length > 0,
+      content: { "application/json": { schema: ref(schemas.body) } },
+    };
+  }
+
+  // The last auth middleware is the most specific
+  const auth = route.handlers
+    .map((h) => h.authorization || AUTHORIZATION[h.name])
+    .filter(Boolean)
+    .pop();
+  if (auth) {
+    operation.security = [{ bearerAuth: [] }];
+    operation.description = `Authorization required: ${auth}`;
+  }
+
+  return operation;
+}
+
+/** Build the OpenAPI document for routers, an object of
+ *    { mountPath: router, ... }
+ * as mounted in app.js.
+ *
+ * Returns the document, ready to serve as JSON.
+ */
+
+function buildOpenApiSpec(routers) {
+  const schemaNames = loadSchemaNames();
+  const components = { Error: ERROR_SCHEMA };
+  const paths = {};
+
+  for (const [prefix, router] of Object.entries(routers)) {
+    for (const route of routesOf(prefix, router)) {
+      paths[route.path] = paths[route.path] || {};
+      paths[route.path][route.method] = operationFor(
+        route,
+        schemaNames,
+        components
+      );
+    }
+  }
+
+  return {
+    openapi: "3.1.0",
+    info: { title: "Jobly", version, description },
+    paths,
+    components: {
+      schemas: components,
+      securitySchemes: {
+        bearerAuth: { type: "http", scheme: "bearer", bearerFormat: "JWT" },
+      },
+    },
+  };
+}
+
+// Swagger UI on a CDN, pinned to one release; the browser checks each file
+// against its hash, so a changed file is refused rather than run
+const SWAGGER_UI = "https://unpkg.com/swagger-ui-dist@5.33.0";
+const SWAGGER_UI_CSS_HASH =
+  "sha384-Ov4/wv3j2bmct8cDc5X4ngJZohVPzEmc6uDPH8WeljUxO5vtoykvMEfbu9Vh6RaW";
+const SWAGGER_UI_JS_HASH =
+  "sha384-YDALVcy8kj8yltLBVi1vBiBAUqdxvus673gM8XKwiy6aDUJFXivF/KCufekjYbVf";
+
+/** Returns an HTML page of interactive docs for the document at specUrl.
+ *
+ * Uses Swagger UI, loaded from a CDN so it needn't be a dependency.
+ */
+
+function docsPage(specUrl) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Jobly API</title>
+  <link rel="stylesheet" href="${SWAGGER_UI}/swagger-ui.css"
+        integrity="${SWAGGER_UI_CSS_HASH}" crossorigin="anonymous">
+</head>
+<body>
+  <div id="docs"></div>
+  <script src="${SWAGGER_UI}/swagger-ui-bundle.js"
+          integrity="${SWAGGER_UI_JS_HASH}" crossorigin="anonymous"></script>
+  <script>
+    SwaggerUIBundle({ url: "${specUrl}", dom_id: "#docs" });
+  </script>
+</body>
+</html>
+`;
+}
+
+module.exports = { buildOpenApiSpec, docsPage };
@@ -0,0 +1,96 @@
+"use strict";
+
+const express = require("express");
+
+const { buildOpenApiSpec, docsPage } = require("./openapi");
+const { validate } = require("../middleware/validate");
+const { requirePermission } = require("../middleware/auth");
+const jobNewSchema = require("../schemas/jobNew.json");
+const jobSearchSchema = require("../schemas/jobSearch.json");
+
+function makeRouter() {
+  const router = new express.Router();
+  router.post(
+    "/",
+    requirePermission("jobs:write"),
+    validate({ body: jobNewSchema }),
+    jest.fn()
+  );
+  router.get("/", validate({ query: jobSearchSchema }), jest.fn());
+  router.get("/:id", jest.fn());
+  return router;
+}
+
+describe("buildOpenApiSpec", function () {
+  test("documents each route", function () {
+    const spec = buildOpenApiSpec({ "/jobs": makeRouter() });
+
+    expect(spec.openapi).toEqual("3.1.0");
+    expect(Object.keys(spec.paths)).toEqual(["/jobs", "/jobs/{id}"]);
+    expect(Object.keys(spec.paths["/jobs"])).toEqual(["post", "get"]);
+    expect(spec.paths["/jobs/{id}"].get.parameters).toEqual([
+      { name: "id", in: "path", required: true, schema: { type: "string" } },
+    ]);
+  });
+
+  test("refers to body schemas by their file name", function () {
+    const spec = buildOpenApiSpec({ "/jobs": makeRouter() });
+    const post = spec.paths["/jobs"].post;
+
+    expect(post.requestBody).toEqual({
+      required: true,
+      content: {
+        "application/json": {
+          schema: { $ref: "#/components/schemas/jobNew" },
+        },
+      },
+    });
+    expect(spec.components.schemas.jobNew.properties).toEqual(
+      jobNewSchema.properties
+    );
+    expect(spec.components.schemas.jobNew.$id).toBeUndefined();
+  });
+
+  test("lists query parameters from the query schema", function () {
+    const spec = buildOpenApiSpec({ "/jobs": makeRouter() });
+    const params = spec.paths["/jobs"].get.parameters;
+
+    expect(params.map((p) => p.name)).toEqual(
+      Object.keys(jobSearchSchema.properties)
+    );
+    expect(params.find((p) => p.name === "minSalary")).toEqual({
+      name: "minSalary",
+      in: "query",
+      required: false,
+      schema: jobSearchSchema.properties.minSalary,
+    });
+  });
+
+  test("notes the authorization required", function () {
+    const spec = buildOpenApiSpec({ "/jobs": makeRouter() });
+
+    expect(spec.paths["/jobs"].post.security).toEqual([{ bearerAuth: [] }]);
+    expect(spec.paths["/jobs"].post.description).toEqual(
+      "Authorization required: permission jobs:write"
+    );
+    expect(spec.paths["/jobs"].get.security).toBeUndefined();
+  });
+});
+
+describe("docsPage", function () {
+  test("loads the spec", function () {
+    expect(docsPage("/openapi.json")).toContain('url: "/openapi.json"');
+  });
+
+  test("loads a pinned Swagger UI, checked against its hashes", function () {
+    const page = docsPage("/openapi.json");
+    const tags = page.match(/<(link|script) [^>]*swagger-ui[^>]*>/g);
+
+    expect(tags.length).toEqual(2);
+    for (const tag of tags) {
+      expect(tag).toMatch(/swagger-ui-dist@\d+\.\d+\.\d+\//);
+      expect(tag).toMatch(/integrity="sha384-[\w+/]+={0,2}"/);
+      expect(tag).toContain('crossorigin="anonymous"');
+    }
+  });
+});
@@ -0,0 +1,37 @@
+"use strict";
+
+/** Helpers for paged list endpoints. */
+
+/** Split a validated query string object into its paging parameters and
+ * the remaining filters.
+ *
+ * Returns { paging: { sort, limit, offset }, filters }
+ */
+
+function splitPaging(query) {
+  const { sort, limit, offset, ...filters } = query;
+  return { paging: { sort, limit, offset }, filters };
+}
+
+/** Given the paging parameters of a request and the total number of
+ * matching rows, return the pagination info sent with the results:
+ *
+ *   { total, limit, offset, nextOffset }
+ *
+ * nextOffset is the offset of the next page, or null if this is the last
+ * one (or if no limit was given, so everything was returned).
+ */
+
+function pageInfo({ limit, offset = 0 }, total) {
+  const nextOffset =
+    limit !== undefined && offset + limit < total ? offset + limit : null;
+
+  return {
+    total,
+    limit: limit === undefined ? null : limit,
+    offset,
+    nextOffset,
+  };
+}
+
+module.exports = { splitPaging, pageInfo };
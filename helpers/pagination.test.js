@@ -0,0 +1,34 @@
+const { splitPaging, pageInfo } = require("./pagination");
+
+describe("splitPaging", function () {
+  test("works", function () {
+    expect(splitPaging({ nameLike: "c", sort: "name", limit: 5 })).toEqual({
+      paging: { sort: "name", limit: 5, offset: undefined },
+      filters: { nameLike: "c" },
+    });
+  });
+});
+
+describe("pageInfo", function () {
+  test("works: more pages", function () {
+    expect(pageInfo({ limit: 10, offset: 10 }, 25)).toEqual({
+      total: 25,
+      limit: 10,
+      offset: 10,
+      nextOffset: 20,
+    });
+  });
+
+  test("works: last page", function () {
+    expect(pageInfo({ limit: 10, offset: 20 }, 25).nextOffset).toEqual(null);
+  });
+
+  test("works: no limit", function () {
+    expect(pageInfo({}, 25)).toEqual({
+      total: 25,
+      limit: null,
+      offset: 0,
+      nextOffset: null,
+    });
+  });
+});
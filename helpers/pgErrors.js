@@ -0,0 +1,76 @@
+"use strict";
+
+const {
+  ExpressError,
+  BadRequestError,
+  ConflictError,
+} = require("../expressError");
+
+/** Postgres error codes we translate; see
+ * https://www.postgresql.org/docs/current/errcodes-appendix.html */
+
+const PG_ERRORS = {
+  UNIQUE_VIOLATION: "23505",
+  FOREIGN_KEY_VIOLATION: "23503",
+  CHECK_VIOLATION: "23514",
+  NOT_NULL_VIOLATION: "23502",
+  INVALID_TEXT_REPRESENTATION: "22P02",
+  NUMERIC_VALUE_OUT_OF_RANGE: "22003",
+};
+
+/** Given the detail of a key violation, eg
+ *    'Key (handle)=(c1) already exists.'
+ *
+ *  Returns the key's column(s) and value(s) as strings, eg
+ *    { column: "handle", value: "c1" }
+ *  or undefined if detail doesn't name a key.
+ * */
+
+function violatedKey(detail) {
+  const match = /^Key \((.+?)\)=\((.*?)\)/.exec(detail || "");
+  if (!match) return undefined;
+  return { column: match[1], value: match[2] };
+}
+
+/** Translate an error thrown by pg for a broken constraint or bad input into
+ * the matching ExpressError:
+ *
+ *  - unique violation => ConflictError ("Duplicate handle: c1")
+ *  - foreign key violation => BadRequestError ("No such company_handle: x")
+ *  - check / not null violation, bad input => BadRequestError
+ *
+ *  Returns any other error (including ExpressErrors) unchanged, so callers
+ *  can `throw mapPgError(err)`.
+ * */
+
+function mapPgError(err) {
+  if (err instanceof ExpressError) return err;
+
+  const key = violatedKey(err.detail);
+
+  switch (err.code) {
+    case PG_ERRORS.UNIQUE_VIOLATION:
+      return new ConflictError(
+        key ? `Duplicate ${key.column}: ${key.value}` : "Duplicate record"
+      );
+    case PG_ERRORS.FOREIGN_KEY_VIOLATION:
+      // Deleting a row something else still refers to gives the same code
+      if (key && !/is not present/.test(err.detail)) {
+        return new ConflictError(`${key.column} ${key.value} is still in use`);
+      }
+      return new BadRequestError(
+        key ? `No such ${key.column}: ${key.value}` : "Invalid reference"
+      );
+    case PG_ERRORS.CHECK_VIOLATION:
+      return new BadRequestError(`Invalid data (${err.constraint})`);
+    case PG_ERRORS.NOT_NULL_VIOLATION:
+      return new BadRequestError(`Missing required field: ${err.column}`);
+    case PG_ERRORS.INVALID_TEXT_REPRESENTATION:
+    case PG_ERRORS.NUMERIC_VALUE_OUT_OF_RANGE:
+      return new BadRequestError(err.message);
+    default:
+      return err;
+  }
+}
+
+module.exports = { PG_ERRORS, violatedKey, mapPgError };
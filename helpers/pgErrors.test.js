@@ -0,0 +1,86 @@
+"use strict";
+
+const { mapPgError, violatedKey, PG_ERRORS } = require("./pgErrors");
+const {
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+} = require("../expressError");
+
+/** An error shaped like the ones pg throws. */
+
+function pgError(code, props = {}) {
+  return Object.assign(new Error("db error"), { code }, props);
+}
+
+describe("violatedKey", function () {
+  test("works", function () {
+    expect(violatedKey("Key (handle)=(c1) already exists.")).toEqual({
+      column: "handle",
+      value: "c1",
+    });
+    expect(
+      violatedKey(
+        'Key (username, job_id)=(u1, 1) is not present in table "applications".'
+      )
+    ).toEqual({ column: "username, job_id", value: "u1, 1" });
+  });
+
+  test("undefined without a key", function () {
+    expect(violatedKey("Failing row contains (x).")).toBeUndefined();
+    expect(violatedKey(undefined)).toBeUndefined();
+  });
+});
+
+describe("mapPgError", function () {
+  test("unique violation => conflict", function () {
+    const err = mapPgError(
+      pgError(PG_ERRORS.UNIQUE_VIOLATION, {
+        detail: "Key (handle)=(c1) already exists.",
+      })
+    );
+    expect(err instanceof ConflictError).toBeTruthy();
+    expect(err.message).toEqual("Duplicate handle: c1");
+  });
+
+  test("foreign key violation => bad request", function () {
+    const err = mapPgError(
+      pgError(PG_ERRORS.FOREIGN_KEY_VIOLATION, {
+        detail: 'Key (company_handle)=(x) is not present in table "companies".',
+      })
+    );
+    expect(err instanceof BadRequestError).toBeTruthy();
+    expect(err.message).toEqual("No such company_handle: x");
+  });
+
+  test("foreign key violation on delete => conflict", function () {
+    const err = mapPgError(
+      pgError(PG_ERRORS.FOREIGN_KEY_VIOLATION, {
+        detail: 'Key (handle)=(c1) is still referenced from table "jobs".',
+      })
+    );
+    expect(err instanceof ConflictError).toBeTruthy();
+  });
+
+  test("check and not null violations, bad input => bad request", function () {
+    for (const code of [
+      PG_ERRORS.CHECK_VIOLATION,
+      PG_ERRORS.NOT_NULL_VIOLATION,
+      PG_ERRORS.INVALID_TEXT_REPRESENTATION,
+      PG_ERRORS.NUMERIC_VALUE_OUT_OF_RANGE,
+    ]) {
+      expect(mapPgError(pgError(code)) instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("other errors unchanged", function () {
+    const notFound = new NotFoundError();
+    expect(mapPgError(notFound)).toBe(notFound);
+
+    const other = pgError("42P01");
+    expect(mapPgError(other)).toBe(other);
+
+    const plain = new Error("oops");
+    expect(mapPgError(plain)).toBe(plain);
+  });
+});
@@ -32,6 +32,83 @@ function sqlForPartialUpdate(dataToUpdate, jsToSql) {
   };
 }
 
+/** Given a sort string and an object of the fields that may be sorted on,
+ * return an ORDER BY clause.
+ *
+ *  - sort is a comma-separated list of field names, each optionally prefixed
+ *    with "-" for descending order; defaultSort is used if it is undefined
+ *  - sortableCols maps field names to the SQL they sort on
+ *  - tieBreaker is SQL appended last, so that paging is stable
+ *
+ *  - ex. sqlForSort("-numEmployees,name",
+ *          { name: "name", numEmployees: "num_employees" }, "name", "handle")
+ *    => "ORDER BY num_employees DESC, name ASC, handle"
+ *
+ * Throws BadRequestError for a field not in sortableCols.
+ * */
+
+function sqlForSort(sort, sortableCols, defaultSort, tieBreaker) {
+  const fields = (sort || defaultSort).split(",");
+
+  const cols = fields.map((field) => {
+    const desc = field.startsWith("-");
+    const name = desc ? field.slice(1) : field;
+    if (!Object.hasOwn(sortableCols, name)) {
+      throw new BadRequestError(`Can't sort by: ${name}`);
+    }
+    return `${sortableCols[name]} ${desc ? "DESC" : "ASC"}`;
+  });
+
+  if (tieBreaker) cols.push(tieBreaker);
+
+  return "ORDER BY " + cols.join(", ");
+}
+
+/** Given { limit, offset } (both optional) and the number of values already
+ * in the query, return the LIMIT/OFFSET clause and its values.
+ *
+ *  - ex. sqlForPaging({ limit: 10, offset: 20 }, 2) => {
+ *    pagingSql: "LIMIT $3 OFFSET $4",
+ *    values: [10, 20]
+ *    }
+ * */
+
+function sqlForPaging({ limit, offset } = {}, numValues = 0) {
+  const clauses = [];
+  const values = [];
+
+  if (limit !== undefined) {
+    values.push(limit);
+    clauses.push(`LIMIT $${numValues + values.length}`);
+  }
+  if (offset !== undefined) {
+    values.push(offset);
+    clauses.push(`OFFSET $${numValues + values.length}`);
+  }
+
+  return {
+    pagingSql: clauses.join(" "),
+    values,
+  };
+}
+
+/** Given a WHERE clause made from filters (or null, if there were none),
+ * add conditions that always apply.
+ *
+ *  - ex. sqlAndWhere("WHERE name ILIKE $1", "deleted_at IS NULL")
+ *    => "WHERE name ILIKE $1 AND deleted_at IS NULL"
+ *  - ex. sqlAndWhere(null, "deleted_at IS NULL")
+ *    => "WHERE deleted_at IS NULL"
+ * */
+
+function sqlAndWhere(sqlCmd, ...conditions) {
+  const where = conditions.join(" AND ");
+  return sqlCmd ? `${sqlCmd} AND ${where}` : `WHERE ${where}`;
+}
+
 module.exports = {
   sqlForPartialUpdate,
+  sqlForSort,
+  sqlForPaging,
+  sqlAndWhere,
 };
@@ -1,7 +1,12 @@
 "use strict";
 
 const { BadRequestError } = require("../expressError");
-const { sqlForPartialUpdate, formatWhereCmds } = require("./sql");
+const {
+  sqlForPartialUpdate,
+  sqlForSort,
+  sqlForPaging,
+  sqlAndWhere,
+} = require("./sql");
 
 const jsToSql = {
   numEmployees: "num_employees",
@@ -54,3 +59,46 @@ describe("sqlForPartialUpdate", function () {
     }
   });
 });
+
+describe("sqlForSort", function () {
+  const sortableCols = { name: "name", numEmployees: "num_employees" };
+
+  test("works: default", function () {
+    expect(sqlForSort(undefined, sortableCols, "name", "handle"))
+      .toEqual("ORDER BY name ASC, handle");
+  });
+
+  test("works: several fields, descending", function () {
+    expect(sqlForSort("-numEmployees,name", sortableCols, "name"))
+      .toEqual("ORDER BY num_employees DESC, name ASC");
+  });
+
+  test("doesn't work: unknown field", function () {
+    expect(() => sqlForSort("password", sortableCols, "name"))
+      .toThrow(BadRequestError);
+  });
+});
+
+describe("sqlForPaging", function () {
+  test("works", function () {
+    expect(sqlForPaging({ limit: 10, offset: 20 }, 2)).toEqual({
+      pagingSql: "LIMIT $3 OFFSET $4",
+      values: [10, 20],
+    });
+  });
+
+  test("works: nothing given", function () {
+    expect(sqlForPaging({})).toEqual({ pagingSql: "", values: [] });
+  });
+});
+
+describe("sqlAndWhere", function () {
+  test("works", function () {
+    expect(sqlAndWhere("WHERE a = $1", "b IS NULL", "c IS NULL"))
+      .toEqual("WHERE a = $1 AND b IS NULL AND c IS NULL");
+  });
+
+  test("works: no filters", function () {
+    expect(sqlAndWhere(null, "b IS NULL")).toEqual("WHERE b IS NULL");
+  });
+});
@@ -1,7 +1,15 @@
+const crypto = require("crypto");
 const jwt = require("jsonwebtoken");
-const { SECRET_KEY } = require("../config");
+const { SECRET_KEY, ACCESS_TOKEN_EXPIRES_IN } = require("../config");
 
-/** return signed JWT {username, isAdmin} from user data. */
+/** return signed JWT {username, isAdmin, ver} from user data.
+ *
+ * ver is the user's token version; bumping it in the database revokes every
+ * token already issued (see authenticateJWT).
+ *
+ * The token expires after ACCESS_TOKEN_EXPIRES_IN; use a refresh token to
+ * get a new one.
+ */
 
 function createToken(user) {
   console.assert(user.isAdmin !== undefined,
@@ -10,9 +18,25 @@ function createToken(user) {
   let payload = {
     username: user.username,
     isAdmin: user.isAdmin || false,
+    ver: user.tokenVersion || 0,
   };
 
-  return jwt.sign(payload, SECRET_KEY);
+  return jwt.sign(payload, SECRET_KEY, { expiresIn: ACCESS_TOKEN_EXPIRES_IN });
 }
 
-module.exports = { createToken };
+/** return a new random, opaque token (for refresh tokens and the like). */
+
+function createOpaqueToken() {
+  return crypto.randomBytes(32).toString("hex");
+}
+
+/** return the hash of an opaque token, as stored in the database.
+ *
+ * Only hashes are stored, so a leaked table can't be used to log in.
+ */
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+module.exports = { createToken, createOpaqueToken, hashToken };
@@ -1,5 +1,5 @@
 const jwt = require("jsonwebtoken");
-const { createToken } = require("./tokens");
+const { createToken, createOpaqueToken, hashToken } = require("./tokens");
 const { SECRET_KEY } = require("../config");
 
 describe("createToken", function () {
@@ -8,8 +8,10 @@ describe("createToken", function () {
     const payload = jwt.verify(token, SECRET_KEY);
     expect(payload).toEqual({
       iat: expect.any(Number),
+      exp: expect.any(Number),
       username: "test",
       isAdmin: false,
+      ver: 0,
     });
   });
 
@@ -18,8 +20,10 @@ describe("createToken", function () {
     const payload = jwt.verify(token, SECRET_KEY);
     expect(payload).toEqual({
       iat: expect.any(Number),
+      exp: expect.any(Number),
       username: "test",
       isAdmin: true,
+      ver: 0,
     });
   });
 
@@ -29,8 +33,42 @@ describe("createToken", function () {
     const payload = jwt.verify(token, SECRET_KEY);
     expect(payload).toEqual({
       iat: expect.any(Number),
+      exp: expect.any(Number),
       username: "test",
       isAdmin: false,
+      ver: 0,
     });
   });
 });
+
+describe("createToken version", function () {
+  test("works", function () {
+    const token = createToken({ username: "test", isAdmin: false, tokenVersion: 3 });
+    const payload = jwt.verify(token, SECRET_KEY);
+    expect(payload.ver).toEqual(3);
+  });
+});
+
+describe("createToken expiry", function () {
+  test("works: short-lived", function () {
+    const token = createToken({ username: "test", isAdmin: false });
+    const payload = jwt.verify(token, SECRET_KEY);
+    expect(payload.exp - payload.iat).toEqual(15 * 60);
+  });
+});
+
+describe("createOpaqueToken", function () {
+  test("works", function () {
+    const token = createOpaqueToken();
+    expect(token).toMatch(/^[0-9a-f]{64}$/);
+    expect(createOpaqueToken()).not.toEqual(token);
+  });
+});
+
+describe("hashToken", function () {
+  test("works", function () {
+    expect(hashToken("abc")).toEqual(hashToken("abc"));
+    expect(hashToken("abc")).not.toEqual(hashToken("abd"));
+    expect(hashToken("abc")).not.toContain("abc");
+  });
+});
@@ -1,18 +1,19 @@
 -- both test users have the password "password"
 
-INSERT INTO users (username, password, first_name, last_name, email, is_admin)
+INSERT INTO users (username, password, first_name, last_name, email)
 VALUES ('testuser',
         '$2b$12$AZH7virni5jlTTiGgEg4zu3lSvAw68qVEfSIOjJ3RqtbJbdW/Oi5q',
         'Test',
         'User',
-        'joel@joelburton.com',
-        FALSE),
+        'joel@joelburton.com'),
        ('testadmin',
         '$2b$12$AZH7virni5jlTTiGgEg4zu3lSvAw68qVEfSIOjJ3RqtbJbdW/Oi5q',
         'Test',
         'Admin!',
-        'joel@joelburton.com',
-        TRUE);
+        'joel@joelburton.com');
+
+INSERT INTO user_roles (username, role)
+VALUES ('testadmin', 'admin');
 
 INSERT INTO companies (handle,
                        name,
@@ -368,3 +369,10 @@ VALUES ('Conservator, furniture', 110000, 0, 'watson-davis'),
        ('Learning disability nurse', 66000, NULL, 'ayala-buchanan'),
        ('Research scientist (medical)', 175000, NULL, 'norman-harvey'),
        ('Accommodation manager', 126000, NULL, 'mejia-scott-ryan');
+
+-- Seeded jobs are already published
+UPDATE jobs SET status = 'open', posted_at = NOW();
+
+INSERT INTO skills (name)
+VALUES ('communication'), ('excel'), ('javascript'), ('node'), ('postgres'),
+       ('project management'), ('python'), ('react'), ('sql');
@@ -4,27 +4,54 @@
 
 const jwt = require("jsonwebtoken");
 const { SECRET_KEY } = require("../config");
-const { UnauthorizedError } = require("../expressError");
+const { UnauthorizedError, ForbiddenError } = require("../expressError");
+const User = require("../models/user");
+const CompanyMember = require("../models/companyMember");
 
 /** Middleware: Authenticate user.
  *
  * If a token was provided, verify it, and, if valid, store the token payload
- * on res.locals (this will include the username and isAdmin field.)
+ * on res.locals, with the user's current isAdmin, roles and permissions.
  *
- * It's not an error if no token was provided or if the token is not valid.
+ * The user is looked up on every request, so that deleting a user, bumping
+ * their token version (eg, by changing their roles) or changing what a role
+ * may do takes effect immediately.
+ *
+ * It's not an error if no token was provided or if the token is not valid,
+ * but an expired or revoked token raises Unauthorized so clients know to
+ * get a new one.
  */
 
-function authenticateJWT(req, res, next) {
+async function authenticateJWT(req, res, next) {
+  const authHeader = req.headers && req.headers.authorization;
+  if (!authHeader) return next();
+
+  const token = authHeader.replace(/^[Bb]earer /, "").trim();
+  let payload;
   try {
-    const authHeader = req.headers && req.headers.authorization;
-    if (authHeader) {
-      const token = authHeader.replace(/^[Bb]earer /, "").trim();
-      res.locals.user = jwt.verify(token, SECRET_KEY);
-    }
-    return next();
+    payload = jwt.verify(token, SECRET_KEY);
   } catch (err) {
+    if (err instanceof jwt.TokenExpiredError) {
+      return next(new UnauthorizedError("Token expired"));
+    }
     return next();
   }
+
+  const claims = await User.getTokenClaims(payload.username);
+  if (!claims || claims.tokenVersion !== (payload.ver || 0)) {
+    return next(new UnauthorizedError("Token revoked"));
+  }
+
+  const { isAdmin, roles, permissions } = claims;
+  res.locals.user = { ...payload, isAdmin, roles, permissions };
+  return next();
+}
+
+/** Returns true if user (as stored on res.locals by authenticateJWT) has
+ * permission. */
+
+function hasPermission(user, permission) {
+  return Boolean(user && user.permissions.includes(permission));
 }
 
 /** Middleware to use when they must be logged in.
@@ -37,39 +64,91 @@ function ensureLoggedIn(req, res, next) {
   return next();
 }
 
-/** Middleware to use when admin must be logged in
+/** Middleware factory: current user must have every one of permissions
+ * (eg, "jobs:write"; see migrations/008-roles-permissions.up.sql).
  *
- * If not, raises Unauthorized.
+ * If not logged in, raises Unauthorized; if logged in without them, raises
+ * Forbidden.
+ *
+ * ex: router.post("/", requirePermission("companies:write"), ...)
  */
 
-function ensureAdmin(req, res, next) {
-  const user = res.locals.user;
-  if (!user || !user.isAdmin) throw new UnauthorizedError();
-  return next();
+function requirePermission(...permissions) {
+  function ensurePermissions(req, res, next) {
+    const user = res.locals.user;
+    if (!user) throw new UnauthorizedError();
+    if (!permissions.every((p) => hasPermission(user, p))) {
+      throw new ForbiddenError();
+    }
+    return next();
+  }
+
+  // For the API docs (see helpers/openapi.js)
+  ensurePermissions.authorization = `permission ${permissions.join(", ")}`;
+  return ensurePermissions;
 }
 
-/** Middleware to use when current user logged in must be user of route being
- * accessed, or current user is the admin
+/** Middleware factory: current user must be the user of the route being
+ * accessed, or have permission.
  *
- * If not, raises Unauthorized.
+ * If not logged in, raises Unauthorized; if logged in as someone else
+ * without permission, raises Forbidden.
  */
-function ensureCurrUserOrAdmin(req, res, next) {
-  const user = res.locals.user;
-  // consider putting the conditions into variables - easier to work with in 1 line
-  if (!user) throw new UnauthorizedError();
-  if (!user.isAdmin && user.username !== req.params.username)
-    throw new UnauthorizedError();
 
-  // worth writing 1 liner? took me awhile to write it
-  // if (!user || (!user.isAdmin && user.username !== req.params.username))
-  //   throw new UnauthorizedError();
+function ensureCurrUserOrPermission(permission) {
+  function ensureCurrUserOrPermitted(req, res, next) {
+    const user = res.locals.user;
+    if (!user) throw new UnauthorizedError();
+    if (
+      user.username !== req.params.username &&
+      !hasPermission(user, permission)
+    ) {
+      throw new ForbiddenError();
+    }
+    return next();
+  }
 
-  return next();
+  ensureCurrUserOrPermitted.authorization =
+    `same user as [username], or permission ${permission}`;
+  return ensureCurrUserOrPermitted;
+}
+
+/** Middleware factory: current user must have permission, or be a member
+ * of the company the route acts on with one of roles (see
+ * models/companyMember.js).
+ *
+ * getHandle(req) returns the handle of that company; it may be async, eg, to
+ * look up the company of a job.
+ *
+ * If not logged in, raises Unauthorized; if not allowed, raises Forbidden.
+ *
+ * ex: router.patch("/:handle", ensureCompanyRole(["owner"], (req) =>
+ *       req.params.handle, "companies:write"), ...)
+ */
+
+function ensureCompanyRole(roles, getHandle, permission) {
+  async function ensureCompanyRoleOrPermitted(req, res, next) {
+    const user = res.locals.user;
+    if (!user) throw new UnauthorizedError();
+    if (hasPermission(user, permission)) return next();
+
+    const handle = await getHandle(req);
+    const role = await CompanyMember.getRole(handle, user.username);
+    if (!roles.includes(role)) throw new ForbiddenError();
+
+    return next();
+  }
+
+  ensureCompanyRoleOrPermitted.authorization =
+    `company ${roles.join(" or ")}, or permission ${permission}`;
+  return ensureCompanyRoleOrPermitted;
 }
 
 module.exports = {
   authenticateJWT,
+  hasPermission,
   ensureLoggedIn,
-  ensureAdmin,
-  ensureCurrUserOrAdmin,
+  requirePermission,
+  ensureCurrUserOrPermission,
+  ensureCompanyRole,
 };
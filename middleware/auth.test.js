@@ -1,47 +1,133 @@
 "use strict";
 
 const jwt = require("jsonwebtoken");
-const { UnauthorizedError } = require("../expressError");
+const { UnauthorizedError, ForbiddenError } = require("../expressError");
+const User = require("../models/user");
+const Role = require("../models/role");
+const CompanyMember = require("../models/companyMember");
 const {
   authenticateJWT,
+  hasPermission,
   ensureLoggedIn,
-  ensureAdmin,
-  ensureCurrUserOrAdmin,
+  requirePermission,
+  ensureCurrUserOrPermission,
+  ensureCompanyRole,
 } = require("./auth");
 
 const { SECRET_KEY } = require("../config");
-const testJwt = jwt.sign({ username: "test", isAdmin: false }, SECRET_KEY);
-const badJwt = jwt.sign({ username: "test", isAdmin: false }, "wrong");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("../models/_testCommon");
+
+const testJwt = jwt.sign({ username: "u1", isAdmin: false }, SECRET_KEY);
+const badJwt = jwt.sign({ username: "u1", isAdmin: false }, "wrong");
+const expiredJwt = jwt.sign(
+  {
+    username: "u1",
+    isAdmin: false,
+    exp: Math.floor(Date.now() / 1000) - 60,
+  },
+  SECRET_KEY
+);
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
 
 function next(err) {
   if (err) throw new Error("Got error from middleware");
 }
 
+/** Runs authenticateJWT and returns the error it passed to next, if any. */
+
+async function runAuthenticateJWT(req, res) {
+  let error;
+  await authenticateJWT(req, res, (err) => (error = err));
+  return error;
+}
+
 describe("authenticateJWT", function () {
-  test("works: via header", function () {
+  test("works: via header", async function () {
     const req = { headers: { authorization: `Bearer ${testJwt}` } };
     const res = { locals: {} };
-    authenticateJWT(req, res, next);
+    await authenticateJWT(req, res, next);
     expect(res.locals).toEqual({
       user: {
         iat: expect.any(Number),
-        username: "test",
+        username: "u1",
         isAdmin: false,
+        roles: [],
+        permissions: [],
       },
     });
   });
 
-  test("works: no header", function () {
+  test("works: permissions come from the user's roles", async function () {
+    await Role.grant("u1", "support");
+    const claims = await User.getTokenClaims("u1");
+    const token = jwt.sign(
+      { username: "u1", isAdmin: false, ver: claims.tokenVersion },
+      SECRET_KEY
+    );
+    const req = { headers: { authorization: `Bearer ${token}` } };
+    const res = { locals: {} };
+    await authenticateJWT(req, res, next);
+    expect(res.locals.user.roles).toEqual(["support"]);
+    expect(res.locals.user.permissions).toEqual([
+      "applications:manage",
+      "users:read",
+    ]);
+  });
+
+  test("works: no header", async function () {
     const req = {};
     const res = { locals: {} };
-    authenticateJWT(req, res, next);
+    await authenticateJWT(req, res, next);
     expect(res.locals).toEqual({});
   });
 
-  test("works: invalid token", function () {
+  test("works: invalid token", async function () {
     const req = { headers: { authorization: `Bearer ${badJwt}` } };
     const res = { locals: {} };
-    authenticateJWT(req, res, next);
+    await authenticateJWT(req, res, next);
+    expect(res.locals).toEqual({});
+  });
+
+  test("unauth if expired token", async function () {
+    const req = { headers: { authorization: `Bearer ${expiredJwt}` } };
+    const res = { locals: {} };
+    const error = await runAuthenticateJWT(req, res);
+    expect(error instanceof UnauthorizedError).toBeTruthy();
+    expect(res.locals).toEqual({});
+  });
+
+  test("works: isAdmin comes from the database", async function () {
+    const adminJwt = jwt.sign({ username: "u1", isAdmin: true }, SECRET_KEY);
+    const req = { headers: { authorization: `Bearer ${adminJwt}` } };
+    const res = { locals: {} };
+    await authenticateJWT(req, res, next);
+    expect(res.locals.user.isAdmin).toEqual(false);
+  });
+
+  test("unauth if user was deleted", async function () {
+    await User.remove("u1");
+    const req = { headers: { authorization: `Bearer ${testJwt}` } };
+    const res = { locals: {} };
+    const error = await runAuthenticateJWT(req, res);
+    expect(error instanceof UnauthorizedError).toBeTruthy();
+    expect(res.locals).toEqual({});
+  });
+
+  test("unauth if token version was bumped", async function () {
+    await Role.grant("u1", "admin");
+    const req = { headers: { authorization: `Bearer ${testJwt}` } };
+    const res = { locals: {} };
+    const error = await runAuthenticateJWT(req, res);
+    expect(error instanceof UnauthorizedError).toBeTruthy();
     expect(res.locals).toEqual({});
   });
 });
@@ -60,48 +146,144 @@ describe("ensureLoggedIn", function () {
   });
 });
 
-describe("ensureAdmin", function () {
+describe("hasPermission", function () {
+  test("works", function () {
+    const user = { username: "test", permissions: ["jobs:write"] };
+    expect(hasPermission(user, "jobs:write")).toEqual(true);
+    expect(hasPermission(user, "users:write")).toEqual(false);
+  });
+
+  test("false if no login", function () {
+    expect(hasPermission(undefined, "jobs:write")).toEqual(false);
+  });
+});
+
+describe("requirePermission", function () {
+  const ensureJobsWrite = requirePermission("jobs:write");
+
   test("works", function () {
     const req = {};
-    const res = { locals: { user: { username: "test", isAdmin: true } } };
-    ensureAdmin(req, res, next);
+    const res = {
+      locals: { user: { username: "test", permissions: ["jobs:write"] } },
+    };
+    ensureJobsWrite(req, res, next);
   });
 
-  test("unauth if not admin", function () {
+  test("works: needs every permission given", function () {
     const req = {};
-    const res = { locals: { user: { username: "test" } } };
-    expect(() => ensureAdmin(req, res, next)).toThrowError();
+    const res = {
+      locals: { user: { username: "test", permissions: ["jobs:write"] } },
+    };
+    expect(() =>
+      requirePermission("jobs:write", "users:write")(req, res, next)
+    ).toThrowError(ForbiddenError);
+  });
+
+  test("forbidden without the permission", function () {
+    const req = {};
+    const res = { locals: { user: { username: "test", permissions: [] } } };
+    expect(() => ensureJobsWrite(req, res, next)).toThrowError(
+      ForbiddenError
+    );
   });
 
   test("unauth if no login", function () {
     const req = {};
     const res = { locals: {} };
-    expect(() => ensureAdmin(req, res, next)).toThrowError();
+    expect(() => ensureJobsWrite(req, res, next)).toThrowError(
+      UnauthorizedError
+    );
   });
 });
 
-describe("ensureCurrUserOrAdmin", function () {
+describe("ensureCurrUserOrPermission", function () {
+  const ensureUserOrUsersRead = ensureCurrUserOrPermission("users:read");
+
   test("works for current user", function () {
     const req = { params: { username: "test1" } };
-    const res = { locals: { user: { username: "test1" } } };
-    ensureCurrUserOrAdmin(req, res, next);
+    const res = { locals: { user: { username: "test1", permissions: [] } } };
+    ensureUserOrUsersRead(req, res, next);
   });
 
-  test("works for admin", function () {
+  test("works with the permission", function () {
     const req = { params: { username: "test2" } };
-    const res = { locals: { user: { username: "test1", isAdmin: true } } };
-    ensureCurrUserOrAdmin(req, res, next);
+    const res = {
+      locals: { user: { username: "test1", permissions: ["users:read"] } },
+    };
+    ensureUserOrUsersRead(req, res, next);
   });
 
-  test("unauth if not current user", function () {
+  test("forbidden if not current user", function () {
     const req = { params: { username: "test3" } };
-    const res = { locals: { user: { username: "test1" } } };
-    expect(() => ensureCurrUserOrAdmin(req, res, next)).toThrowError();
+    const res = { locals: { user: { username: "test1", permissions: [] } } };
+    expect(() => ensureUserOrUsersRead(req, res, next)).toThrowError(
+      ForbiddenError
+    );
   });
 
   test("unauth if no login", function () {
     const req = { params: { username: "test1" } };
     const res = { locals: {} };
-    expect(() => ensureCurrUserOrAdmin(req, res, next)).toThrowError();
+    expect(() => ensureUserOrUsersRead(req, res, next)).toThrowError(
+      UnauthorizedError
+    );
+  });
+});
+
+describe("ensureCompanyRole", function () {
+  const ensureOwner = ensureCompanyRole(
+    ["owner"],
+    (req) => req.params.handle,
+    "companies:write"
+  );
+  const req = { params: { handle: "c1" } };
+
+  test("works for a member with the role", async function () {
+    await CompanyMember.add("c1", "u1", "owner");
+    const res = { locals: { user: { username: "u1", permissions: [] } } };
+    const next = jest.fn();
+    await ensureOwner(req, res, next);
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  test("works with the permission", async function () {
+    const res = {
+      locals: { user: { username: "u2", permissions: ["companies:write"] } },
+    };
+    const next = jest.fn();
+    await ensureOwner(req, res, next);
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  test("works with an async getHandle", async function () {
+    await CompanyMember.add("c1", "u1", "recruiter");
+    const middleware = ensureCompanyRole(
+      ["recruiter"],
+      async () => "c1",
+      "jobs:write"
+    );
+    const res = { locals: { user: { username: "u1", permissions: [] } } };
+    const next = jest.fn();
+    await middleware(req, res, next);
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  test("forbidden for a member without the role", async function () {
+    await CompanyMember.add("c1", "u1", "recruiter");
+    const res = { locals: { user: { username: "u1", permissions: [] } } };
+    await expect(ensureOwner(req, res, next)).rejects.toThrow(ForbiddenError);
+  });
+
+  test("forbidden for a member of another company", async function () {
+    await CompanyMember.add("c2", "u1", "owner");
+    const res = { locals: { user: { username: "u1", permissions: [] } } };
+    await expect(ensureOwner(req, res, next)).rejects.toThrow(ForbiddenError);
+  });
+
+  test("unauth if no login", async function () {
+    const res = { locals: {} };
+    await expect(ensureOwner(req, res, next)).rejects.toThrow(
+      UnauthorizedError
+    );
   });
 });
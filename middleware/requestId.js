@@ -0,0 +1,29 @@
+"use strict";
+
+/** Middleware to tag each request with an id, so a client's report of an
+ * error can be matched to the server's logs (app.js puts the id in every
+ * request log line and error log). */
+
+const crypto = require("crypto");
+
+// Ids we accept from clients: short, and safe to echo back and log
+const VALID_REQUEST_ID = /^[\w.-]{1,100}$/;
+
+/** Middleware: Assign a request id.
+ *
+ * Uses the X-Request-Id header if the client (or a proxy in front of us) sent
+ * a valid one, else makes a new one. Stores it on res.locals.requestId and
+ * sends it back in the X-Request-Id header.
+ */
+
+function assignRequestId(req, res, next) {
+  const given = req.get("X-Request-Id");
+  const requestId =
+    given && VALID_REQUEST_ID.test(given) ? given : crypto.randomUUID();
+
+  res.locals.requestId = requestId;
+  res.set("X-Request-Id", requestId);
+  return next();
+}
+
+module.exports = { assignRequestId };
@@ -0,0 +1,39 @@
+"use strict";
+
+const { assignRequestId } = require("./requestId");
+
+function makeReqRes(header) {
+  const req = { get: (name) => (name === "X-Request-Id" ? header : undefined) };
+  const headers = {};
+  const res = { locals: {}, set: (name, value) => (headers[name] = value) };
+  return { req, res, headers };
+}
+
+describe("assignRequestId", function () {
+  test("makes a new id", function () {
+    const { req, res, headers } = makeReqRes(undefined);
+    const next = jest.fn();
+
+    assignRequestId(req, res, next);
+
+    expect(res.locals.requestId).toMatch(/^[0-9a-f-]{36}$/);
+    expect(headers["X-Request-Id"]).toEqual(res.locals.requestId);
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  test("keeps a valid id from the client", function () {
+    const { req, res, headers } = makeReqRes("abc-123.x_y");
+    assignRequestId(req, res, jest.fn());
+
+    expect(res.locals.requestId).toEqual("abc-123.x_y");
+    expect(headers["X-Request-Id"]).toEqual("abc-123.x_y");
+  });
+
+  test("replaces an invalid id from the client", function () {
+    const { req, res } = makeReqRes("bad id\nwith newline");
+    assignRequestId(req, res, jest.fn());
+
+    expect(res.locals.requestId).not.toEqual("bad id\nwith newline");
+    expect(res.locals.requestId).toMatch(/^[0-9a-f-]{36}$/);
+  });
+});
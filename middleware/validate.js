@@ -0,0 +1,130 @@
+"use strict";
+
+/** Middleware to validate requests against JSON schemas. */
+
+const jsonschema = require("jsonschema");
+const { ValidationError } = require("../expressError");
+
+// Parts of the request that arrive as strings and need their types coerced
+const STRING_LOCATIONS = ["query", "params"];
+
+/** Middleware factory: validate parts of the request.
+ *
+ * schemas is { body, query, params }, each optional, each a JSON schema for
+ * that part of the request. For query and params, whose values arrive as
+ * strings, values are first coerced to the types their schema asks for:
+ *  - integer, number: "12" => 12 (non-numbers are left for the schema to
+ *    reject)
+ *  - boolean: "true" / "false" => true / false
+ *  - array: a single value becomes a one-item array; items are coerced too
+ *
+ * Options:
+ *  - stripUnknown: drop top-level fields the schemas don't list, rather
+ *    than rejecting them
+ *
+ * The coerced (and stripped) values replace req.body, req.query and
+ * req.params, so routes can use them as is.
+ *
+ * Raises ValidationError listing every problem in every part of the request,
+ * eg { field: "minSalary", location: "query", message: "is not ..." }.
+ *
+ * The schemas are kept on the middleware as .schemas, for the API docs (see
+ * helpers/openapi.js).
+ *
+ * ex: router.get("/", validate({ query: jobSearchSchema }), ...)
+ */
+
+function validate(schemas, { stripUnknown = false } = {}) {
+  function validateRequest(req, res, next) {
+    const errors = [];
+
+    for (const location of ["params", "query", "body"]) {
+      const schema = schemas[location];
+      if (!schema) continue;
+
+      // An empty request body arrives as undefined
+      let value = req[location] || {};
+      if (stripUnknown) value = stripUnknownFields(value, schema);
+      if (STRING_LOCATIONS.includes(location)) {
+        value = coerceFields(value, schema);
+      }
+
+      const result = jsonschema.validate(value, schema, { required: true });
+      for (const err of result.errors) {
+        // Name the part of the request, eg "query.limit" not "instance.limit"
+        err.property = err.property.replace(/^instance/, location);
+        err.stack = err.toString();
+        errors.push(err);
+      }
+
+      // req.query is a getter, so it has to be redefined rather than set
+      Object.defineProperty(req, location, {
+        value,
+        writable: true,
+        configurable: true,
+        enumerable: true,
+      });
+    }
+
+    if (errors.length) throw new ValidationError(errors);
+    return next();
+  }
+
+  validateRequest.schemas = schemas;
+  return validateRequest;
+}
+
+/** Returns a copy of obj with only the fields listed in schema.properties. */
+
+function stripUnknownFields(obj, schema) {
+  const known = Object.keys(schema.properties || {});
+  return Object.fromEntries(
+    Object.entries(obj).filter(([key]) => known.includes(key))
+  );
+}
+
+/** Returns a copy of obj with each field coerced for its property schema. */
+
+function coerceFields(obj, schema) {
+  const properties = schema.properties || {};
+  return Object.fromEntries(
+    Object.entries(obj).map(([key, value]) => [
+      key,
+      coerce(value, properties[key]),
+    ])
+  );
+}
+
+/** Coerce a value from a query string or path to the type schema wants.
+ *
+ * Returns the value unchanged if it can't be (or needn't be) coerced.
+ */
+
+function coerce(value, schema) {
+  if (!schema) return value;
+
+  const branches = schema.anyOf || [schema];
+  const types = branches.flatMap((s) => [].concat(s.type || []));
+  const arraySchema = branches.find((s) => s.type === "array");
+
+  if (Array.isArray(value)) {
+    return arraySchema ? value.map((v) => coerce(v, arraySchema.items)) : value;
+  }
+  if (typeof value !== "string" || types.includes("string")) return value;
+
+  if (
+    (types.includes("integer") || types.includes("number")) &&
+    value.trim() !== "" &&
+    !Number.isNaN(Number(value))
+  ) {
+    return Number(value);
+  }
+  if (types.includes("boolean") && (value === "true" || value === "false")) {
+    return value === "true";
+  }
+  if (arraySchema) return [coerce(value, arraySchema.items)];
+
+  return value;
+}
+
+module.exports = { validate };
@@ -0,0 +1,126 @@
+"use strict";
+
+const { validate } = require("./validate");
+const { ValidationError } = require("../expressError");
+
+const querySchema = {
+  type: "object",
+  properties: {
+    limit: { type: "integer", minimum: 1 },
+    minEquity: { type: "number" },
+    hasEquity: { type: "boolean" },
+    name: { type: "string" },
+    handle: {
+      anyOf: [
+        { type: "string" },
+        { type: "array", items: { type: "string" } },
+      ],
+    },
+    ids: { type: "array", items: { type: "integer" } },
+  },
+  additionalProperties: false,
+};
+
+const bodySchema = {
+  type: "object",
+  properties: {
+    title: { type: "string" },
+  },
+  additionalProperties: false,
+  required: ["title"],
+};
+
+describe("validate", function () {
+  test("coerces query strings to the schema's types", function () {
+    const req = {
+      query: {
+        limit: "10",
+        minEquity: "0.5",
+        hasEquity: "false",
+        name: "123",
+        handle: "c1",
+        ids: "7",
+      },
+    };
+    const next = jest.fn();
+
+    validate({ query: querySchema })(req, {}, next);
+
+    expect(req.query).toEqual({
+      limit: 10,
+      minEquity: 0.5,
+      hasEquity: false,
+      name: "123",
+      handle: "c1",
+      ids: [7],
+    });
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  test("coerces each item of an array", function () {
+    const req = { query: { ids: ["1", "2"], handle: ["c1", "c2"] } };
+    validate({ query: querySchema })(req, {}, jest.fn());
+    expect(req.query).toEqual({ ids: [1, 2], handle: ["c1", "c2"] });
+  });
+
+  test("does not coerce the body", function () {
+    const req = { body: { title: 5 } };
+    expect(() => validate({ body: bodySchema })(req, {}, jest.fn())).toThrow(
+      ValidationError
+    );
+  });
+
+  test("treats a missing body as empty", function () {
+    const req = {};
+    try {
+      validate({ body: bodySchema })(req, {}, jest.fn());
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof ValidationError).toBeTruthy();
+      expect(err.details).toEqual([
+        {
+          field: "title",
+          location: "body",
+          message: 'requires property "title"',
+        },
+      ]);
+    }
+  });
+
+  test("reports every error in every part of the request", function () {
+    const req = { query: { limit: "x", nope: "1" }, body: {} };
+    try {
+      validate({ query: querySchema, body: bodySchema })(req, {}, jest.fn());
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof ValidationError).toBeTruthy();
+      expect(err.details).toEqual([
+        {
+          field: "limit",
+          location: "query",
+          message: "is not of a type(s) integer",
+        },
+        {
+          field: "nope",
+          location: "query",
+          message: 'is not allowed to have the additional property "nope"',
+        },
+        {
+          field: "title",
+          location: "body",
+          message: 'requires property "title"',
+        },
+      ]);
+    }
+  });
+
+  test("strips unknown fields if asked", function () {
+    const req = { body: { title: "t", extra: "x" } };
+    const next = jest.fn();
+
+    validate({ body: bodySchema }, { stripUnknown: true })(req, {}, next);
+
+    expect(req.body).toEqual({ title: "t" });
+    expect(next).toHaveBeenCalledWith();
+  });
+});
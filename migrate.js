@@ -0,0 +1,289 @@
+"use strict";
+
+/** Database migrations for jobly.
+ *
+ * Migrations live in migrations/ as pairs of SQL files:
+ *
+ *   001-initial-schema.up.sql     (applies the change)
+ *   001-initial-schema.down.sql   (undoes it)
+ *
+ * They are applied in order of their number, each in its own transaction,
+ * and recorded in the schema_migrations table so each runs only once.
+ *
+ * From the command line (NODE_ENV=test to work on the test database):
+ *
+ *   npm run migrate                  apply all pending migrations
+ *   npm run migrate -- down [n]      undo the last n migrations (default 1)
+ *   npm run migrate -- status        list migrations and whether applied
+ *   npm run migrate -- baseline <v>  record migrations up to v as applied
+ *                                    without running them (for a database
+ *                                    created before migrations existed)
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { Pool } = require("pg");
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+const MIGRATIONS_TABLE = "schema_migrations";
+
+// Arbitrary key for the advisory lock that keeps two runners apart
+const LOCK_KEY = 74726;
+
+const FILE_PATTERN = /^(\d+)-(.+)\.(up|down)\.sql$/;
+
+/** Read the migrations in dir.
+ *
+ * Returns [{ version, name, up, down }, ...] ordered by version, where up
+ * and down are the paths of the SQL files.
+ *
+ * Throws an Error if a migration is missing its up or down file, or two
+ * share a version.
+ **/
+
+function listMigrations(dir = MIGRATIONS_DIR) {
+  const byVersion = new Map();
+
+  for (const file of fs.readdirSync(dir)) {
+    const match = FILE_PATTERN.exec(file);
+    if (!match) continue;
+
+    const [, version, name, direction] = match;
+    const migration = byVersion.get(version) || { version, name };
+    if (migration.name !== name) {
+      throw new Error(`Two migrations numbered ${version}`);
+    }
+    migration[direction] = path.join(dir, file);
+    byVersion.set(version, migration);
+  }
+
+  const migrations = [...byVersion.values()];
+  for (const m of migrations) {
+    if (!m.up || !m.down) {
+      throw new Error(`Migration ${m.version}-${m.name} needs up and down`);
+    }
+  }
+
+  return migrations.sort((a, b) => Number(a.version) - Number(b.version));
+}
+
+/** Make sure the table recording applied migrations exists. */
+
+async function ensureMigrationsTable(client, table) {
+  await client.query(
+    `CREATE TABLE IF NOT EXISTS ${table} (
+      version TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TIMESTAMP NOT NULL DEFAULT NOW()
+    )`
+  );
+}
+
+/** Returns the versions already applied, oldest first. */
+
+async function appliedVersions(client, table) {
+  const result = await client.query(
+    `SELECT version
+    FROM ${table}
+    ORDER BY version::INTEGER`
+  );
+  return result.rows.map((r) => r.version);
+}
+
+/** Run fn(client) on one connection from db (a pool or a client), holding
+ * the migrations lock, with the migrations table in place. */
+
+async function withLock(db, table, fn) {
+  const client = db instanceof Pool ? await db.connect() : db;
+  try {
+    await client.query("SELECT pg_advisory_lock($1)", [LOCK_KEY]);
+    try {
+      await ensureMigrationsTable(client, table);
+      return await fn(client);
+    } finally {
+      await client.query("SELECT pg_advisory_unlock($1)", [LOCK_KEY]);
+    }
+  } finally {
+    if (client !== db) client.release();
+  }
+}
+
+/** Run the SQL in file and record the change in the migrations table, all in
+ * one transaction. */
+
+async function runFile(client, file, record) {
+  await client.query("BEGIN");
+  try {
+    await client.query(fs.readFileSync(file, "utf8"));
+    await client.query(record.sql, record.values);
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK");
+    err.message = `${path.basename(file)}: ${err.message}`;
+    throw err;
+  }
+}
+
+/** Apply all pending migrations, in order, on db (a pool or a client).
+ *
+ * Options:
+ * - dir: where the migrations are (default migrations/)
+ * - table: where applied migrations are recorded (default schema_migrations)
+ *
+ * Returns [{ version, name }, ...] of the migrations applied.
+ **/
+
+async function migrateUp(
+  db,
+  { dir = MIGRATIONS_DIR, table = MIGRATIONS_TABLE } = {}
+) {
+  const migrations = listMigrations(dir);
+
+  return await withLock(db, table, async (client) => {
+    const applied = new Set(await appliedVersions(client, table));
+    const pending = migrations.filter((m) => !applied.has(m.version));
+
+    for (const m of pending) {
+      await runFile(client, m.up, {
+        sql: `INSERT INTO ${table} (version, name) VALUES ($1, $2)`,
+        values: [m.version, m.name],
+      });
+    }
+
+    return pending.map(({ version, name }) => ({ version, name }));
+  });
+}
+
+/** Undo the last `steps` applied migrations, newest first.
+ *
+ * Takes the same options as migrateUp.
+ *
+ * Returns [{ version, name }, ...] of the migrations undone.
+ *
+ * Throws an Error if an applied migration has no files in dir.
+ **/
+
+async function migrateDown(
+  db,
+  steps = 1,
+  { dir = MIGRATIONS_DIR, table = MIGRATIONS_TABLE } = {}
+) {
+  const migrations = listMigrations(dir);
+
+  return await withLock(db, table, async (client) => {
+    const applied = await appliedVersions(client, table);
+    const undone = [];
+
+    for (const version of applied.reverse().slice(0, steps)) {
+      const m = migrations.find((m) => m.version === version);
+      if (!m) throw new Error(`No files for applied migration ${version}`);
+
+      await runFile(client, m.down, {
+        sql: `DELETE FROM ${table} WHERE version = $1`,
+        values: [m.version],
+      });
+      undone.push({ version: m.version, name: m.name });
+    }
+
+    return undone;
+  });
+}
+
+/** List all migrations and whether they have been applied.
+ *
+ * Takes the same options as migrateUp.
+ *
+ * Returns [{ version, name, applied }, ...]
+ **/
+
+async function migrationStatus(
+  db,
+  { dir = MIGRATIONS_DIR, table = MIGRATIONS_TABLE } = {}
+) {
+  const migrations = listMigrations(dir);
+
+  return await withLock(db, table, async (client) => {
+    const applied = new Set(await appliedVersions(client, table));
+    return migrations.map(({ version, name }) => ({
+      version,
+      name,
+      applied: applied.has(version),
+    }));
+  });
+}
+
+/** Record every migration up to and including version as applied, without
+ * running it; for adopting a database whose schema already matches.
+ *
+ * Takes the same options as migrateUp.
+ *
+ * Returns [{ version, name }, ...] of the migrations recorded.
+ **/
+
+async function migrateBaseline(
+  db,
+  version,
+  { dir = MIGRATIONS_DIR, table = MIGRATIONS_TABLE } = {}
+) {
+  const migrations = listMigrations(dir).filter(
+    (m) => Number(m.version) <= Number(version)
+  );
+
+  return await withLock(db, table, async (client) => {
+    const applied = new Set(await appliedVersions(client, table));
+    const recorded = migrations.filter((m) => !applied.has(m.version));
+
+    for (const m of recorded) {
+      await client.query(`INSERT INTO ${table} (version, name) VALUES ($1, $2)`, [
+        m.version,
+        m.name,
+      ]);
+    }
+
+    return recorded.map(({ version, name }) => ({ version, name }));
+  });
+}
+
+/** Command line entry point; see top of file. */
+
+async function main(args) {
+  const db = require("./db");
+  const [command = "up", arg] = args;
+
+  try {
+    if (command === "up") {
+      const applied = await migrateUp(db);
+      for (const m of applied) console.log(`applied  ${m.version}-${m.name}`);
+      if (applied.length === 0) console.log("Nothing to migrate");
+    } else if (command === "down") {
+      const undone = await migrateDown(db, arg === undefined ? 1 : Number(arg));
+      for (const m of undone) console.log(`undone   ${m.version}-${m.name}`);
+    } else if (command === "status") {
+      for (const m of await migrationStatus(db)) {
+        const state = m.applied ? "applied" : "pending";
+        console.log(`${state}  ${m.version}-${m.name}`);
+      }
+    } else if (command === "baseline" && arg !== undefined) {
+      const recorded = await migrateBaseline(db, arg);
+      for (const m of recorded) console.log(`recorded ${m.version}-${m.name}`);
+    } else {
+      console.error("Usage: migrate.js [up | down [n] | status | baseline <v>]");
+      process.exitCode = 1;
+    }
+  } catch (err) {
+    console.error(err.message);
+    process.exitCode = 1;
+  } finally {
+    await db.end();
+  }
+}
+
+if (require.main === module) main(process.argv.slice(2));
+
+module.exports = {
+  listMigrations,
+  migrateUp,
+  migrateDown,
+  migrationStatus,
+  migrateBaseline,
+};
@@ -0,0 +1,204 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const db = require("./db.js");
+const {
+  listMigrations,
+  migrateUp,
+  migrateDown,
+  migrationStatus,
+  migrateBaseline,
+} = require("./migrate");
+
+const TABLE = "schema_migrations_test";
+let dir;
+let opts;
+
+function writeMigration(name, up, down) {
+  fs.writeFileSync(path.join(dir, `${name}.up.sql`), up);
+  fs.writeFileSync(path.join(dir, `${name}.down.sql`), down);
+}
+
+async function tableExists(name) {
+  const result = await db.query("SELECT to_regclass($1) AS t", [name]);
+  return result.rows[0].t !== null;
+}
+
+beforeEach(async function () {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "jobly-migrations-"));
+  opts = { dir, table: TABLE };
+  writeMigration(
+    "1-widgets",
+    "CREATE TABLE migrate_test_widgets (id INTEGER)",
+    "DROP TABLE migrate_test_widgets"
+  );
+  writeMigration(
+    "2-gadgets",
+    "CREATE TABLE migrate_test_gadgets (id INTEGER)",
+    "DROP TABLE migrate_test_gadgets"
+  );
+  await db.query(`DROP TABLE IF EXISTS ${TABLE}`);
+});
+
+afterEach(async function () {
+  fs.rmSync(dir, { recursive: true });
+  await db.query("DROP TABLE IF EXISTS migrate_test_widgets");
+  await db.query("DROP TABLE IF EXISTS migrate_test_gadgets");
+  await db.query(`DROP TABLE IF EXISTS ${TABLE}`);
+});
+
+afterAll(async function () {
+  await db.end();
+});
+
+/************************************** listMigrations */
+
+describe("listMigrations", function () {
+  test("works", function () {
+    fs.writeFileSync(path.join(dir, "README"), "not a migration");
+    writeMigration("10-later", "", "");
+
+    expect(listMigrations(dir)).toEqual([
+      {
+        version: "1",
+        name: "widgets",
+        up: path.join(dir, "1-widgets.up.sql"),
+        down: path.join(dir, "1-widgets.down.sql"),
+      },
+      {
+        version: "2",
+        name: "gadgets",
+        up: path.join(dir, "2-gadgets.up.sql"),
+        down: path.join(dir, "2-gadgets.down.sql"),
+      },
+      {
+        version: "10",
+        name: "later",
+        up: path.join(dir, "10-later.up.sql"),
+        down: path.join(dir, "10-later.down.sql"),
+      },
+    ]);
+  });
+
+  test("fails without a down file", function () {
+    fs.writeFileSync(path.join(dir, "3-broken.up.sql"), "");
+    expect(() => listMigrations(dir)).toThrow("needs up and down");
+  });
+
+  test("fails with a duplicate version", function () {
+    writeMigration("2-other", "", "");
+    expect(() => listMigrations(dir)).toThrow("Two migrations numbered 2");
+  });
+
+  test("the app's migrations are in order", function () {
+    const versions = listMigrations().map((m) => Number(m.version));
+    expect(versions[0]).toEqual(1);
+    expect(versions).toEqual([...versions].sort((a, b) => a - b));
+  });
+});
+
+/************************************** migrateUp */
+
+describe("migrateUp", function () {
+  test("works", async function () {
+    expect(await migrateUp(db, opts)).toEqual([
+      { version: "1", name: "widgets" },
+      { version: "2", name: "gadgets" },
+    ]);
+    expect(await tableExists("migrate_test_widgets")).toBeTruthy();
+    expect(await tableExists("migrate_test_gadgets")).toBeTruthy();
+
+    expect(await migrateUp(db, opts)).toEqual([]);
+  });
+
+  test("applies only pending migrations", async function () {
+    await migrateUp(db, opts);
+    writeMigration(
+      "3-gizmos",
+      "CREATE TABLE migrate_test_gizmos (id INTEGER)",
+      "DROP TABLE migrate_test_gizmos"
+    );
+
+    try {
+      expect(await migrateUp(db, opts)).toEqual([
+        { version: "3", name: "gizmos" },
+      ]);
+    } finally {
+      await db.query("DROP TABLE IF EXISTS migrate_test_gizmos");
+    }
+  });
+
+  test("rolls back a failing migration", async function () {
+    writeMigration(
+      "3-broken",
+      "CREATE TABLE migrate_test_broken (id INTEGER); SELECT nope",
+      ""
+    );
+
+    await expect(migrateUp(db, opts)).rejects.toThrow("3-broken.up.sql");
+    expect(await tableExists("migrate_test_broken")).toBeFalsy();
+    expect(await migrationStatus(db, opts)).toEqual([
+      { version: "1", name: "widgets", applied: true },
+      { version: "2", name: "gadgets", applied: true },
+      { version: "3", name: "broken", applied: false },
+    ]);
+  });
+});
+
+/************************************** migrateDown */
+
+describe("migrateDown", function () {
+  test("works", async function () {
+    await migrateUp(db, opts);
+
+    expect(await migrateDown(db, 1, opts)).toEqual([
+      { version: "2", name: "gadgets" },
+    ]);
+    expect(await tableExists("migrate_test_gadgets")).toBeFalsy();
+    expect(await tableExists("migrate_test_widgets")).toBeTruthy();
+
+    expect(await migrateDown(db, 5, opts)).toEqual([
+      { version: "1", name: "widgets" },
+    ]);
+    expect(await tableExists("migrate_test_widgets")).toBeFalsy();
+  });
+
+  test("fails if an applied migration is missing", async function () {
+    await migrateUp(db, opts);
+    fs.rmSync(path.join(dir, "2-gadgets.up.sql"));
+    fs.rmSync(path.join(dir, "2-gadgets.down.sql"));
+
+    await expect(migrateDown(db, 1, opts)).rejects.toThrow(
+      "No files for applied migration 2"
+    );
+  });
+});
+
+/************************************** migrationStatus */
+
+describe("migrationStatus", function () {
+  test("works", async function () {
+    expect(await migrationStatus(db, opts)).toEqual([
+      { version: "1", name: "widgets", applied: false },
+      { version: "2", name: "gadgets", applied: false },
+    ]);
+  });
+});
+
+/************************************** migrateBaseline */
+
+describe("migrateBaseline", function () {
+  test("records without running", async function () {
+    expect(await migrateBaseline(db, "1", opts)).toEqual([
+      { version: "1", name: "widgets" },
+    ]);
+    expect(await tableExists("migrate_test_widgets")).toBeFalsy();
+
+    expect(await migrateUp(db, opts)).toEqual([
+      { version: "2", name: "gadgets" },
+    ]);
+  });
+});
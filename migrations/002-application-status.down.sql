@@ -0,0 +1,6 @@
+DROP TABLE application_status_changes;
+
+ALTER TABLE applications
+  DROP COLUMN status,
+  DROP COLUMN applied_at,
+  DROP COLUMN status_changed_at;
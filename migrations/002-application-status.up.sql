@@ -0,0 +1,21 @@
+ALTER TABLE applications
+  ADD COLUMN status TEXT NOT NULL DEFAULT 'applied'
+    CHECK (status IN ('interested', 'applied', 'interviewing', 'offered',
+                      'rejected', 'accepted', 'withdrawn')),
+  ADD COLUMN applied_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  ADD COLUMN status_changed_at TIMESTAMP NOT NULL DEFAULT NOW();
+
+CREATE TABLE application_status_changes (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL,
+  job_id INTEGER NOT NULL,
+  from_status TEXT,
+  to_status TEXT NOT NULL,
+  changed_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  FOREIGN KEY (username, job_id)
+    REFERENCES applications ON DELETE CASCADE
+);
+
+INSERT INTO application_status_changes (username, job_id, to_status)
+SELECT username, job_id, status
+FROM applications;
@@ -0,0 +1,4 @@
+ALTER TABLE users
+  DROP COLUMN token_version;
+
+DROP TABLE refresh_tokens;
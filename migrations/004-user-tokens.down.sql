@@ -0,0 +1,4 @@
+ALTER TABLE users
+  DROP COLUMN email_verified;
+
+DROP TABLE user_tokens;
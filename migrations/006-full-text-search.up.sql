@@ -0,0 +1,14 @@
+ALTER TABLE companies
+  ADD COLUMN search_vector TSVECTOR GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', name), 'A') ||
+    setweight(to_tsvector('english', description), 'B')
+  ) STORED;
+
+CREATE INDEX companies_search_idx ON companies USING GIN (search_vector);
+
+ALTER TABLE jobs
+  ADD COLUMN search_vector TSVECTOR GENERATED ALWAYS AS (
+    to_tsvector('english', title)
+  ) STORED;
+
+CREATE INDEX jobs_search_idx ON jobs USING GIN (search_vector);
@@ -0,0 +1,12 @@
+CREATE TABLE company_members (
+  company_handle VARCHAR(25) NOT NULL
+    REFERENCES companies ON DELETE CASCADE,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  role TEXT NOT NULL
+    CHECK (role IN ('owner', 'recruiter')),
+  added_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (company_handle, username)
+);
+
+CREATE INDEX ON company_members (username);
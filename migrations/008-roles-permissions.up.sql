@@ -0,0 +1,52 @@
+CREATE TABLE permissions (
+  name TEXT PRIMARY KEY,
+  description TEXT NOT NULL
+);
+
+CREATE TABLE roles (
+  name TEXT PRIMARY KEY,
+  description TEXT NOT NULL
+);
+
+CREATE TABLE role_permissions (
+  role TEXT NOT NULL
+    REFERENCES roles ON DELETE CASCADE,
+  permission TEXT NOT NULL
+    REFERENCES permissions ON DELETE CASCADE,
+  PRIMARY KEY (role, permission)
+);
+
+CREATE TABLE user_roles (
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  role TEXT NOT NULL
+    REFERENCES roles ON DELETE CASCADE,
+  PRIMARY KEY (username, role)
+);
+
+INSERT INTO permissions (name, description)
+VALUES ('companies:write', 'Create, edit and delete any company'),
+       ('jobs:write', 'Create, edit and delete any job'),
+       ('users:read', 'See any user'),
+       ('users:write', 'Create, edit, delete and unlock any user'),
+       ('applications:manage', 'See and move any job application'),
+       ('roles:manage', 'Give roles to users and take them away');
+
+INSERT INTO roles (name, description)
+VALUES ('admin', 'Can do everything'),
+       ('support', 'Helps users with their accounts and applications');
+
+INSERT INTO role_permissions (role, permission)
+SELECT 'admin', name
+FROM permissions;
+
+INSERT INTO role_permissions (role, permission)
+VALUES ('support', 'users:read'),
+       ('support', 'applications:manage');
+
+INSERT INTO user_roles (username, role)
+SELECT username, 'admin'
+FROM users
+WHERE is_admin;
+
+ALTER TABLE users DROP COLUMN is_admin;
@@ -0,0 +1,21 @@
+CREATE TABLE audit_log (
+  id SERIAL PRIMARY KEY,
+  actor VARCHAR(25),
+  action TEXT NOT NULL
+    CHECK (action IN ('create', 'update', 'delete')),
+  entity_type TEXT NOT NULL,
+  entity_id TEXT NOT NULL,
+  before JSONB,
+  after JSONB,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX ON audit_log (entity_type, entity_id);
+CREATE INDEX ON audit_log (actor);
+CREATE INDEX ON audit_log (created_at);
+
+INSERT INTO permissions (name, description)
+VALUES ('audit:read', 'See the audit log of changes');
+
+INSERT INTO role_permissions (role, permission)
+VALUES ('admin', 'audit:read');
@@ -0,0 +1,11 @@
+UPDATE audit_log SET action = 'update' WHERE action = 'restore';
+
+ALTER TABLE audit_log
+  DROP CONSTRAINT audit_log_action_check,
+  ADD CONSTRAINT audit_log_action_check
+    CHECK (action IN ('create', 'update', 'delete'));
+
+-- soft deleted rows are kept, so they reappear
+ALTER TABLE users DROP COLUMN deleted_at;
+ALTER TABLE jobs DROP COLUMN deleted_at;
+ALTER TABLE companies DROP COLUMN deleted_at;
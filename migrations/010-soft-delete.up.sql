@@ -0,0 +1,13 @@
+ALTER TABLE companies ADD COLUMN deleted_at TIMESTAMP;
+ALTER TABLE jobs ADD COLUMN deleted_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN deleted_at TIMESTAMP;
+
+-- for purging: only deleted rows are indexed
+CREATE INDEX ON companies (deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX ON jobs (deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX ON users (deleted_at) WHERE deleted_at IS NOT NULL;
+
+ALTER TABLE audit_log
+  DROP CONSTRAINT audit_log_action_check,
+  ADD CONSTRAINT audit_log_action_check
+    CHECK (action IN ('create', 'update', 'delete', 'restore'));
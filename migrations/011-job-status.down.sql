@@ -0,0 +1,4 @@
+ALTER TABLE jobs
+  DROP COLUMN closes_at,
+  DROP COLUMN posted_at,
+  DROP COLUMN status;
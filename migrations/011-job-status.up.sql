@@ -0,0 +1,11 @@
+-- closes_at is given by users, with a UTC offset, so these keep the zone
+ALTER TABLE jobs
+  ADD COLUMN status TEXT NOT NULL DEFAULT 'open'
+    CHECK (status IN ('draft', 'open', 'closed', 'filled')),
+  ADD COLUMN posted_at TIMESTAMPTZ,
+  ADD COLUMN closes_at TIMESTAMPTZ;
+
+-- jobs from before are already live; new ones start as drafts
+UPDATE jobs SET posted_at = NOW();
+
+ALTER TABLE jobs ALTER COLUMN status SET DEFAULT 'draft';
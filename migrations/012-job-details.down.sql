@@ -0,0 +1,20 @@
+ALTER TABLE jobs
+  DROP COLUMN search_vector;
+
+ALTER TABLE jobs
+  ADD COLUMN search_vector TSVECTOR GENERATED ALWAYS AS (
+    to_tsvector('english', title)
+  ) STORED;
+
+CREATE INDEX jobs_search_idx ON jobs USING GIN (search_vector);
+
+ALTER TABLE jobs
+  DROP COLUMN salary_period,
+  DROP COLUMN salary_currency,
+  DROP COLUMN seniority,
+  DROP COLUMN employment_type,
+  DROP COLUMN remote_policy,
+  DROP COLUMN country,
+  DROP COLUMN region,
+  DROP COLUMN city,
+  DROP COLUMN description;
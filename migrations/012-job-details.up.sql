@@ -0,0 +1,30 @@
+ALTER TABLE jobs
+  ADD COLUMN description TEXT,
+  ADD COLUMN city TEXT,
+  ADD COLUMN region TEXT,
+  ADD COLUMN country TEXT CHECK (country ~ '^[A-Z]{2}$'),
+  ADD COLUMN remote_policy TEXT
+    CHECK (remote_policy IN ('onsite', 'hybrid', 'remote')),
+  ADD COLUMN employment_type TEXT
+    CHECK (employment_type IN ('full_time', 'part_time', 'contract',
+                               'temporary', 'internship')),
+  ADD COLUMN seniority TEXT
+    CHECK (seniority IN ('intern', 'junior', 'mid', 'senior', 'lead',
+                         'executive')),
+  ADD COLUMN salary_currency TEXT NOT NULL DEFAULT 'USD'
+    CHECK (salary_currency ~ '^[A-Z]{3}$'),
+  ADD COLUMN salary_period TEXT NOT NULL DEFAULT 'year'
+    CHECK (salary_period IN ('hour', 'day', 'week', 'month', 'year'));
+
+-- search descriptions too, ranked below titles; titles stay ranked below
+-- company descriptions (see models/search.js)
+ALTER TABLE jobs
+  DROP COLUMN search_vector;
+
+ALTER TABLE jobs
+  ADD COLUMN search_vector TSVECTOR GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', title), 'C') ||
+    setweight(to_tsvector('english', COALESCE(description, '')), 'D')
+  ) STORED;
+
+CREATE INDEX jobs_search_idx ON jobs USING GIN (search_vector);
@@ -0,0 +1,5 @@
+DELETE FROM permissions WHERE name = 'skills:manage';
+
+DROP TABLE user_skills;
+DROP TABLE job_skills;
+DROP TABLE skills;
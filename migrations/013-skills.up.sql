@@ -0,0 +1,33 @@
+-- skill names are kept trimmed and lowercase (see Skill.normalize), and
+-- can't hold commas, which separate them in query strings
+CREATE TABLE skills (
+  name VARCHAR(50) PRIMARY KEY
+    CHECK (name <> '' AND name = lower(btrim(name)) AND name NOT LIKE '%,%'),
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE job_skills (
+  job_id INTEGER NOT NULL
+    REFERENCES jobs ON DELETE CASCADE,
+  skill VARCHAR(50) NOT NULL
+    REFERENCES skills ON DELETE CASCADE ON UPDATE CASCADE,
+  PRIMARY KEY (job_id, skill)
+);
+
+CREATE INDEX ON job_skills (skill);
+
+CREATE TABLE user_skills (
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  skill VARCHAR(50) NOT NULL
+    REFERENCES skills ON DELETE CASCADE ON UPDATE CASCADE,
+  PRIMARY KEY (username, skill)
+);
+
+CREATE INDEX ON user_skills (skill);
+
+INSERT INTO permissions (name, description)
+VALUES ('skills:manage', 'Add, rename and delete skills');
+
+INSERT INTO role_permissions (role, permission)
+VALUES ('admin', 'skills:manage');
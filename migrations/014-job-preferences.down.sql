@@ -0,0 +1,5 @@
+ALTER TABLE users
+  DROP COLUMN preferred_seniority,
+  DROP COLUMN preferred_employment_type,
+  DROP COLUMN preferred_country,
+  DROP COLUMN preferred_remote_policy;
@@ -0,0 +1,12 @@
+-- what a user is looking for in a job, for recommendations; null is "any"
+ALTER TABLE users
+  ADD COLUMN preferred_remote_policy TEXT
+    CHECK (preferred_remote_policy IN ('onsite', 'hybrid', 'remote')),
+  ADD COLUMN preferred_country TEXT
+    CHECK (preferred_country ~ '^[A-Z]{2}$'),
+  ADD COLUMN preferred_employment_type TEXT
+    CHECK (preferred_employment_type IN ('full_time', 'part_time', 'contract',
+                                         'temporary', 'internship')),
+  ADD COLUMN preferred_seniority TEXT
+    CHECK (preferred_seniority IN ('intern', 'junior', 'mid', 'senior',
+                                   'lead', 'executive'));
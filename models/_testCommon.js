@@ -3,16 +3,27 @@
 const bcrypt = require("bcrypt");
 
 const db = require("../db.js");
+const { migrateUp } = require("../migrate");
 const { BCRYPT_WORK_FACTOR } = require("../config");
 
 let testJobIds = {};
 async function commonBeforeAll() {
+  await migrateUp(db);
+
   // noinspection SqlWithoutWhere
   await db.query("DELETE FROM companies");
   // noinspection SqlWithoutWhere
   await db.query("DELETE FROM users");
 
   await db.query("DELETE FROM jobs");
+  // noinspection SqlWithoutWhere
+  await db.query("DELETE FROM audit_log");
+  // noinspection SqlWithoutWhere
+  await db.query("DELETE FROM skills");
+
+  await db.query(`
+    INSERT INTO skills (name)
+    VALUES ('node'), ('postgres'), ('react')`);
 
   await db.query(`
     INSERT INTO companies(handle, name, num_employees, description, logo_url)
@@ -38,9 +49,11 @@ async function commonBeforeAll() {
         INSERT INTO jobs(title,
                           salary,
                           equity,
-                          company_handle)
-        VALUES ('j1', 100000, 0.003, 'c1'),
-               ('j2', 200000, '0.004', 'c2')
+                          company_handle,
+                          status,
+                          posted_at)
+        VALUES ('j1', 100000, 0.003, 'c1', 'open', NOW()),
+               ('j2', 200000, '0.004', 'c2', 'open', NOW())
         RETURNING id`
         );
   testJobIds.j1Id = jResults.rows[0].id
@@ -53,10 +66,14 @@ async function commonBeforeAll() {
 }
 
 async function commonBeforeEach() {
-  await db.query("BEGIN");
+  const client = await db.connect();
+  await client.query("BEGIN");
+  client.release();
+  db.nestTransactionsIn(client);
 }
 
 async function commonAfterEach() {
+  db.nestTransactionsIn(null);
   await db.query("ROLLBACK");
 }
 
@@ -0,0 +1,397 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { sqlForPaging } = require("../helpers/sql");
+
+/** Legal moves through the application pipeline.
+ *
+ * Keys are the current status, values are the statuses it may move to.
+ * accepted, rejected and withdrawn are final.
+ */
+
+const STATUS_TRANSITIONS = {
+  interested: ["applied", "withdrawn"],
+  applied: ["interviewing", "rejected", "withdrawn"],
+  interviewing: ["offered", "rejected", "withdrawn"],
+  offered: ["accepted", "rejected", "withdrawn"],
+  accepted: [],
+  rejected: [],
+  withdrawn: [],
+};
+
+/** Statuses an applicant may set on their own application; the rest are
+ * the employer's side of the pipeline and need an admin. */
+
+const APPLICANT_STATUSES = ["interested", "applied", "accepted", "withdrawn"];
+
+/** Build the WHERE clause for a user's applications, given filters
+ * (companyHandle, status). Applications for deleted jobs, or jobs of deleted
+ * companies, are left out.
+ *
+ * Returns { whereSql, values }
+ */
+
+function sqlForUserApplications(username, filters) {
+  const conditions = [
+    "a.username = $1",
+    "j.deleted_at IS NULL",
+    "c.deleted_at IS NULL",
+  ];
+  const values = [username];
+
+  if (filters.companyHandle !== undefined) {
+    values.push(filters.companyHandle);
+    conditions.push(`j.company_handle = $${values.length}`);
+  }
+  if (filters.status !== undefined) {
+    values.push(filters.status);
+    conditions.push(`a.status = $${values.length}`);
+  }
+
+  return { whereSql: `WHERE ${conditions.join(" AND ")}`, values };
+}
+
+/** Build the WHERE clause for the applications for a job, given filters
+ * (status). Applications by deleted users are left out.
+ *
+ * Returns { whereSql, values }
+ */
+
+function sqlForJobApplications(jobId, filters) {
+  const conditions = ["a.job_id = $1", "u.deleted_at IS NULL"];
+  const values = [jobId];
+
+  if (filters.status !== undefined) {
+    values.push(filters.status);
+    conditions.push(`a.status = $${values.length}`);
+  }
+
+  return { whereSql: `WHERE ${conditions.join(" AND ")}`, values };
+}
+
+/** Related functions for job applications. */
+
+class Application {
+  /** Given a username and job id, return data about the application.
+   *
+   * Returns { username, jobId, status, appliedAt, statusChangedAt, history }
+   *   where history is [{ fromStatus, toStatus, changedAt }, ...],
+   *   oldest first
+   *
+   * Throws NotFoundError if no such application, or if its job or the job's
+   * company is deleted.
+   **/
+
+  static async get(username, jobId, client = db) {
+    const appRes = await client.query(
+      `SELECT a.username,
+              a.job_id AS "jobId",
+              a.status,
+              a.applied_at AS "appliedAt",
+              a.status_changed_at AS "statusChangedAt"
+      FROM applications AS a
+        JOIN jobs AS j ON j.id = a.job_id
+        JOIN companies AS c ON c.handle = j.company_handle
+      WHERE a.username = $1
+        AND a.job_id = $2
+        AND j.deleted_at IS NULL
+        AND c.deleted_at IS NULL`,
+      [username, jobId]
+    );
+
+    const application = appRes.rows[0];
+
+    if (!application) {
+      throw new NotFoundError(`No application: ${username}, job ${jobId}`);
+    }
+
+    const historyRes = await client.query(
+      `SELECT from_status AS "fromStatus",
+              to_status AS "toStatus",
+              changed_at AS "changedAt"
+      FROM application_status_changes
+      WHERE username = $1 AND job_id = $2
+      ORDER BY changed_at, id`,
+      [username, jobId]
+    );
+
+    application.history = historyRes.rows;
+
+    return application;
+  }
+
+  /** Find all applications for a user, with job and company details.
+   *
+   * Applications for deleted jobs, or jobs of deleted companies, are left out.
+   *
+   * Can be provided optional filters:
+   * - companyHandle: only applications for jobs at this company
+   * - status: only applications currently in this status
+   * and paging parameters:
+   * - sort: "appliedAt" (oldest first) or "-appliedAt" (newest first, default)
+   * - limit, offset
+   *
+   * Returns [{ jobId, status, appliedAt, statusChangedAt, job }, ...]
+   *   where job is { id, title, salary, equity, companyHandle, company }
+   *   and company is { handle, name, description, numEmployees, logoUrl }
+   *
+   * Throws NotFoundError if user not found.
+   **/
+
+  static async findAll(username, filters = {}, paging = {}) {
+    const userRes = await db.query(
+      `SELECT username
+      FROM users
+      WHERE username = $1 AND deleted_at IS NULL`,
+      [username]
+    );
+
+    if (!userRes.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+    const { whereSql, values } = sqlForUserApplications(username, filters);
+    const direction = paging.sort === "appliedAt" ? "ASC" : "DESC";
+    const { pagingSql, values: pagingValues } = sqlForPaging(
+      paging,
+      values.length
+    );
+
+    const result = await db.query(
+      `SELECT a.job_id AS "jobId",
+              a.status,
+              a.applied_at AS "appliedAt",
+              a.status_changed_at AS "statusChangedAt",
+              j.title,
+              j.salary,
+              j.equity,
+              j.company_handle AS "companyHandle",
+              c.name AS "companyName",
+              c.description AS "companyDescription",
+              c.num_employees AS "companyNumEmployees",
+              c.logo_url AS "companyLogoUrl"
+      FROM applications AS a
+        JOIN jobs AS j ON j.id = a.job_id
+        JOIN companies AS c ON c.handle = j.company_handle
+      ${whereSql}
+      ORDER BY a.applied_at ${direction}, a.job_id ${direction}
+      ${pagingSql}`,
+      [...values, ...pagingValues]
+    );
+
+    return result.rows.map((r) => ({
+      jobId: r.jobId,
+      status: r.status,
+      appliedAt: r.appliedAt,
+      statusChangedAt: r.statusChangedAt,
+      job: {
+        id: r.jobId,
+        title: r.title,
+        salary: r.salary,
+        equity: r.equity,
+        companyHandle: r.companyHandle,
+        company: {
+          handle: r.companyHandle,
+          name: r.companyName,
+          description: r.companyDescription,
+          numEmployees: r.companyNumEmployees,
+          logoUrl: r.companyLogoUrl,
+        },
+      },
+    }));
+  }
+
+  /** Count a user's applications matching filters (as for findAll).
+   *
+   * Returns a number.
+   **/
+
+  static async count(username, filters = {}) {
+    const { whereSql, values } = sqlForUserApplications(username, filters);
+
+    const countRes = await db.query(
+      `SELECT COUNT(*)::INTEGER AS "total"
+      FROM applications AS a
+        JOIN jobs AS j ON j.id = a.job_id
+        JOIN companies AS c ON c.handle = j.company_handle
+      ${whereSql}`,
+      values
+    );
+
+    return countRes.rows[0].total;
+  }
+
+  /** Find all applications for a job, with the applicants' details.
+   *
+   * Can be provided optional filters:
+   * - status: only applications currently in this status
+   * and paging parameters:
+   * - sort: "appliedAt" (oldest first) or "-appliedAt" (newest first, default)
+   * - limit, offset
+   *
+   * Returns [{ username, firstName, lastName, email, status, appliedAt,
+   *            statusChangedAt }, ...]
+   *
+   * Throws NotFoundError if job not found, or if it or its company is
+   * deleted.
+   **/
+
+  static async findAllForJob(jobId, filters = {}, paging = {}) {
+    const jobRes = await db.query(
+      `SELECT j.id
+      FROM jobs AS j
+        JOIN companies AS c ON c.handle = j.company_handle
+      WHERE j.id = $1
+        AND j.deleted_at IS NULL
+        AND c.deleted_at IS NULL`,
+      [jobId]
+    );
+
+    if (!jobRes.rows[0]) throw new NotFoundError(`No job: ${jobId}`);
+
+    const { whereSql, values } = sqlForJobApplications(jobId, filters);
+    const direction = paging.sort === "appliedAt" ? "ASC" : "DESC";
+    const { pagingSql, values: pagingValues } = sqlForPaging(
+      paging,
+      values.length
+    );
+
+    const result = await db.query(
+      `SELECT a.username,
+              u.first_name AS "firstName",
+              u.last_name AS "lastName",
+              u.email,
+              a.status,
+              a.applied_at AS "appliedAt",
+              a.status_changed_at AS "statusChangedAt"
+      FROM applications AS a
+        JOIN users AS u ON u.username = a.username
+      ${whereSql}
+      ORDER BY a.applied_at ${direction}, a.username ${direction}
+      ${pagingSql}`,
+      [...values, ...pagingValues]
+    );
+
+    return result.rows;
+  }
+
+  /** Count the applications for a job matching filters (as for
+   * findAllForJob).
+   *
+   * Returns a number.
+   **/
+
+  static async countForJob(jobId, filters = {}) {
+    const { whereSql, values } = sqlForJobApplications(jobId, filters);
+
+    const countRes = await db.query(
+      `SELECT COUNT(*)::INTEGER AS "total"
+      FROM applications AS a
+        JOIN users AS u ON u.username = a.username
+      ${whereSql}`,
+      values
+    );
+
+    return countRes.rows[0].total;
+  }
+
+  /** Withdraw an application; it is kept, with status "withdrawn", so its
+   * history is not lost.
+   *
+   * Returns { username, jobId, status, appliedAt, statusChangedAt }
+   *
+   * Throws NotFoundError if no such application (or its job or the job's
+   * company is deleted), BadRequestError if it is already accepted, rejected
+   * or withdrawn.
+   **/
+
+  static async withdraw(username, jobId, client = db) {
+    return await this.updateStatus(username, jobId, "withdrawn", client);
+  }
+
+  /** Move an application to a new status.
+   *
+   * The move must be listed in STATUS_TRANSITIONS for the current status;
+   * every move is recorded in application_status_changes. The application is
+   * locked while it moves, so two moves at once can't both succeed.
+   *
+   * Returns { username, jobId, status, appliedAt, statusChangedAt }
+   *
+   * Throws NotFoundError if no such application (or its job or the job's
+   * company is deleted), BadRequestError if the transition is not allowed.
+   **/
+
+  static async updateStatus(username, jobId, status, client = db) {
+    return await db.withTransaction(async (client) => {
+      const currentRes = await client.query(
+        `SELECT a.status
+        FROM applications AS a
+          JOIN jobs AS j ON j.id = a.job_id
+          JOIN companies AS c ON c.handle = j.company_handle
+        WHERE a.username = $1
+          AND a.job_id = $2
+          AND j.deleted_at IS NULL
+          AND c.deleted_at IS NULL
+        FOR UPDATE OF a`,
+        [username, jobId]
+      );
+
+      const current = currentRes.rows[0];
+
+      if (!current) {
+        throw new NotFoundError(`No application: ${username}, job ${jobId}`);
+      }
+
+      if (!this.canTransition(current.status, status)) {
+        throw new BadRequestError(
+          `Cannot change application status from ${current.status} to ${status}`
+        );
+      }
+
+      const result = await client.query(
+        `UPDATE applications
+        SET status = $3, status_changed_at = NOW()
+        WHERE username = $1 AND job_id = $2
+        RETURNING username,
+                  job_id AS "jobId",
+                  status,
+                  applied_at AS "appliedAt",
+                  status_changed_at AS "statusChangedAt"`,
+        [username, jobId, status]
+      );
+
+      await this.recordStatusChange(
+        username, jobId, current.status, status, client);
+
+      return result.rows[0];
+    }, client);
+  }
+
+  /** Returns true if an application may move from status `from` to `to`. */
+
+  static canTransition(from, to) {
+    const allowed = STATUS_TRANSITIONS[from];
+    return allowed !== undefined && allowed.includes(to);
+  }
+
+  /** Add a row to the status history of an application; returns undefined.
+   *
+   * fromStatus is null for the change that created the application. Pass
+   * client to record it inside a transaction (see db.withTransaction).
+   **/
+
+  static async recordStatusChange(
+    username, jobId, fromStatus, toStatus, client = db) {
+    await client.query(
+      `INSERT INTO application_status_changes
+          (username, job_id, from_status, to_status)
+      VALUES ($1, $2, $3, $4)`,
+      [username, jobId, fromStatus, toStatus]
+    );
+  }
+}
+
+Application.STATUSES = Object.keys(STATUS_TRANSITIONS);
+Application.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+Application.APPLICANT_STATUSES = APPLICANT_STATUSES;
+
+module.exports = Application;
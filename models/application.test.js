@@ -0,0 +1,375 @@
+"use strict";
+
+const { NotFoundError, BadRequestError } = require("../expressError");
+const db = require("../db.js");
+const Application = require("./application.js");
+const User = require("./user.js");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testJobIds,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** get */
+
+describe("get", function () {
+  test("works", async function () {
+    const { j1Id } = testJobIds;
+    await User.applyForJob("u1", j1Id, "interested");
+
+    const application = await Application.get("u1", j1Id);
+    expect(application).toEqual({
+      username: "u1",
+      jobId: j1Id,
+      status: "interested",
+      appliedAt: expect.any(Date),
+      statusChangedAt: expect.any(Date),
+      history: [
+        { fromStatus: null, toStatus: "interested", changedAt: expect.any(Date) },
+      ],
+    });
+  });
+
+  test("not found if no such application", async function () {
+    try {
+      await Application.get("u1", testJobIds.j2Id);
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("not found if job or its company is deleted", async function () {
+    const { j1Id, j2Id } = testJobIds;
+    await User.applyForJob("u1", j2Id);
+    await db.query("UPDATE jobs SET deleted_at = NOW() WHERE id = $1", [j1Id]);
+    await db.query("UPDATE companies SET deleted_at = NOW() WHERE handle = 'c2'");
+    for (const [username, id] of [["u2", j1Id], ["u1", j2Id]]) {
+      try {
+        await Application.get(username, id);
+        throw new Error("fail test, you shouldn't get here");
+      } catch (err) {
+        expect(err instanceof NotFoundError).toBeTruthy();
+      }
+    }
+  });
+});
+
+/************************************** findAll */
+
+describe("findAll", function () {
+  test("works", async function () {
+    const { j1Id } = testJobIds;
+    const applications = await Application.findAll("u2");
+    expect(applications).toEqual([
+      {
+        jobId: j1Id,
+        status: "applied",
+        appliedAt: expect.any(Date),
+        statusChangedAt: expect.any(Date),
+        job: {
+          id: j1Id,
+          title: "j1",
+          salary: 100000,
+          equity: "0.003",
+          companyHandle: "c1",
+          company: {
+            handle: "c1",
+            name: "C1",
+            description: "Desc1",
+            numEmployees: 1,
+            logoUrl: "http://c1.img",
+          },
+        },
+      },
+    ]);
+  });
+
+  test("works: sort and paging", async function () {
+    const { j1Id, j2Id } = testJobIds;
+    await User.applyForJob("u1", j1Id);
+    await User.applyForJob("u1", j2Id);
+
+    let applications = await Application.findAll("u1", {}, { sort: "appliedAt" });
+    expect(applications.map(a => a.jobId)).toEqual([j1Id, j2Id]);
+
+    applications = await Application.findAll("u1", {}, { limit: 1, offset: 1 });
+    expect(applications.map(a => a.jobId)).toEqual([j1Id]);
+  });
+
+  test("works: filter by company and status", async function () {
+    const { j1Id, j2Id } = testJobIds;
+    await User.applyForJob("u1", j1Id);
+    await User.applyForJob("u1", j2Id, "interested");
+
+    let applications = await Application.findAll("u1", { companyHandle: "c2" });
+    expect(applications.map(a => a.jobId)).toEqual([j2Id]);
+
+    applications = await Application.findAll("u1", { status: "applied" });
+    expect(applications.map(a => a.jobId)).toEqual([j1Id]);
+  });
+
+  test("works: no applications", async function () {
+    const applications = await Application.findAll("u1");
+    expect(applications).toEqual([]);
+  });
+
+  test("works: leaves out deleted jobs and companies", async function () {
+    const { j1Id, j2Id } = testJobIds;
+    await User.applyForJob("u1", j1Id);
+    await User.applyForJob("u1", j2Id);
+
+    await db.query("UPDATE jobs SET deleted_at = NOW() WHERE id = $1", [j1Id]);
+    let applications = await Application.findAll("u1");
+    expect(applications.map(a => a.jobId)).toEqual([j2Id]);
+
+    await db.query("UPDATE companies SET deleted_at = NOW() WHERE handle = 'c2'");
+    applications = await Application.findAll("u1");
+    expect(applications).toEqual([]);
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await Application.findAll("nope");
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** count */
+
+describe("count", function () {
+  test("works", async function () {
+    const { j1Id, j2Id } = testJobIds;
+    await User.applyForJob("u1", j1Id);
+    await User.applyForJob("u1", j2Id, "interested");
+
+    expect(await Application.count("u1")).toEqual(2);
+    expect(await Application.count("u1", { status: "applied" })).toEqual(1);
+    expect(await Application.count("u1", { companyHandle: "c2" })).toEqual(1);
+
+    await db.query("UPDATE jobs SET deleted_at = NOW() WHERE id = $1", [j1Id]);
+    expect(await Application.count("u1")).toEqual(1);
+  });
+});
+
+/************************************** findAllForJob */
+
+describe("findAllForJob", function () {
+  test("works", async function () {
+    const applications = await Application.findAllForJob(testJobIds.j1Id);
+    expect(applications).toEqual([
+      {
+        username: "u2",
+        firstName: "U2F",
+        lastName: "U2L",
+        email: "u2@email.com",
+        status: "applied",
+        appliedAt: expect.any(Date),
+        statusChangedAt: expect.any(Date),
+      },
+    ]);
+  });
+
+  test("works: sort, paging and status filter", async function () {
+    const { j1Id } = testJobIds;
+    await User.applyForJob("u1", j1Id, "interested");
+
+    let applications = await Application.findAllForJob(j1Id);
+    expect(applications.map(a => a.username)).toEqual(["u1", "u2"]);
+
+    applications = await Application.findAllForJob(j1Id, {}, {
+      sort: "appliedAt",
+    });
+    expect(applications.map(a => a.username)).toEqual(["u2", "u1"]);
+
+    applications = await Application.findAllForJob(j1Id, {}, {
+      limit: 1,
+      offset: 1,
+    });
+    expect(applications.map(a => a.username)).toEqual(["u2"]);
+
+    applications = await Application.findAllForJob(j1Id, {
+      status: "interested",
+    });
+    expect(applications.map(a => a.username)).toEqual(["u1"]);
+  });
+
+  test("works: no applications", async function () {
+    const applications = await Application.findAllForJob(testJobIds.j2Id);
+    expect(applications).toEqual([]);
+  });
+
+  test("not found if no such job", async function () {
+    try {
+      await Application.findAllForJob(0);
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("not found if job or its company is deleted", async function () {
+    const { j1Id, j2Id } = testJobIds;
+    await db.query("UPDATE jobs SET deleted_at = NOW() WHERE id = $1", [j1Id]);
+    await db.query("UPDATE companies SET deleted_at = NOW() WHERE handle = 'c2'");
+    for (const id of [j1Id, j2Id]) {
+      try {
+        await Application.findAllForJob(id);
+        throw new Error("fail test, you shouldn't get here");
+      } catch (err) {
+        expect(err instanceof NotFoundError).toBeTruthy();
+      }
+    }
+  });
+});
+
+/************************************** countForJob */
+
+describe("countForJob", function () {
+  test("works", async function () {
+    const { j1Id, j2Id } = testJobIds;
+    await User.applyForJob("u1", j1Id, "interested");
+
+    expect(await Application.countForJob(j1Id)).toEqual(2);
+    expect(await Application.countForJob(j1Id, { status: "applied" }))
+      .toEqual(1);
+    expect(await Application.countForJob(j2Id)).toEqual(0);
+
+    await User.remove("u1");
+    expect(await Application.countForJob(j1Id)).toEqual(1);
+  });
+});
+
+/************************************** withdraw */
+
+describe("withdraw", function () {
+  test("works", async function () {
+    const application = await Application.withdraw("u2", testJobIds.j1Id);
+    expect(application.status).toEqual("withdrawn");
+  });
+
+  test("bad request if already withdrawn", async function () {
+    await Application.withdraw("u2", testJobIds.j1Id);
+    try {
+      await Application.withdraw("u2", testJobIds.j1Id);
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such application", async function () {
+    try {
+      await Application.withdraw("u1", testJobIds.j1Id);
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** updateStatus */
+
+describe("updateStatus", function () {
+  test("works", async function () {
+    const { j1Id } = testJobIds;
+    const application = await Application.updateStatus(
+      "u2", j1Id, "interviewing");
+    expect(application).toEqual({
+      username: "u2",
+      jobId: j1Id,
+      status: "interviewing",
+      appliedAt: expect.any(Date),
+      statusChangedAt: expect.any(Date),
+    });
+
+    const found = await db.query(
+      `SELECT from_status, to_status
+      FROM application_status_changes
+      WHERE username = 'u2' AND job_id = $1`, [j1Id]);
+    expect(found.rows).toEqual([
+      { from_status: "applied", to_status: "interviewing" },
+    ]);
+  });
+
+  test("works: moves through the pipeline", async function () {
+    const { j2Id } = testJobIds;
+    await User.applyForJob("u1", j2Id, "interested");
+    for (const status of ["applied", "interviewing", "offered", "accepted"]) {
+      await Application.updateStatus("u1", j2Id, status);
+    }
+
+    const application = await Application.get("u1", j2Id);
+    expect(application.status).toEqual("accepted");
+    expect(application.history.map(h => h.toStatus)).toEqual([
+      "interested", "applied", "interviewing", "offered", "accepted",
+    ]);
+  });
+
+  test("bad request for illegal transition", async function () {
+    try {
+      await Application.updateStatus("u2", testJobIds.j1Id, "accepted");
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request from a final status", async function () {
+    const { j1Id } = testJobIds;
+    await Application.updateStatus("u2", j1Id, "withdrawn");
+    try {
+      await Application.updateStatus("u2", j1Id, "applied");
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such application", async function () {
+    try {
+      await Application.updateStatus("u1", testJobIds.j1Id, "applied");
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("not found if job or its company is deleted", async function () {
+    const { j1Id, j2Id } = testJobIds;
+    await User.applyForJob("u1", j2Id);
+    await db.query("UPDATE jobs SET deleted_at = NOW() WHERE id = $1", [j1Id]);
+    await db.query("UPDATE companies SET deleted_at = NOW() WHERE handle = 'c2'");
+    for (const [username, id] of [["u2", j1Id], ["u1", j2Id]]) {
+      try {
+        await Application.updateStatus(username, id, "withdrawn");
+        throw new Error("fail test, you shouldn't get here");
+      } catch (err) {
+        expect(err instanceof NotFoundError).toBeTruthy();
+      }
+    }
+  });
+});
+
+/************************************** canTransition */
+
+describe("canTransition", function () {
+  test("works", function () {
+    expect(Application.canTransition("interested", "applied")).toEqual(true);
+    expect(Application.canTransition("offered", "accepted")).toEqual(true);
+    expect(Application.canTransition("applied", "offered")).toEqual(false);
+    expect(Application.canTransition("rejected", "applied")).toEqual(false);
+    expect(Application.canTransition("nope", "applied")).toEqual(false);
+  });
+});
@@ -0,0 +1,191 @@
+"use strict";
+
+const db = require("../db");
+const { sqlForPaging } = require("../helpers/sql");
+const { BadRequestError } = require("../expressError");
+
+/** Returns the fields of an entity, or null.
+ *
+ * Nested objects and lists (eg, a user's skills and preferences) are kept,
+ * so changes to them show up too. Undefined fields are kept as null.
+ */
+
+function snapshot(entity) {
+  if (!entity) return null;
+
+  const fields = {};
+  for (const [key, value] of Object.entries(entity)) {
+    fields[key] = value === undefined ? null : value;
+  }
+  return fields;
+}
+
+/** Given an entity before and after a change, return what changed:
+ *   { before, after }
+ *
+ * For an update (both given), these hold only the fields of after whose
+ * values differ. For a create or delete, the missing side is null and the
+ * other is the whole entity.
+ *
+ * - ex: diff({ name: "a", size: 1 }, { name: "b", size: 1 })
+ *     => { before: { name: "a" }, after: { name: "b" } }
+ */
+
+function diff(before, after) {
+  before = snapshot(before);
+  after = snapshot(after);
+  if (!before || !after) return { before, after };
+
+  const changed = { before: {}, after: {} };
+  for (const [key, value] of Object.entries(after)) {
+    const old = before[key] === undefined ? null : before[key];
+    if (JSON.stringify(old) !== JSON.stringify(value)) {
+      changed.before[key] = old;
+      changed.after[key] = value;
+    }
+  }
+  return changed;
+}
+
+/** Related functions for the audit log: a record of who created, changed
+ * and deleted what. */
+
+class AuditLog {
+  /** Record a change made by actor (a username) to an entity; returns
+   * undefined.
+   *
+   * action is "create", "update", "delete" or "restore"; entityType names
+   * the kind of entity (eg, "company") and entityId which one it is. before
+   * and after are the entity before and after the change (see diff); only
+   * what changed is kept.
+   **/
+
+  static async record(
+    actor, action, entityType, entityId, { before, after } = {}, client = db) {
+    const changed = diff(before, after);
+
+    await client.query(
+      `INSERT INTO audit_log
+          (actor, action, entity_type, entity_id, before, after)
+      VALUES ($1, $2, $3, $4, $5, $6)`,
+      [
+        actor,
+        action,
+        entityType,
+        String(entityId),
+        changed.before && JSON.stringify(changed.before),
+        changed.after && JSON.stringify(changed.after),
+      ]
+    );
+  }
+
+  /** Find audit log entries, newest first. Can be provided optional
+   * filtering parameters (see formatWhereCmds), and paging parameters:
+   * - limit, offset
+   *
+   * Returns [{ id, actor, action, entityType, entityId, before, after,
+   *            createdAt }, ...]
+   **/
+
+  static async findAll(filters = {}, paging = {}) {
+    const { sqlCmd, values } = this.formatWhereCmds(filters);
+    const { pagingSql, values: pagingValues } = sqlForPaging(
+      paging,
+      values.length
+    );
+
+    const result = await db.query(
+      `SELECT id,
+              actor,
+              action,
+              entity_type AS "entityType",
+              entity_id AS "entityId",
+              before,
+              after,
+              created_at AS "createdAt"
+      FROM audit_log
+      ${sqlCmd}
+      ORDER BY created_at DESC, id DESC
+      ${pagingSql}`,
+      [...values, ...pagingValues]
+    );
+
+    return result.rows;
+  }
+
+  /** Count the audit log entries matching filters (as for findAll).
+   *
+   * Returns a number.
+   **/
+
+  static async count(filters = {}) {
+    const { sqlCmd, values } = this.formatWhereCmds(filters);
+
+    const result = await db.query(
+      `SELECT COUNT(*)::INTEGER AS "total"
+      FROM audit_log
+      ${sqlCmd}`,
+      values
+    );
+
+    return result.rows[0].total;
+  }
+
+  /** Given an object with optional filters as keys:
+   *    actor, action, entityType, entityId, since, until
+   *
+   *  since and until are timestamps bounding when the change was made.
+   *
+   *  Returns an object with keys:
+   *    sqlCmd: str with the WHERE clause ("" if no filters)
+   *    values: arr with values of filters passed in
+   *
+   *  - ex: { actor: "u1", since: "2024-01-01" } => {
+   *    sqlCmd: "WHERE actor = $1 AND created_at >= $2::timestamptz",
+   *    values: ["u1", "2024-01-01"]
+   *    }
+   * */
+
+  static formatWhereCmds({ actor, action, entityType, entityId, since, until }) {
+    if (
+      since !== undefined &&
+      until !== undefined &&
+      new Date(since) > new Date(until)
+    ) {
+      throw new BadRequestError("since cannot be after until");
+    }
+
+    const conditions = [];
+    const values = [];
+
+    for (const [col, value] of [
+      ["actor", actor],
+      ["action", action],
+      ["entity_type", entityType],
+      ["entity_id", entityId],
+    ]) {
+      if (value === undefined) continue;
+      values.push(value);
+      conditions.push(`${col} = $${values.length}`);
+    }
+
+    // since and until may carry a UTC offset, so are read as timestamptz
+    if (since !== undefined) {
+      values.push(since);
+      conditions.push(`created_at >= $${values.length}::timestamptz`);
+    }
+    if (until !== undefined) {
+      values.push(until);
+      conditions.push(`created_at <= $${values.length}::timestamptz`);
+    }
+
+    return {
+      sqlCmd: conditions.length ? "WHERE " + conditions.join(" AND ") : "",
+      values,
+    };
+  }
+}
+
+AuditLog.diff = diff;
+
+module.exports = AuditLog;
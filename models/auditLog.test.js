@@ -0,0 +1,169 @@
+"use strict";
+
+const { BadRequestError } = require("../expressError");
+const db = require("../db.js");
+const AuditLog = require("./auditLog.js");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** diff */
+
+describe("diff", function () {
+  test("keeps only changed fields on update", function () {
+    expect(
+      AuditLog.diff(
+        { handle: "c1", name: "C1", numEmployees: 1, jobs: [{ id: 1 }] },
+        { handle: "c1", name: "New", numEmployees: 1 }
+      )
+    ).toEqual({ before: { name: "C1" }, after: { name: "New" } });
+  });
+
+  test("keeps changes to nested values", function () {
+    expect(
+      AuditLog.diff(
+        { username: "u1", skills: ["node"], preferences: { country: null } },
+        { username: "u1", skills: ["node"], preferences: { country: "US" } }
+      )
+    ).toEqual({
+      before: { preferences: { country: null } },
+      after: { preferences: { country: "US" } },
+    });
+  });
+
+  test("keeps the whole entity on create and delete", function () {
+    expect(AuditLog.diff(undefined, { handle: "c1", jobs: [] })).toEqual({
+      before: null,
+      after: { handle: "c1", jobs: [] },
+    });
+    expect(AuditLog.diff({ id: 1, title: "j1" }, undefined)).toEqual({
+      before: { id: 1, title: "j1" },
+      after: null,
+    });
+  });
+
+  test("reads missing fields as null", function () {
+    expect(AuditLog.diff({}, { logoUrl: "x", description: null })).toEqual({
+      before: { logoUrl: null },
+      after: { logoUrl: "x" },
+    });
+  });
+});
+
+/************************************** record */
+
+describe("record", function () {
+  test("works", async function () {
+    await AuditLog.record("u1", "update", "company", "c1", {
+      before: { handle: "c1", name: "C1" },
+      after: { handle: "c1", name: "New" },
+    });
+
+    const result = await db.query(
+      `SELECT actor, action, entity_type, entity_id, before, after, created_at
+      FROM audit_log`
+    );
+    expect(result.rows).toEqual([
+      {
+        actor: "u1",
+        action: "update",
+        entity_type: "company",
+        entity_id: "c1",
+        before: { name: "C1" },
+        after: { name: "New" },
+        created_at: expect.any(Date),
+      },
+    ]);
+  });
+
+  test("works: numeric id", async function () {
+    await AuditLog.record("u1", "delete", "job", 7, { before: { id: 7 } });
+    const entries = await AuditLog.findAll();
+    expect(entries[0].entityId).toEqual("7");
+    expect(entries[0].after).toBeNull();
+  });
+});
+
+/************************************** findAll */
+
+describe("findAll", function () {
+  beforeEach(async function () {
+    await db.query(
+      `INSERT INTO audit_log
+          (actor, action, entity_type, entity_id, after, created_at)
+      VALUES ('u1', 'create', 'company', 'c1', '{}', '2024-01-01 10:00'),
+             ('u2', 'create', 'job', '1', '{}', '2024-01-02 10:00'),
+             ('u1', 'delete', 'job', '1', NULL, '2024-01-03 10:00')`
+    );
+  });
+
+  test("works: newest first", async function () {
+    const entries = await AuditLog.findAll();
+    expect(entries.map((e) => [e.action, e.entityType])).toEqual([
+      ["delete", "job"],
+      ["create", "job"],
+      ["create", "company"],
+    ]);
+    expect(entries[1]).toEqual({
+      id: expect.any(Number),
+      actor: "u2",
+      action: "create",
+      entityType: "job",
+      entityId: "1",
+      before: null,
+      after: {},
+      createdAt: expect.any(Date),
+    });
+  });
+
+  test("works: filters", async function () {
+    let entries = await AuditLog.findAll({ actor: "u1", entityType: "job" });
+    expect(entries.map((e) => e.action)).toEqual(["delete"]);
+
+    entries = await AuditLog.findAll({ action: "create", entityId: "1" });
+    expect(entries.map((e) => e.actor)).toEqual(["u2"]);
+
+    entries = await AuditLog.findAll({
+      since: "2024-01-01T12:00:00",
+      until: "2024-01-02T12:00:00",
+    });
+    expect(entries.map((e) => e.actor)).toEqual(["u2"]);
+  });
+
+  test("works: paging", async function () {
+    const entries = await AuditLog.findAll({}, { limit: 1, offset: 1 });
+    expect(entries.map((e) => e.actor)).toEqual(["u2"]);
+  });
+
+  test("bad request if since is after until", async function () {
+    try {
+      await AuditLog.findAll({
+        since: "2024-01-02T00:00:00Z",
+        until: "2024-01-01T00:00:00Z",
+      });
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** count */
+
+describe("count", function () {
+  test("works", async function () {
+    await AuditLog.record("u1", "create", "job", 1, { after: { id: 1 } });
+    await AuditLog.record("u2", "create", "job", 2, { after: { id: 2 } });
+    expect(await AuditLog.count()).toEqual(2);
+    expect(await AuditLog.count({ actor: "u2" })).toEqual(1);
+  });
+});
@@ -2,9 +2,28 @@
 
 const db = require("../db");
 const { BadRequestError, NotFoundError } = require("../expressError");
-const { sqlForPartialUpdate } = require("../helpers/sql");
-
-/** Related functions for companies. */
+const {
+  sqlForPartialUpdate,
+  sqlForSort,
+  sqlForPaging,
+  sqlAndWhere,
+} = require("../helpers/sql");
+const { mapPgError } = require("../helpers/pgErrors");
+const Job = require("./job");
+
+/** Fields companies can be sorted on, and the columns they sort by. */
+
+const SORTABLE_COLS = {
+  handle: "handle",
+  name: "name",
+  numEmployees: "num_employees",
+};
+
+/** Related functions for companies.
+ *
+ * Deleting a company only marks it deleted (see remove); deleted companies,
+ * and their jobs, are left out of everything else until restored.
+ */
 
 class Company {
   /** Create a company (from data), update db, return new company data.
@@ -13,22 +32,17 @@ class Company {
    *
    * Returns { handle, name, description, numEmployees, logoUrl }
    *
-   * Throws BadRequestError if company already in database.
+   * Throws ConflictError if a company with that handle or name is already in
+   * database.
    * */
 
-  static async create({ handle, name, description, numEmployees, logoUrl }) {
-    const duplicateCheck = await db.query(
-      `SELECT handle
-           FROM companies
-           WHERE handle = $1`,
-      [handle]
-    );
+  static async create(
+    { handle, name, description, numEmployees, logoUrl }, client = db) {
+    let result;
 
-    if (duplicateCheck.rows[0])
-      throw new BadRequestError(`Duplicate company: ${handle}`);
-
-    const result = await db.query(
-      `INSERT INTO companies(
+    try {
+      result = await client.query(
+        `INSERT INTO companies(
           handle,
           name,
           description,
@@ -37,23 +51,49 @@ class Company {
            VALUES
              ($1, $2, $3, $4, $5)
            RETURNING handle, name, description, num_employees AS "numEmployees", logo_url AS "logoUrl"`,
-      [handle, name, description, numEmployees, logoUrl]
-    );
+        [handle, name, description, numEmployees, logoUrl]
+      );
+    } catch (err) {
+      throw mapPgError(err);
+    }
     const company = result.rows[0];
 
     return company;
   }
 
   /** Find all companies. Can be provided optional filtering parameters
-   * (nameLike, minEmployees, maxEmployees).
+   * (nameLike, q, minEmployees, maxEmployees), and paging parameters:
+   * - sort: comma-separated fields (handle, name, numEmployees), each
+   *   optionally prefixed with "-" for descending; defaults to "name", or to
+   *   best match first when searching with q
+   * - limit, offset
+   *
+   * q is a full-text search over name and description; it takes web search
+   * syntax (eg, "data -science", "\"big data\"", "data or ai").
    *
    * Returns [{ handle, name, description, numEmployees, logoUrl }, ...]
    * */
 
-  static async findAll(filters) {
+  static async findAll(filters = {}, paging = {}) {
     if (filters?.minEmployees > filters?.maxEmployees)
       throw new BadRequestError();
     const { sqlCmd, values } = this.formatWhereCmds(filters);
+    const queryValues = [...(values || [])];
+
+    let orderBy;
+    if (filters.q !== undefined && paging.sort === undefined) {
+      queryValues.push(filters.q);
+      orderBy = `ORDER BY ts_rank(search_vector,
+                   websearch_to_tsquery('english', $${queryValues.length})) DESC,
+                 name, handle`;
+    } else {
+      orderBy = sqlForSort(paging.sort, SORTABLE_COLS, "name", "handle");
+    }
+
+    const { pagingSql, values: pagingValues } = sqlForPaging(
+      paging,
+      queryValues.length
+    );
 
     const querySql = `
     SELECT handle,
@@ -62,32 +102,55 @@ class Company {
           num_employees AS "numEmployees",
           logo_url AS "logoUrl"
     FROM companies
-    ${sqlCmd ? sqlCmd : ""}
-    ORDER BY name
+    ${sqlAndWhere(sqlCmd, "deleted_at IS NULL")}
+    ${orderBy}
+    ${pagingSql}
     `;
 
-    const companiesRes = await db.query(querySql, values);
+    const companiesRes = await db.query(querySql, [
+      ...queryValues,
+      ...pagingValues,
+    ]);
 
     return companiesRes.rows;
   }
 
+  /** Count the companies matching filters (as for findAll).
+   *
+   * Returns a number.
+   * */
+
+  static async count(filters = {}) {
+    const { sqlCmd, values } = this.formatWhereCmds(filters);
+
+    const countRes = await db.query(
+      `SELECT COUNT(*)::INTEGER AS "total"
+      FROM companies
+      ${sqlAndWhere(sqlCmd, "deleted_at IS NULL")}`,
+      values || []
+    );
+
+    return countRes.rows[0].total;
+  }
+
   /** Given a company handle, return data about company.
    *
    * Returns { handle, name, description, numEmployees, logoUrl, jobs }
-   *   where jobs is [{ id, title, salary, equity, companyHandle }, ...]
+   *   where jobs is [{ id, title, salary, equity, companyHandle }, ...],
+   *   the company's open jobs
    *
    * Throws NotFoundError if not found.
    **/
 
-  static async get(handle) {
-    const companyRes = await db.query(
+  static async get(handle, client = db) {
+    const companyRes = await client.query(
       `SELECT handle,
               name,
               description,
               num_employees AS "numEmployees",
               logo_url AS "logoUrl"
       FROM companies
-      WHERE handle = $1`,
+      WHERE handle = $1 AND deleted_at IS NULL`,
       [handle]
     );
 
@@ -95,14 +158,16 @@ class Company {
 
     if (!company) throw new NotFoundError(`No company: ${handle}`);
 
-    const jobRes = await db.query(
+    const jobRes = await client.query(
       `Select id,
               title,
               salary,
               equity,
               company_handle AS "companyHandle"
-      FROM jobs
-      WHERE company_handle = $1`,
+      FROM jobs AS j
+      WHERE company_handle = $1
+        AND deleted_at IS NULL
+        AND ${Job.STATUS_SQL} = 'open'`,
       [handle]
     );
 
@@ -122,10 +187,11 @@ class Company {
    *
    * Returns {handle, name, description, numEmployees, logoUrl}
    *
-   * Throws NotFoundError if not found.
+   * Throws NotFoundError if not found, ConflictError if another company
+   * already has the new name.
    */
 
-  static async update(handle, data) {
+  static async update(handle, data, client = db) {
     const { setCols, values } = sqlForPartialUpdate(data, {
       numEmployees: "num_employees",
       logoUrl: "logo_url",
@@ -135,9 +201,15 @@ class Company {
     const querySql = `
       UPDATE companies
       SET ${setCols}
-        WHERE handle = ${handleVarIdx}
+        WHERE handle = ${handleVarIdx} AND deleted_at IS NULL
         RETURNING handle, name, description, num_employees AS "numEmployees", logo_url AS "logoUrl"`;
-    const result = await db.query(querySql, [...values, handle]);
+    let result;
+
+    try {
+      result = await client.query(querySql, [...values, handle]);
+    } catch (err) {
+      throw mapPgError(err);
+    }
     const company = result.rows[0];
 
     if (!company) throw new NotFoundError(`No company: ${handle}`);
@@ -145,16 +217,19 @@ class Company {
     return company;
   }
 
-  /** Delete given company from database; returns undefined.
+  /** Delete given company; returns undefined.
+   *
+   * The company is only marked deleted, hiding it and its jobs; it can be
+   * brought back with restore until purged (see purge.js).
    *
    * Throws NotFoundError if company not found.
    **/
 
-  static async remove(handle) {
-    const result = await db.query(
-      `DELETE
-           FROM companies
-           WHERE handle = $1
+  static async remove(handle, client = db) {
+    const result = await client.query(
+      `UPDATE companies
+           SET deleted_at = NOW()
+           WHERE handle = $1 AND deleted_at IS NULL
            RETURNING handle`,
       [handle]
     );
@@ -163,8 +238,34 @@ class Company {
     if (!company) throw new NotFoundError(`No company: ${handle}`);
   }
 
+  /** Bring back a deleted company, with its jobs.
+   *
+   * Returns { handle, name, description, numEmployees, logoUrl }
+   *
+   * Throws NotFoundError if there is no deleted company with handle.
+   **/
+
+  static async restore(handle, client = db) {
+    const result = await client.query(
+      `UPDATE companies
+      SET deleted_at = NULL
+      WHERE handle = $1 AND deleted_at IS NOT NULL
+      RETURNING handle,
+                name,
+                description,
+                num_employees AS "numEmployees",
+                logo_url AS "logoUrl"`,
+      [handle]
+    );
+    const company = result.rows[0];
+
+    if (!company) throw new NotFoundError(`No deleted company: ${handle}`);
+
+    return company;
+  }
+
   /** Given an object with optional filters as keys:
-   *    nameLike, minEmployees, maxEmployees
+   *    nameLike, q, minEmployees, maxEmployees
    *
    *  Returns an object with keys:
    *    sqlCmd: str with parameterized sql query
@@ -191,6 +292,13 @@ class Company {
       if (filter === "nameLike") {
         conditions.push(`name ILIKE $${conditions.length + 1}`);
         values.push(`%${value}%`);
+      } else if (filter === "q") {
+        conditions.push(
+          `search_vector @@ websearch_to_tsquery('english', $${
+            conditions.length + 1
+          })`
+        );
+        values.push(value);
       } else if (filter === "minEmployees") {
         conditions.push(`num_employees >= $${conditions.length + 1}`);
         values.push(value);
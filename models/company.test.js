@@ -1,8 +1,13 @@
 "use strict";
 
-const { BadRequestError, NotFoundError } = require("../expressError");
+const {
+  BadRequestError,
+  NotFoundError,
+  ConflictError,
+} = require("../expressError");
 const db = require("../db.js");
 const Company = require("./company.js");
+const Job = require("./job.js");
 
 const {
   commonBeforeAll,
@@ -48,13 +53,23 @@ describe("create", function () {
     ]);
   });
 
-  test("bad request with dupe", async function () {
+  test("conflict with dupe", async function () {
     try {
       await Company.create(newCompany);
       await Company.create(newCompany);
       throw new Error("fail test, you shouldn't get here");
     } catch (err) {
-      expect(err instanceof BadRequestError).toBeTruthy();
+      expect(err instanceof ConflictError).toBeTruthy();
+      expect(err.message).toEqual("Duplicate handle: new");
+    }
+  });
+
+  test("conflict with dupe name", async function () {
+    try {
+      await Company.create({ ...newCompany, name: "C1" });
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof ConflictError).toBeTruthy();
     }
   });
 });
@@ -130,6 +145,49 @@ describe("findAll", function () {
     ]);
   });
 
+  test("works: sort and paging", async function () {
+    let companies = await Company.findAll({}, { sort: "-numEmployees" });
+    expect(companies.map((c) => c.handle)).toEqual(["c3", "c2", "c1"]);
+
+    companies = await Company.findAll(
+      { nameLike: "c" },
+      { sort: "name", limit: 1, offset: 1 }
+    );
+    expect(companies.map((c) => c.handle)).toEqual(["c2"]);
+  });
+
+  test("works: full-text search, best match first", async function () {
+    await db.query(
+      `UPDATE companies SET description = 'Data pipelines' WHERE handle = 'c3'`
+    );
+    await db.query(`UPDATE companies SET name = 'Data Co' WHERE handle = 'c2'`);
+
+    let companies = await Company.findAll({ q: "data" });
+    expect(companies.map((c) => c.handle)).toEqual(["c2", "c3"]);
+
+    companies = await Company.findAll({ q: "data -pipelines" });
+    expect(companies.map((c) => c.handle)).toEqual(["c2"]);
+  });
+
+  test("works: full-text search with sort", async function () {
+    await db.query(`UPDATE companies SET description = 'Data' WHERE handle != 'c1'`);
+
+    const companies = await Company.findAll(
+      { q: "data" },
+      { sort: "-numEmployees" }
+    );
+    expect(companies.map((c) => c.handle)).toEqual(["c3", "c2"]);
+  });
+
+  test("bad request for unknown sort field", async function () {
+    try {
+      await Company.findAll({}, { sort: "logoUrl" });
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
   test("doesn't work: with minEmployees > maxEmployees", async function () {
     try {
       await Company.findAll({
@@ -143,6 +201,16 @@ describe("findAll", function () {
   });
 });
 
+/************************************** count */
+
+describe("count", function () {
+  test("works", async function () {
+    expect(await Company.count({})).toEqual(3);
+    expect(await Company.count({ minEmployees: 2 })).toEqual(2);
+    expect(await Company.count({ q: "desc1" })).toEqual(1);
+  });
+});
+
 /************************************** get */
 
 describe("get", function () {
@@ -179,6 +247,19 @@ describe("get", function () {
     });
   });
 
+  test("works: lists only open jobs", async function () {
+    const { j1Id } = testJobIds;
+    await db.query(`UPDATE jobs SET status = 'closed' WHERE id = $1`, [j1Id]);
+    expect((await Company.get("c1")).jobs).toEqual([]);
+
+    await db.query(
+      `UPDATE jobs
+      SET status = 'open', closes_at = NOW() - INTERVAL '1 day'
+      WHERE id = $1`,
+      [j1Id]);
+    expect((await Company.get("c1")).jobs).toEqual([]);
+  });
+
   test("not found if no such company", async function () {
     try {
       await Company.get("nope");
@@ -274,12 +355,28 @@ describe("update", function () {
 /************************************** remove */
 
 describe("remove", function () {
-  test("works", async function () {
+  test("works: marks the company deleted", async function () {
     await Company.remove("c1");
     const res = await db.query(
-      "SELECT handle FROM companies WHERE handle='c1'"
+      "SELECT deleted_at FROM companies WHERE handle='c1'"
     );
-    expect(res.rows.length).toEqual(0);
+    expect(res.rows).toEqual([{ deleted_at: expect.any(Date) }]);
+  });
+
+  test("hides the company and its jobs", async function () {
+    await Company.remove("c1");
+
+    const companies = await Company.findAll();
+    expect(companies.map((c) => c.handle)).toEqual(["c2", "c3"]);
+    expect(await Company.count()).toEqual(2);
+    const jobs = await Job.findAll();
+    expect(jobs.map((j) => j.companyHandle)).toEqual(["c2"]);
+    try {
+      await Company.get("c1");
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
   });
 
   test("not found if no such company", async function () {
@@ -290,6 +387,44 @@ describe("remove", function () {
       expect(err instanceof NotFoundError).toBeTruthy();
     }
   });
+
+  test("not found if already deleted", async function () {
+    await Company.remove("c1");
+    try {
+      await Company.remove("c1");
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** restore */
+
+describe("restore", function () {
+  test("works", async function () {
+    await Company.remove("c1");
+    const company = await Company.restore("c1");
+    expect(company).toEqual({
+      handle: "c1",
+      name: "C1",
+      description: "Desc1",
+      numEmployees: 1,
+      logoUrl: "http://c1.img",
+    });
+
+    const found = await Company.get("c1");
+    expect(found.jobs.length).toEqual(1);
+  });
+
+  test("not found if not deleted", async function () {
+    try {
+      await Company.restore("c1");
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
 });
 
 /************************************** formatWhereCmds */
@@ -320,6 +455,15 @@ describe("formatWhereCmds", function () {
     });
   });
 
+  test("works: full-text search", function () {
+    const results = Company.formatWhereCmds({ q: "data" });
+
+    expect(results).toEqual({
+      sqlCmd: "WHERE search_vector @@ websearch_to_tsquery('english', $1)",
+      values: ["data"],
+    });
+  });
+
   test("returns empty array for values and empty string for sqlCmds", function () {
     const results = Company.formatWhereCmds({});
 
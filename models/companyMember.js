@@ -0,0 +1,123 @@
+"use strict";
+
+const db = require("../db");
+const { NotFoundError, ConflictError } = require("../expressError");
+const { mapPgError, PG_ERRORS } = require("../helpers/pgErrors");
+
+/** Roles a user can have at a company.
+ *
+ * owner: manages the company, its jobs and its members
+ * recruiter: manages the company's jobs
+ */
+
+const ROLES = ["owner", "recruiter"];
+
+/** Related functions for company members: users who act for a company. */
+
+class CompanyMember {
+  /** Add username to a company with role.
+   *
+   * Returns { companyHandle, username, role, addedAt }
+   *
+   * Throws NotFoundError if no such company or user, ConflictError if the
+   * user is already a member.
+   **/
+
+  static async add(handle, username, role, client = db) {
+    try {
+      const result = await client.query(
+        `INSERT INTO company_members (company_handle, username, role)
+        VALUES ($1, $2, $3)
+        RETURNING company_handle AS "companyHandle",
+                  username,
+                  role,
+                  added_at AS "addedAt"`,
+        [handle, username, role]
+      );
+      return result.rows[0];
+    } catch (err) {
+      if (err.code === PG_ERRORS.FOREIGN_KEY_VIOLATION) {
+        throw new NotFoundError(
+          err.constraint === "company_members_company_handle_fkey"
+            ? `No company: ${handle}`
+            : `No user: ${username}`
+        );
+      }
+      if (err.code === PG_ERRORS.UNIQUE_VIOLATION) {
+        throw new ConflictError(`Already a member: ${username}, ${handle}`);
+      }
+      throw mapPgError(err);
+    }
+  }
+
+  /** Find all members of a company.
+   *
+   * Returns [{ username, firstName, lastName, role, addedAt }, ...]
+   *   ordered by username
+   *
+   * Throws NotFoundError if no such company.
+   **/
+
+  static async findAll(handle) {
+    const companyRes = await db.query(
+      `SELECT handle
+      FROM companies
+      WHERE handle = $1 AND deleted_at IS NULL`,
+      [handle]
+    );
+
+    if (!companyRes.rows[0]) throw new NotFoundError(`No company: ${handle}`);
+
+    const result = await db.query(
+      `SELECT m.username,
+              u.first_name AS "firstName",
+              u.last_name AS "lastName",
+              m.role,
+              m.added_at AS "addedAt"
+      FROM company_members AS m
+        JOIN users AS u ON u.username = m.username
+      WHERE m.company_handle = $1 AND u.deleted_at IS NULL
+      ORDER BY m.username`,
+      [handle]
+    );
+
+    return result.rows;
+  }
+
+  /** Returns the role of username at a company, or null if they aren't a
+   * member. */
+
+  static async getRole(handle, username, client = db) {
+    const result = await client.query(
+      `SELECT role
+      FROM company_members
+      WHERE company_handle = $1 AND username = $2`,
+      [handle, username]
+    );
+
+    return result.rows[0] ? result.rows[0].role : null;
+  }
+
+  /** Remove username from a company; returns undefined.
+   *
+   * Throws NotFoundError if they aren't a member.
+   **/
+
+  static async remove(handle, username, client = db) {
+    const result = await client.query(
+      `DELETE
+      FROM company_members
+      WHERE company_handle = $1 AND username = $2
+      RETURNING username`,
+      [handle, username]
+    );
+
+    if (!result.rows[0]) {
+      throw new NotFoundError(`No member: ${username}, ${handle}`);
+    }
+  }
+}
+
+CompanyMember.ROLES = ROLES;
+
+module.exports = CompanyMember;
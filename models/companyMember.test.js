@@ -0,0 +1,135 @@
+"use strict";
+
+const { NotFoundError, ConflictError } = require("../expressError");
+const CompanyMember = require("./companyMember.js");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** add */
+
+describe("add", function () {
+  test("works", async function () {
+    const member = await CompanyMember.add("c1", "u1", "owner");
+    expect(member).toEqual({
+      companyHandle: "c1",
+      username: "u1",
+      role: "owner",
+      addedAt: expect.any(Date),
+    });
+  });
+
+  test("conflict if already a member", async function () {
+    await CompanyMember.add("c1", "u1", "owner");
+    try {
+      await CompanyMember.add("c1", "u1", "recruiter");
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof ConflictError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such company", async function () {
+    try {
+      await CompanyMember.add("nope", "u1", "owner");
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+      expect(err.message).toEqual("No company: nope");
+    }
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await CompanyMember.add("c1", "nope", "owner");
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+      expect(err.message).toEqual("No user: nope");
+    }
+  });
+});
+
+/************************************** findAll */
+
+describe("findAll", function () {
+  test("works", async function () {
+    await CompanyMember.add("c1", "u2", "recruiter");
+    await CompanyMember.add("c1", "u1", "owner");
+    await CompanyMember.add("c2", "u2", "owner");
+
+    const members = await CompanyMember.findAll("c1");
+    expect(members).toEqual([
+      {
+        username: "u1",
+        firstName: "U1F",
+        lastName: "U1L",
+        role: "owner",
+        addedAt: expect.any(Date),
+      },
+      {
+        username: "u2",
+        firstName: "U2F",
+        lastName: "U2L",
+        role: "recruiter",
+        addedAt: expect.any(Date),
+      },
+    ]);
+  });
+
+  test("works: no members", async function () {
+    expect(await CompanyMember.findAll("c3")).toEqual([]);
+  });
+
+  test("not found if no such company", async function () {
+    try {
+      await CompanyMember.findAll("nope");
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** getRole */
+
+describe("getRole", function () {
+  test("works", async function () {
+    await CompanyMember.add("c1", "u1", "recruiter");
+    expect(await CompanyMember.getRole("c1", "u1")).toEqual("recruiter");
+  });
+
+  test("null if not a member", async function () {
+    await CompanyMember.add("c1", "u1", "recruiter");
+    expect(await CompanyMember.getRole("c2", "u1")).toBeNull();
+    expect(await CompanyMember.getRole("c1", "u2")).toBeNull();
+  });
+});
+
+/************************************** remove */
+
+describe("remove", function () {
+  test("works", async function () {
+    await CompanyMember.add("c1", "u1", "owner");
+    await CompanyMember.remove("c1", "u1");
+    expect(await CompanyMember.getRole("c1", "u1")).toBeNull();
+  });
+
+  test("not found if not a member", async function () {
+    try {
+      await CompanyMember.remove("c1", "u1");
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
@@ -1,79 +1,290 @@
 "use strict";
 
 const db = require("../db");
-const { sqlForPartialUpdate } = require("../helpers/sql");
-const { NotFoundError } = require("../expressError");
+const {
+  sqlForPartialUpdate,
+  sqlForSort,
+  sqlForPaging,
+  sqlAndWhere,
+} = require("../helpers/sql");
+const { mapPgError } = require("../helpers/pgErrors");
+const { NotFoundError, BadRequestError } = require("../expressError");
 const { query } = require("express");
+const Skill = require("./skill");
+
+/** Fields jobs can be sorted on, and the columns they sort by. */
+
+const SORTABLE_COLS = {
+  title: "j.title",
+  salary: "j.salary",
+  equity: "j.equity",
+  companyHandle: "j.company_handle",
+  companyName: "c.name",
+  postedAt: "j.posted_at",
+};
+
+/** The statuses a job can move to from each status.
+ *
+ * draft: not yet published; only its company and admins can see it
+ * open: published and taking applications
+ * closed: no longer taking applications; it can be opened again
+ * filled: someone was hired
+ */
+
+const STATUS_TRANSITIONS = {
+  draft: ["open"],
+  open: ["closed", "filled"],
+  closed: ["open", "filled"],
+  filled: [],
+};
+
+/** A job's status (for jobs aliased as j): an open job whose closes_at has
+ * passed counts as closed, so postings expire on their own. */
+
+const STATUS_SQL = `CASE WHEN j.status = 'open' AND j.closes_at <= NOW()
+                      THEN 'closed'
+                      ELSE j.status
+                    END`;
+
+/** Columns listing a job (for jobs aliased as j); all but its
+ * description. */
+
+const LISTING_COLS = `j.id,
+                      j.title,
+                      j.salary,
+                      j.equity,
+                      j.salary_currency AS "salaryCurrency",
+                      j.salary_period AS "salaryPeriod",
+                      j.company_handle AS "companyHandle",
+                      j.city,
+                      j.region,
+                      j.country,
+                      j.remote_policy AS "remotePolicy",
+                      j.employment_type AS "employmentType",
+                      j.seniority,
+                      ${STATUS_SQL} AS status,
+                      j.posted_at AS "postedAt",
+                      j.closes_at AS "closesAt",
+                      ARRAY(SELECT skill
+                            FROM job_skills
+                            WHERE job_id = j.id
+                            ORDER BY skill) AS skills`;
+
+/** Columns returned for a job by create, get, update, restore and
+ * updateStatus (for jobs aliased as j). */
+
+const JOB_COLS = `${LISTING_COLS},
+                  j.description`;
+
+
+/** Related functions for jobs.
+ *
+ * Jobs start as drafts, and are published and closed with updateStatus.
+ */
 
 class Job {
   /** Create a job (from data), update db, return new job data.
    *
-   * data should be { title, salary, equity, companyHandle }
+   * data should be { title, companyHandle } and optionally any of:
+   *   { salary, equity, salaryCurrency, salaryPeriod, description, city,
+   *     region, country, remotePolicy, employmentType, seniority, closesAt,
+   *     skills }
+   *   where
+   *   - salaryCurrency is an ISO 4217 code (default "USD") and salaryPeriod
+   *     what the salary is paid per (default "year")
+   *   - description is markdown
+   *   - country is an ISO 3166 two-letter code
+   *   - remotePolicy is onsite, hybrid or remote
+   *   - employmentType is full_time, part_time, contract, temporary or
+   *     internship
+   *   - seniority is intern, junior, mid, senior, lead or executive
+   *   - closesAt is when the posting expires
+   *   - skills is [name, ...], the skills the job asks for (see Skill)
    *
-   * Returns { id, title, salary, equity, companyHandle }
+   * The job starts as a draft.
    *
+   * Returns { id, title, salary, equity, salaryCurrency, salaryPeriod,
+   *           companyHandle, city, region, country, remotePolicy,
+   *           employmentType, seniority, status, postedAt, closesAt, skills,
+   *           description }
+   *
+   * Throws BadRequestError if no such company or skill.
    * */
 
-  static async create({ title, salary, equity, companyHandle }) {
-    const result = await db.query(
-      `INSERT INTO jobs(
-          title,
-          salary,
-          equity,
-          company_handle)
-           VALUES
-             ($1, $2, $3, $4)
-           RETURNING id, title, salary, equity, company_handle AS "companyHandle"`,
-      [title, salary, equity, companyHandle]
-    );
-    const job = result.rows[0];
+  static async create({
+    title,
+    salary,
+    equity,
+    salaryCurrency = "USD",
+    salaryPeriod = "year",
+    companyHandle,
+    description,
+    city,
+    region,
+    country,
+    remotePolicy,
+    employmentType,
+    seniority,
+    closesAt,
+    skills = [],
+  }, client = db) {
+    return await db.withTransaction(async (client) => {
+      let result;
 
-    return job;
+      try {
+        result = await client.query(
+          `INSERT INTO jobs AS j (
+            title,
+            salary,
+            equity,
+            salary_currency,
+            salary_period,
+            company_handle,
+            description,
+            city,
+            region,
+            country,
+            remote_policy,
+            employment_type,
+            seniority,
+            closes_at)
+             VALUES
+               ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+             RETURNING ${JOB_COLS}`,
+          [
+            title,
+            salary,
+            equity,
+            salaryCurrency,
+            salaryPeriod,
+            companyHandle,
+            description,
+            city,
+            region,
+            country,
+            remotePolicy,
+            employmentType,
+            seniority,
+            closesAt,
+          ]
+        );
+      } catch (err) {
+        throw mapPgError(err);
+      }
+      const job = result.rows[0];
+      job.skills = await Skill.setForJob(job.id, skills, client);
+
+      return job;
+    }, client);
   }
 
   /** Find all jobs. Can be provided optional filtering parameters
-   * (title, minSalary, hasEquity).
+   * (see formatWhereCmds), and paging parameters:
+   * - sort: comma-separated fields (title, salary, equity, companyHandle,
+   *   companyName, postedAt), each optionally prefixed with "-" for
+   *   descending; defaults to "title", or to best match first when searching
+   *   with q
+   * - limit, offset
+   *
+   * q is a full-text search over the title and description, ranking title
+   * matches higher; it takes web search syntax (eg, "engineer -civil").
    *
-   * Returns [{ id, title, salary, equity, company_handle, companyName }, ...]
+   * Returns [{ id, title, salary, equity, salaryCurrency, salaryPeriod,
+   *            companyHandle, companyName, city, region, country,
+   *            remotePolicy, employmentType, seniority, status, postedAt,
+   *            closesAt, skills }, ...]
    * */
-  static async findAll(filters) {
+  static async findAll(filters = {}, paging = {}) {
+    for (const [min, max] of [
+      ["minSalary", "maxSalary"],
+      ["minEquity", "maxEquity"],
+      ["minEmployees", "maxEmployees"],
+    ]) {
+      if (filters[min] > filters[max]) {
+        throw new BadRequestError(`${min} cannot be greater than ${max}`);
+      }
+    }
+
     const { sqlCmd, values } = this.formatWhereCmds(filters);
+    const queryValues = [...(values || [])];
+
+    let orderBy;
+    if (filters.q !== undefined && paging.sort === undefined) {
+      queryValues.push(filters.q);
+      orderBy = `ORDER BY ts_rank(j.search_vector,
+                   websearch_to_tsquery('english', $${queryValues.length})) DESC,
+                 j.title, j.id`;
+    } else {
+      orderBy = sqlForSort(paging.sort, SORTABLE_COLS, "title", "j.id");
+    }
+    const { pagingSql, values: pagingValues } = sqlForPaging(
+      paging,
+      queryValues.length
+    );
 
     const querySql = `
-        SELECT j.id,
-              j.title,
-              j.salary,
-              j.equity,
-              j.company_handle AS "companyHandle",
+        SELECT ${LISTING_COLS},
               c.name AS "companyName"
         FROM jobs AS j
           JOIN companies AS c
           ON c.handle = j.company_handle
-        ${sqlCmd ? sqlCmd : ""}
-        ORDER BY title
+        ${sqlAndWhere(sqlCmd, "j.deleted_at IS NULL", "c.deleted_at IS NULL")}
+        ${orderBy}
+        ${pagingSql}
     `;
-    console.log("querySql", querySql)
-    const jobsRes = await db.query(querySql, values);
+    const jobsRes = await db.query(querySql, [...queryValues, ...pagingValues]);
 
     return jobsRes.rows;
   }
 
+  /** Count the jobs matching filters (as for findAll).
+   *
+   * Returns a number.
+   * */
+
+  static async count(filters = {}) {
+    const { sqlCmd, values } = this.formatWhereCmds(filters);
+
+    const countRes = await db.query(
+      `SELECT COUNT(*)::INTEGER AS "total"
+        FROM jobs AS j
+          JOIN companies AS c
+          ON c.handle = j.company_handle
+        ${sqlAndWhere(sqlCmd, "j.deleted_at IS NULL", "c.deleted_at IS NULL")}`,
+      values || []
+    );
+
+    return countRes.rows[0].total;
+  }
+
   /** Given a job id, return data about job.
    *
-   * Returns { id, title, salary, equity, company_handle, {company} }
+   * Returns { id, title, salary, equity, salaryCurrency, salaryPeriod,
+   *           companyHandle, city, region, country, remotePolicy,
+   *           employmentType, seniority, status, postedAt, closesAt, skills,
+   *           description, numApplicants, {company} }
+   *   where numApplicants counts users who applied, leaving out those only
+   *   interested, those who withdrew and deleted users
    *
    * Throws NotFoundError if not found.
    **/
 
-  static async get(id) {
-    const jobRes = await db.query(
-      `SELECT id,
-                title,
-                salary,
-                equity,
-                company_handle AS "companyHandle"
-        FROM jobs
-        WHERE id = $1`,
+  static async get(id, client = db) {
+    const jobRes = await client.query(
+      `SELECT ${JOB_COLS},
+                (SELECT COUNT(*)::INTEGER
+                 FROM applications AS a
+                   JOIN users AS u ON u.username = a.username
+                 WHERE a.job_id = j.id
+                   AND a.status NOT IN ('interested', 'withdrawn')
+                   AND u.deleted_at IS NULL)
+                  AS "numApplicants"
+        FROM jobs AS j
+        WHERE j.id = $1
+          AND j.deleted_at IS NULL
+          AND j.company_handle IN (SELECT handle
+                                   FROM companies
+                                   WHERE deleted_at IS NULL)`,
       [id]
     );
 
@@ -83,7 +294,7 @@ class Job {
 
     const handle = job.companyHandle;
 
-    const companyRes = await db.query(
+    const companyRes = await client.query(
       `SELECT name,
               num_employees AS "numEmployees",
               description,
@@ -103,39 +314,69 @@ class Job {
    * This is a "partial update" --- it's fine if data doesn't contain all the
    * fields; this only changes provided ones.
    *
-   * Data can include: {title, salary, equity }
+   * Data can include: { title, salary, equity, salaryCurrency, salaryPeriod,
+   *   description, city, region, country, remotePolicy, employmentType,
+   *   seniority, closesAt, skills } (see create)
+   *   where closesAt may be null, for a posting that doesn't expire, and
+   *   skills replaces the job's skills
    *
-   * Returns {id, title, salary, equity }
+   * Returns the job, as for create
    *
-   * Throws NotFoundError if not found.
+   * Throws NotFoundError if not found, BadRequestError if no such skill.
    */
 
-  static async update(id, data) {
-    const { setCols, values } = sqlForPartialUpdate(data, {});
-    const idVarIdx = "$" + (values.length + 1);
-    const querySql = `
-      UPDATE jobs
-      SET ${setCols}
-        WHERE id = ${idVarIdx}
-        RETURNING id, title, salary, equity`;
-    const result = await db.query(querySql, [...values, id]);
-    const job = result.rows[0];
+  static async update(id, { skills, ...data }, client = db) {
+    return await db.withTransaction(async (client) => {
+      let result;
+      if (skills === undefined || Object.keys(data).length > 0) {
+        const { setCols, values } = sqlForPartialUpdate(data, {
+          salaryCurrency: "salary_currency",
+          salaryPeriod: "salary_period",
+          remotePolicy: "remote_policy",
+          employmentType: "employment_type",
+          closesAt: "closes_at",
+        });
+        const idVarIdx = "$" + (values.length + 1);
+        const querySql = `
+          UPDATE jobs AS j
+          SET ${setCols}
+            WHERE id = ${idVarIdx} AND deleted_at IS NULL
+            RETURNING ${JOB_COLS}`;
+        result = await client.query(querySql, [...values, id]);
+      } else {
+        result = await client.query(
+          `SELECT ${JOB_COLS}
+          FROM jobs AS j
+          WHERE id = $1 AND deleted_at IS NULL
+          FOR UPDATE`,
+          [id]
+        );
+      }
+      const job = result.rows[0];
 
-    if (!job) throw new NotFoundError(`No job found at id: ${id}`);
+      if (!job) throw new NotFoundError(`No job found at id: ${id}`);
 
-    return job;
+      if (skills !== undefined) {
+        job.skills = await Skill.setForJob(id, skills, client);
+      }
+
+      return job;
+    }, client);
   }
 
-  /** Delete given job from database; returns undefined.
+  /** Delete given job; returns undefined.
+   *
+   * The job is only marked deleted, hiding it; it can be brought back with
+   * restore until purged (see purge.js).
    *
    * Throws NotFoundError if job not found.
    **/
 
-  static async remove(id) {
-    const result = await db.query(
-      `DELETE
-           FROM jobs
-           WHERE id = $1
+  static async remove(id, client = db) {
+    const result = await client.query(
+      `UPDATE jobs
+           SET deleted_at = NOW()
+           WHERE id = $1 AND deleted_at IS NULL
            RETURNING id`,
       [id]
     );
@@ -144,16 +385,111 @@ class Job {
     if (!job) throw new NotFoundError(`No job found at id: ${id}`);
   }
 
+  /** Bring back a deleted job. It stays hidden while its company is
+   * deleted.
+   *
+   * Returns the job, as for create
+   *
+   * Throws NotFoundError if there is no deleted job with id.
+   **/
+
+  static async restore(id, client = db) {
+    const result = await client.query(
+      `UPDATE jobs AS j
+      SET deleted_at = NULL
+      WHERE id = $1 AND deleted_at IS NOT NULL
+      RETURNING ${JOB_COLS}`,
+      [id]
+    );
+    const job = result.rows[0];
+
+    if (!job) throw new NotFoundError(`No deleted job at id: ${id}`);
+
+    return job;
+  }
+
+  /** Move a job to a new status, eg, to publish it ("open") or close it
+   * ("closed" or "filled").
+   *
+   * The move must be listed in STATUS_TRANSITIONS for the job's current
+   * status. Opening a job sets its postedAt, the first time; a job can't be
+   * opened once its closesAt has passed.
+   *
+   * Returns the job, as for create
+   *
+   * Throws NotFoundError if not found, BadRequestError if the move is not
+   * allowed.
+   **/
+
+  static async updateStatus(id, status, client = db) {
+    return await db.withTransaction(async (client) => {
+      const currentRes = await client.query(
+        `SELECT ${STATUS_SQL} AS status,
+                j.closes_at <= NOW() AS "isPastClosing"
+        FROM jobs AS j
+        WHERE j.id = $1 AND j.deleted_at IS NULL
+        FOR UPDATE`,
+        [id]
+      );
+
+      const current = currentRes.rows[0];
+
+      if (!current) throw new NotFoundError(`No job found at id: ${id}`);
+
+      if (!this.canTransition(current.status, status)) {
+        throw new BadRequestError(
+          `Cannot change job status from ${current.status} to ${status}`
+        );
+      }
+      if (status === "open" && current.isPastClosing) {
+        throw new BadRequestError("Cannot open a job after its closesAt");
+      }
+
+      const result = await client.query(
+        `UPDATE jobs AS j
+        SET status = $2,
+            posted_at = CASE WHEN $2 = 'open'
+                          THEN COALESCE(posted_at, NOW())
+                          ELSE posted_at
+                        END
+        WHERE id = $1
+        RETURNING ${JOB_COLS}`,
+        [id, status]
+      );
+
+      return result.rows[0];
+    }, client);
+  }
+
+  /** Returns true if a job may move from status `from` to `to`. */
+
+  static canTransition(from, to) {
+    const allowed = STATUS_TRANSITIONS[from];
+    return allowed !== undefined && allowed.includes(to);
+  }
+
   /** Given an object with optional filters as keys:
-   *    title, minSalary, hasEquity
+   *    title, minSalary, maxSalary, salaryCurrency, salaryPeriod, q,
+   *    hasEquity, minEquity, maxEquity, companyHandle, location, country,
+   *    remotePolicy, employmentType, seniority, skills, skillsMatch, status,
+   *    minEmployees, maxEmployees
+   *
+   *  - location matches part of the city or region
+   *  - skills is one or more skill names (see Skill.normalize); jobs asking
+   *    for any of them match, or for all of them if skillsMatch is "all"
+   *  - companyHandle, country, remotePolicy, employmentType, seniority and
+   *    status may each be one value or an array of them (see STATUS_SQL)
+   *  - minEmployees, maxEmployees filter on the size of the job's company
+   *  - hasEquity: false is the same as leaving it out
    *
    *  Returns an object with keys:
    *    sqlCmd: str with parameterized sql query
    *    values: arr with values of filters passed in
    *
-   *  - ex: {title: 'j', minSalary: 1, hasEquity: true} => {
-   *    sqlCmd: "title ILIKE $1 AND salary >= $2, AND equity > $3"
-   *    values: ['%j%', 1, 0]
+   *  - ex: {title: 'j', minSalary: 0, companyHandle: ['c1', 'c2']} => {
+   *    sqlCmd: "WHERE j.title ILIKE $1 AND j.salary >= $2
+   *             AND j.company_handle = ANY($3)"
+   *    values: ['%j%', 0, ['c1', 'c2']]
    *    }
    * */
 
@@ -167,18 +503,96 @@ class Job {
     const conditions = [];
     const values = [];
 
-    if (filters.title) {
-      conditions.push(`title ILIKE $${conditions.length + 1}`);
+    if (filters.title !== undefined) {
+      conditions.push(`j.title ILIKE $${conditions.length + 1}`);
       values.push(`%${filters.title}%`);
     }
-    if (filters.minSalary) {
-      conditions.push(`salary >= $${conditions.length + 1}`);
+    if (filters.minSalary !== undefined) {
+      conditions.push(`j.salary >= $${conditions.length + 1}`);
       values.push(filters.minSalary);
     }
+    if (filters.maxSalary !== undefined) {
+      conditions.push(`j.salary <= $${conditions.length + 1}`);
+      values.push(filters.maxSalary);
+    }
+    if (filters.salaryCurrency !== undefined) {
+      conditions.push(`j.salary_currency = $${conditions.length + 1}`);
+      values.push(filters.salaryCurrency);
+    }
+    if (filters.salaryPeriod !== undefined) {
+      conditions.push(`j.salary_period = $${conditions.length + 1}`);
+      values.push(filters.salaryPeriod);
+    }
+    if (filters.q !== undefined) {
+      conditions.push(
+        `j.search_vector @@ websearch_to_tsquery('english', $${
+          conditions.length + 1
+        })`
+      );
+      values.push(filters.q);
+    }
     if (filters.hasEquity) {
-      conditions.push(`equity > $${conditions.length + 1}`);
+      conditions.push(`j.equity > $${conditions.length + 1}`);
       values.push(0);
     }
+    if (filters.minEquity !== undefined) {
+      conditions.push(`j.equity >= $${conditions.length + 1}`);
+      values.push(filters.minEquity);
+    }
+    if (filters.maxEquity !== undefined) {
+      conditions.push(`j.equity <= $${conditions.length + 1}`);
+      values.push(filters.maxEquity);
+    }
+    if (filters.companyHandle !== undefined) {
+      conditions.push(`j.company_handle = ANY($${conditions.length + 1})`);
+      values.push([].concat(filters.companyHandle));
+    }
+    if (filters.location !== undefined) {
+      const idx = conditions.length + 1;
+      conditions.push(`(j.city ILIKE $${idx} OR j.region ILIKE $${idx})`);
+      values.push(`%${filters.location}%`);
+    }
+    for (const [filter, col] of [
+      ["country", "j.country"],
+      ["remotePolicy", "j.remote_policy"],
+      ["employmentType", "j.employment_type"],
+      ["seniority", "j.seniority"],
+    ]) {
+      if (filters[filter] === undefined) continue;
+      conditions.push(`${col} = ANY($${conditions.length + 1})`);
+      values.push([].concat(filters[filter]));
+    }
+    if (filters.skills !== undefined) {
+      const skills = Skill.normalize(filters.skills);
+      if (skills.length === 0) {
+        throw new BadRequestError("skills must name at least one skill");
+      }
+      const op = filters.skillsMatch === "all" ? "@>" : "&&";
+      conditions.push(
+        `ARRAY(SELECT skill FROM job_skills WHERE job_id = j.id) ${op} ` +
+          `$${conditions.length + 1}::VARCHAR[]`
+      );
+      values.push(skills);
+    }
+    if (filters.status !== undefined) {
+      conditions.push(`${STATUS_SQL} = ANY($${conditions.length + 1})`);
+      values.push([].concat(filters.status));
+    }
+    if (filters.minEmployees !== undefined) {
+      conditions.push(`c.num_employees >= $${conditions.length + 1}`);
+      values.push(filters.minEmployees);
+    }
+    if (filters.maxEmployees !== undefined) {
+      conditions.push(`c.num_employees <= $${conditions.length + 1}`);
+      values.push(filters.maxEmployees);
+    }
+
+    if (conditions.length === 0) {
+      return {
+        sqlCmd: null,
+        values: null,
+      };
+    }
 
     const sqlCmd = "WHERE " + conditions.join(" AND ");
 
@@ -189,4 +603,9 @@ class Job {
   }
 }
 
+Job.STATUSES = Object.keys(STATUS_TRANSITIONS);
+Job.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+Job.STATUS_SQL = STATUS_SQL;
+Job.LISTING_COLS = LISTING_COLS;
+
 module.exports = Job;
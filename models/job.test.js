@@ -29,8 +29,23 @@ describe("create job", function () {
 
   test("works", async function () {
     let job = await Job.create(newJob);
-    newJob.id = job.id;
-    expect(job).toEqual(newJob);
+    expect(job).toEqual({
+      ...newJob,
+      id: job.id,
+      status: "draft",
+      postedAt: null,
+      closesAt: null,
+      salaryCurrency: "USD",
+      salaryPeriod: "year",
+      city: null,
+      region: null,
+      country: null,
+      remotePolicy: null,
+      employmentType: null,
+      seniority: null,
+      skills: [],
+      description: null,
+    });
 
     const result = await db.query(
       `SELECT id, title, salary, equity, company_handle
@@ -48,6 +63,65 @@ describe("create job", function () {
       },
     ]);
   });
+
+  test("works: with closesAt", async function () {
+    const job = await Job.create({
+      ...newJob,
+      closesAt: "2099-01-01T00:00:00Z",
+    });
+    expect(job.closesAt).toEqual(new Date("2099-01-01T00:00:00Z"));
+  });
+
+  test("works: with details", async function () {
+    const details = {
+      salaryCurrency: "EUR",
+      salaryPeriod: "month",
+      description: "# About\n\nBuild *things*.",
+      city: "Berlin",
+      region: "Berlin",
+      country: "DE",
+      remotePolicy: "hybrid",
+      employmentType: "full_time",
+      seniority: "senior",
+    };
+    const job = await Job.create({ ...newJob, ...details });
+    expect(job).toEqual(expect.objectContaining(details));
+  });
+
+  test("bad request with invalid details", async function () {
+    try {
+      await Job.create({ ...newJob, remotePolicy: "sometimes" });
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("works: with skills", async function () {
+    const job = await Job.create({ ...newJob, skills: ["React", "node"] });
+    expect(job.skills).toEqual(["node", "react"]);
+    expect((await Job.get(job.id)).skills).toEqual(["node", "react"]);
+  });
+
+  test("bad request if no such skill, creating nothing", async function () {
+    try {
+      await Job.create({ ...newJob, title: "j4", skills: ["cobol"] });
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+    const found = await db.query("SELECT id FROM jobs WHERE title = 'j4'");
+    expect(found.rows).toEqual([]);
+  });
+
+  test("bad request if no such company", async function () {
+    try {
+      await Job.create({ title: "j", companyHandle: "nope" });
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
 });
 
 /************************************** findAll */
@@ -63,7 +137,19 @@ describe("findAll", function () {
         salary: 100000,
         equity: "0.003",
         companyHandle: "c1",
-        companyName: "C1"
+        companyName: "C1",
+        status: "open",
+        postedAt: expect.any(Date),
+        closesAt: null,
+        salaryCurrency: "USD",
+        salaryPeriod: "year",
+        city: null,
+        region: null,
+        country: null,
+        remotePolicy: null,
+        employmentType: null,
+        seniority: null,
+        skills: [],
       },
       {
         id: j2Id,
@@ -71,7 +157,19 @@ describe("findAll", function () {
         salary: 200000,
         equity: "0.004",
         companyHandle: "c2",
-        companyName: "C2"
+        companyName: "C2",
+        status: "open",
+        postedAt: expect.any(Date),
+        closesAt: null,
+        salaryCurrency: "USD",
+        salaryPeriod: "year",
+        city: null,
+        region: null,
+        country: null,
+        remotePolicy: null,
+        employmentType: null,
+        seniority: null,
+        skills: [],
       },
     ]);
   });
@@ -91,7 +189,19 @@ describe("findAll", function () {
         salary: 100000,
         equity: "0.003",
         companyHandle: "c1",
-        companyName: "C1"
+        companyName: "C1",
+        status: "open",
+        postedAt: expect.any(Date),
+        closesAt: null,
+        salaryCurrency: "USD",
+        salaryPeriod: "year",
+        city: null,
+        region: null,
+        country: null,
+        remotePolicy: null,
+        employmentType: null,
+        seniority: null,
+        skills: [],
       },
     ]);
   });
@@ -109,7 +219,19 @@ describe("findAll", function () {
         salary: 200000,
         equity: "0.004",
         companyHandle: "c2",
-        companyName: "C2"
+        companyName: "C2",
+        status: "open",
+        postedAt: expect.any(Date),
+        closesAt: null,
+        salaryCurrency: "USD",
+        salaryPeriod: "year",
+        city: null,
+        region: null,
+        country: null,
+        remotePolicy: null,
+        employmentType: null,
+        seniority: null,
+        skills: [],
       },
     ]);
   });
@@ -125,7 +247,19 @@ describe("findAll", function () {
         salary: 100000,
         equity: "0.003",
         companyHandle: "c1",
-        companyName: "C1"
+        companyName: "C1",
+        status: "open",
+        postedAt: expect.any(Date),
+        closesAt: null,
+        salaryCurrency: "USD",
+        salaryPeriod: "year",
+        city: null,
+        region: null,
+        country: null,
+        remotePolicy: null,
+        employmentType: null,
+        seniority: null,
+        skills: [],
       },
       {
         id: j2Id,
@@ -133,10 +267,180 @@ describe("findAll", function () {
         salary: 200000,
         equity: "0.004",
         companyHandle: "c2",
-        companyName: "C2"
+        companyName: "C2",
+        status: "open",
+        postedAt: expect.any(Date),
+        closesAt: null,
+        salaryCurrency: "USD",
+        salaryPeriod: "year",
+        city: null,
+        region: null,
+        country: null,
+        remotePolicy: null,
+        employmentType: null,
+        seniority: null,
+        skills: [],
       },
     ]);
   });
+
+  test("works: sort and paging", async function () {
+    const { j1Id, j2Id } = testJobIds;
+    let jobs = await Job.findAll({}, { sort: "-salary" });
+    expect(jobs.map((j) => j.id)).toEqual([j2Id, j1Id]);
+
+    jobs = await Job.findAll({}, { sort: "companyName", limit: 1, offset: 1 });
+    expect(jobs.map((j) => j.id)).toEqual([j2Id]);
+  });
+
+  test("works: minSalary of 0 is applied", async function () {
+    const { j1Id, j2Id } = testJobIds;
+    await db.query(`UPDATE jobs SET salary = NULL WHERE id = $1`, [j1Id]);
+
+    const jobs = await Job.findAll({ minSalary: 0 });
+    expect(jobs.map((j) => j.id)).toEqual([j2Id]);
+  });
+
+  test("works: salary and equity ranges", async function () {
+    const { j1Id, j2Id } = testJobIds;
+
+    let jobs = await Job.findAll({ minSalary: 50000, maxSalary: 150000 });
+    expect(jobs.map((j) => j.id)).toEqual([j1Id]);
+
+    jobs = await Job.findAll({ minEquity: 0.0035, maxEquity: 0.01 });
+    expect(jobs.map((j) => j.id)).toEqual([j2Id]);
+  });
+
+  test("works: company filters", async function () {
+    const { j1Id, j2Id } = testJobIds;
+
+    let jobs = await Job.findAll({ companyHandle: "c2" });
+    expect(jobs.map((j) => j.id)).toEqual([j2Id]);
+
+    jobs = await Job.findAll({ companyHandle: ["c1", "c2", "c3"] });
+    expect(jobs.map((j) => j.id)).toEqual([j1Id, j2Id]);
+
+    jobs = await Job.findAll({ minEmployees: 2, maxEmployees: 3 });
+    expect(jobs.map((j) => j.id)).toEqual([j2Id]);
+  });
+
+  test("bad request with min greater than max", async function () {
+    try {
+      await Job.findAll({ minEquity: 0.5, maxEquity: 0.1 });
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("works: status filter, with expired jobs closed", async function () {
+    const { j1Id, j2Id } = testJobIds;
+    await db.query(
+      `UPDATE jobs SET closes_at = NOW() - INTERVAL '1 day' WHERE id = $1`,
+      [j2Id]);
+
+    let jobs = await Job.findAll({ status: "open" });
+    expect(jobs.map((j) => j.id)).toEqual([j1Id]);
+
+    jobs = await Job.findAll({ status: ["closed", "filled"] });
+    expect(jobs.map((j) => [j.id, j.status])).toEqual([[j2Id, "closed"]]);
+    expect(await Job.count({ status: "closed" })).toEqual(1);
+  });
+
+  test("works: full-text search, best match first", async function () {
+    const { j1Id, j2Id } = testJobIds;
+    await db.query(
+      `UPDATE jobs SET title = 'Data Engineer' WHERE id = $1`, [j1Id]);
+    await db.query(
+      `UPDATE jobs SET title = 'Data Data Analyst' WHERE id = $1`, [j2Id]);
+
+    let jobs = await Job.findAll({ q: "data" });
+    expect(jobs.map((j) => j.id)).toEqual([j2Id, j1Id]);
+
+    jobs = await Job.findAll({ q: "engineer" });
+    expect(jobs.map((j) => j.id)).toEqual([j1Id]);
+  });
+
+  test("works: full-text search of descriptions, below titles",
+      async function () {
+    const { j1Id, j2Id } = testJobIds;
+    await db.query(
+      `UPDATE jobs SET description = 'Work with **kubernetes**' WHERE id = $1`,
+      [j1Id]);
+    await db.query(
+      `UPDATE jobs SET title = 'Kubernetes Admin' WHERE id = $1`, [j2Id]);
+
+    const jobs = await Job.findAll({ q: "kubernetes" });
+    expect(jobs.map((j) => j.id)).toEqual([j2Id, j1Id]);
+    expect(jobs[0].description).toBeUndefined();
+  });
+
+  test("works: skills, matching any or all", async function () {
+    const { j1Id, j2Id } = testJobIds;
+    await Job.update(j1Id, { skills: ["node", "postgres"] });
+    await Job.update(j2Id, { skills: ["node", "react"] });
+
+    let jobs = await Job.findAll({ skills: "postgres,react" });
+    expect(jobs.map((j) => [j.id, j.skills])).toEqual([
+      [j1Id, ["node", "postgres"]],
+      [j2Id, ["node", "react"]],
+    ]);
+
+    jobs = await Job.findAll({
+      skills: ["Node", "postgres"],
+      skillsMatch: "all",
+    });
+    expect(jobs.map((j) => j.id)).toEqual([j1Id]);
+
+    jobs = await Job.findAll({ skills: "react", skillsMatch: "any" });
+    expect(jobs.map((j) => j.id)).toEqual([j2Id]);
+    expect(await Job.count({ skills: "node", skillsMatch: "all" })).toEqual(2);
+  });
+
+  test("works: location and detail filters", async function () {
+    const { j1Id, j2Id } = testJobIds;
+    await Job.update(j1Id, {
+      city: "Oakland",
+      region: "California",
+      country: "US",
+      remotePolicy: "hybrid",
+      employmentType: "full_time",
+      seniority: "mid",
+    });
+    await Job.update(j2Id, {
+      city: "Toronto",
+      region: "Ontario",
+      country: "CA",
+      remotePolicy: "remote",
+      employmentType: "contract",
+      seniority: "senior",
+      salaryCurrency: "CAD",
+      salaryPeriod: "hour",
+    });
+
+    const filtered = async (filters) =>
+      (await Job.findAll(filters)).map((j) => j.id);
+
+    expect(await filtered({ location: "oak" })).toEqual([j1Id]);
+    expect(await filtered({ location: "ontario" })).toEqual([j2Id]);
+    expect(await filtered({ country: ["US", "CA"] })).toEqual([j1Id, j2Id]);
+    expect(await filtered({ remotePolicy: "remote" })).toEqual([j2Id]);
+    expect(await filtered({ employmentType: ["full_time"] })).toEqual([j1Id]);
+    expect(await filtered({ seniority: ["mid", "lead"] })).toEqual([j1Id]);
+    expect(await filtered({ salaryCurrency: "CAD" })).toEqual([j2Id]);
+    expect(await filtered({ salaryPeriod: "year" })).toEqual([j1Id]);
+    expect(await Job.count({ country: "CA", seniority: "senior" })).toEqual(1);
+  });
+});
+
+/************************************** count */
+
+describe("count", function () {
+  test("works", async function () {
+    expect(await Job.count({})).toEqual(2);
+    expect(await Job.count({ minSalary: 150000 })).toEqual(1);
+    expect(await Job.count({ q: "j2" })).toEqual(1);
+  });
 });
 
 /************************************** get */
@@ -151,6 +455,20 @@ describe("get", function () {
       salary: 100000,
       equity: "0.003",
       companyHandle: "c1",
+      status: "open",
+      postedAt: expect.any(Date),
+      closesAt: null,
+      salaryCurrency: "USD",
+      salaryPeriod: "year",
+      city: null,
+      region: null,
+      country: null,
+      remotePolicy: null,
+      employmentType: null,
+      seniority: null,
+      skills: [],
+      description: null,
+      numApplicants: 1,
       company: {
         name: "C1",
         numEmployees: 1,
@@ -160,6 +478,26 @@ describe("get", function () {
     });
   });
 
+  test("works: numApplicants leaves out interested and withdrawn",
+      async function () {
+    const { j1Id } = testJobIds;
+    await db.query(`
+        INSERT INTO applications (username, job_id, status)
+        VALUES ('u1', $1, 'interested')`, [j1Id]);
+    await db.query(`
+        UPDATE applications SET status = 'withdrawn'
+        WHERE username = 'u2' AND job_id = $1`, [j1Id]);
+    const job = await Job.get(j1Id);
+    expect(job.numApplicants).toEqual(0);
+  });
+
+  test("works: numApplicants leaves out deleted users", async function () {
+    const { j1Id } = testJobIds;
+    await db.query("UPDATE users SET deleted_at = NOW() WHERE username = 'u2'");
+    const job = await Job.get(j1Id);
+    expect(job.numApplicants).toEqual(0);
+  });
+
   test("not found if no such job", async function () {
     try {
       await Job.get(0);
@@ -184,6 +522,20 @@ describe("update", function () {
     let job = await Job.update(j1Id, updateData);
     expect(job).toEqual({
       id: j1Id,
+      companyHandle: "c1",
+      status: "open",
+      postedAt: expect.any(Date),
+      closesAt: null,
+      salaryCurrency: "USD",
+      salaryPeriod: "year",
+      city: null,
+      region: null,
+      country: null,
+      remotePolicy: null,
+      employmentType: null,
+      seniority: null,
+      skills: [],
+      description: null,
       ...updateData,
     });
 
@@ -216,6 +568,20 @@ describe("update", function () {
     let job = await Job.update(j1Id, updateDataSetNulls);
     expect(job).toEqual({
       id: j1Id,
+      companyHandle: "c1",
+      status: "open",
+      postedAt: expect.any(Date),
+      closesAt: null,
+      salaryCurrency: "USD",
+      salaryPeriod: "year",
+      city: null,
+      region: null,
+      country: null,
+      remotePolicy: null,
+      employmentType: null,
+      seniority: null,
+      skills: [],
+      description: null,
       ...updateDataSetNulls,
     });
 
@@ -235,6 +601,66 @@ describe("update", function () {
     ]);
   });
 
+  test("works: only skills", async function () {
+    const { j1Id } = testJobIds;
+    let job = await Job.update(j1Id, { skills: ["postgres", "node"] });
+    expect(job.title).toEqual("j1");
+    expect(job.skills).toEqual(["node", "postgres"]);
+
+    job = await Job.update(j1Id, { title: "j1-new", skills: [] });
+    expect(job.title).toEqual("j1-new");
+    expect(job.skills).toEqual([]);
+  });
+
+  test("bad request if no such skill, changing nothing", async function () {
+    const { j1Id } = testJobIds;
+    try {
+      await Job.update(j1Id, { title: "j1-new", skills: ["cobol"] });
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+    expect((await Job.get(j1Id)).title).toEqual("j1");
+  });
+
+  test("not found if no such job, with only skills", async function () {
+    try {
+      await Job.update(0, { skills: ["node"] });
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("works: setting and clearing details", async function () {
+    const { j1Id } = testJobIds;
+    let job = await Job.update(j1Id, {
+      description: "Remote-first team",
+      remotePolicy: "remote",
+      salaryCurrency: "GBP",
+    });
+    expect(job).toEqual(expect.objectContaining({
+      description: "Remote-first team",
+      remotePolicy: "remote",
+      salaryCurrency: "GBP",
+    }));
+
+    job = await Job.update(j1Id, { description: null, remotePolicy: null });
+    expect(job.description).toBeNull();
+    expect(job.remotePolicy).toBeNull();
+    expect(job.salaryCurrency).toEqual("GBP");
+  });
+
+  test("works: closesAt in the past closes the job", async function () {
+    const { j1Id } = testJobIds;
+    const job = await Job.update(j1Id, { closesAt: "2000-01-01T00:00:00Z" });
+    expect(job.status).toEqual("closed");
+    expect(job.closesAt).toEqual(new Date("2000-01-01T00:00:00Z"));
+
+    const reopened = await Job.update(j1Id, { closesAt: null });
+    expect(reopened.status).toEqual("open");
+  });
+
   test("not found if no such job", async function () {
     try {
       await Job.update(0, updateData);
@@ -258,13 +684,28 @@ describe("update", function () {
 /************************************** remove */
 
 describe("remove", function () {
-  test("works", async function () {
+  test("works: marks the job deleted", async function () {
     const { j1Id } = testJobIds;
     await Job.remove(j1Id);
-    const res = await db.query(`SELECT id, title FROM jobs WHERE id= $1`, [
+    const res = await db.query(`SELECT deleted_at FROM jobs WHERE id= $1`, [
       j1Id,
     ]);
-    expect(res.rows.length).toEqual(0);
+    expect(res.rows).toEqual([{ deleted_at: expect.any(Date) }]);
+  });
+
+  test("hides the job", async function () {
+    const { j1Id } = testJobIds;
+    await Job.remove(j1Id);
+
+    const jobs = await Job.findAll();
+    expect(jobs.map((j) => j.title)).toEqual(["j2"]);
+    expect(await Job.count()).toEqual(1);
+    try {
+      await Job.get(j1Id);
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
   });
 
   test("not found if no such job", async function () {
@@ -277,6 +718,125 @@ describe("remove", function () {
   });
 });
 
+/************************************** restore */
+
+describe("restore", function () {
+  test("works", async function () {
+    const { j1Id } = testJobIds;
+    await Job.remove(j1Id);
+    const job = await Job.restore(j1Id);
+    expect(job).toEqual({
+      id: j1Id,
+      title: "j1",
+      salary: 100000,
+      equity: "0.003",
+      companyHandle: "c1",
+      status: "open",
+      postedAt: expect.any(Date),
+      closesAt: null,
+      salaryCurrency: "USD",
+      salaryPeriod: "year",
+      city: null,
+      region: null,
+      country: null,
+      remotePolicy: null,
+      employmentType: null,
+      seniority: null,
+      skills: [],
+      description: null,
+    });
+    expect((await Job.get(j1Id)).title).toEqual("j1");
+  });
+
+  test("not found if not deleted", async function () {
+    try {
+      await Job.restore(testJobIds.j1Id);
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** updateStatus */
+
+describe("updateStatus", function () {
+  test("works: publishing a draft sets postedAt", async function () {
+    const draft = await Job.create({ title: "j3", companyHandle: "c3" });
+    const job = await Job.updateStatus(draft.id, "open");
+    expect(job).toEqual({
+      ...draft,
+      status: "open",
+      postedAt: expect.any(Date),
+    });
+  });
+
+  test("works: reopening keeps the first postedAt", async function () {
+    const { j1Id } = testJobIds;
+    const { postedAt } = await Job.get(j1Id);
+    await Job.updateStatus(j1Id, "closed");
+    const job = await Job.updateStatus(j1Id, "open");
+    expect(job.postedAt).toEqual(postedAt);
+  });
+
+  test("works: closing and filling", async function () {
+    const { j1Id, j2Id } = testJobIds;
+    expect((await Job.updateStatus(j1Id, "closed")).status).toEqual("closed");
+    expect((await Job.updateStatus(j2Id, "filled")).status).toEqual("filled");
+  });
+
+  test("works: an expired job can be filled", async function () {
+    const { j1Id } = testJobIds;
+    await Job.update(j1Id, { closesAt: "2000-01-01T00:00:00Z" });
+    expect((await Job.updateStatus(j1Id, "filled")).status).toEqual("filled");
+  });
+
+  test("bad request for a move not allowed", async function () {
+    const { j1Id } = testJobIds;
+    await Job.updateStatus(j1Id, "filled");
+    try {
+      await Job.updateStatus(j1Id, "open");
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+      expect(err.message).toEqual("Cannot change job status from filled to open");
+    }
+  });
+
+  test("bad request reopening an expired job", async function () {
+    const { j1Id } = testJobIds;
+    await Job.update(j1Id, { closesAt: "2000-01-01T00:00:00Z" });
+    try {
+      await Job.updateStatus(j1Id, "open");
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+      expect(err.message).toEqual("Cannot open a job after its closesAt");
+    }
+  });
+
+  test("not found if no such job", async function () {
+    try {
+      await Job.updateStatus(0, "open");
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** canTransition */
+
+describe("canTransition", function () {
+  test("works", function () {
+    expect(Job.canTransition("draft", "open")).toEqual(true);
+    expect(Job.canTransition("closed", "open")).toEqual(true);
+    expect(Job.canTransition("draft", "closed")).toEqual(false);
+    expect(Job.canTransition("filled", "open")).toEqual(false);
+    expect(Job.canTransition("nope", "open")).toEqual(false);
+  });
+});
+
 /************************************** filters */
 
 describe("formatWhereCmds - jobs", function () {
@@ -288,7 +848,7 @@ describe("formatWhereCmds - jobs", function () {
     });
 
     expect(results).toEqual({
-      sqlCmd: "WHERE title ILIKE $1 AND salary >= $2 AND equity > $3",
+      sqlCmd: "WHERE j.title ILIKE $1 AND j.salary >= $2 AND j.equity > $3",
       values: ["%test%", 1, 0],
     });
   });
@@ -301,7 +861,7 @@ describe("formatWhereCmds - jobs", function () {
     });
 
     expect(results).toEqual({
-      sqlCmd: "WHERE title ILIKE $1 AND salary >= $2",
+      sqlCmd: "WHERE j.title ILIKE $1 AND j.salary >= $2",
       values: ["%test%", 1],
     });
   });
@@ -312,11 +872,91 @@ describe("formatWhereCmds - jobs", function () {
     });
 
     expect(results).toEqual({
-      sqlCmd: "WHERE salary >= $1",
+      sqlCmd: "WHERE j.salary >= $1",
       values: [1],
     });
   });
 
+  test("works: full-text search", function () {
+    const results = Job.formatWhereCmds({ q: "data", minSalary: 1 });
+
+    expect(results).toEqual({
+      sqlCmd:
+        "WHERE j.salary >= $1 AND " +
+        "j.search_vector @@ websearch_to_tsquery('english', $2)",
+      values: [1, "data"],
+    });
+  });
+
+  test("works: ranges, companies and company size", function () {
+    const results = Job.formatWhereCmds({
+      minSalary: 0,
+      maxSalary: 5,
+      minEquity: 0,
+      maxEquity: 0.5,
+      companyHandle: ["c1", "c2"],
+      minEmployees: 1,
+      maxEmployees: 10,
+    });
+
+    expect(results).toEqual({
+      sqlCmd:
+        "WHERE j.salary >= $1 AND j.salary <= $2 AND j.equity >= $3 AND " +
+        "j.equity <= $4 AND j.company_handle = ANY($5) AND " +
+        "c.num_employees >= $6 AND c.num_employees <= $7",
+      values: [0, 5, 0, 0.5, ["c1", "c2"], 1, 10],
+    });
+  });
+
+  test("works: location and details", function () {
+    const results = Job.formatWhereCmds({
+      salaryCurrency: "EUR",
+      salaryPeriod: "year",
+      location: "berlin",
+      country: "DE",
+      remotePolicy: ["remote", "hybrid"],
+      employmentType: "contract",
+      seniority: "lead",
+    });
+
+    expect(results).toEqual({
+      sqlCmd:
+        "WHERE j.salary_currency = $1 AND j.salary_period = $2 AND " +
+        "(j.city ILIKE $3 OR j.region ILIKE $3) AND j.country = ANY($4) AND " +
+        "j.remote_policy = ANY($5) AND j.employment_type = ANY($6) AND " +
+        "j.seniority = ANY($7)",
+      values: [
+        "EUR", "year", "%berlin%", ["DE"], ["remote", "hybrid"], ["contract"],
+        ["lead"],
+      ],
+    });
+  });
+
+  test("works: skills", function () {
+    expect(Job.formatWhereCmds({ skills: "Node,postgres" })).toEqual({
+      sqlCmd:
+        "WHERE ARRAY(SELECT skill FROM job_skills WHERE job_id = j.id) && " +
+        "$1::VARCHAR[]",
+      values: [["node", "postgres"]],
+    });
+
+    expect(
+      Job.formatWhereCmds({ skills: ["node"], skillsMatch: "all" }).sqlCmd
+    ).toEqual(
+      "WHERE ARRAY(SELECT skill FROM job_skills WHERE job_id = j.id) @> " +
+        "$1::VARCHAR[]"
+    );
+  });
+
+  test("works: single companyHandle", function () {
+    const results = Job.formatWhereCmds({ companyHandle: "c1" });
+
+    expect(results).toEqual({
+      sqlCmd: "WHERE j.company_handle = ANY($1)",
+      values: [["c1"]],
+    });
+  });
+
   test("returns empty array for values and empty string for sqlCmds", function () {
     const results = Job.formatWhereCmds({});
 
@@ -0,0 +1,127 @@
+"use strict";
+
+const db = require("../db");
+const { TooManyRequestsError } = require("../expressError");
+const {
+  LOGIN_MAX_FAILURES_PER_USERNAME,
+  LOGIN_MAX_FAILURES_PER_IP,
+  LOGIN_LOCKOUT_BASE_SECONDS,
+  LOGIN_LOCKOUT_MAX_SECONDS,
+  LOGIN_FAILURE_WINDOW_MINUTES,
+} = require("../config");
+
+/** Related functions for throttling failed logins.
+ *
+ * Failures are counted per key: one for the username tried and one for the
+ * IP address it came from. Once a key reaches its limit of failures in a
+ * row, logins for it are locked for a while, twice as long for each further
+ * failure (see config.js).
+ */
+
+class LoginThrottle {
+  /** Returns the keys to track for a login attempt:
+   *    [{ key, maxFailures }, ...]
+   *
+   * ip is optional.
+   **/
+
+  static keysFor(username, ip) {
+    const keys = [
+      { key: `username:${username}`, maxFailures: LOGIN_MAX_FAILURES_PER_USERNAME },
+    ];
+    if (ip) {
+      keys.push({ key: `ip:${ip}`, maxFailures: LOGIN_MAX_FAILURES_PER_IP });
+    }
+    return keys;
+  }
+
+  /** Make sure none of keys is locked; returns undefined.
+   *
+   * Throws TooManyRequestsError, with the seconds left on the longest lock,
+   * if any is.
+   **/
+
+  static async check(keys) {
+    const result = await db.query(
+      `SELECT CEIL(EXTRACT(EPOCH FROM locked_until - NOW()))::INTEGER
+                AS "retryAfter"
+      FROM login_failures
+      WHERE key = ANY($1) AND locked_until > NOW()
+      ORDER BY locked_until DESC
+      LIMIT 1`,
+      [keys.map((k) => k.key)]
+    );
+
+    const lock = result.rows[0];
+
+    if (lock) {
+      throw new TooManyRequestsError(
+        `Too many failed login attempts; try again in ${lock.retryAfter} seconds`,
+        lock.retryAfter
+      );
+    }
+  }
+
+  /** Count a failed login against each of keys, locking those that reached
+   * their limit; returns undefined. */
+
+  static async recordFailure(keys) {
+    for (const { key, maxFailures } of keys) {
+      const result = await db.query(
+        `INSERT INTO login_failures (key, failures, last_failed_at)
+        VALUES ($1, 1, NOW())
+        ON CONFLICT (key) DO UPDATE
+        SET failures = CASE
+              WHEN login_failures.last_failed_at
+                   < NOW() - $2 * INTERVAL '1 minute'
+              THEN 1
+              ELSE login_failures.failures + 1
+            END,
+            last_failed_at = NOW()
+        RETURNING failures`,
+        [key, LOGIN_FAILURE_WINDOW_MINUTES]
+      );
+
+      const { failures } = result.rows[0];
+
+      if (failures >= maxFailures) {
+        await db.query(
+          `UPDATE login_failures
+          SET locked_until = NOW() + $2 * INTERVAL '1 second'
+          WHERE key = $1`,
+          [key, this.lockoutSeconds(failures - maxFailures)]
+        );
+      }
+    }
+  }
+
+  /** Returns how long to lock for, given how many failures past the limit
+   * there have been: LOGIN_LOCKOUT_BASE_SECONDS, doubling each time, up to
+   * LOGIN_LOCKOUT_MAX_SECONDS. */
+
+  static lockoutSeconds(failuresPastLimit) {
+    return Math.min(
+      LOGIN_LOCKOUT_BASE_SECONDS * 2 ** failuresPastLimit,
+      LOGIN_LOCKOUT_MAX_SECONDS
+    );
+  }
+
+  /** Forget the failures for keys (eg, after a successful login); returns
+   * undefined. */
+
+  static async reset(keys, client = db) {
+    await client.query(
+      `DELETE FROM login_failures
+      WHERE key = ANY($1)`,
+      [keys.map((k) => k.key)]
+    );
+  }
+
+  /** Lift any lockout on a username; returns undefined. */
+
+  static async unlock(username, client = db) {
+    await this.reset(this.keysFor(username), client);
+  }
+}
+
+module.exports = LoginThrottle;
@@ -0,0 +1,115 @@
+"use strict";
+
+const { TooManyRequestsError } = require("../expressError");
+const db = require("../db.js");
+const LoginThrottle = require("./loginThrottle.js");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** Records n failures against keys. */
+
+async function fail(keys, n) {
+  for (let i = 0; i < n; i++) await LoginThrottle.recordFailure(keys);
+}
+
+/************************************** keysFor */
+
+describe("keysFor", function () {
+  test("works", function () {
+    expect(LoginThrottle.keysFor("u1", "1.2.3.4")).toEqual([
+      { key: "username:u1", maxFailures: 5 },
+      { key: "ip:1.2.3.4", maxFailures: 20 },
+    ]);
+    expect(LoginThrottle.keysFor("u1")).toEqual([
+      { key: "username:u1", maxFailures: 5 },
+    ]);
+  });
+});
+
+/************************************** recordFailure / check */
+
+describe("recordFailure and check", function () {
+  test("works: not locked below the limit", async function () {
+    const keys = LoginThrottle.keysFor("u1", "1.2.3.4");
+    await fail(keys, 4);
+    await LoginThrottle.check(keys);
+  });
+
+  test("locked at the limit", async function () {
+    const keys = LoginThrottle.keysFor("u1", "1.2.3.4");
+    await fail(keys, 5);
+    try {
+      await LoginThrottle.check(keys);
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof TooManyRequestsError).toBeTruthy();
+      expect(err.retryAfter).toEqual(30);
+    }
+  });
+
+  test("locked per IP across usernames", async function () {
+    for (let i = 0; i < 20; i++) {
+      await LoginThrottle.recordFailure(
+        LoginThrottle.keysFor(`user${i}`, "1.2.3.4"));
+    }
+    try {
+      await LoginThrottle.check(LoginThrottle.keysFor("u1", "1.2.3.4"));
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof TooManyRequestsError).toBeTruthy();
+    }
+    await LoginThrottle.check(LoginThrottle.keysFor("u1", "5.6.7.8"));
+  });
+
+  test("works: old failures are forgotten", async function () {
+    const keys = LoginThrottle.keysFor("u1");
+    await fail(keys, 4);
+    await db.query(
+      `UPDATE login_failures
+      SET last_failed_at = NOW() - INTERVAL '2 hours'`);
+    await fail(keys, 1);
+    const found = await db.query(`SELECT failures FROM login_failures`);
+    expect(found.rows).toEqual([{ failures: 1 }]);
+  });
+});
+
+/************************************** lockoutSeconds */
+
+describe("lockoutSeconds", function () {
+  test("works: doubles up to the max", function () {
+    expect(LoginThrottle.lockoutSeconds(0)).toEqual(30);
+    expect(LoginThrottle.lockoutSeconds(1)).toEqual(60);
+    expect(LoginThrottle.lockoutSeconds(3)).toEqual(240);
+    expect(LoginThrottle.lockoutSeconds(20)).toEqual(3600);
+  });
+});
+
+/************************************** reset / unlock */
+
+describe("reset and unlock", function () {
+  test("reset works", async function () {
+    const keys = LoginThrottle.keysFor("u1", "1.2.3.4");
+    await fail(keys, 5);
+    await LoginThrottle.reset(keys);
+    await LoginThrottle.check(keys);
+  });
+
+  test("unlock works: only the username", async function () {
+    const keys = LoginThrottle.keysFor("u1", "1.2.3.4");
+    await fail(keys, 5);
+    await LoginThrottle.unlock("u1");
+    await LoginThrottle.check(LoginThrottle.keysFor("u1"));
+    const found = await db.query(`SELECT key FROM login_failures`);
+    expect(found.rows).toEqual([{ key: "ip:1.2.3.4" }]);
+  });
+});
@@ -0,0 +1,136 @@
+"use strict";
+
+const crypto = require("crypto");
+
+const db = require("../db");
+const { UnauthorizedError } = require("../expressError");
+const { createOpaqueToken, hashToken } = require("../helpers/tokens");
+const { REFRESH_TOKEN_EXPIRES_DAYS } = require("../config");
+
+/** Related functions for refresh tokens.
+ *
+ * Each login starts a "family" of refresh tokens. Every refresh revokes the
+ * token used and issues the next one in the family; presenting a revoked
+ * token means it was stolen or replayed, so the whole family is revoked.
+ */
+
+class RefreshToken {
+  /** Issue a new refresh token for username.
+   *
+   * familyId continues an existing family; omit it to start a new one.
+   *
+   * Returns the token (only its hash is stored).
+   **/
+
+  static async create(username, familyId = crypto.randomUUID(), client = db) {
+    const token = createOpaqueToken();
+
+    await client.query(
+      `INSERT INTO refresh_tokens (username, token_hash, family_id, expires_at)
+      VALUES ($1, $2, $3, NOW() + $4 * INTERVAL '1 day')`,
+      [username, hashToken(token), familyId, REFRESH_TOKEN_EXPIRES_DAYS]
+    );
+
+    return token;
+  }
+
+  /** Exchange a refresh token for the next one in its family.
+   *
+   * Returns { username, refreshToken }
+   *
+   * Throws UnauthorizedError if the token is unknown or expired, or if it was
+   * already used (in which case its whole family is revoked).
+   **/
+
+  static async rotate(token) {
+    const tokenHash = hashToken(token);
+
+    // Revoking the token and checking it was live is one statement, so of
+    // two refreshes racing with the same token only one can win; the other
+    // waits on the row lock, then finds it revoked and treats it as reuse.
+    const rotated = await db.withTransaction(async (client) => {
+      const result = await client.query(
+        `UPDATE refresh_tokens
+        SET revoked_at = NOW()
+        WHERE token_hash = $1
+          AND revoked_at IS NULL
+          AND expires_at >= NOW()
+        RETURNING username, family_id AS "familyId"`,
+        [tokenHash]
+      );
+
+      const found = result.rows[0];
+      if (!found) return undefined;
+
+      const refreshToken = await this.create(
+        found.username, found.familyId, client);
+
+      return { username: found.username, refreshToken };
+    });
+
+    if (rotated) return rotated;
+
+    const result = await db.query(
+      `SELECT family_id AS "familyId",
+              revoked_at AS "revokedAt"
+      FROM refresh_tokens
+      WHERE token_hash = $1`,
+      [tokenHash]
+    );
+
+    const found = result.rows[0];
+
+    if (!found) throw new UnauthorizedError("Invalid refresh token");
+
+    if (found.revokedAt) {
+      await this.revokeFamily(found.familyId);
+      throw new UnauthorizedError("Refresh token reuse detected");
+    }
+
+    throw new UnauthorizedError("Refresh token expired");
+  }
+
+  /** Revoke the family of the given refresh token (ie, log out that
+   * session); returns undefined.
+   *
+   * Unknown tokens are ignored, so logging out twice is harmless.
+   **/
+
+  static async revoke(token) {
+    const result = await db.query(
+      `SELECT family_id AS "familyId"
+      FROM refresh_tokens
+      WHERE token_hash = $1`,
+      [hashToken(token)]
+    );
+
+    const found = result.rows[0];
+
+    if (found) await this.revokeFamily(found.familyId);
+  }
+
+  /** Revoke every unrevoked token in a family; returns undefined. */
+
+  static async revokeFamily(familyId) {
+    await db.query(
+      `UPDATE refresh_tokens
+      SET revoked_at = NOW()
+      WHERE family_id = $1 AND revoked_at IS NULL`,
+      [familyId]
+    );
+  }
+
+  /** Revoke every unrevoked token of a user (ie, log out everywhere);
+   * returns undefined. */
+
+  static async revokeAllForUser(username, client = db) {
+    await client.query(
+      `UPDATE refresh_tokens
+      SET revoked_at = NOW()
+      WHERE username = $1 AND revoked_at IS NULL`,
+      [username]
+    );
+  }
+}
+
+module.exports = RefreshToken;
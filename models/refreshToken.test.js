@@ -0,0 +1,150 @@
+"use strict";
+
+const { UnauthorizedError } = require("../expressError");
+const db = require("../db.js");
+const RefreshToken = require("./refreshToken.js");
+const { hashToken } = require("../helpers/tokens");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** create */
+
+describe("create", function () {
+  test("works: stores only the hash", async function () {
+    const token = await RefreshToken.create("u1");
+    const found = await db.query(
+      `SELECT username, token_hash, revoked_at, expires_at > NOW() AS "live"
+      FROM refresh_tokens`);
+    expect(found.rows).toEqual([
+      {
+        username: "u1",
+        token_hash: hashToken(token),
+        revoked_at: null,
+        live: true,
+      },
+    ]);
+  });
+});
+
+/************************************** rotate */
+
+describe("rotate", function () {
+  test("works", async function () {
+    const token = await RefreshToken.create("u1");
+    const result = await RefreshToken.rotate(token);
+    expect(result).toEqual({
+      username: "u1",
+      refreshToken: expect.any(String),
+    });
+    expect(result.refreshToken).not.toEqual(token);
+
+    const found = await db.query(
+      `SELECT DISTINCT family_id FROM refresh_tokens`);
+    expect(found.rows.length).toEqual(1);
+  });
+
+  test("unauth and revokes family on reuse", async function () {
+    const token = await RefreshToken.create("u1");
+    const { refreshToken } = await RefreshToken.rotate(token);
+    try {
+      await RefreshToken.rotate(token);
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+
+    try {
+      await RefreshToken.rotate(refreshToken);
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+  });
+
+  test("only one of two concurrent refreshes wins", async function () {
+    const token = await RefreshToken.create("u1");
+    const results = await Promise.allSettled([
+      RefreshToken.rotate(token),
+      RefreshToken.rotate(token),
+    ]);
+
+    const won = results.filter((r) => r.status === "fulfilled");
+    const lost = results.filter((r) => r.status === "rejected");
+    expect(won.length).toEqual(1);
+    expect(lost.length).toEqual(1);
+    expect(lost[0].reason instanceof UnauthorizedError).toBeTruthy();
+
+    // the reuse revoked the family, including the winner's new token
+    try {
+      await RefreshToken.rotate(won[0].value.refreshToken);
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+  });
+
+  test("unauth if expired", async function () {
+    const token = await RefreshToken.create("u1");
+    await db.query(
+      `UPDATE refresh_tokens SET expires_at = NOW() - INTERVAL '1 minute'`);
+    try {
+      await RefreshToken.rotate(token);
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+  });
+
+  test("unauth if unknown", async function () {
+    try {
+      await RefreshToken.rotate("nope");
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** revoke */
+
+describe("revoke", function () {
+  test("works: revokes the whole family", async function () {
+    const token = await RefreshToken.create("u1");
+    const { refreshToken } = await RefreshToken.rotate(token);
+    const other = await RefreshToken.create("u1");
+    await RefreshToken.revoke(refreshToken);
+
+    const found = await db.query(
+      `SELECT token_hash FROM refresh_tokens WHERE revoked_at IS NULL`);
+    expect(found.rows).toEqual([{ token_hash: hashToken(other) }]);
+  });
+
+  test("works: ignores unknown token", async function () {
+    await RefreshToken.revoke("nope");
+  });
+});
+
+/************************************** revokeAllForUser */
+
+describe("revokeAllForUser", function () {
+  test("works", async function () {
+    await RefreshToken.create("u1");
+    await RefreshToken.create("u1");
+    const u2Token = await RefreshToken.create("u2");
+    await RefreshToken.revokeAllForUser("u1");
+
+    const found = await db.query(
+      `SELECT token_hash FROM refresh_tokens WHERE revoked_at IS NULL`);
+    expect(found.rows).toEqual([{ token_hash: hashToken(u2Token) }]);
+  });
+});
@@ -0,0 +1,114 @@
+"use strict";
+
+const db = require("../db");
+const { NotFoundError } = require("../expressError");
+const { PG_ERRORS, mapPgError } = require("../helpers/pgErrors");
+
+/** Related functions for roles.
+ *
+ * A role is a named set of permissions (eg, "jobs:write"); users get
+ * permissions only through the roles they have. Roles and permissions live
+ * in the database (see migrations/008-roles-permissions.up.sql).
+ */
+
+class Role {
+  /** Find all roles.
+   *
+   * Returns [{ name, description, permissions }, ...] ordered by name,
+   *   where permissions is [name, ...]
+   **/
+
+  static async findAll() {
+    const result = await db.query(
+      `SELECT r.name,
+              r.description,
+              ARRAY(SELECT permission
+                    FROM role_permissions
+                    WHERE role = r.name
+                    ORDER BY permission) AS permissions
+      FROM roles AS r
+      ORDER BY r.name`
+    );
+
+    return result.rows;
+  }
+
+  /** Give username a role.
+   *
+   * Giving a role the user already has does nothing. Otherwise the user's
+   * token version is bumped, revoking tokens issued before the change.
+   *
+   * Returns { username, role }
+   *
+   * Throws NotFoundError if no such user or role.
+   **/
+
+  static async grant(username, role, client = db) {
+    return await db.withTransaction(async (client) => {
+      let result;
+
+      try {
+        result = await client.query(
+          `INSERT INTO user_roles (username, role)
+          VALUES ($1, $2)
+          ON CONFLICT DO NOTHING
+          RETURNING username`,
+          [username, role]
+        );
+      } catch (err) {
+        if (err.code === PG_ERRORS.FOREIGN_KEY_VIOLATION) {
+          throw new NotFoundError(
+            err.constraint === "user_roles_role_fkey"
+              ? `No role: ${role}`
+              : `No user: ${username}`
+          );
+        }
+        throw mapPgError(err);
+      }
+
+      if (result.rows[0]) await this.bumpTokenVersion(username, client);
+
+      return { username, role };
+    }, client);
+  }
+
+  /** Take a role away from username; returns undefined.
+   *
+   * Bumps the user's token version, revoking tokens issued before the
+   * change.
+   *
+   * Throws NotFoundError if the user doesn't have the role.
+   **/
+
+  static async revoke(username, role, client = db) {
+    await db.withTransaction(async (client) => {
+      const result = await client.query(
+        `DELETE
+        FROM user_roles
+        WHERE username = $1 AND role = $2
+        RETURNING username`,
+        [username, role]
+      );
+
+      if (!result.rows[0]) {
+        throw new NotFoundError(`No role: ${role} for ${username}`);
+      }
+
+      await this.bumpTokenVersion(username, client);
+    }, client);
+  }
+
+  /** Revoke every token a user holds (see authenticateJWT); returns
+   * undefined. */
+
+  static async bumpTokenVersion(username, client = db) {
+    await client.query(
+      `UPDATE users
+      SET token_version = token_version + 1
+      WHERE username = $1`,
+      [username]
+    );
+  }
+}
+
+module.exports = Role;
@@ -0,0 +1,116 @@
+"use strict";
+
+const { NotFoundError } = require("../expressError");
+const db = require("../db.js");
+const Role = require("./role.js");
+const User = require("./user.js");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** findAll */
+
+describe("findAll", function () {
+  test("works", async function () {
+    const roles = await Role.findAll();
+    expect(roles).toEqual([
+      {
+        name: "admin",
+        description: "Can do everything",
+        permissions: [
+          "applications:manage",
+          "audit:read",
+          "companies:write",
+          "jobs:write",
+          "roles:manage",
+          "skills:manage",
+          "users:read",
+          "users:write",
+        ],
+      },
+      {
+        name: "support",
+        description: "Helps users with their accounts and applications",
+        permissions: ["applications:manage", "users:read"],
+      },
+    ]);
+  });
+});
+
+/************************************** grant */
+
+describe("grant", function () {
+  test("works", async function () {
+    const granted = await Role.grant("u1", "support");
+    expect(granted).toEqual({ username: "u1", role: "support" });
+
+    const claims = await User.getTokenClaims("u1");
+    expect(claims.roles).toEqual(["support"]);
+    expect(claims.tokenVersion).toEqual(1);
+  });
+
+  test("works: already has the role", async function () {
+    await Role.grant("u1", "support");
+    await Role.grant("u1", "support");
+
+    const claims = await User.getTokenClaims("u1");
+    expect(claims.roles).toEqual(["support"]);
+    expect(claims.tokenVersion).toEqual(1);
+  });
+
+  test("not found if no such role", async function () {
+    try {
+      await Role.grant("u1", "nope");
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+      expect(err.message).toEqual("No role: nope");
+    }
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await Role.grant("nope", "admin");
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+      expect(err.message).toEqual("No user: nope");
+    }
+  });
+});
+
+/************************************** revoke */
+
+describe("revoke", function () {
+  test("works", async function () {
+    await Role.grant("u1", "admin");
+    await Role.revoke("u1", "admin");
+
+    const claims = await User.getTokenClaims("u1");
+    expect(claims.roles).toEqual([]);
+    expect(claims.isAdmin).toEqual(false);
+    expect(claims.tokenVersion).toEqual(2);
+  });
+
+  test("not found if user doesn't have the role", async function () {
+    try {
+      await Role.revoke("u1", "admin");
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+
+    const result = await db.query(
+      "SELECT token_version FROM users WHERE username = 'u1'");
+    expect(result.rows[0].token_version).toEqual(0);
+  });
+});
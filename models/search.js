@@ -0,0 +1,129 @@
+"use strict";
+
+const db = require("../db");
+const { sqlForPaging } = require("../helpers/sql");
+const Job = require("./job");
+
+// Marks the matched words in highlights with control characters, which
+// highlightHtml turns into <mark> tags once the text around them is escaped
+const START_SEL = "\u0002";
+const STOP_SEL = "\u0003";
+const HEADLINE_OPTIONS = `StartSel="${START_SEL}", StopSel="${STOP_SEL}"`;
+
+const HTML_ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+/** Given a headline from ts_headline, return it as HTML: its text escaped
+ * (descriptions are written by users), with matches wrapped in <mark>. */
+
+function highlightHtml(headline) {
+  return headline
+    .replace(/[&<>"']/g, (ch) => HTML_ESCAPES[ch])
+    .replaceAll(START_SEL, "<mark>")
+    .replaceAll(STOP_SEL, "</mark>");
+}
+
+/** Full-text search across companies and jobs. */
+
+class Search {
+  /** Search companies (name and description) and open jobs (title and
+   * description) for q, which takes web search syntax (eg, "data -science").
+   *
+   * Can be provided optional paging parameters: limit, offset.
+   *
+   * Returns [result, ...], best matches first, where result is either
+   *   { type: "company", handle, name, rank, highlight }
+   *   { type: "job", id, title, companyHandle, rank, highlight }
+   * and highlight is the matching text as HTML: escaped, with matches wrapped
+   * in <mark>.
+   **/
+
+  static async find(q, paging = {}) {
+    const { pagingSql, values } = sqlForPaging(paging, 2);
+
+    const result = await db.query(
+      `SELECT type, handle, id, title, rank, highlight
+      FROM (
+        SELECT 'company' AS type,
+               c.handle,
+               NULL::INTEGER AS id,
+               c.name AS title,
+               ts_rank(c.search_vector, query) AS rank,
+               ts_headline('english', c.name || ': ' || c.description,
+                           query, $2) AS highlight
+        FROM companies AS c,
+             websearch_to_tsquery('english', $1) AS query
+        WHERE c.search_vector @@ query AND c.deleted_at IS NULL
+        UNION ALL
+        SELECT 'job',
+               j.company_handle,
+               j.id,
+               j.title,
+               ts_rank(j.search_vector, query),
+               ts_headline('english',
+                           concat_ws(': ', j.title, j.description),
+                           query, $2)
+        FROM jobs AS j
+          JOIN companies AS c ON c.handle = j.company_handle,
+             websearch_to_tsquery('english', $1) AS query
+        WHERE j.search_vector @@ query
+          AND j.deleted_at IS NULL
+          AND c.deleted_at IS NULL
+          AND ${Job.STATUS_SQL} = 'open'
+      ) AS results
+      ORDER BY rank DESC, type, title, id
+      ${pagingSql}`,
+      [q, HEADLINE_OPTIONS, ...values]
+    );
+
+    return result.rows.map((r) =>
+      r.type === "company"
+        ? {
+            type: r.type,
+            handle: r.handle,
+            name: r.title,
+            rank: r.rank,
+            highlight: highlightHtml(r.highlight),
+          }
+        : {
+            type: r.type,
+            id: r.id,
+            title: r.title,
+            companyHandle: r.handle,
+            rank: r.rank,
+            highlight: highlightHtml(r.highlight),
+          }
+    );
+  }
+
+  /** Count the companies and jobs matching q (as for find).
+   *
+   * Returns a number.
+   **/
+
+  static async count(q) {
+    const result = await db.query(
+      `SELECT
+         (SELECT COUNT(*) FROM companies
+          WHERE search_vector @@ websearch_to_tsquery('english', $1)
+            AND deleted_at IS NULL) +
+         (SELECT COUNT(*) FROM jobs AS j
+            JOIN companies AS c ON c.handle = j.company_handle
+          WHERE j.search_vector @@ websearch_to_tsquery('english', $1)
+            AND j.deleted_at IS NULL
+            AND c.deleted_at IS NULL
+            AND ${Job.STATUS_SQL} = 'open')
+         AS "total"`,
+      [q]
+    );
+
+    return Number(result.rows[0].total);
+  }
+}
+
+module.exports = Search;
@@ -0,0 +1,103 @@
+"use strict";
+
+const db = require("../db.js");
+const Search = require("./search.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testJobIds,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** find */
+
+describe("find", function () {
+  test("works: companies and jobs", async function () {
+    const { j2Id } = testJobIds;
+    const results = await Search.find("desc1 or j2");
+
+    expect(results).toEqual([
+      {
+        type: "company",
+        handle: "c1",
+        name: "C1",
+        rank: expect.any(Number),
+        highlight: "C1: <mark>Desc1</mark>",
+      },
+      {
+        type: "job",
+        id: j2Id,
+        title: "j2",
+        companyHandle: "c2",
+        rank: expect.any(Number),
+        highlight: "<mark>j2</mark>",
+      },
+    ]);
+  });
+
+  test("escapes HTML in highlights", async function () {
+    const { j1Id } = testJobIds;
+    await db.query(
+      `UPDATE jobs
+      SET description = $2
+      WHERE id = $1`,
+      [j1Id, `Ship <script>alert("x")</script> & <img src=x onerror=alert(1)`]
+    );
+
+    const [result] = await Search.find("ship");
+    expect(result.id).toEqual(j1Id);
+    expect(result.highlight).not.toMatch(/<(?!\/?mark>)/);
+    expect(result.highlight).toContain("<mark>Ship</mark>");
+    expect(result.highlight).toContain(
+      "&amp; &lt;img src=x onerror=alert(1)");
+  });
+
+  test("works: best match first", async function () {
+    const { j1Id } = testJobIds;
+    await db.query(`UPDATE companies SET name = 'Data Co' WHERE handle = 'c2'`);
+    await db.query(`UPDATE jobs SET title = 'Data Engineer' WHERE id = $1`, [
+      j1Id,
+    ]);
+    await db.query(
+      `UPDATE companies SET description = 'Big data' WHERE handle = 'c3'`
+    );
+
+    const results = await Search.find("data");
+    expect(results.map((r) => r.handle || r.id)).toEqual(["c2", "c3", j1Id]);
+  });
+
+  test("works: paging", async function () {
+    const results = await Search.find("desc1 or desc2 or desc3", {
+      limit: 1,
+      offset: 1,
+    });
+    expect(results.length).toEqual(1);
+  });
+
+  test("works: no matches", async function () {
+    expect(await Search.find("nope")).toEqual([]);
+  });
+
+  test("leaves out deleted companies and their jobs", async function () {
+    await db.query(
+      `UPDATE companies SET deleted_at = NOW() WHERE handle IN ('c1', 'c2')`
+    );
+    expect(await Search.find("desc1 or j2")).toEqual([]);
+    expect(await Search.count("desc1 or j2")).toEqual(0);
+  });
+});
+
+/************************************** count */
+
+describe("count", function () {
+  test("works", async function () {
+    expect(await Search.count("desc1 or j2")).toEqual(2);
+    expect(await Search.count("nope")).toEqual(0);
+  });
+});
@@ -0,0 +1,222 @@
+"use strict";
+
+const db = require("../db");
+const {
+  NotFoundError,
+  BadRequestError,
+  ConflictError,
+} = require("../expressError");
+const { mapPgError, PG_ERRORS } = require("../helpers/pgErrors");
+
+/** Returns a skill name trimmed, with single spaces, and lowercase. */
+
+function normalizeName(name) {
+  return name.trim().replace(/\s+/g, " ").toLowerCase();
+}
+
+/** Returns name normalized, for adding or renaming a skill.
+ *
+ * Throws BadRequestError if it's blank or has a comma.
+ */
+
+function newSkillName(name) {
+  const normalized = normalizeName(name);
+  if (normalized === "" || normalized.includes(",")) {
+    throw new BadRequestError("Skill names cannot be blank or have commas");
+  }
+  return normalized;
+}
+
+/** Replace the skills of a job or user, in table (keyed by keyCol = key),
+ * with names. Returns the normalized names, sorted.
+ *
+ * Throws BadRequestError if any of names is not a skill.
+ */
+
+async function replaceSkills(table, keyCol, key, names, client) {
+  const skills = Skill.normalize(names);
+
+  const found = await client.query(
+    `SELECT name
+    FROM skills
+    WHERE name = ANY($1)`,
+    [skills]
+  );
+  const known = new Set(found.rows.map((r) => r.name));
+  const unknown = skills.filter((s) => !known.has(s));
+  if (unknown.length > 0) {
+    throw new BadRequestError(`No such skill: ${unknown.join(", ")}`);
+  }
+
+  await client.query(`DELETE FROM ${table} WHERE ${keyCol} = $1`, [key]);
+  await client.query(
+    `INSERT INTO ${table} (${keyCol}, skill)
+    SELECT $1, UNNEST($2::VARCHAR[])`,
+    [key, skills]
+  );
+
+  return skills.sort();
+}
+
+/** Related functions for skills.
+ *
+ * Skills are a fixed list, kept by admins, that jobs ask for and users have.
+ * Names are trimmed and lowercase (see normalize).
+ */
+
+class Skill {
+  /** Given a skill name, an array of them, or a comma-separated string of
+   * them, returns the names trimmed, lowercased and without repeats.
+   *
+   * - ex: normalize(["Node", " postgres,NODE"]) => ["node", "postgres"]
+   */
+
+  static normalize(names) {
+    const normalized = []
+      .concat(names)
+      .flatMap((name) => name.split(","))
+      .map(normalizeName)
+      .filter((name) => name !== "");
+    return [...new Set(normalized)];
+  }
+
+  /** Find all skills, optionally only those whose name contains q.
+   *
+   * Returns [{ name, numJobs, numUsers }, ...] ordered by name
+   *   where numJobs and numUsers count the jobs asking for the skill and the
+   *   users who have it
+   **/
+
+  static async findAll({ q } = {}) {
+    let pattern = null;
+    if (q !== undefined) {
+      // q is matched literally, so escape LIKE's wildcards
+      pattern = q.toLowerCase().replace(/[\\%_]/g, "\\$&");
+    }
+
+    const result = await db.query(
+      `SELECT s.name,
+              (SELECT COUNT(*)::INTEGER
+               FROM job_skills
+               WHERE skill = s.name) AS "numJobs",
+              (SELECT COUNT(*)::INTEGER
+               FROM user_skills
+               WHERE skill = s.name) AS "numUsers"
+      FROM skills AS s
+      WHERE $1::TEXT IS NULL OR s.name ILIKE '%' || $1 || '%'
+      ORDER BY s.name`,
+      [pattern]
+    );
+
+    return result.rows;
+  }
+
+  /** Add a skill.
+   *
+   * Returns { name }
+   *
+   * Throws BadRequestError if name is blank or has a comma, ConflictError
+   * if the skill already exists.
+   **/
+
+  static async create(name, client = db) {
+    const normalized = newSkillName(name);
+
+    try {
+      const result = await client.query(
+        `INSERT INTO skills (name)
+        VALUES ($1)
+        RETURNING name`,
+        [normalized]
+      );
+      return result.rows[0];
+    } catch (err) {
+      if (err.code === PG_ERRORS.UNIQUE_VIOLATION) {
+        throw new ConflictError(`Duplicate skill: ${normalized}`);
+      }
+      throw mapPgError(err);
+    }
+  }
+
+  /** Rename a skill; jobs and users that had it keep it under the new name.
+   *
+   * Returns { name }
+   *
+   * Throws NotFoundError if no such skill, BadRequestError if newName is
+   * blank or has a comma, ConflictError if a skill named newName already
+   * exists.
+   **/
+
+  static async rename(name, newName, client = db) {
+    const normalized = newSkillName(newName);
+
+    let result;
+    try {
+      result = await client.query(
+        `UPDATE skills
+        SET name = $2
+        WHERE name = $1
+        RETURNING name`,
+        [normalizeName(name), normalized]
+      );
+    } catch (err) {
+      if (err.code === PG_ERRORS.UNIQUE_VIOLATION) {
+        throw new ConflictError(`Duplicate skill: ${normalized}`);
+      }
+      throw mapPgError(err);
+    }
+
+    if (!result.rows[0]) throw new NotFoundError(`No skill: ${name}`);
+
+    return result.rows[0];
+  }
+
+  /** Delete a skill, taking it off every job and user; returns undefined.
+   *
+   * Throws NotFoundError if no such skill.
+   **/
+
+  static async remove(name, client = db) {
+    const result = await client.query(
+      `DELETE
+      FROM skills
+      WHERE name = $1
+      RETURNING name`,
+      [normalizeName(name)]
+    );
+
+    if (!result.rows[0]) throw new NotFoundError(`No skill: ${name}`);
+  }
+
+  /** Set the skills a job asks for to names (see normalize), replacing
+   * any it had.
+   *
+   * Returns [name, ...], sorted
+   *
+   * Throws BadRequestError if any of names is not a skill.
+   **/
+
+  static async setForJob(id, names, client = db) {
+    return await replaceSkills("job_skills", "job_id", id, names, client);
+  }
+
+  /** Set the skills a user has to names (see normalize), replacing any
+   * they had.
+   *
+   * Returns [name, ...], sorted
+   *
+   * Throws BadRequestError if any of names is not a skill.
+   **/
+
+  static async setForUser(username, names, client = db) {
+    return await replaceSkills(
+      "user_skills",
+      "username",
+      username,
+      names,
+      client
+    );
+  }
+}
+
+module.exports = Skill;
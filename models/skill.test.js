@@ -0,0 +1,209 @@
+"use strict";
+
+const {
+  NotFoundError,
+  BadRequestError,
+  ConflictError,
+} = require("../expressError");
+const db = require("../db.js");
+const Skill = require("./skill.js");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testJobIds,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** normalize */
+
+describe("normalize", function () {
+  test("works", function () {
+    expect(Skill.normalize(["Node", " postgres,NODE", "  Machine   Learning "]))
+      .toEqual(["node", "postgres", "machine learning"]);
+  });
+
+  test("works: comma-separated string", function () {
+    expect(Skill.normalize("react, ,Node,")).toEqual(["react", "node"]);
+  });
+});
+
+/************************************** findAll */
+
+describe("findAll", function () {
+  test("works", async function () {
+    await Skill.setForJob(testJobIds.j1Id, ["node", "postgres"]);
+    await Skill.setForJob(testJobIds.j2Id, ["node"]);
+    await Skill.setForUser("u1", ["node", "react"]);
+
+    expect(await Skill.findAll()).toEqual([
+      { name: "node", numJobs: 2, numUsers: 1 },
+      { name: "postgres", numJobs: 1, numUsers: 0 },
+      { name: "react", numJobs: 0, numUsers: 1 },
+    ]);
+  });
+
+  test("works: q", async function () {
+    const skills = await Skill.findAll({ q: "GRE" });
+    expect(skills.map((s) => s.name)).toEqual(["postgres"]);
+  });
+
+  test("works: q matches % and _ literally", async function () {
+    await Skill.create("c_sharp");
+
+    for (const [q, names] of [["_", ["c_sharp"]], ["%", []], ["\\", []]]) {
+      const skills = await Skill.findAll({ q });
+      expect(skills.map((s) => s.name)).toEqual(names);
+    }
+  });
+});
+
+/************************************** create */
+
+describe("create", function () {
+  test("works, normalizing the name", async function () {
+    expect(await Skill.create("  Machine  Learning ")).toEqual({
+      name: "machine learning",
+    });
+    const found = await db.query(
+      "SELECT name FROM skills WHERE name = 'machine learning'");
+    expect(found.rows.length).toEqual(1);
+  });
+
+  test("conflict if it exists", async function () {
+    try {
+      await Skill.create("Node");
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof ConflictError).toBeTruthy();
+    }
+  });
+
+  test("bad request if blank or with a comma", async function () {
+    for (const name of ["  ", "node,react"]) {
+      try {
+        await Skill.create(name);
+        throw new Error("fail test, you shouldn't get here");
+      } catch (err) {
+        expect(err instanceof BadRequestError).toBeTruthy();
+      }
+    }
+  });
+});
+
+/************************************** rename */
+
+describe("rename", function () {
+  test("works, keeping it on jobs and users", async function () {
+    await Skill.setForJob(testJobIds.j1Id, ["node"]);
+    await Skill.setForUser("u1", ["node"]);
+
+    expect(await Skill.rename("node", "Node.js")).toEqual({ name: "node.js" });
+
+    const jobSkills = await db.query(
+      "SELECT skill FROM job_skills WHERE job_id = $1", [testJobIds.j1Id]);
+    expect(jobSkills.rows).toEqual([{ skill: "node.js" }]);
+    const userSkills = await db.query(
+      "SELECT skill FROM user_skills WHERE username = 'u1'");
+    expect(userSkills.rows).toEqual([{ skill: "node.js" }]);
+  });
+
+  test("not found if no such skill", async function () {
+    try {
+      await Skill.rename("nope", "still-nope");
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("conflict if the new name exists", async function () {
+    try {
+      await Skill.rename("node", "postgres");
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof ConflictError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** remove */
+
+describe("remove", function () {
+  test("works, taking it off jobs and users", async function () {
+    await Skill.setForJob(testJobIds.j1Id, ["node", "react"]);
+    await Skill.setForUser("u1", ["node"]);
+
+    await Skill.remove("node");
+
+    const jobSkills = await db.query(
+      "SELECT skill FROM job_skills WHERE job_id = $1", [testJobIds.j1Id]);
+    expect(jobSkills.rows).toEqual([{ skill: "react" }]);
+    const userSkills = await db.query(
+      "SELECT skill FROM user_skills WHERE username = 'u1'");
+    expect(userSkills.rows).toEqual([]);
+  });
+
+  test("not found if no such skill", async function () {
+    try {
+      await Skill.remove("nope");
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** setForJob, setForUser */
+
+describe("setForJob", function () {
+  test("works, replacing the job's skills", async function () {
+    const { j1Id } = testJobIds;
+    await Skill.setForJob(j1Id, ["node"]);
+    expect(await Skill.setForJob(j1Id, ["React", "postgres", "react"]))
+      .toEqual(["postgres", "react"]);
+
+    const result = await db.query(
+      "SELECT skill FROM job_skills WHERE job_id = $1 ORDER BY skill", [j1Id]);
+    expect(result.rows.map((r) => r.skill)).toEqual(["postgres", "react"]);
+  });
+
+  test("works: clearing", async function () {
+    const { j1Id } = testJobIds;
+    await Skill.setForJob(j1Id, ["node"]);
+    expect(await Skill.setForJob(j1Id, [])).toEqual([]);
+  });
+
+  test("bad request if no such skill, changing nothing", async function () {
+    const { j1Id } = testJobIds;
+    await Skill.setForJob(j1Id, ["node"]);
+    try {
+      await Skill.setForJob(j1Id, ["react", "cobol", "fortran"]);
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+      expect(err.message).toEqual("No such skill: cobol, fortran");
+    }
+
+    const result = await db.query(
+      "SELECT skill FROM job_skills WHERE job_id = $1", [j1Id]);
+    expect(result.rows).toEqual([{ skill: "node" }]);
+  });
+});
+
+describe("setForUser", function () {
+  test("works", async function () {
+    expect(await Skill.setForUser("u2", ["react", "Node"]))
+      .toEqual(["node", "react"]);
+
+    const result = await db.query(
+      "SELECT skill FROM user_skills WHERE username = 'u2' ORDER BY skill");
+    expect(result.rows.map((r) => r.skill)).toEqual(["node", "react"]);
+  });
+});
@@ -2,26 +2,176 @@
 
 const db = require("../db");
 const bcrypt = require("bcrypt");
-const { sqlForPartialUpdate } = require("../helpers/sql");
+const {
+  sqlForPartialUpdate,
+  sqlForSort,
+  sqlForPaging,
+} = require("../helpers/sql");
+const { mapPgError, PG_ERRORS } = require("../helpers/pgErrors");
 const {
   NotFoundError,
   BadRequestError,
   UnauthorizedError,
+  ForbiddenError,
+  ConflictError,
 } = require("../expressError");
 
-const { BCRYPT_WORK_FACTOR } = require("../config.js");
+const Application = require("./application");
+const Job = require("./job");
+const LoginThrottle = require("./loginThrottle");
+const RefreshToken = require("./refreshToken");
+const Skill = require("./skill");
+const UserToken = require("./userToken");
+
+const config = require("../config.js");
+const { BCRYPT_WORK_FACTOR } = config;
+
+/** Fields users can be sorted on, and the columns they sort by. */
+
+const SORTABLE_COLS = {
+  username: "username",
+  firstName: "first_name",
+  lastName: "last_name",
+  email: "email",
+};
+
+/** Whether a user has the admin role, for selecting "isAdmin" from users. */
+
+const IS_ADMIN_SQL = `EXISTS (SELECT 1
+                              FROM user_roles
+                              WHERE username = users.username
+                                AND role = 'admin')`;
+
+/** A user's skills, for selecting "skills" from users. */
+
+const SKILLS_SQL = `ARRAY(SELECT skill
+                          FROM user_skills
+                          WHERE username = users.username
+                          ORDER BY skill)`;
+
+/** The job preferences users can set, and the columns they're kept in; a
+ * null preference is "any". */
+
+const PREFERENCE_COLS = {
+  remotePolicy: "preferred_remote_policy",
+  country: "preferred_country",
+  employmentType: "preferred_employment_type",
+  seniority: "preferred_seniority",
+};
+
+/** A user's job preferences, for selecting "preferences" from users. */
+
+const PREFERENCES_SQL = `json_build_object(${Object.entries(PREFERENCE_COLS)
+  .map(([key, col]) => `'${key}', ${col}`)
+  .join(", ")})`;
+
+/** Open jobs asking for any of the skills of user $1, each with
+ * m.skills, the skills they share, and m."numJobSkills", how many the job
+ * asks for. */
+
+const MATCHES_FROM_SQL = `
+  FROM jobs AS j
+    JOIN companies AS c ON c.handle = j.company_handle
+    CROSS JOIN LATERAL (
+      SELECT ARRAY_AGG(js.skill ORDER BY js.skill)
+               FILTER (WHERE us.username IS NOT NULL) AS skills,
+             COUNT(*) AS "numJobSkills"
+      FROM job_skills AS js
+        LEFT JOIN user_skills AS us
+          ON us.skill = js.skill AND us.username = $1
+      WHERE js.job_id = j.id
+    ) AS m
+  WHERE m.skills IS NOT NULL
+    AND j.deleted_at IS NULL
+    AND c.deleted_at IS NULL
+    AND ${Job.STATUS_SQL} = 'open'`;
+
+/** The jobs user $1 applied to. */
+
+const APPLIED_SQL = `SELECT aj.*
+                     FROM applications AS a
+                       JOIN jobs AS aj ON aj.id = a.job_id
+                     WHERE a.username = $1`;
+
+/** Open jobs user $1 hasn't applied to that suit them, each with r.score,
+ * how well, and r.reasons, why (see findRecommendations). */
+
+const RECOMMENDATIONS_FROM_SQL = `
+  FROM jobs AS j
+    JOIN companies AS c ON c.handle = j.company_handle
+    JOIN users AS u ON u.username = $1
+    CROSS JOIN LATERAL (
+      SELECT EXISTS (SELECT 1
+                     FROM (${APPLIED_SQL}) AS aj
+                     WHERE aj.company_handle = j.company_handle) AS company,
+             cardinality(ARRAY(
+               SELECT unnest(tsvector_to_array(
+                        to_tsvector('english', j.title)))
+               INTERSECT
+               SELECT unnest(tsvector_to_array(
+                        to_tsvector('english', aj.title)))
+               FROM (${APPLIED_SQL}) AS aj)) AS "numTitleWords",
+             j.salary IS NOT NULL
+               AND EXISTS (SELECT 1
+                           FROM (${APPLIED_SQL}) AS aj
+                           WHERE aj.salary <= j.salary
+                             AND aj.salary_currency = j.salary_currency
+                             AND aj.salary_period = j.salary_period)
+               AS salary,
+             (SELECT COUNT(*)::INTEGER
+              FROM job_skills AS js
+                JOIN user_skills AS us ON us.skill = js.skill
+              WHERE js.job_id = j.id AND us.username = $1) AS "numSkills",
+             ARRAY_REMOVE(ARRAY[
+               CASE WHEN j.remote_policy = u.preferred_remote_policy
+                 THEN 'remotePolicy' END,
+               CASE WHEN j.country = u.preferred_country
+                 THEN 'country' END,
+               CASE WHEN j.employment_type = u.preferred_employment_type
+                 THEN 'employmentType' END,
+               CASE WHEN j.seniority = u.preferred_seniority
+                 THEN 'seniority' END
+             ], NULL) AS preferences
+    ) AS h
+    CROSS JOIN LATERAL (
+      SELECT 3 * h.company::INTEGER
+               + 2 * h."numTitleWords"
+               + 2 * h.salary::INTEGER
+               + h."numSkills"
+               + 2 * cardinality(h.preferences) AS score,
+             ARRAY_REMOVE(ARRAY[
+               CASE WHEN h.company THEN 'company' END,
+               CASE WHEN h."numTitleWords" > 0 THEN 'title' END,
+               CASE WHEN h.salary THEN 'salary' END,
+               CASE WHEN h."numSkills" > 0 THEN 'skills' END
+             ], NULL) || h.preferences AS reasons
+    ) AS r
+  WHERE r.score > 0
+    AND j.deleted_at IS NULL
+    AND c.deleted_at IS NULL
+    AND ${Job.STATUS_SQL} = 'open'
+    AND NOT EXISTS (SELECT 1
+                    FROM applications
+                    WHERE username = $1 AND job_id = j.id)`;
 
 /** Related functions for users. */
 
 class User {
   /** authenticate user with username, password.
    *
-   * Returns { username, first_name, last_name, email, is_admin }
+   * ip is optional; failed logins are throttled per username and per ip
+   * (see LoginThrottle).
+   *
+   * Returns { username, firstName, lastName, email, isAdmin, tokenVersion }
    *
    * Throws UnauthorizedError is user not found or wrong password.
+   * Throws TooManyRequestsError if logins for username or ip are locked out.
    **/
 
-  static async authenticate(username, password) {
+  static async authenticate(username, password, ip) {
+    const throttleKeys = LoginThrottle.keysFor(username, ip);
+    await LoginThrottle.check(throttleKeys);
+
     // try to find the user first
     const result = await db.query(
       `SELECT username,
@@ -29,9 +179,10 @@ class User {
                   first_name AS "firstName",
                   last_name AS "lastName",
                   email,
-                  is_admin AS "isAdmin"
+                  ${IS_ADMIN_SQL} AS "isAdmin",
+                  token_version AS "tokenVersion"
            FROM users
-           WHERE username = $1`,
+           WHERE username = $1 AND deleted_at IS NULL`,
       [username]
     );
 
@@ -41,19 +192,24 @@ class User {
       // compare hashed password to a new hash from password
       const isValid = await bcrypt.compare(password, user.password);
       if (isValid === true) {
+        // only the username's failures: a shared IP stays throttled
+        await LoginThrottle.reset(throttleKeys.slice(0, 1));
         delete user.password;
         return user;
       }
     }
 
+    await LoginThrottle.recordFailure(throttleKeys);
     throw new UnauthorizedError("Invalid username/password");
   }
 
   /** Register user with data.
+   *
+   * isAdmin is optional; if true, the user is given the admin role.
    *
    * Returns { username, firstName, lastName, email, isAdmin }
    *
-   * Throws BadRequestError on duplicates.
+   * Throws ConflictError on duplicates.
    **/
 
   static async register({
@@ -63,82 +219,127 @@ class User {
     lastName,
     email,
     isAdmin,
-  }) {
-    const duplicateCheck = await db.query(
-      `SELECT username
-           FROM users
-           WHERE username = $1`,
-      [username]
-    );
-
-    if (duplicateCheck.rows[0]) {
-      throw new BadRequestError(`Duplicate username: ${username}`);
-    }
-
+  }, client = db) {
     const hashedPassword = await bcrypt.hash(password, BCRYPT_WORK_FACTOR);
 
-    const result = await db.query(
-      `INSERT INTO users
-           (username,
-            password,
-            first_name,
-            last_name,
-            email,
-            is_admin)
-           VALUES ($1, $2, $3, $4, $5, $6)
-           RETURNING username, first_name AS "firstName", last_name AS "lastName", email, is_admin AS "isAdmin"`,
-      [username, hashedPassword, firstName, lastName, email, isAdmin]
-    );
+    return await db.withTransaction(async (client) => {
+      let result;
+
+      try {
+        result = await client.query(
+          `INSERT INTO users
+             (username,
+              password,
+              first_name,
+              last_name,
+              email)
+             VALUES ($1, $2, $3, $4, $5)
+             RETURNING username, first_name AS "firstName", last_name AS "lastName", email`,
+          [username, hashedPassword, firstName, lastName, email]
+        );
+      } catch (err) {
+        throw mapPgError(err);
+      }
 
-    const user = result.rows[0];
+      const user = result.rows[0];
 
-    return user;
+      if (isAdmin) {
+        await client.query(
+          `INSERT INTO user_roles (username, role)
+          VALUES ($1, 'admin')`,
+          [username]
+        );
+      }
+      user.isAdmin = Boolean(isAdmin);
+
+      return user;
+    }, client);
   }
 
-  /** Find all users.
+  /** Find all users. Can be provided optional paging parameters:
+   * - sort: comma-separated fields (username, firstName, lastName, email),
+   *   each optionally prefixed with "-" for descending; defaults to
+   *   "username"
+   * - limit, offset
    *
-   * Returns [{ username, first_name, last_name, email, is_admin }, ...]
+   * Returns [{ username, firstName, lastName, email, isAdmin }, ...]
    **/
 
-  static async findAll() {
+  static async findAll(paging = {}) {
+    const orderBy = sqlForSort(
+      paging.sort,
+      SORTABLE_COLS,
+      "username",
+      "username"
+    );
+    const { pagingSql, values } = sqlForPaging(paging);
+
     const result = await db.query(
       `SELECT username,
               first_name AS "firstName",
               last_name AS "lastName",
               email,
-              is_admin AS "isAdmin"
+              ${IS_ADMIN_SQL} AS "isAdmin"
       FROM users
-      ORDER BY username`
+      WHERE deleted_at IS NULL
+      ${orderBy}
+      ${pagingSql}`,
+      values
     );
 
     return result.rows;
   }
 
+  /** Count all users.
+   *
+   * Returns a number.
+   **/
+
+  static async count() {
+    const result = await db.query(
+      `SELECT COUNT(*)::INTEGER AS "total"
+      FROM users
+      WHERE deleted_at IS NULL`
+    );
+
+    return result.rows[0].total;
+  }
+
   /** Given a username, return data about user.
    *
-   * Returns { username, first_name, last_name, is_admin, *jobs }
-   *   Includes jobs if user has job applications
-   *   where jobs is { jobId, jobId, ... }
+   * Returns { username, firstName, lastName, isAdmin, roles, emailVerified,
+   *           skills, preferences, jobs }
+   *   where roles is [name, ...]
+   *   and skills is [name, ...]
+   *   and preferences is { remotePolicy, country, employmentType, seniority }
+   *   and jobs is [jobId, ...], the jobs the user applied to
    *
    * Throws NotFoundError if user not found.
    **/
 
-  static async get(username) {
-    const userRes = await db.query(
+  static async get(username, client = db) {
+    const userRes = await client.query(
       `SELECT username,
                   first_name AS "firstName",
                   last_name AS "lastName",
                   email,
-                  is_admin AS "isAdmin"
+                  ${IS_ADMIN_SQL} AS "isAdmin",
+                  ARRAY(SELECT role
+                        FROM user_roles
+                        WHERE username = users.username
+                        ORDER BY role) AS roles,
+                  email_verified AS "emailVerified",
+                  ${SKILLS_SQL} AS skills,
+                  ${PREFERENCES_SQL} AS preferences
            FROM users
-           WHERE username = $1`,
+           WHERE username = $1 AND deleted_at IS NULL`,
       [username]
     );
 
     const user = userRes.rows[0];
     if (!user) throw new NotFoundError(`No user: ${username}`);
 
-    const jobsRes = await db.query(
+    const jobsRes = await client.query(
       `SELECT job_id
       FROM applications
       WHERE username=$1
@@ -152,60 +353,176 @@ class User {
     return user;
   }
 
+  /** Given a username, return what is needed to issue or check a token.
+   *
+   * Returns { username, isAdmin, roles, permissions, tokenVersion }, or
+   * undefined if the user does not exist; permissions are those of all the
+   * user's roles.
+   **/
+
+  static async getTokenClaims(username) {
+    const result = await db.query(
+      `SELECT username,
+              ${IS_ADMIN_SQL} AS "isAdmin",
+              ARRAY(SELECT role
+                    FROM user_roles
+                    WHERE username = users.username
+                    ORDER BY role) AS roles,
+              ARRAY(SELECT DISTINCT rp.permission
+                    FROM user_roles AS ur
+                      JOIN role_permissions AS rp ON rp.role = ur.role
+                    WHERE ur.username = users.username
+                    ORDER BY rp.permission) AS permissions,
+              token_version AS "tokenVersion"
+      FROM users
+      WHERE username = $1 AND deleted_at IS NULL`,
+      [username]
+    );
+
+    return result.rows[0];
+  }
+
   /** Update user data with `data`.
    *
    * This is a "partial update" --- it's fine if data doesn't contain
    * all the fields; this only changes provided ones.
    *
    * Data can include:
-   *   { firstName, lastName, password, email, isAdmin }
+   *   { firstName, lastName, password, email, skills, preferences }
+   *   where skills is [name, ...], replacing the user's skills (see Skill)
+   *   and preferences is { remotePolicy, country, employmentType, seniority },
+   *   any of which may be given, or null to clear
    *
-   * Returns { username, firstName, lastName, email, isAdmin }
+   * Returns { username, firstName, lastName, email, isAdmin, skills,
+   *           preferences }
    *
-   * Throws NotFoundError if not found.
+   * Changing email marks it as not verified, and stops links already sent to
+   * verify the old one from working. (Roles are changed with Role.grant and
+   * Role.revoke.)
+   *
+   * Throws NotFoundError if not found, BadRequestError if no such skill.
    *
-   * WARNING: this function can set a new password or make a user an admin.
+   * WARNING: this function can set a new password.
    * Callers of this function must be certain they have validated inputs to this
    * or a serious security risks are opened.
    */
 
-  static async update(username, data) {
+  static async update(
+    username, { skills, preferences = {}, ...data }, client = db) {
+    for (const [key, value] of Object.entries(preferences)) {
+      data[PREFERENCE_COLS[key]] = value;
+    }
+
     if (data.password) {
       data.password = await bcrypt.hash(data.password, BCRYPT_WORK_FACTOR);
     }
 
-    const { setCols, values } = sqlForPartialUpdate(data, {
-      firstName: "first_name",
-      lastName: "last_name",
-      isAdmin: "is_admin",
-    });
-    const usernameVarIdx = "$" + (values.length + 1);
-
-    const querySql = `UPDATE users
-                      SET ${setCols}
-                      WHERE username = ${usernameVarIdx}
-                      RETURNING username,
-                                first_name AS "firstName",
-                                last_name AS "lastName",
-                                email,
-                                is_admin AS "isAdmin"`;
-    const result = await db.query(querySql, [...values, username]);
+    const returning = `username,
+                       first_name AS "firstName",
+                       last_name AS "lastName",
+                       email,
+                       ${IS_ADMIN_SQL} AS "isAdmin",
+                       ${SKILLS_SQL} AS skills,
+                       ${PREFERENCES_SQL} AS preferences`;
+
+    return await db.withTransaction(async (client) => {
+      let oldEmail;
+      if (data.email !== undefined) {
+        const found = await client.query(
+          `SELECT email
+          FROM users
+          WHERE username = $1 AND deleted_at IS NULL
+          FOR UPDATE`,
+          [username]
+        );
+        oldEmail = found.rows[0]?.email;
+      }
+
+      let result;
+      if (skills === undefined || Object.keys(data).length > 0) {
+        const { setCols, values } = sqlForPartialUpdate(data, {
+          firstName: "first_name",
+          lastName: "last_name",
+        });
+        const usernameVarIdx = "$" + (values.length + 1);
+
+        // on the right-hand side, columns still have their values from
+        // before the update, so these only fire when the value actually
+        // changes
+        const keys = Object.keys(data);
+        let sideEffectCols = "";
+        if (data.email !== undefined) {
+          sideEffectCols += `, email_verified = CASE WHEN email <> $${
+            keys.indexOf("email") + 1
+          } THEN FALSE ELSE email_verified END`;
+        }
+
+        const querySql = `UPDATE users
+                          SET ${setCols}${sideEffectCols}
+                          WHERE username = ${usernameVarIdx}
+                            AND deleted_at IS NULL
+                          RETURNING ${returning}`;
+        result = await client.query(querySql, [...values, username]);
+      } else {
+        result = await client.query(
+          `SELECT ${returning}
+          FROM users
+          WHERE username = $1 AND deleted_at IS NULL
+          FOR UPDATE`,
+          [username]
+        );
+      }
+      const user = result.rows[0];
+
+      if (!user) throw new NotFoundError(`No user: ${username}`);
+
+      if (oldEmail !== undefined && user.email !== oldEmail) {
+        await UserToken.revokeUnused(username, "email_verification", client);
+      }
+
+      if (skills !== undefined) {
+        user.skills = await Skill.setForUser(username, skills, client);
+      }
+
+      return user;
+    }, client);
+  }
+
+  /** Set a new password for a user who could not log in (see the password
+   * reset routes); returns undefined.
+   *
+   * Also bumps the user's token version, so tokens issued with the old
+   * password stop working.
+   *
+   * Throws NotFoundError if not found.
+   */
+
+  static async resetPassword(username, password) {
+    const hashedPassword = await bcrypt.hash(password, BCRYPT_WORK_FACTOR);
+
+    const result = await db.query(
+      `UPDATE users
+      SET password = $1, token_version = token_version + 1
+      WHERE username = $2 AND deleted_at IS NULL
+      RETURNING username`,
+      [hashedPassword, username]
+    );
     const user = result.rows[0];
 
     if (!user) throw new NotFoundError(`No user: ${username}`);
-
-    delete user.password;
-    return user;
   }
 
-  /** Delete given user from database; returns undefined. */
+  /** Mark a user's email as verified; returns undefined.
+   *
+   * Throws NotFoundError if not found.
+   */
 
-  static async remove(username) {
-    let result = await db.query(
-      `DELETE
-           FROM users
-           WHERE username = $1
-           RETURNING username`,
+  static async verifyEmail(username) {
+    const result = await db.query(
+      `UPDATE users
+      SET email_verified = TRUE
+      WHERE username = $1 AND deleted_at IS NULL
+      RETURNING username`,
       [username]
     );
     const user = result.rows[0];
@@ -213,43 +530,289 @@ class User {
     if (!user) throw new NotFoundError(`No user: ${username}`);
   }
 
+  /** Lift a login lockout on a user; returns undefined.
+   *
+   * Throws NotFoundError if not found.
+   */
+
+  static async unlock(username, client = db) {
+    const result = await client.query(
+      `SELECT username
+      FROM users
+      WHERE username = $1 AND deleted_at IS NULL`,
+      [username]
+    );
+
+    if (!result.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+    await LoginThrottle.unlock(username, client);
+  }
+
+  /** Delete given user; returns undefined.
+   *
+   * The user is only marked deleted: they can't log in, their tokens stop
+   * working and they are hidden. They can be brought back with restore until
+   * purged (see purge.js).
+   *
+   * Their refresh tokens are revoked in the same transaction, so none of
+   * them works again after a restore.
+   **/
+
+  static async remove(username, client = db) {
+    await db.withTransaction(async (client) => {
+      const result = await client.query(
+        `UPDATE users
+             SET deleted_at = NOW(), token_version = token_version + 1
+             WHERE username = $1 AND deleted_at IS NULL
+             RETURNING username`,
+        [username]
+      );
+      const user = result.rows[0];
+
+      if (!user) throw new NotFoundError(`No user: ${username}`);
+
+      await RefreshToken.revokeAllForUser(username, client);
+    }, client);
+  }
+
+  /** Bring back a deleted user.
+   *
+   * Returns { username, firstName, lastName, email, isAdmin }
+   *
+   * Throws NotFoundError if there is no deleted user with username.
+   **/
+
+  static async restore(username, client = db) {
+    const result = await client.query(
+      `UPDATE users
+      SET deleted_at = NULL
+      WHERE username = $1 AND deleted_at IS NOT NULL
+      RETURNING username,
+                first_name AS "firstName",
+                last_name AS "lastName",
+                email,
+                ${IS_ADMIN_SQL} AS "isAdmin"`,
+      [username]
+    );
+    const user = result.rows[0];
+
+    if (!user) throw new NotFoundError(`No deleted user: ${username}`);
+
+    return user;
+  }
+
   /** Creates application record in applications table
    * given a username and job id
    *
+   * status is where the application starts in the pipeline: "applied"
+   * (default) or "interested"
+   *
+   * Throws NotFoundError if no such user or job, BadRequestError if the job
+   * isn't open, ConflictError if the user already applied, and
+   * ForbiddenError if REQUIRE_VERIFIED_EMAIL_TO_APPLY is on and the user
+   * hasn't verified their email.
+   *
+   * The application and the first entry in its history are saved together,
+   * in one transaction.
+   *
    * Returns and object with the job id
    * */
 
-  static async applyForJob(username, id) {
-    const preCheck = await db.query(
-      `SELECT id
-      FROM jobs
-      WHERE id = $1`, [id]);
-    const job = preCheck.rows[0];
+  static async applyForJob(username, id, status = "applied", client = db) {
+    return await db.withTransaction(async (client) => {
+      // deleted users can't apply
+      const userRes = await client.query(
+        `SELECT email_verified AS "emailVerified"
+        FROM users
+        WHERE username = $1 AND deleted_at IS NULL
+        FOR SHARE`,
+        [username]
+      );
+      const user = userRes.rows[0];
 
-    if (!job) throw new NotFoundError(`No job: ${id}`);
+      if (!user) throw new NotFoundError(`No username: ${username}`);
+      if (config.REQUIRE_VERIFIED_EMAIL_TO_APPLY && !user.emailVerified) {
+        throw new ForbiddenError("Email must be verified before applying");
+      }
 
-    const preCheck2 = await db.query(
-      `SELECT username
-      FROM users
-      WHERE username = $1`, [username]);
-    const user = preCheck2.rows[0];
+      // deleted jobs, and jobs of deleted companies, can't be applied to
+      const jobRes = await client.query(
+        `SELECT ${Job.STATUS_SQL} AS status
+        FROM jobs AS j
+          JOIN companies AS c ON c.handle = j.company_handle
+        WHERE j.id = $1
+          AND j.deleted_at IS NULL
+          AND c.deleted_at IS NULL
+        FOR SHARE OF j`,
+        [id]
+      );
+      const job = jobRes.rows[0];
 
-    if (!user) throw new NotFoundError(`No username: ${username}`);
+      if (!job) throw new NotFoundError(`No job: ${id}`);
+      if (job.status !== "open") {
+        throw new BadRequestError(`Job ${id} is not open for applications`);
+      }
 
-    let result;
+      let result;
+
+      try {
+        result = await client.query(
+          `INSERT INTO applications (username, job_id, status)
+          VALUES ($1, $2, $3)
+          RETURNING job_id`,
+          [username, id, status]
+        );
+      } catch (err) {
+        if (err.code === PG_ERRORS.FOREIGN_KEY_VIOLATION) {
+          throw new NotFoundError(
+            err.constraint === "applications_job_id_fkey"
+              ? `No job: ${id}`
+              : `No username: ${username}`
+          );
+        }
+        if (err.code === PG_ERRORS.UNIQUE_VIOLATION) {
+          throw new ConflictError(`Already applied: ${username}, job ${id}`);
+        }
+        throw mapPgError(err);
+      }
 
-    try {
-      result = await db.query(
-        `INSERT INTO applications (username, job_id)
-        VALUES ($1, $2)
-        RETURNING job_id`,
-        [username, id]
-      );
-    } catch (err) {
-      throw new NotFoundError();
-    }
+      await Application.recordStatusChange(username, id, null, status, client);
 
-    return result.rows[0];
+      return result.rows[0];
+    }, client);
+  }
+
+  /** Find open jobs matching a user's skills: those asking for any of them.
+   *
+   * Best matches come first: jobs sharing the most skills with the user,
+   * then those asking for fewer skills the user lacks, then the newest.
+   *
+   * Can be provided optional paging parameters: limit, offset.
+   *
+   * Returns [{ id, title, salary, equity, salaryCurrency, salaryPeriod,
+   *            companyHandle, companyName, city, region, country,
+   *            remotePolicy, employmentType, seniority, status, postedAt,
+   *            closesAt, skills, matchingSkills }, ...]
+   *   where matchingSkills is [name, ...], the job's skills the user has
+   *
+   * Throws NotFoundError if user not found.
+   **/
+
+  static async findMatches(username, paging = {}) {
+    await this.checkExists(username);
+
+    const { pagingSql, values } = sqlForPaging(paging, 1);
+
+    const result = await db.query(
+      `SELECT ${Job.LISTING_COLS},
+              c.name AS "companyName",
+              m.skills AS "matchingSkills"
+      ${MATCHES_FROM_SQL}
+      ORDER BY cardinality(m.skills) DESC,
+               m."numJobSkills" - cardinality(m.skills),
+               j.posted_at DESC,
+               j.id
+      ${pagingSql}`,
+      [username, ...values]
+    );
+
+    return result.rows;
+  }
+
+  /** Count the open jobs matching a user's skills (as for findMatches).
+   *
+   * Returns a number.
+   *
+   * Throws NotFoundError if user not found.
+   **/
+
+  static async countMatches(username) {
+    await this.checkExists(username);
+
+    const result = await db.query(
+      `SELECT COUNT(*)::INTEGER AS "total"
+      ${MATCHES_FROM_SQL}`,
+      [username]
+    );
+
+    return result.rows[0].total;
+  }
+
+  /** Find open jobs a user may like, that they haven't applied to.
+   *
+   * Jobs are scored on what they have in common with the jobs the user
+   * applied to, and with the user's profile:
+   * - 3 if at a company the user applied to
+   * - 2 for each word of its title in the title of a job the user applied to
+   * - 2 if it pays at least as much as a job the user applied to (in the
+   *   same currency and period)
+   * - 1 for each of the user's skills it asks for
+   * - 2 for each of the user's preferences it meets
+   *
+   * Jobs scoring 0 are left out. Highest scores come first, then the newest.
+   *
+   * Can be provided optional paging parameters: limit, offset.
+   *
+   * Returns [{ id, title, salary, equity, salaryCurrency, salaryPeriod,
+   *            companyHandle, companyName, city, region, country,
+   *            remotePolicy, employmentType, seniority, status, postedAt,
+   *            closesAt, skills, score, reasons }, ...]
+   *   where reasons lists what scored, in order, from "company", "title",
+   *   "salary", "skills", "remotePolicy", "country", "employmentType" and
+   *   "seniority"
+   *
+   * Throws NotFoundError if user not found.
+   **/
+
+  static async findRecommendations(username, paging = {}) {
+    await this.checkExists(username);
+
+    const { pagingSql, values } = sqlForPaging(paging, 1);
+
+    const result = await db.query(
+      `SELECT ${Job.LISTING_COLS},
+              c.name AS "companyName",
+              r.score,
+              r.reasons
+      ${RECOMMENDATIONS_FROM_SQL}
+      ORDER BY r.score DESC, j.posted_at DESC, j.id
+      ${pagingSql}`,
+      [username, ...values]
+    );
+
+    return result.rows;
+  }
+
+  /** Count the jobs recommended to a user (as for findRecommendations).
+   *
+   * Returns a number.
+   *
+   * Throws NotFoundError if user not found.
+   **/
+
+  static async countRecommendations(username) {
+    await this.checkExists(username);
+
+    const result = await db.query(
+      `SELECT COUNT(*)::INTEGER AS "total"
+      ${RECOMMENDATIONS_FROM_SQL}`,
+      [username]
+    );
+
+    return result.rows[0].total;
+  }
+
+  /** Throws NotFoundError unless username is a user (and not deleted). */
+
+  static async checkExists(username) {
+    const result = await db.query(
+      `SELECT username
+      FROM users
+      WHERE username = $1 AND deleted_at IS NULL`,
+      [username]
+    );
+
+    if (!result.rows[0]) throw new NotFoundError(`No user: ${username}`);
   }
 }
 
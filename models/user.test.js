@@ -4,9 +4,16 @@ const {
   NotFoundError,
   BadRequestError,
   UnauthorizedError,
+  TooManyRequestsError,
+  ConflictError,
+  ForbiddenError,
 } = require("../expressError");
 const db = require("../db.js");
 const User = require("./user.js");
+const Job = require("./job.js");
+const Skill = require("./skill.js");
+const RefreshToken = require("./refreshToken.js");
+const config = require("../config.js");
 
 const {
   commonBeforeAll,
@@ -32,6 +39,7 @@ describe("authenticate", function () {
       lastName: "U1L",
       email: "u1@email.com",
       isAdmin: false,
+      tokenVersion: 0,
     });
   });
 
@@ -52,6 +60,31 @@ describe("authenticate", function () {
       expect(err instanceof UnauthorizedError).toBeTruthy();
     }
   });
+
+  test("locked out after too many failures", async function () {
+    for (let i = 0; i < 5; i++) {
+      await expect(User.authenticate("u1", "wrong", "1.2.3.4"))
+        .rejects.toThrow(UnauthorizedError);
+    }
+    try {
+      await User.authenticate("u1", "password1", "1.2.3.4");
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof TooManyRequestsError).toBeTruthy();
+    }
+  });
+
+  test("works: success clears earlier failures", async function () {
+    for (let i = 0; i < 4; i++) {
+      await expect(User.authenticate("u1", "wrong"))
+        .rejects.toThrow(UnauthorizedError);
+    }
+    await User.authenticate("u1", "password1");
+    await expect(User.authenticate("u1", "wrong"))
+      .rejects.toThrow(UnauthorizedError);
+    const user = await User.authenticate("u1", "password1");
+    expect(user.username).toEqual("u1");
+  });
 });
 
 /************************************** register */
@@ -73,8 +106,10 @@ describe("register", function () {
     expect(user).toEqual(newUser);
     const found = await db.query("SELECT * FROM users WHERE username = 'new'");
     expect(found.rows.length).toEqual(1);
-    expect(found.rows[0].is_admin).toEqual(false);
     expect(found.rows[0].password.startsWith("$2b$")).toEqual(true);
+    const roles = await db.query(
+      "SELECT role FROM user_roles WHERE username = 'new'");
+    expect(roles.rows).toEqual([]);
   });
 
   test("works: adds admin", async function () {
@@ -86,11 +121,13 @@ describe("register", function () {
     expect(user).toEqual({ ...newUser, isAdmin: true });
     const found = await db.query("SELECT * FROM users WHERE username = 'new'");
     expect(found.rows.length).toEqual(1);
-    expect(found.rows[0].is_admin).toEqual(true);
     expect(found.rows[0].password.startsWith("$2b$")).toEqual(true);
+    const roles = await db.query(
+      "SELECT role FROM user_roles WHERE username = 'new'");
+    expect(roles.rows).toEqual([{ role: "admin" }]);
   });
 
-  test("bad request with dup data", async function () {
+  test("conflict with dup data", async function () {
     try {
       await User.register({
         ...newUser,
@@ -102,7 +139,7 @@ describe("register", function () {
       });
       throw new Error("fail test, you shouldn't get here");
     } catch (err) {
-      expect(err instanceof BadRequestError).toBeTruthy();
+      expect(err instanceof ConflictError).toBeTruthy();
     }
   });
 });
@@ -129,6 +166,22 @@ describe("findAll", function () {
       },
     ]);
   });
+
+  test("works: sort and paging", async function () {
+    let users = await User.findAll({ sort: "-username" });
+    expect(users.map((u) => u.username)).toEqual(["u2", "u1"]);
+
+    users = await User.findAll({ limit: 1, offset: 1 });
+    expect(users.map((u) => u.username)).toEqual(["u2"]);
+  });
+});
+
+/************************************** count */
+
+describe("count", function () {
+  test("works", async function () {
+    expect(await User.count()).toEqual(2);
+  });
 });
 
 /************************************** get */
@@ -142,6 +195,15 @@ describe("get", function () {
       lastName: "U1L",
       email: "u1@email.com",
       isAdmin: false,
+      skills: [],
+      preferences: {
+        remotePolicy: null,
+        country: null,
+        employmentType: null,
+        seniority: null,
+      },
+      roles: [],
+      emailVerified: false,
       jobs: []
     });
   });
@@ -155,6 +217,15 @@ describe("get", function () {
       lastName: "U2L",
       email: "u2@email.com",
       isAdmin: false,
+      skills: [],
+      preferences: {
+        remotePolicy: null,
+        country: null,
+        employmentType: null,
+        seniority: null,
+      },
+      roles: [],
+      emailVerified: false,
       jobs: [ j1Id ]
     });
   })
@@ -177,7 +248,6 @@ describe("update", function () {
     firstName: "NewF",
     lastName: "NewF",
     email: "new@email.com",
-    isAdmin: true,
   };
 
   test("works", async function () {
@@ -185,6 +255,14 @@ describe("update", function () {
     expect(job).toEqual({
       username: "u1",
       ...updateData,
+      isAdmin: false,
+      skills: [],
+      preferences: {
+        remotePolicy: null,
+        country: null,
+        employmentType: null,
+        seniority: null,
+      },
     });
   });
 
@@ -198,12 +276,75 @@ describe("update", function () {
       lastName: "U1L",
       email: "u1@email.com",
       isAdmin: false,
+      skills: [],
+      preferences: {
+        remotePolicy: null,
+        country: null,
+        employmentType: null,
+        seniority: null,
+      },
     });
     const found = await db.query("SELECT * FROM users WHERE username = 'u1'");
     expect(found.rows.length).toEqual(1);
     expect(found.rows[0].password.startsWith("$2b$")).toEqual(true);
   });
 
+  test("works: skills", async function () {
+    let user = await User.update("u1", {
+      firstName: "New",
+      skills: ["React", "node"],
+    });
+    expect(user.firstName).toEqual("New");
+    expect(user.skills).toEqual(["node", "react"]);
+
+    user = await User.update("u1", { skills: ["postgres"] });
+    expect(user.firstName).toEqual("New");
+    expect(user.skills).toEqual(["postgres"]);
+    expect((await User.get("u1")).skills).toEqual(["postgres"]);
+  });
+
+  test("works: preferences", async function () {
+    let user = await User.update("u1", {
+      preferences: { remotePolicy: "remote", country: "US" },
+    });
+    expect(user.preferences).toEqual({
+      remotePolicy: "remote",
+      country: "US",
+      employmentType: null,
+      seniority: null,
+    });
+
+    user = await User.update("u1", {
+      email: "new@user.com",
+      preferences: { country: null, seniority: "mid" },
+    });
+    expect(user.email).toEqual("new@user.com");
+    expect((await User.get("u1")).preferences).toEqual({
+      remotePolicy: "remote",
+      country: null,
+      employmentType: null,
+      seniority: "mid",
+    });
+  });
+
+  test("bad request if no such skill", async function () {
+    try {
+      await User.update("u1", { skills: ["cobol"] });
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such user, with only skills", async function () {
+    try {
+      await User.update("nope", { skills: ["node"] });
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
   test("not found if no such user", async function () {
     try {
       await User.update("nope", {
@@ -226,13 +367,194 @@ describe("update", function () {
   });
 });
 
+/************************************** getTokenClaims */
+
+describe("getTokenClaims", function () {
+  test("works", async function () {
+    const claims = await User.getTokenClaims("u1");
+    expect(claims).toEqual({
+      username: "u1",
+      isAdmin: false,
+      roles: [],
+      permissions: [],
+      tokenVersion: 0,
+    });
+  });
+
+  test("works: permissions of all the user's roles", async function () {
+    await db.query(`
+        INSERT INTO user_roles (username, role)
+        VALUES ('u1', 'support')`);
+    const claims = await User.getTokenClaims("u1");
+    expect(claims.roles).toEqual(["support"]);
+    expect(claims.permissions).toEqual(["applications:manage", "users:read"]);
+    expect(claims.isAdmin).toEqual(false);
+  });
+
+  test("works: admin", async function () {
+    await db.query(`
+        INSERT INTO user_roles (username, role)
+        VALUES ('u1', 'admin'), ('u1', 'support')`);
+    const claims = await User.getTokenClaims("u1");
+    expect(claims.roles).toEqual(["admin", "support"]);
+    expect(claims.permissions).toEqual([
+      "applications:manage",
+      "audit:read",
+      "companies:write",
+      "jobs:write",
+      "roles:manage",
+      "skills:manage",
+      "users:read",
+      "users:write",
+    ]);
+    expect(claims.isAdmin).toEqual(true);
+  });
+
+  test("undefined if no such user", async function () {
+    expect(await User.getTokenClaims("nope")).toBeUndefined();
+  });
+});
+
+/************************************** resetPassword */
+
+describe("resetPassword", function () {
+  test("works", async function () {
+    await User.resetPassword("u1", "new-password");
+    const user = await User.authenticate("u1", "new-password");
+    expect(user.tokenVersion).toEqual(1);
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await User.resetPassword("nope", "new-password");
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("not found if user is deleted", async function () {
+    await User.remove("u1");
+    try {
+      await User.resetPassword("u1", "new-password");
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** verifyEmail */
+
+describe("verifyEmail", function () {
+  test("works", async function () {
+    await User.verifyEmail("u1");
+    const user = await User.get("u1");
+    expect(user.emailVerified).toEqual(true);
+  });
+
+  test("works: changing email marks it unverified", async function () {
+    await User.verifyEmail("u1");
+    await User.update("u1", { email: "u1@email.com" });
+    expect((await User.get("u1")).emailVerified).toEqual(true);
+
+    await User.update("u1", { email: "new@email.com" });
+    expect((await User.get("u1")).emailVerified).toEqual(false);
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await User.verifyEmail("nope");
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("not found if user is deleted", async function () {
+    await User.remove("u1");
+    try {
+      await User.verifyEmail("u1");
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** unlock */
+
+describe("unlock", function () {
+  test("works", async function () {
+    for (let i = 0; i < 5; i++) {
+      await expect(User.authenticate("u1", "wrong"))
+        .rejects.toThrow(UnauthorizedError);
+    }
+    await User.unlock("u1");
+    const user = await User.authenticate("u1", "password1");
+    expect(user.username).toEqual("u1");
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await User.unlock("nope");
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("not found if user is deleted", async function () {
+    await User.remove("u1");
+    try {
+      await User.unlock("u1");
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
 /************************************** remove */
 
 describe("remove", function () {
-  test("works", async function () {
+  test("works: marks the user deleted", async function () {
+    await User.remove("u1");
+    const res = await db.query(
+      "SELECT deleted_at FROM users WHERE username='u1'"
+    );
+    expect(res.rows).toEqual([{ deleted_at: expect.any(Date) }]);
+  });
+
+  test("hides the user and stops their logins and tokens", async function () {
+    await User.remove("u1");
+
+    const users = await User.findAll();
+    expect(users.map((u) => u.username)).toEqual(["u2"]);
+    expect(await User.count()).toEqual(1);
+    expect(await User.getTokenClaims("u1")).toBeUndefined();
+    try {
+      await User.authenticate("u1", "password1");
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+    try {
+      await User.get("u1");
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("revokes the user's refresh tokens", async function () {
+    await RefreshToken.create("u1");
+    await RefreshToken.create("u2");
     await User.remove("u1");
-    const res = await db.query("SELECT * FROM users WHERE username='u1'");
-    expect(res.rows.length).toEqual(0);
+
+    const found = await db.query(
+      `SELECT username FROM refresh_tokens WHERE revoked_at IS NULL`);
+    expect(found.rows).toEqual([{ username: "u2" }]);
   });
 
   test("not found if no such user", async function () {
@@ -245,6 +567,32 @@ describe("remove", function () {
   });
 });
 
+/************************************** restore */
+
+describe("restore", function () {
+  test("works", async function () {
+    await User.remove("u1");
+    const user = await User.restore("u1");
+    expect(user).toEqual({
+      username: "u1",
+      firstName: "U1F",
+      lastName: "U1L",
+      email: "u1@email.com",
+      isAdmin: false,
+    });
+    expect((await User.get("u1")).username).toEqual("u1");
+  });
+
+  test("not found if not deleted", async function () {
+    try {
+      await User.restore("u1");
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
 /************************************** applyForJob */
 
 
@@ -254,6 +602,48 @@ describe("applyForJob", function () {
     const results = await User.applyForJob("u1", j1Id)
 
     expect(results).toEqual({ job_id: j1Id })
+
+    const found = await db.query(
+      `SELECT status FROM applications WHERE username = 'u1' AND job_id = $1`,
+      [j1Id]);
+    expect(found.rows).toEqual([{ status: "applied" }]);
+  });
+
+  test("works: starts as interested", async function () {
+    const { j1Id } = testJobIds;
+    await User.applyForJob("u1", j1Id, "interested");
+
+    const found = await db.query(
+      `SELECT from_status, to_status
+      FROM application_status_changes
+      WHERE username = 'u1' AND job_id = $1`,
+      [j1Id]);
+    expect(found.rows).toEqual([{ from_status: null, to_status: "interested" }]);
+  });
+
+  test("forbidden if email unverified and verification required", async function () {
+    const { j1Id } = testJobIds;
+    config.REQUIRE_VERIFIED_EMAIL_TO_APPLY = true;
+    try {
+      await User.applyForJob("u1", j1Id);
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof ForbiddenError).toBeTruthy();
+    } finally {
+      config.REQUIRE_VERIFIED_EMAIL_TO_APPLY = false;
+    }
+  });
+
+  test("works: email verified and verification required", async function () {
+    const { j1Id } = testJobIds;
+    await User.verifyEmail("u1");
+    config.REQUIRE_VERIFIED_EMAIL_TO_APPLY = true;
+    try {
+      const results = await User.applyForJob("u1", j1Id);
+      expect(results).toEqual({ job_id: j1Id });
+    } finally {
+      config.REQUIRE_VERIFIED_EMAIL_TO_APPLY = false;
+    }
   });
 
   test("not found if no such user or jobId", async function () {
@@ -262,8 +652,214 @@ describe("applyForJob", function () {
       await User.applyForJob("not-a-user", j1Id)
       throw new Error("fail test, you shouldn't get here");
     } catch (err) {
-      console.log("applyforjob", err)
       expect(err instanceof NotFoundError).toBeTruthy();
+      expect(err.message).toEqual("No username: not-a-user");
+    }
+
+    try {
+      await User.applyForJob("u1", 0)
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+      expect(err.message).toEqual("No job: 0");
+    }
+  })
+
+  test("not found if user is deleted", async function () {
+    await User.remove("u1");
+    try {
+      await User.applyForJob("u1", testJobIds.j1Id);
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+      expect(err.message).toEqual("No username: u1");
+    }
+  });
+
+  test("not found if job or its company is deleted", async function () {
+    const { j1Id, j2Id } = testJobIds;
+    await db.query("UPDATE jobs SET deleted_at = NOW() WHERE id = $1", [j1Id]);
+    await db.query("UPDATE companies SET deleted_at = NOW() WHERE handle = 'c2'");
+    for (const id of [j1Id, j2Id]) {
+      try {
+        await User.applyForJob("u1", id);
+        throw new Error("fail test, you shouldn't get here");
+      } catch (err) {
+        expect(err instanceof NotFoundError).toBeTruthy();
+      }
+    }
+  });
+
+  test("bad request if job is not open", async function () {
+    const { j1Id, j2Id } = testJobIds;
+    await db.query("UPDATE jobs SET status = 'draft' WHERE id = $1", [j1Id]);
+    await db.query(
+      "UPDATE jobs SET closes_at = NOW() - INTERVAL '1 day' WHERE id = $1",
+      [j2Id]);
+    for (const id of [j1Id, j2Id]) {
+      try {
+        await User.applyForJob("u1", id);
+        throw new Error("fail test, you shouldn't get here");
+      } catch (err) {
+        expect(err instanceof BadRequestError).toBeTruthy();
+        expect(err.message).toEqual(`Job ${id} is not open for applications`);
+      }
+    }
+  });
+
+  test("conflict if already applied", async function () {
+    const { j1Id } = testJobIds;
+    try {
+      await User.applyForJob("u2", j1Id);
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof ConflictError).toBeTruthy();
     }
+
+    const history = await db.query(
+      `SELECT to_status
+      FROM application_status_changes
+      WHERE username = 'u2' AND job_id = $1`,
+      [j1Id]);
+    expect(history.rows).toEqual([]);
   })
 });
+
+/************************************** findRecommendations */
+
+describe("findRecommendations", function () {
+  async function createJob(data, status = "open") {
+    const job = await Job.create({ companyHandle: "c3", ...data });
+    if (status !== "draft") await Job.updateStatus(job.id, "open");
+    if (status === "closed") await Job.updateStatus(job.id, "closed");
+    return job.id;
+  }
+
+  test("works: best scores first", async function () {
+    const { j1Id, j2Id } = testJobIds;
+    const appliedId = await createJob({
+      title: "Backend Engineer",
+      salary: 100000,
+      companyHandle: "c1",
+    });
+    await User.applyForJob("u1", appliedId);
+    await Skill.setForUser("u1", ["node"]);
+    await User.update("u1", { preferences: { remotePolicy: "remote" } });
+
+    const jAId = await createJob({
+      title: "Frontend Engineer",
+      salary: 90000,
+      companyHandle: "c1",
+    });
+    const jBId = await createJob({ title: "Backend Developer", salary: 120000 });
+    const jCId = await createJob({
+      title: "Designer",
+      salary: 150000,
+      salaryCurrency: "EUR",
+      remotePolicy: "remote",
+    });
+    const jDId = await createJob({ title: "Designer", skills: ["node"] });
+    await createJob({ title: "Gardener", salary: 10 });
+    await createJob({ title: "Backend Engineer II" }, "closed");
+    await createJob({ title: "Backend Engineer III" }, "draft");
+
+    const jobs = await User.findRecommendations("u1");
+    expect(jobs.map((j) => [j.id, j.score, j.reasons])).toEqual([
+      [jAId, 5, ["company", "title"]],
+      [j1Id, 5, ["company", "salary"]],
+      [jBId, 4, ["title", "salary"]],
+      [jCId, 2, ["remotePolicy"]],
+      [j2Id, 2, ["salary"]],
+      [jDId, 1, ["skills"]],
+    ]);
+    expect(jobs[2]).toEqual(expect.objectContaining({
+      title: "Backend Developer",
+      companyHandle: "c3",
+      companyName: "C3",
+      status: "open",
+    }));
+    expect(await User.countRecommendations("u1")).toEqual(6);
+
+    const page = await User.findRecommendations("u1", { limit: 2, offset: 2 });
+    expect(page.map((j) => j.id)).toEqual([jBId, jCId]);
+  });
+
+  test("works: no applications or profile, no recommendations",
+    async function () {
+      expect(await User.findRecommendations("u1")).toEqual([]);
+      expect(await User.countRecommendations("u1")).toEqual(0);
+    });
+
+  test("not found if no such user", async function () {
+    for (const find of [User.findRecommendations, User.countRecommendations]) {
+      try {
+        await find.call(User, "nope");
+        throw new Error("fail test, you shouldn't get here");
+      } catch (err) {
+        expect(err instanceof NotFoundError).toBeTruthy();
+      }
+    }
+  });
+});
+
+/************************************** findMatches */
+
+describe("findMatches", function () {
+  async function createJob(title, skills, status = "open") {
+    const job = await Job.create({ title, companyHandle: "c3", skills });
+    if (status !== "draft") await Job.updateStatus(job.id, "open");
+    if (status === "closed") await Job.updateStatus(job.id, "closed");
+    return job.id;
+  }
+
+  test("works: best matches first", async function () {
+    const { j1Id, j2Id } = testJobIds;
+    await Skill.setForUser("u1", ["node", "postgres"]);
+    await Skill.setForJob(j1Id, ["node", "postgres", "react"]);
+    await Skill.setForJob(j2Id, ["node"]);
+    await db.query(
+      `UPDATE jobs SET posted_at = NOW() - INTERVAL '1 day' WHERE id = $1`,
+      [j2Id]);
+    const j3Id = await createJob("j3", ["postgres"]);
+    const j4Id = await createJob("j4", ["postgres", "react"]);
+    await createJob("j5", ["react"]);
+    await createJob("j6", ["node"], "closed");
+    await createJob("j7", ["node"], "draft");
+
+    const jobs = await User.findMatches("u1");
+    expect(jobs.map((j) => [j.id, j.matchingSkills])).toEqual([
+      [j1Id, ["node", "postgres"]],
+      [j3Id, ["postgres"]],
+      [j2Id, ["node"]],
+      [j4Id, ["postgres"]],
+    ]);
+    expect(jobs[0]).toEqual(expect.objectContaining({
+      title: "j1",
+      companyHandle: "c1",
+      companyName: "C1",
+      status: "open",
+      skills: ["node", "postgres", "react"],
+    }));
+    expect(await User.countMatches("u1")).toEqual(4);
+
+    const page = await User.findMatches("u1", { limit: 2, offset: 1 });
+    expect(page.map((j) => j.id)).toEqual([j3Id, j2Id]);
+  });
+
+  test("works: no skills, no matches", async function () {
+    await Skill.setForJob(testJobIds.j1Id, ["node"]);
+    expect(await User.findMatches("u2")).toEqual([]);
+    expect(await User.countMatches("u2")).toEqual(0);
+  });
+
+  test("not found if no such user", async function () {
+    for (const find of [User.findMatches, User.countMatches]) {
+      try {
+        await find.call(User, "nope");
+        throw new Error("fail test, you shouldn't get here");
+      } catch (err) {
+        expect(err instanceof NotFoundError).toBeTruthy();
+      }
+    }
+  });
+});
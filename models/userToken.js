@@ -0,0 +1,77 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError } = require("../expressError");
+const { createOpaqueToken, hashToken } = require("../helpers/tokens");
+
+/** Related functions for single-use tokens sent to users (eg, in password
+ * reset emails).
+ *
+ * Each token has a purpose, is stored only as a hash, expires, and can be
+ * used once.
+ */
+
+class UserToken {
+  /** Issue a new token for username and purpose, valid for ttlMinutes.
+   *
+   * Any unused token the user already has for this purpose stops working,
+   * so only the latest email sent is good.
+   *
+   * Returns the token.
+   **/
+
+  static async create(username, purpose, ttlMinutes) {
+    await this.revokeUnused(username, purpose);
+
+    const token = createOpaqueToken();
+
+    await db.query(
+      `INSERT INTO user_tokens (username, purpose, token_hash, expires_at)
+      VALUES ($1, $2, $3, NOW() + $4 * INTERVAL '1 minute')`,
+      [username, purpose, hashToken(token), ttlMinutes]
+    );
+
+    return token;
+  }
+
+  /** Use up a token for purpose.
+   *
+   * Returns the username the token was issued to.
+   *
+   * Throws BadRequestError if the token is unknown, expired, already used,
+   * or for a different purpose.
+   **/
+
+  static async consume(token, purpose) {
+    const result = await db.query(
+      `UPDATE user_tokens
+      SET used_at = NOW()
+      WHERE token_hash = $1
+        AND purpose = $2
+        AND used_at IS NULL
+        AND expires_at > NOW()
+      RETURNING username`,
+      [hashToken(token), purpose]
+    );
+
+    const found = result.rows[0];
+
+    if (!found) throw new BadRequestError("Invalid or expired token");
+
+    return found.username;
+  }
+
+  /** Stop any unused tokens username has for purpose from working; returns
+   * undefined. */
+
+  static async revokeUnused(username, purpose, client = db) {
+    await client.query(
+      `UPDATE user_tokens
+      SET used_at = NOW()
+      WHERE username = $1 AND purpose = $2 AND used_at IS NULL`,
+      [username, purpose]
+    );
+  }
+}
+
+module.exports = UserToken;
@@ -0,0 +1,84 @@
+"use strict";
+
+const { BadRequestError } = require("../expressError");
+const db = require("../db.js");
+const UserToken = require("./userToken.js");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** create */
+
+describe("create", function () {
+  test("works", async function () {
+    const token = await UserToken.create("u1", "password_reset", 60);
+    expect(token).toEqual(expect.any(String));
+    const found = await db.query(
+      `SELECT username, purpose, used_at FROM user_tokens`);
+    expect(found.rows).toEqual([
+      { username: "u1", purpose: "password_reset", used_at: null },
+    ]);
+  });
+
+  test("works: earlier tokens stop working", async function () {
+    const first = await UserToken.create("u1", "password_reset", 60);
+    await UserToken.create("u1", "password_reset", 60);
+    try {
+      await UserToken.consume(first, "password_reset");
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** consume */
+
+describe("consume", function () {
+  test("works", async function () {
+    const token = await UserToken.create("u1", "password_reset", 60);
+    const username = await UserToken.consume(token, "password_reset");
+    expect(username).toEqual("u1");
+  });
+
+  test("bad request if used twice", async function () {
+    const token = await UserToken.create("u1", "password_reset", 60);
+    await UserToken.consume(token, "password_reset");
+    try {
+      await UserToken.consume(token, "password_reset");
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request if expired", async function () {
+    const token = await UserToken.create("u1", "password_reset", 60);
+    await db.query(
+      `UPDATE user_tokens SET expires_at = NOW() - INTERVAL '1 minute'`);
+    try {
+      await UserToken.consume(token, "password_reset");
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request if unknown", async function () {
+    try {
+      await UserToken.consume("nope", "password_reset");
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
@@ -0,0 +1,76 @@
+"use strict";
+
+/** Purge deleted records for good.
+ *
+ * Deleting a company, job or user only marks it deleted (see the models'
+ * remove methods), so it can be restored. Once it has been deleted for
+ * longer than the retention window, purging removes it from the database,
+ * with everything that depends on it (eg, a company's jobs, and their
+ * applications).
+ *
+ * Meant to be run on a schedule (eg, daily from cron):
+ *
+ *   npm run purge          purge records deleted SOFT_DELETE_RETENTION_DAYS
+ *                          (see config.js) or more days ago
+ *   npm run purge -- <n>   purge records deleted n or more days ago
+ */
+
+const { SOFT_DELETE_RETENTION_DAYS } = require("./config");
+
+// Jobs first, so jobs are counted where they were deleted themselves rather
+// than along with their company
+const TABLES = ["jobs", "companies", "users"];
+
+/** Hard delete every company, job and user deleted at least retentionDays
+ * ago, on db (a pool or a client).
+ *
+ * Returns the number purged from each table: { jobs, companies, users }
+ **/
+
+async function purgeDeleted(db, retentionDays = SOFT_DELETE_RETENTION_DAYS) {
+  const purged = {};
+
+  for (const table of TABLES) {
+    const result = await db.query(
+      `DELETE
+      FROM ${table}
+      WHERE deleted_at <= NOW() - $1 * INTERVAL '1 day'`,
+      [retentionDays]
+    );
+    purged[table] = result.rowCount;
+  }
+
+  return purged;
+}
+
+/** Command line entry point; see top of file. */
+
+async function main(args) {
+  const db = require("./db");
+  const [days] = args;
+
+  try {
+    if (days !== undefined && !(Number(days) >= 0)) {
+      console.error("Usage: purge.js [days]");
+      process.exitCode = 1;
+      return;
+    }
+
+    const purged = await purgeDeleted(
+      db,
+      days === undefined ? undefined : Number(days)
+    );
+    for (const [table, count] of Object.entries(purged)) {
+      console.log(`purged ${count} from ${table}`);
+    }
+  } catch (err) {
+    console.error(err.message);
+    process.exitCode = 1;
+  } finally {
+    await db.end();
+  }
+}
+
+if (require.main === module) main(process.argv.slice(2));
+
+module.exports = { purgeDeleted };
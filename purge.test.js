@@ -0,0 +1,81 @@
+"use strict";
+
+const db = require("./db.js");
+const { migrateUp } = require("./migrate");
+const { purgeDeleted } = require("./purge");
+
+beforeAll(async function () {
+  await migrateUp(db);
+});
+
+beforeEach(async function () {
+  await db.query("BEGIN");
+  await db.query(`
+    INSERT INTO companies (handle, name, description, num_employees,
+                           deleted_at)
+    VALUES ('old', 'Old', 'Desc', 1, NOW() - INTERVAL '40 days'),
+           ('new', 'New', 'Desc', 1, NOW() - INTERVAL '1 day'),
+           ('live', 'Live', 'Desc', 1, NULL)`);
+  await db.query(`
+    INSERT INTO jobs (title, salary, equity, company_handle, deleted_at)
+    VALUES ('old-job', 1, 0, 'old', NULL),
+           ('gone', 1, 0, 'live', NOW() - INTERVAL '31 days'),
+           ('kept', 1, 0, 'live', NOW() - INTERVAL '29 days')`);
+  await db.query(`
+    INSERT INTO users (username, password, first_name, last_name, email,
+                       deleted_at)
+    VALUES ('old-user', 'x', 'F', 'L', 'old@user.com',
+            NOW() - INTERVAL '90 days')`);
+});
+
+afterEach(async function () {
+  await db.query("ROLLBACK");
+});
+
+afterAll(async function () {
+  await db.end();
+});
+
+async function names(sql) {
+  return (await db.query(sql)).rows.map((r) => r.name);
+}
+
+describe("purgeDeleted", function () {
+  test("works: hard deletes what was deleted long enough ago", async function () {
+    expect(await purgeDeleted(db, 30)).toEqual({
+      jobs: 1,
+      companies: 1,
+      users: 1,
+    });
+
+    expect(
+      await names(
+        `SELECT handle AS name FROM companies
+        WHERE handle IN ('old', 'new', 'live') ORDER BY handle`
+      )
+    ).toEqual(["live", "new"]);
+    // the old company's jobs go with it
+    expect(
+      await names(
+        `SELECT title AS name FROM jobs
+        WHERE company_handle IN ('old', 'new', 'live') ORDER BY title`
+      )
+    ).toEqual(["kept"]);
+    expect(
+      await names(`SELECT username AS name FROM users WHERE username = 'old-user'`)
+    ).toEqual([]);
+  });
+
+  test("works: retention window", async function () {
+    expect(await purgeDeleted(db, 100)).toEqual({
+      jobs: 0,
+      companies: 0,
+      users: 0,
+    });
+    expect(await purgeDeleted(db, 0)).toEqual({
+      jobs: 2,
+      companies: 2,
+      users: 1,
+    });
+  });
+});
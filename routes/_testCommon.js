@@ -1,18 +1,29 @@
 "use strict";
 
 const db = require("../db.js");
+const { migrateUp } = require("../migrate");
 const User = require("../models/user");
 const Company = require("../models/company");
 const Job = require("../models/job");
+const CompanyMember = require("../models/companyMember");
+const Skill = require("../models/skill");
 const { createToken } = require("../helpers/tokens");
 
 let testJobIds = {};
 
 async function commonBeforeAll() {
+  await migrateUp(db);
+
   // noinspection SqlWithoutWhere
   await db.query("DELETE FROM users");
   // noinspection SqlWithoutWhere
   await db.query("DELETE FROM companies");
+  // noinspection SqlWithoutWhere
+  await db.query("DELETE FROM audit_log");
+  // noinspection SqlWithoutWhere
+  await db.query("DELETE FROM skills");
+
+  for (const skill of ["node", "postgres", "react"]) await Skill.create(skill);
 
   await Company.create({
     handle: "c1",
@@ -60,6 +71,14 @@ async function commonBeforeAll() {
     password: "password3",
     isAdmin: false,
   });
+  await User.register({
+    username: "admin",
+    firstName: "AdminF",
+    lastName: "AdminL",
+    email: "admin@user.com",
+    password: "password-admin",
+    isAdmin: true,
+  });
   const j1 = await Job.create({
     title: "j1",
     salary: 10000,
@@ -79,16 +98,25 @@ async function commonBeforeAll() {
     companyHandle: "c3",
   });
 
+  for (const job of [j1, j2, j3]) await Job.updateStatus(job.id, "open");
+
   testJobIds.j1Id = j1.id;
   testJobIds.j2Id = j2.id;
   testJobIds.j3Id = j3.id;
+
+  await CompanyMember.add("c1", "u3", "owner");
+  await CompanyMember.add("c3", "u2", "recruiter");
 }
 
 async function commonBeforeEach() {
-  await db.query("BEGIN");
+  const client = await db.connect();
+  await client.query("BEGIN");
+  client.release();
+  db.nestTransactionsIn(client);
 }
 
 async function commonAfterEach() {
+  db.nestTransactionsIn(null);
   await db.query("ROLLBACK");
 }
 
@@ -99,6 +127,7 @@ async function commonAfterAll() {
 const u1Token = createToken({ username: "u1", isAdmin: false });
 const adminToken = createToken({ username: "admin", isAdmin: true });
 const u2Token = createToken({ username: "u2", isAdmin: false });
+const u3Token = createToken({ username: "u3", isAdmin: false });
 
 module.exports = {
   commonBeforeAll,
@@ -107,6 +136,7 @@ module.exports = {
   commonAfterAll,
   u1Token,
   u2Token,
+  u3Token,
   adminToken,
   testJobIds,
 };
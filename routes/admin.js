@@ -0,0 +1,51 @@
+"use strict";
+
+/** Routes for site administration. */
+
+const express = require("express");
+
+const { requirePermission } = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const AuditLog = require("../models/auditLog");
+const { splitPaging, pageInfo } = require("../helpers/pagination");
+
+const auditSearchSchema = require("../schemas/auditSearch.json");
+
+const router = new express.Router();
+
+/** GET /audit  =>
+ *   { entries: [ { id, actor, action, entityType, entityId, before, after,
+ *                  createdAt }, ...],
+ *     pagination: { total, limit, offset, nextOffset } }
+ *
+ * Lists changes to companies, jobs, users, company members, user roles,
+ * skills, applications and login lockouts, newest first. before and after
+ * hold the fields that changed; for a create or restore before is null, and
+ * for a delete after is null.
+ *
+ * Can filter on provided search filters:
+ * - actor (username of who made the change)
+ * - action ("create", "update", "delete" or "restore")
+ * - entityType ("company", "job", "user", "companyMember", "userRole",
+ *   "skill", "application" or "loginLockout")
+ *   and entityId (eg, a company handle)
+ * - since, until (date-times, eg "2024-01-31T00:00:00Z")
+ *
+ * Can page through results with limit (1-100) and offset.
+ *
+ * Authorization required: permission audit:read
+ */
+
+router.get(
+  "/audit",
+  requirePermission("audit:read"),
+  validate({ query: auditSearchSchema }),
+  async function (req, res, next) {
+    const { paging, filters } = splitPaging(req.query);
+    const entries = await AuditLog.findAll(filters, paging);
+    const total = await AuditLog.count(filters);
+    return res.json({ entries, pagination: pageInfo(paging, total) });
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,87 @@
+"use strict";
+
+const request = require("supertest");
+
+const app = require("../app");
+const AuditLog = require("../models/auditLog");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  u1Token,
+  adminToken,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** GET /admin/audit */
+
+describe("GET /admin/audit", function () {
+  beforeEach(async function () {
+    await AuditLog.record("admin", "create", "company", "c9", {
+      after: { handle: "c9", name: "C9" },
+    });
+    await AuditLog.record("u1", "update", "user", "u1", {
+      before: { firstName: "U1F" },
+      after: { firstName: "New" },
+    });
+  });
+
+  test("works for admins", async function () {
+    const resp = await request(app)
+      .get("/admin/audit")
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.entries.map((e) => e.actor)).toEqual(["u1", "admin"]);
+    expect(resp.body.entries[0]).toEqual({
+      id: expect.any(Number),
+      actor: "u1",
+      action: "update",
+      entityType: "user",
+      entityId: "u1",
+      before: { firstName: "U1F" },
+      after: { firstName: "New" },
+      createdAt: expect.any(String),
+    });
+    expect(resp.body.pagination).toEqual({
+      total: 2,
+      limit: null,
+      offset: 0,
+      nextOffset: null,
+    });
+  });
+
+  test("works: filtering and paging", async function () {
+    const resp = await request(app)
+      .get("/admin/audit")
+      .query({ entityType: "company", limit: 1 })
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.entries.map((e) => e.entityId)).toEqual(["c9"]);
+    expect(resp.body.pagination.total).toEqual(1);
+  });
+
+  test("bad request on invalid filter", async function () {
+    const resp = await request(app)
+      .get("/admin/audit")
+      .query({ since: "yesterday" })
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("forbidden for users", async function () {
+    const resp = await request(app)
+      .get("/admin/audit")
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app).get("/admin/audit");
+    expect(resp.statusCode).toEqual(401);
+  });
+});
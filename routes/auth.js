@@ -2,59 +2,228 @@
 
 /** Routes for authentication. */
 
-const jsonschema = require("jsonschema");
-
 const User = require("../models/user");
+const RefreshToken = require("../models/refreshToken");
+const UserToken = require("../models/userToken");
 const express = require("express");
 const router = new express.Router();
 const { createToken } = require("../helpers/tokens");
+const { sendMail } = require("../helpers/mailer");
+const { ensureLoggedIn } = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const {
+  FRONTEND_URL,
+  PASSWORD_RESET_EXPIRES_MINUTES,
+  EMAIL_VERIFICATION_EXPIRES_MINUTES,
+} = require("../config");
 const userAuthSchema = require("../schemas/userAuth.json");
 const userRegisterSchema = require("../schemas/userRegister.json");
-const { BadRequestError } = require("../expressError");
+const refreshTokenSchema = require("../schemas/refreshToken.json");
+const passwordResetRequestSchema = require("../schemas/passwordResetRequest.json");
+const passwordResetConfirmSchema = require("../schemas/passwordResetConfirm.json");
+const {
+  BadRequestError,
+  NotFoundError,
+  UnauthorizedError,
+} = require("../expressError");
 
-/** POST /auth/token:  { username, password } => { token }
+/** POST /auth/token:  { username, password } => { token, refreshToken }
+ *
+ * Returns JWT token which can be used to authenticate further requests,
+ * and a refresh token which can be exchanged for a new one at /auth/refresh.
  *
- * Returns JWT token which can be used to authenticate further requests.
+ * Repeated failures lock out the username (and the caller's IP address) for
+ * a while; during a lockout this returns 429 with a Retry-After header.
  *
  * Authorization required: none
  */
 
-router.post("/token", async function (req, res, next) {
-  const validator = jsonschema.validate(req.body, userAuthSchema, {
-    required: true,
-  });
-  if (!validator.valid) {
-    const errs = validator.errors.map((e) => e.stack);
-    throw new BadRequestError(errs);
+router.post(
+  "/token",
+  validate({ body: userAuthSchema }),
+  async function (req, res, next) {
+    const { username, password } = req.body;
+    const user = await User.authenticate(username, password, req.ip);
+    const token = createToken(user);
+    const refreshToken = await RefreshToken.create(user.username);
+    return res.json({ token, refreshToken });
   }
+);
 
-  const { username, password } = req.body;
-  const user = await User.authenticate(username, password);
-  const token = createToken(user);
-  return res.json({ token });
-});
-
-/** POST /auth/register:   { user } => { token }
+/** POST /auth/register:   { user } => { token, refreshToken }
  *
  * user must include { username, password, firstName, lastName, email }
  *
- * Returns JWT token which can be used to authenticate further requests.
+ * Sends an email with a link to verify the email address.
+ *
+ * Returns JWT token which can be used to authenticate further requests,
+ * and a refresh token which can be exchanged for a new one at /auth/refresh.
  *
  * Authorization required: none
  */
 
-router.post("/register", async function (req, res, next) {
-  const validator = jsonschema.validate(req.body, userRegisterSchema, {
-    required: true,
-  });
-  if (!validator.valid) {
-    const errs = validator.errors.map((e) => e.stack);
-    throw new BadRequestError(errs);
+router.post(
+  "/register",
+  validate({ body: userRegisterSchema }),
+  async function (req, res, next) {
+    const newUser = await User.register({ ...req.body, isAdmin: false });
+    await sendVerificationEmail(newUser);
+    const token = createToken(newUser);
+    const refreshToken = await RefreshToken.create(newUser.username);
+    return res.status(201).json({ token, refreshToken });
   }
+);
+
+/** GET /auth/verify/[token]  => { verified: true }
+ *
+ * Marks the user's email as verified, using the token from the email sent
+ * when they registered.
+ *
+ * Authorization required: none
+ */
+
+router.get("/verify/:token", async function (req, res, next) {
+  const username = await UserToken.consume(
+    req.params.token,
+    "email_verification"
+  );
+  await User.verifyEmail(username);
+  return res.json({ verified: true });
+});
 
-  const newUser = await User.register({ ...req.body, isAdmin: false });
-  const token = createToken(newUser);
-  return res.status(201).json({ token });
+/** POST /auth/verify/resend  => { sent: true }
+ *
+ * Sends a new email verification link to the logged-in user; earlier links
+ * stop working.
+ *
+ * Authorization required: logged in
+ */
+
+router.post("/verify/resend", ensureLoggedIn, async function (req, res, next) {
+  const user = await User.get(res.locals.user.username);
+  if (user.emailVerified) throw new BadRequestError("Email already verified");
+
+  await sendVerificationEmail(user);
+  return res.json({ sent: true });
 });
 
+/** POST /auth/refresh:   { refreshToken } => { token, refreshToken }
+ *
+ * Exchanges a refresh token for a new JWT and a new refresh token. Each
+ * refresh token can be used only once; reusing one revokes every refresh
+ * token issued from the same login.
+ *
+ * Authorization required: none
+ */
+
+router.post(
+  "/refresh",
+  validate({ body: refreshTokenSchema }),
+  async function (req, res, next) {
+    const { username, refreshToken } = await RefreshToken.rotate(
+      req.body.refreshToken
+    );
+    const user = await User.getTokenClaims(username);
+    if (!user) throw new UnauthorizedError("Invalid refresh token");
+    const token = createToken(user);
+    return res.json({ token, refreshToken });
+  }
+);
+
+/** POST /auth/logout:   { refreshToken } => { loggedOut: true }
+ *
+ * Revokes the refresh token and every other one issued from the same login.
+ * The JWT stays valid until it expires.
+ *
+ * Authorization required: none
+ */
+
+router.post(
+  "/logout",
+  validate({ body: refreshTokenSchema }),
+  async function (req, res, next) {
+    await RefreshToken.revoke(req.body.refreshToken);
+    return res.json({ loggedOut: true });
+  }
+);
+
+/** POST /auth/password-reset/request:   { username } => { requested: true }
+ *
+ * Emails the user a link with a single-use token to reset their password.
+ * The response is the same whether or not the user exists, so it can't be
+ * used to find out which usernames are taken.
+ *
+ * Authorization required: none
+ */
+
+router.post(
+  "/password-reset/request",
+  validate({ body: passwordResetRequestSchema }),
+  async function (req, res, next) {
+    let user;
+    try {
+      user = await User.get(req.body.username);
+    } catch (err) {
+      if (!(err instanceof NotFoundError)) throw err;
+    }
+
+    if (user) {
+      const token = await UserToken.create(
+        user.username,
+        "password_reset",
+        PASSWORD_RESET_EXPIRES_MINUTES
+      );
+      await sendMail({
+        to: user.email,
+        subject: "Reset your Jobly password",
+        text: `Hi ${user.firstName},\n\n` +
+          "To choose a new password, follow this link:\n\n" +
+          `${FRONTEND_URL}/reset-password?token=${token}\n\n` +
+          `The link expires in ${PASSWORD_RESET_EXPIRES_MINUTES} minutes. ` +
+          "If you didn't ask to reset your password, you can ignore this email.",
+      });
+    }
+
+    return res.json({ requested: true });
+  }
+);
+
+/** POST /auth/password-reset/confirm:   { token, password } => { reset: true }
+ *
+ * Sets a new password using the token from a password reset email. This
+ * logs the user out everywhere: their existing JWTs and refresh tokens stop
+ * working.
+ *
+ * Authorization required: none
+ */
+
+router.post(
+  "/password-reset/confirm",
+  validate({ body: passwordResetConfirmSchema }),
+  async function (req, res, next) {
+    const username = await UserToken.consume(req.body.token, "password_reset");
+    await User.resetPassword(username, req.body.password);
+    await RefreshToken.revokeAllForUser(username);
+    return res.json({ reset: true });
+  }
+);
+
+/** Email user { username, firstName, email } a link to verify their email
+ * address. */
+
+async function sendVerificationEmail(user) {
+  const token = await UserToken.create(
+    user.username,
+    "email_verification",
+    EMAIL_VERIFICATION_EXPIRES_MINUTES
+  );
+  await sendMail({
+    to: user.email,
+    subject: "Verify your Jobly email address",
+    text: `Hi ${user.firstName},\n\n` +
+      "To verify your email address, follow this link:\n\n" +
+      `${FRONTEND_URL}/verify-email?token=${token}\n`,
+  });
+}
+
 module.exports = router;
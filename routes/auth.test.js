@@ -3,12 +3,16 @@
 const request = require("supertest");
 
 const app = require("../app");
+const User = require("../models/user");
+const Role = require("../models/role");
+const { setTransport, consoleTransport } = require("../helpers/mailer");
 
 const {
   commonBeforeAll,
   commonBeforeEach,
   commonAfterEach,
   commonAfterAll,
+  u1Token,
 } = require("./_testCommon");
 
 beforeAll(commonBeforeAll);
@@ -26,6 +30,7 @@ describe("POST /auth/token", function () {
     });
     expect(resp.body).toEqual({
       token: expect.any(String),
+      refreshToken: expect.any(String),
     });
   });
 
@@ -45,6 +50,21 @@ describe("POST /auth/token", function () {
     expect(resp.statusCode).toEqual(401);
   });
 
+  test("too many requests after repeated failures", async function () {
+    for (let i = 0; i < 5; i++) {
+      await request(app).post("/auth/token").send({
+        username: "u1",
+        password: "nope",
+      });
+    }
+    const resp = await request(app).post("/auth/token").send({
+      username: "u1",
+      password: "password1",
+    });
+    expect(resp.statusCode).toEqual(429);
+    expect(resp.headers["retry-after"]).toEqual("30");
+  });
+
   test("bad request with missing data", async function () {
     const resp = await request(app).post("/auth/token").send({
       username: "u1",
@@ -75,9 +95,30 @@ describe("POST /auth/register", function () {
     expect(resp.statusCode).toEqual(201);
     expect(resp.body).toEqual({
       token: expect.any(String),
+      refreshToken: expect.any(String),
     });
   });
 
+  test("sends a verification email", async function () {
+    const sent = [];
+    setTransport(async (message) => sent.push(message));
+    await request(app).post("/auth/register").send({
+      username: "new",
+      firstName: "first",
+      lastName: "last",
+      password: "password",
+      email: "new@email.com",
+    });
+    setTransport(consoleTransport);
+
+    expect(sent).toEqual([
+      expect.objectContaining({
+        to: "new@email.com",
+        text: expect.stringMatching(/verify-email\?token=[0-9a-f]+/),
+      }),
+    ]);
+  });
+
   test("bad request with missing fields", async function () {
     const resp = await request(app).post("/auth/register").send({
       username: "new",
@@ -96,3 +137,315 @@ describe("POST /auth/register", function () {
     expect(resp.statusCode).toEqual(400);
   });
 });
+
+/************************************** POST /auth/refresh */
+
+describe("POST /auth/refresh", function () {
+  async function login() {
+    const resp = await request(app).post("/auth/token").send({
+      username: "u1",
+      password: "password1",
+    });
+    return resp.body.refreshToken;
+  }
+
+  test("works: rotates refresh token", async function () {
+    const refreshToken = await login();
+    const resp = await request(app)
+      .post("/auth/refresh")
+      .send({ refreshToken });
+    expect(resp.body).toEqual({
+      token: expect.any(String),
+      refreshToken: expect.any(String),
+    });
+    expect(resp.body.refreshToken).not.toEqual(refreshToken);
+
+    const meResp = await request(app)
+      .get("/users/u1")
+      .set("authorization", `Bearer ${resp.body.token}`);
+    expect(meResp.statusCode).toEqual(200);
+  });
+
+  test("works: new token carries the current token version", async function () {
+    const refreshToken = await login();
+    await Role.grant("u1", "admin");
+    const resp = await request(app)
+      .post("/auth/refresh")
+      .send({ refreshToken });
+
+    const meResp = await request(app)
+      .get("/users")
+      .set("authorization", `Bearer ${resp.body.token}`);
+    expect(meResp.statusCode).toEqual(200);
+  });
+
+  test("unauth on reuse, and revokes the rotated token", async function () {
+    const refreshToken = await login();
+    const first = await request(app)
+      .post("/auth/refresh")
+      .send({ refreshToken });
+
+    const reuse = await request(app)
+      .post("/auth/refresh")
+      .send({ refreshToken });
+    expect(reuse.statusCode).toEqual(401);
+
+    const next = await request(app)
+      .post("/auth/refresh")
+      .send({ refreshToken: first.body.refreshToken });
+    expect(next.statusCode).toEqual(401);
+  });
+
+  test("unauth with unknown token", async function () {
+    const resp = await request(app)
+      .post("/auth/refresh")
+      .send({ refreshToken: "nope" });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with missing data", async function () {
+    const resp = await request(app).post("/auth/refresh").send({});
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /auth/logout */
+
+describe("POST /auth/logout", function () {
+  test("works", async function () {
+    const login = await request(app).post("/auth/token").send({
+      username: "u1",
+      password: "password1",
+    });
+    const { refreshToken } = login.body;
+
+    const resp = await request(app)
+      .post("/auth/logout")
+      .send({ refreshToken });
+    expect(resp.body).toEqual({ loggedOut: true });
+
+    const refresh = await request(app)
+      .post("/auth/refresh")
+      .send({ refreshToken });
+    expect(refresh.statusCode).toEqual(401);
+  });
+
+  test("bad request with missing data", async function () {
+    const resp = await request(app).post("/auth/logout").send({});
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** password reset */
+
+describe("POST /auth/password-reset/*", function () {
+  let sent;
+
+  beforeEach(function () {
+    sent = [];
+    setTransport(async (message) => sent.push(message));
+  });
+
+  afterEach(function () {
+    setTransport(consoleTransport);
+  });
+
+  /** Requests a reset for username and returns the token from the email. */
+
+  async function requestReset(username) {
+    await request(app)
+      .post("/auth/password-reset/request")
+      .send({ username });
+    return sent[0].text.match(/token=([0-9a-f]+)/)[1];
+  }
+
+  test("request works: emails a link", async function () {
+    const resp = await request(app)
+      .post("/auth/password-reset/request")
+      .send({ username: "u1" });
+    expect(resp.body).toEqual({ requested: true });
+    expect(sent).toEqual([
+      expect.objectContaining({
+        to: "user1@user.com",
+        text: expect.stringMatching(/reset-password\?token=[0-9a-f]+/),
+      }),
+    ]);
+  });
+
+  test("request works: same response for unknown user", async function () {
+    const resp = await request(app)
+      .post("/auth/password-reset/request")
+      .send({ username: "nope" });
+    expect(resp.body).toEqual({ requested: true });
+    expect(sent).toEqual([]);
+  });
+
+  test("request: bad request with missing data", async function () {
+    const resp = await request(app)
+      .post("/auth/password-reset/request")
+      .send({});
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("confirm works", async function () {
+    const token = await requestReset("u1");
+    const resp = await request(app)
+      .post("/auth/password-reset/confirm")
+      .send({ token, password: "new-password" });
+    expect(resp.body).toEqual({ reset: true });
+
+    const login = await request(app).post("/auth/token").send({
+      username: "u1",
+      password: "new-password",
+    });
+    expect(login.statusCode).toEqual(200);
+  });
+
+  test("confirm logs the user out everywhere", async function () {
+    const login = await request(app).post("/auth/token").send({
+      username: "u1",
+      password: "password1",
+    });
+    const token = await requestReset("u1");
+    await request(app)
+      .post("/auth/password-reset/confirm")
+      .send({ token, password: "new-password" });
+
+    const meResp = await request(app)
+      .get("/users/u1")
+      .set("authorization", `Bearer ${login.body.token}`);
+    expect(meResp.statusCode).toEqual(401);
+
+    const refresh = await request(app)
+      .post("/auth/refresh")
+      .send({ refreshToken: login.body.refreshToken });
+    expect(refresh.statusCode).toEqual(401);
+  });
+
+  test("confirm: bad request if token used twice", async function () {
+    const token = await requestReset("u1");
+    await request(app)
+      .post("/auth/password-reset/confirm")
+      .send({ token, password: "new-password" });
+    const resp = await request(app)
+      .post("/auth/password-reset/confirm")
+      .send({ token, password: "other-password" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("confirm: bad request with invalid password", async function () {
+    const token = await requestReset("u1");
+    const resp = await request(app)
+      .post("/auth/password-reset/confirm")
+      .send({ token, password: "abc" });
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** email verification */
+
+describe("GET /auth/verify/:token", function () {
+  let sent;
+
+  beforeEach(function () {
+    sent = [];
+    setTransport(async (message) => sent.push(message));
+  });
+
+  afterEach(function () {
+    setTransport(consoleTransport);
+  });
+
+  /** Returns the token from the last email sent. */
+
+  function sentToken() {
+    return sent[sent.length - 1].text.match(/token=([0-9a-f]+)/)[1];
+  }
+
+  test("works", async function () {
+    await request(app).post("/auth/register").send({
+      username: "new",
+      firstName: "first",
+      lastName: "last",
+      password: "password",
+      email: "new@email.com",
+    });
+
+    const resp = await request(app).get(`/auth/verify/${sentToken()}`);
+    expect(resp.body).toEqual({ verified: true });
+
+    const user = await User.get("new");
+    expect(user.emailVerified).toEqual(true);
+  });
+
+  test("bad request with used token", async function () {
+    await request(app)
+      .post("/auth/verify/resend")
+      .set("authorization", `Bearer ${u1Token}`);
+    const token = sentToken();
+    await request(app).get(`/auth/verify/${token}`);
+
+    const resp = await request(app).get(`/auth/verify/${token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with a token sent before the email changed",
+    async function () {
+      await request(app)
+        .post("/auth/verify/resend")
+        .set("authorization", `Bearer ${u1Token}`);
+      const token = sentToken();
+      await request(app)
+        .patch("/users/u1")
+        .send({ email: "changed@email.com" })
+        .set("authorization", `Bearer ${u1Token}`);
+
+      const resp = await request(app).get(`/auth/verify/${token}`);
+      expect(resp.statusCode).toEqual(400);
+
+      const user = await User.get("u1");
+      expect(user.email).toEqual("changed@email.com");
+      expect(user.emailVerified).toEqual(false);
+    });
+
+  test("bad request with unknown token", async function () {
+    const resp = await request(app).get(`/auth/verify/nope`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+describe("POST /auth/verify/resend", function () {
+  let sent;
+
+  beforeEach(function () {
+    sent = [];
+    setTransport(async (message) => sent.push(message));
+  });
+
+  afterEach(function () {
+    setTransport(consoleTransport);
+  });
+
+  test("works", async function () {
+    const resp = await request(app)
+      .post("/auth/verify/resend")
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ sent: true });
+    expect(sent).toEqual([
+      expect.objectContaining({ to: "user1@user.com" }),
+    ]);
+  });
+
+  test("bad request if already verified", async function () {
+    await User.verifyEmail("u1");
+    const resp = await request(app)
+      .post("/auth/verify/resend")
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app).post("/auth/verify/resend");
+    expect(resp.statusCode).toEqual(401);
+  });
+});
@@ -2,74 +2,87 @@
 
 /** Routes for companies. */
 
-const jsonschema = require("jsonschema");
 const express = require("express");
 
-const { BadRequestError } = require("../expressError");
-const { ensureLoggedIn, ensureAdmin } = require("../middleware/auth");
+const db = require("../db");
+const {
+  ensureLoggedIn,
+  requirePermission,
+  ensureCompanyRole,
+} = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
 const Company = require("../models/company");
+const CompanyMember = require("../models/companyMember");
+const AuditLog = require("../models/auditLog");
+const { splitPaging, pageInfo } = require("../helpers/pagination");
 
 const companyNewSchema = require("../schemas/companyNew.json");
 const companyUpdateSchema = require("../schemas/companyUpdate.json");
 const companySearch = require("../schemas/companySearch.json");
+const companyMemberNewSchema = require("../schemas/companyMemberNew.json");
 
 const router = new express.Router();
 
+/** The handle of the company in the route. */
+
+function routeCompany(req) {
+  return req.params.handle;
+}
+
 /** POST / { company } =>  { company }
  *
  * company should be { handle, name, description, numEmployees, logoUrl }
  *
  * Returns { handle, name, description, numEmployees, logoUrl }
  *
- * Authorization required: admin
+ * Authorization required: permission companies:write
  */
 
-router.post("/", ensureAdmin, async function (req, res, next) {
-  const validator = jsonschema.validate(req.body, companyNewSchema, {
-    required: true,
-  });
-  if (!validator.valid) {
-    const errs = validator.errors.map((e) => e.stack);
-    throw new BadRequestError(errs);
+router.post(
+  "/",
+  requirePermission("companies:write"),
+  validate({ body: companyNewSchema }),
+  async function (req, res, next) {
+    const company = await db.withTransaction(async (client) => {
+      const company = await Company.create(req.body, client);
+      await AuditLog.record(
+        res.locals.user.username, "create", "company", company.handle,
+        { after: company }, client);
+      return company;
+    });
+    return res.status(201).json({ company });
   }
-
-  const company = await Company.create(req.body);
-  return res.status(201).json({ company });
-});
+);
 
 /** GET /  =>
- *   { companies: [ { handle, name, description, numEmployees, logoUrl }, ...] }
+ *   { companies: [ { handle, name, description, numEmployees, logoUrl }, ...],
+ *     pagination: { total, limit, offset, nextOffset } }
  *
  * Can filter on provided search filters:
  * - minEmployees
  * - maxEmployees
  * - nameLike (will find case-insensitive, partial matches)
+ * - q (full-text search of name and description, in web search syntax)
+ *
+ * Can page through results with:
+ * - sort (eg, "-numEmployees,name"; defaults to "name", or best match
+ *   first when searching with q)
+ * - limit (1-100; all results if not given)
+ * - offset
  *
  * Authorization required: none
  */
 
-router.get("/", async function (req, res, next) {
-  const lintedQuery = req.query;
-
-  if (lintedQuery.minEmployees) {
-    lintedQuery.minEmployees = Number(lintedQuery.minEmployees);
+router.get(
+  "/",
+  validate({ query: companySearch }),
+  async function (req, res, next) {
+    const { paging, filters } = splitPaging(req.query);
+    const companies = await Company.findAll(filters, paging);
+    const total = await Company.count(filters);
+    return res.json({ companies, pagination: pageInfo(paging, total) });
   }
-  if (lintedQuery.maxEmployees) {
-    lintedQuery.maxEmployees = Number(lintedQuery.maxEmployees);
-  }
-
-  const validator = jsonschema.validate(lintedQuery, companySearch, {
-    required: true,
-  });
-
-  if (!validator.valid) {
-    const errs = validator.errors.map((e) => e.stack);
-    throw new BadRequestError(errs);
-  }
-
-  const companies = await Company.findAll(lintedQuery);
-  return res.json({ companies });
-});
+);
 
 /** GET /[handle]  =>  { company }
  *
@@ -92,30 +105,135 @@ router.get("/:handle", async function (req, res, next) {
  *
  * Returns { handle, name, description, numEmployees, logo_url }
  *
- * Authorization required: admin
+ * Authorization required: company owner, or permission companies:write
  */
 
-router.patch("/:handle", ensureAdmin, async function (req, res, next) {
-  const validator = jsonschema.validate(req.body, companyUpdateSchema, {
-    required: true,
-  });
-  if (!validator.valid) {
-    const errs = validator.errors.map((e) => e.stack);
-    throw new BadRequestError(errs);
+router.patch(
+  "/:handle",
+  ensureCompanyRole(["owner"], routeCompany, "companies:write"),
+  validate({ body: companyUpdateSchema }),
+  async function (req, res, next) {
+    const company = await db.withTransaction(async (client) => {
+      const before = await Company.get(req.params.handle, client);
+      const company = await Company.update(
+        req.params.handle, req.body, client);
+      await AuditLog.record(
+        res.locals.user.username, "update", "company", company.handle,
+        { before, after: company }, client);
+      return company;
+    });
+    return res.json({ company });
   }
-
-  const company = await Company.update(req.params.handle, req.body);
-  return res.json({ company });
-});
+);
 
 /** DELETE /[handle]  =>  { deleted: handle }
  *
- * Authorization: admin
+ * The company and its jobs are hidden, and can be restored (see POST
+ * /[handle]/restore) until purged.
+ *
+ * Authorization: permission companies:write
  */
 
-router.delete("/:handle", ensureAdmin, async function (req, res, next) {
-  await Company.remove(req.params.handle);
-  return res.json({ deleted: req.params.handle });
-});
+router.delete(
+  "/:handle",
+  requirePermission("companies:write"),
+  async function (req, res, next) {
+    await db.withTransaction(async (client) => {
+      const before = await Company.get(req.params.handle, client);
+      await Company.remove(req.params.handle, client);
+      await AuditLog.record(
+        res.locals.user.username, "delete", "company", req.params.handle,
+        { before }, client);
+    });
+    return res.json({ deleted: req.params.handle });
+  }
+);
+
+/** POST /[handle]/restore  =>  { restored: handle }
+ *
+ * Brings back a deleted company, with its jobs.
+ *
+ * Authorization required: permission companies:write
+ */
+
+router.post(
+  "/:handle/restore",
+  requirePermission("companies:write"),
+  async function (req, res, next) {
+    const company = await db.withTransaction(async (client) => {
+      const company = await Company.restore(req.params.handle, client);
+      await AuditLog.record(
+        res.locals.user.username, "restore", "company", company.handle,
+        { after: company }, client);
+      return company;
+    });
+    return res.json({ restored: company.handle });
+  }
+);
+
+/** GET /[handle]/members  =>  { members: [ member, ... ] }
+ *
+ * member is { username, firstName, lastName, role, addedAt }
+ *
+ * Authorization required: company member, or permission companies:write
+ */
+
+router.get(
+  "/:handle/members",
+  ensureCompanyRole(CompanyMember.ROLES, routeCompany, "companies:write"),
+  async function (req, res, next) {
+    const members = await CompanyMember.findAll(req.params.handle);
+    return res.json({ members });
+  }
+);
+
+/** POST /[handle]/members { username, role }  =>  { member }
+ *
+ * Adds a user to the company. role is "owner" or "recruiter".
+ *
+ * Returns { companyHandle, username, role, addedAt }
+ *
+ * Authorization required: company owner, or permission companies:write
+ */
+
+router.post(
+  "/:handle/members",
+  ensureCompanyRole(["owner"], routeCompany, "companies:write"),
+  validate({ body: companyMemberNewSchema }),
+  async function (req, res, next) {
+    const { username, role } = req.body;
+    const member = await db.withTransaction(async (client) => {
+      const member = await CompanyMember.add(
+        req.params.handle, username, role, client);
+      await AuditLog.record(
+        res.locals.user.username, "create", "companyMember",
+        `${req.params.handle}/${username}`, { after: member }, client);
+      return member;
+    });
+    return res.status(201).json({ member });
+  }
+);
+
+/** DELETE /[handle]/members/[username]  =>  { removed: username }
+ *
+ * Authorization required: company owner, or permission companies:write
+ */
+
+router.delete(
+  "/:handle/members/:username",
+  ensureCompanyRole(["owner"], routeCompany, "companies:write"),
+  async function (req, res, next) {
+    const { handle, username } = req.params;
+    await db.withTransaction(async (client) => {
+      const role = await CompanyMember.getRole(handle, username, client);
+      await CompanyMember.remove(handle, username, client);
+      await AuditLog.record(
+        res.locals.user.username, "delete", "companyMember",
+        `${handle}/${username}`,
+        { before: { companyHandle: handle, username, role } }, client);
+    });
+    return res.json({ removed: username });
+  }
+);
 
 module.exports = router;
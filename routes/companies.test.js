@@ -5,6 +5,7 @@ const request = require("supertest");
 const db = require("../db");
 const app = require("../app");
 const { BadRequestError } = require("../expressError");
+const AuditLog = require("../models/auditLog");
 
 const {
   commonBeforeAll,
@@ -12,6 +13,8 @@ const {
   commonAfterEach,
   commonAfterAll,
   u1Token,
+  u2Token,
+  u3Token,
   adminToken,
   testJobIds,
 } = require("./_testCommon");
@@ -48,11 +51,13 @@ describe("POST /companies", function () {
       .post("/companies")
       .send(newCompany)
       .set("authorization", `Bearer ${u1Token}`);
-    expect(resp.statusCode).toEqual(401);
+    expect(resp.statusCode).toEqual(403);
     expect(resp.body).toEqual({
       error: {
-        message: "Unauthorized",
-        status: 401,
+        message: "Forbidden",
+        status: 403,
+        code: "FORBIDDEN",
+        requestId: expect.any(String),
       },
     });
   });
@@ -109,6 +114,7 @@ describe("GET /companies", function () {
           logoUrl: "http://c3.img",
         },
       ],
+      pagination: { total: 3, limit: null, offset: 0, nextOffset: null },
     });
   });
 
@@ -129,7 +135,43 @@ describe("GET /companies", function () {
           logoUrl: "http://c1.img",
         },
       ],
+      pagination: { total: 1, limit: null, offset: 0, nextOffset: null },
+    });
+  });
+
+  test("works with sort and paging", async function () {
+    const resp = await request(app).get("/companies").query({
+      sort: "-numEmployees",
+      limit: 2,
+      offset: 0,
+    });
+
+    expect(resp.body.companies.map((c) => c.handle)).toEqual(["c3", "c2"]);
+    expect(resp.body.pagination).toEqual({
+      total: 3,
+      limit: 2,
+      offset: 0,
+      nextOffset: 2,
+    });
+  });
+
+  test("works with full-text search", async function () {
+    const resp = await request(app).get("/companies").query({ q: "desc2" });
+
+    expect(resp.body.companies.map((c) => c.handle)).toEqual(["c2"]);
+    expect(resp.body.pagination.total).toEqual(1);
+  });
+
+  test("doesn't work: empty search", async function () {
+    const resp = await request(app).get("/companies").query({ q: "" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("doesn't work: invalid sort", async function () {
+    const resp = await request(app).get("/companies").query({
+      sort: "description",
     });
+    expect(resp.statusCode).toEqual(400);
   });
 
   test("doesn't work: pass filters with invalid datatypes", async function () {
@@ -138,8 +180,17 @@ describe("GET /companies", function () {
     });
 
     expect(resp.body.error).toEqual({
-      message: ["instance.minEmployees is not of a type(s) integer"],
+      message: "query.minEmployees is not of a type(s) integer",
       status: 400,
+      code: "VALIDATION_FAILED",
+      requestId: expect.any(String),
+      details: [
+        {
+          field: "minEmployees",
+          location: "query",
+          message: "is not of a type(s) integer",
+        },
+      ],
     });
   });
 
@@ -204,6 +255,23 @@ describe("GET /companies/:handle", function () {
 /************************************** PATCH /companies/:handle */
 
 describe("PATCH /companies/:handle", function () {
+  test("records the change in the audit log", async function () {
+    await request(app)
+      .patch(`/companies/c1`)
+      .send({ name: "C1-new", numEmployees: 1 })
+      .set("authorization", `Bearer ${u3Token}`);
+    const entries = await AuditLog.findAll({ entityType: "company" });
+    expect(entries).toEqual([
+      expect.objectContaining({
+        actor: "u3",
+        action: "update",
+        entityId: "c1",
+        before: { name: "C1" },
+        after: { name: "C1-new" },
+      }),
+    ]);
+  });
+
   test("works for admins", async function () {
     const resp = await request(app)
       .patch(`/companies/c1`)
@@ -222,6 +290,23 @@ describe("PATCH /companies/:handle", function () {
     });
   });
 
+  test("works for company owners", async function () {
+    const resp = await request(app)
+      .patch(`/companies/c1`)
+      .send({ name: "C1-new" })
+      .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.company.name).toEqual("C1-new");
+  });
+
+  test("doesn't work for company recruiters", async function () {
+    const resp = await request(app)
+      .patch(`/companies/c3`)
+      .send({ name: "C3-new" })
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
   test("doesn't work for users", async function () {
     const resp = await request(app)
       .patch(`/companies/c1`)
@@ -231,11 +316,13 @@ describe("PATCH /companies/:handle", function () {
       .set("authorization", `Bearer ${u1Token}`);
     expect(resp.body).toEqual({
       error: {
-        message: "Unauthorized",
-        status: 401,
+        message: "Forbidden",
+        status: 403,
+        code: "FORBIDDEN",
+        requestId: expect.any(String),
       },
     });
-    expect(resp.statusCode).toEqual(401);
+    expect(resp.statusCode).toEqual(403);
   });
 
   test("unauth for anon", async function () {
@@ -284,6 +371,32 @@ describe("DELETE /companies/:handle", function () {
       .delete(`/companies/c1`)
       .set("authorization", `Bearer ${adminToken}`);
     expect(resp.body).toEqual({ deleted: "c1" });
+
+    const entries = await AuditLog.findAll({ entityType: "company" });
+    expect(entries).toEqual([
+      expect.objectContaining({
+        actor: "admin",
+        action: "delete",
+        entityId: "c1",
+        before: {
+          handle: "c1",
+          name: "C1",
+          description: "Desc1",
+          numEmployees: 1,
+          logoUrl: "http://c1.img",
+          jobs: [
+            {
+              id: testJobIds.j1Id,
+              title: "j1",
+              salary: 10000,
+              equity: "0.001",
+              companyHandle: "c1",
+            },
+          ],
+        },
+        after: null,
+      }),
+    ]);
   });
 
   test("doesnt work for users", async function () {
@@ -292,11 +405,13 @@ describe("DELETE /companies/:handle", function () {
       .set("authorization", `Bearer ${u1Token}`);
     expect(resp.body).toEqual({
       error: {
-        message: "Unauthorized",
-        status: 401,
+        message: "Forbidden",
+        status: 403,
+        code: "FORBIDDEN",
+        requestId: expect.any(String),
       },
     });
-    expect(resp.statusCode).toEqual(401);
+    expect(resp.statusCode).toEqual(403);
   });
 
   test("unauth for anon", async function () {
@@ -311,3 +426,177 @@ describe("DELETE /companies/:handle", function () {
     expect(resp.statusCode).toEqual(404);
   });
 });
+
+/************************************** POST /companies/:handle/restore */
+
+describe("POST /companies/:handle/restore", function () {
+  test("works for admins", async function () {
+    await request(app)
+      .delete(`/companies/c1`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect((await request(app).get(`/companies/c1`)).statusCode).toEqual(404);
+
+    const resp = await request(app)
+      .post(`/companies/c1/restore`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ restored: "c1" });
+
+    const getResp = await request(app).get(`/companies/c1`);
+    expect(getResp.body.company.jobs.length).toEqual(1);
+    const entries = await AuditLog.findAll({ action: "restore" });
+    expect(entries).toEqual([
+      expect.objectContaining({ actor: "admin", entityId: "c1" }),
+    ]);
+  });
+
+  test("forbidden for company owners", async function () {
+    const resp = await request(app)
+      .post(`/companies/c1/restore`)
+      .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app).post(`/companies/c1/restore`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if not deleted", async function () {
+    const resp = await request(app)
+      .post(`/companies/c1/restore`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** GET /companies/:handle/members */
+
+describe("GET /companies/:handle/members", function () {
+  test("works for company members", async function () {
+    const resp = await request(app)
+      .get(`/companies/c3/members`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.body).toEqual({
+      members: [
+        {
+          username: "u2",
+          firstName: "U2F",
+          lastName: "U2L",
+          role: "recruiter",
+          addedAt: expect.any(String),
+        },
+      ],
+    });
+  });
+
+  test("works for admins", async function () {
+    const resp = await request(app)
+      .get(`/companies/c1/members`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.members.map((m) => m.username)).toEqual(["u3"]);
+  });
+
+  test("doesn't work for members of another company", async function () {
+    const resp = await request(app)
+      .get(`/companies/c1/members`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app).get(`/companies/c1/members`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found for no such company", async function () {
+    const resp = await request(app)
+      .get(`/companies/nope/members`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** POST /companies/:handle/members */
+
+describe("POST /companies/:handle/members", function () {
+  test("works for company owners", async function () {
+    const resp = await request(app)
+      .post(`/companies/c1/members`)
+      .send({ username: "u1", role: "recruiter" })
+      .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({
+      member: {
+        companyHandle: "c1",
+        username: "u1",
+        role: "recruiter",
+        addedAt: expect.any(String),
+      },
+    });
+  });
+
+  test("doesn't work for company recruiters", async function () {
+    const resp = await request(app)
+      .post(`/companies/c3/members`)
+      .send({ username: "u1", role: "owner" })
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("doesn't work for users", async function () {
+    const resp = await request(app)
+      .post(`/companies/c1/members`)
+      .send({ username: "u1", role: "owner" })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("conflict if already a member", async function () {
+    const resp = await request(app)
+      .post(`/companies/c1/members`)
+      .send({ username: "u3", role: "recruiter" })
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(409);
+  });
+
+  test("not found for no such user", async function () {
+    const resp = await request(app)
+      .post(`/companies/c1/members`)
+      .send({ username: "nope", role: "recruiter" })
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("bad request with invalid role", async function () {
+    const resp = await request(app)
+      .post(`/companies/c1/members`)
+      .send({ username: "u1", role: "boss" })
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** DELETE /companies/:handle/members/:username */
+
+describe("DELETE /companies/:handle/members/:username", function () {
+  test("works for company owners", async function () {
+    const resp = await request(app)
+      .delete(`/companies/c1/members/u3`)
+      .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.body).toEqual({ removed: "u3" });
+  });
+
+  test("doesn't work for company recruiters", async function () {
+    const resp = await request(app)
+      .delete(`/companies/c3/members/u2`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("not found if not a member", async function () {
+    const resp = await request(app)
+      .delete(`/companies/c1/members/u1`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
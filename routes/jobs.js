@@ -2,122 +2,359 @@
 
 /** Routes for companies. */
 
-const jsonschema = require("jsonschema");
 const express = require("express");
 
-const { BadRequestError } = require("../expressError");
-const { ensureLoggedIn, ensureAdmin } = require("../middleware/auth");
+const db = require("../db");
+const {
+  ensureLoggedIn,
+  hasPermission,
+  requirePermission,
+  ensureCompanyRole,
+} = require("../middleware/auth");
+const { ForbiddenError, NotFoundError } = require("../expressError");
+const { validate } = require("../middleware/validate");
 const Job = require("../models/job");
+const Application = require("../models/application");
+const CompanyMember = require("../models/companyMember");
+const AuditLog = require("../models/auditLog");
+const { splitPaging, pageInfo } = require("../helpers/pagination");
+const { toCsv } = require("../helpers/csv");
 
 const jobNewSchema = require("../schemas/jobNew.json");
 const jobUpdateSchema = require("../schemas/jobUpdate.json");
 const jobSearchSchema = require("../schemas/jobSearch.json");
+const jobApplicationSearchSchema = require("../schemas/jobApplicationSearch.json");
+const jobCloseSchema = require("../schemas/jobClose.json");
 
 const router = new express.Router();
 
+/** Company roles that can manage a company's jobs. */
+
+const JOB_MANAGERS = ["owner", "recruiter"];
+
+/** Whether user (as stored on res.locals) may manage job: a member of its
+ * company in JOB_MANAGERS, or someone with permission jobs:write. */
+
+async function canManageJob(user, job) {
+  if (!user) return false;
+  if (hasPermission(user, "jobs:write")) return true;
+
+  const role = await CompanyMember.getRole(job.companyHandle, user.username);
+  return JOB_MANAGERS.includes(role);
+}
+
+/** Columns of the CSV export of a job's applications. */
+
+const APPLICATION_CSV_COLUMNS = [
+  "username",
+  "firstName",
+  "lastName",
+  "email",
+  "status",
+  "appliedAt",
+  "statusChangedAt",
+];
+
+/** The handle of the company of the job in the route. */
+
+async function jobCompany(req) {
+  const job = await Job.get(req.params.id);
+  return job.companyHandle;
+}
+
 /** POST / { job } =>  { job }
  *
- * job should be { title, salary, equity, companyHandle }
+ * job should be { title, companyHandle } and optionally any of
+ *   { salary, equity, salaryCurrency, salaryPeriod, description, city,
+ *     region, country, remotePolicy, employmentType, seniority, closesAt,
+ *     skills }
+ *   where closesAt is when the posting expires and skills is [name, ...]
+ *   (see Job.create for the rest)
+ *
+ * The job starts as a draft; see POST /[id]/publish.
  *
- * Returns { id, title, salary, equity, companyHandle }
+ * Returns { id, title, salary, equity, salaryCurrency, salaryPeriod,
+ *           companyHandle, city, region, country, remotePolicy,
+ *           employmentType, seniority, status, postedAt, closesAt, skills,
+ *           description }
  *
- * Authorization required: admin
+ * Authorization required: owner or recruiter of companyHandle, or permission
+ * jobs:write
  */
 
-router.post("/", ensureAdmin, async function (req, res, next) {
-  const validator = jsonschema.validate(
-    req.body,
-    jobNewSchema,
-    { required: true }
-  );
-  if (!validator.valid) {
-    const errs = validator.errors.map((e) => e.stack);
-    throw new BadRequestError(errs);
+router.post(
+  "/",
+  ensureLoggedIn,
+  // validate first, so a body without a companyHandle is a 400, not a 403
+  validate({ body: jobNewSchema }),
+  ensureCompanyRole(
+    JOB_MANAGERS,
+    (req) => req.body.companyHandle,
+    "jobs:write"
+  ),
+  async function (req, res, next) {
+    const job = await db.withTransaction(async (client) => {
+      const job = await Job.create(req.body, client);
+      await AuditLog.record(
+        res.locals.user.username, "create", "job", job.id, { after: job },
+        client);
+      return job;
+    });
+    return res.status(201).json({ job });
   }
-
-  const job = await Job.create(req.body);
-  return res.status(201).json({ job });
-});
+);
 
 /** GET /  =>
- *   { jobs: [ { id, title, salary, equity, companyHandle, companyName}, ...] }
+ *   { jobs: [ { id, title, salary, equity, salaryCurrency, salaryPeriod,
+ *               companyHandle, companyName, city, region, country,
+ *               remotePolicy, employmentType, seniority, status, postedAt,
+ *               closesAt, skills }, ...],
+ *     pagination: { total, limit, offset, nextOffset } }
+ *
+ * Lists open jobs. Users with permission jobs:write see jobs of every
+ * status, and can filter on status.
  *
  * Can filter on provided search filters:
- * - minSalary (at least 0)
+ * - minSalary, maxSalary (at least 0)
+ * - salaryCurrency (eg, "EUR"), salaryPeriod (hour, day, week, month or
+ *   year)
  * - hasEquity (true or false)
+ * - minEquity, maxEquity (0 to 1)
  * - title (will find case-insensitive, partial matches)
+ * - q (full-text search of title and description, in web search syntax)
+ * - companyHandle (repeat to match any of several companies)
+ * - location (case-insensitive, partial match of city or region)
+ * - country (two-letter code, eg "US"), remotePolicy, employmentType,
+ *   seniority (each can be repeated to match any of several)
+ * - skills (eg, "node,postgres"; jobs asking for any of them), and
+ *   skillsMatch ("any", the default, or "all" for jobs asking for them all)
+ * - minEmployees, maxEmployees (size of the job's company)
+ * - status (draft, open, closed or filled; repeat to match several)
+ *
+ * Can page through results with:
+ * - sort (eg, "-postedAt,title"; defaults to "title", or best match first
+ *   when searching with q)
+ * - limit (1-100; all results if not given)
+ * - offset
  *
  * Authorization required: none
  */
 
-router.get("/", async function (req, res, next) {
-  const lintedQuery = req.query;
+router.get(
+  "/",
+  validate({ query: jobSearchSchema }),
+  async function (req, res, next) {
+    const { paging, filters } = splitPaging(req.query);
+    if (!hasPermission(res.locals.user, "jobs:write")) {
+      if ([].concat(filters.status ?? "open").some((s) => s !== "open")) {
+        throw new ForbiddenError(
+          "Listing jobs that aren't open requires permission jobs:write"
+        );
+      }
+      filters.status = "open";
+    }
 
-  if (lintedQuery.minSalary) {
-    lintedQuery.minSalary = Number(lintedQuery.minSalary);
+    const jobs = await Job.findAll(filters, paging);
+    const total = await Job.count(filters);
+    return res.json({ jobs, pagination: pageInfo(paging, total) });
   }
-
-  lintedQuery.hasEquity = lintedQuery.hasEquity === "true";
-  if (lintedQuery.hasEquity === false) delete lintedQuery.hasEquity;
-
-  const validator = jsonschema.validate(
-    lintedQuery,
-    jobSearchSchema,
-    { required: true }
-  );
-
-  if (!validator.valid) {
-    const errs = validator.errors.map((e) => e.stack);
-    throw new BadRequestError(errs);
-  }
-
-  const jobs = await Job.findAll(lintedQuery);
-  return res.json({ jobs });
-});
+);
 
 /** GET /[id]  =>  { job }
- *  Job is { id, title, salary, equity, companyHandle, { company } }
+ *  Job is { id, title, salary, equity, salaryCurrency, salaryPeriod,
+ *           companyHandle, city, region, country, remotePolicy,
+ *           employmentType, seniority, status, postedAt, closesAt, skills,
+ *           description, numApplicants, { company } }
+ *    - numApplicants counts applications past "interested" and not withdrawn
  *    - company is { name, numEmployees, description, logoUrl }
  *
- * Authorization required: none
+ * Authorization required: none; drafts are only found by the job's company
+ * owners and recruiters, and users with permission jobs:write
  */
 
 router.get("/:id", async function (req, res, next) {
   const job = await Job.get(req.params.id);
+  if (job.status === "draft" && !(await canManageJob(res.locals.user, job))) {
+    throw new NotFoundError(`No job found at id: ${req.params.id}`);
+  }
   return res.json({ job });
 });
 
+/** GET /[id]/applications  =>
+ *   { applications: [ { username, firstName, lastName, email, status,
+ *                       appliedAt, statusChangedAt }, ...],
+ *     pagination: { total, limit, offset, nextOffset } }
+ *
+ * Can filter on status, and page with sort ("appliedAt" or "-appliedAt",
+ * the default), limit and offset.
+ *
+ * With format=csv, responds with the same fields as a CSV attachment.
+ *
+ * Authorization required: owner or recruiter of the job's company, or
+ * permission applications:manage
+ */
+
+router.get(
+  "/:id/applications",
+  ensureCompanyRole(JOB_MANAGERS, jobCompany, "applications:manage"),
+  validate({ query: jobApplicationSearchSchema }),
+  async function (req, res, next) {
+    const { format, ...query } = req.query;
+    const { paging, filters } = splitPaging(query);
+    const applications = await Application.findAllForJob(
+      req.params.id,
+      filters,
+      paging
+    );
+
+    if (format === "csv") {
+      res.attachment(`job-${req.params.id}-applications.csv`);
+      return res
+        .type("csv")
+        .send(toCsv(applications, APPLICATION_CSV_COLUMNS));
+    }
+
+    const total = await Application.countForJob(req.params.id, filters);
+    return res.json({ applications, pagination: pageInfo(paging, total) });
+  }
+);
+
 /** PATCH /[id] { fld1, fld2, ... } => { job }
  *
  * Patches job data.
  *
- * fields can be: { title, salary, equity }
+ * fields can be: { title, salary, equity, salaryCurrency, salaryPeriod,
+ *   description, city, region, country, remotePolicy, employmentType,
+ *   seniority, closesAt, skills }
+ *   where description, city, region, country, remotePolicy,
+ *   employmentType, seniority and closesAt may be null to clear them (a
+ *   posting with no closesAt doesn't expire), and skills replaces the job's
+ *   skills
  *
- * Returns { id, title, salary, equity }
+ * Returns the job, as for POST /
  *
- * Authorization required: admin
+ * Authorization required: owner or recruiter of the job's company, or
+ * permission jobs:write
  */
 
-router.patch("/:id", ensureAdmin, async function (req, res, next) {
-  const validator = jsonschema.validate(req.body, jobUpdateSchema, {
-    required: true,
-  });
-  if (!validator.valid) {
-    const errs = validator.errors.map((e) => e.stack);
-    throw new BadRequestError(errs);
+router.patch(
+  "/:id",
+  ensureCompanyRole(JOB_MANAGERS, jobCompany, "jobs:write"),
+  validate({ body: jobUpdateSchema }),
+  async function (req, res, next) {
+    const job = await db.withTransaction(async (client) => {
+      const before = await Job.get(req.params.id, client);
+      const job = await Job.update(req.params.id, req.body, client);
+      await AuditLog.record(
+        res.locals.user.username, "update", "job", job.id,
+        { before, after: job }, client);
+      return job;
+    });
+    return res.json({ job });
   }
+);
 
-  const job = await Job.update(req.params.id, req.body);
-  return res.json({ job });
-});
+/** POST /[id]/publish  =>  { job }
+ *
+ * Opens a draft job for applications, or opens a closed job again.
+ *
+ * Returns the job, as for POST /
+ *
+ * Authorization required: owner or recruiter of the job's company, or
+ * permission jobs:write
+ */
+
+router.post(
+  "/:id/publish",
+  ensureCompanyRole(JOB_MANAGERS, jobCompany, "jobs:write"),
+  async function (req, res, next) {
+    const job = await db.withTransaction(async (client) => {
+      const before = await Job.get(req.params.id, client);
+      const job = await Job.updateStatus(req.params.id, "open", client);
+      await AuditLog.record(
+        res.locals.user.username, "update", "job", job.id,
+        { before, after: job }, client);
+      return job;
+    });
+    return res.json({ job });
+  }
+);
+
+/** POST /[id]/close { status }  =>  { job }
+ *
+ * Stops a job taking applications. status is "closed" (the default) or
+ * "filled", if someone was hired.
+ *
+ * Returns the job, as for POST /
+ *
+ * Authorization required: owner or recruiter of the job's company, or
+ * permission jobs:write
+ */
+
+router.post(
+  "/:id/close",
+  ensureCompanyRole(JOB_MANAGERS, jobCompany, "jobs:write"),
+  validate({ body: jobCloseSchema }),
+  async function (req, res, next) {
+    const job = await db.withTransaction(async (client) => {
+      const before = await Job.get(req.params.id, client);
+      const job = await Job.updateStatus(
+        req.params.id,
+        req.body.status || "closed",
+        client
+      );
+      await AuditLog.record(
+        res.locals.user.username, "update", "job", job.id,
+        { before, after: job }, client);
+      return job;
+    });
+    return res.json({ job });
+  }
+);
 
 /** DELETE /[id]  =>  { deleted: id }
  *
- * Authorization: admin
+ * The job is hidden, and can be restored (see POST /[id]/restore) until
+ * purged.
+ *
+ * Authorization: owner or recruiter of the job's company, or permission
+ * jobs:write
  */
-router.delete("/:id", ensureAdmin, async function (req, res, next) {
-  await Job.remove(req.params.id);
-  return res.json({ deleted: +req.params.id });
-});
+router.delete(
+  "/:id",
+  ensureCompanyRole(JOB_MANAGERS, jobCompany, "jobs:write"),
+  async function (req, res, next) {
+    await db.withTransaction(async (client) => {
+      const before = await Job.get(req.params.id, client);
+      await Job.remove(req.params.id, client);
+      await AuditLog.record(
+        res.locals.user.username, "delete", "job", before.id, { before },
+        client);
+    });
+    return res.json({ deleted: +req.params.id });
+  }
+);
+
+/** POST /[id]/restore  =>  { restored: id }
+ *
+ * Brings back a deleted job.
+ *
+ * Authorization required: permission jobs:write
+ */
+
+router.post(
+  "/:id/restore",
+  requirePermission("jobs:write"),
+  async function (req, res, next) {
+    const job = await db.withTransaction(async (client) => {
+      const job = await Job.restore(req.params.id, client);
+      await AuditLog.record(
+        res.locals.user.username, "restore", "job", job.id, { after: job },
+        client);
+      return job;
+    });
+    return res.json({ restored: job.id });
+  }
+);
 
 module.exports = router;
@@ -4,6 +4,10 @@ const request = require("supertest");
 
 const db = require("../db");
 const app = require("../app");
+const User = require("../models/user");
+const Job = require("../models/job");
+const Skill = require("../models/skill");
+const AuditLog = require("../models/auditLog");
 
 const {
   commonBeforeAll,
@@ -11,6 +15,8 @@ const {
   commonAfterEach,
   commonAfterAll,
   u1Token,
+  u2Token,
+  u3Token,
   adminToken,
   testJobIds,
 } = require("./_testCommon");
@@ -36,22 +42,65 @@ describe("POST /jobs", function () {
       .send(newJob)
       .set("authorization", `Bearer ${adminToken}`);
     expect(resp.statusCode).toEqual(201);
-    newJob.id = resp.body.job.id;
     expect(resp.body).toEqual({
-      job: newJob,
+      job: {
+        ...newJob,
+        id: expect.any(Number),
+        status: "draft",
+        postedAt: null,
+        closesAt: null,
+        salaryCurrency: "USD",
+        salaryPeriod: "year",
+        city: null,
+        region: null,
+        country: null,
+        remotePolicy: null,
+        employmentType: null,
+        seniority: null,
+        skills: [],
+        description: null,
+      },
     });
   });
 
+  test("bad request for no such company", async function () {
+    const resp = await request(app)
+      .post("/jobs")
+      .send({ title: "new", companyHandle: "nope" })
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.message).toEqual("No such company_handle: nope");
+  });
+
+  test("ok for company members", async function () {
+    const resp = await request(app)
+      .post("/jobs")
+      .send({ title: "new", companyHandle: "c3" })
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body.job.companyHandle).toEqual("c3");
+  });
+
+  test("not ok for members of another company", async function () {
+    const resp = await request(app)
+      .post("/jobs")
+      .send({ title: "new", companyHandle: "c1" })
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
   test("not ok for users", async function () {
     const resp = await request(app)
       .post("/jobs")
       .send(newJob)
       .set("authorization", `Bearer ${u1Token}`);
-    expect(resp.statusCode).toEqual(401);
+    expect(resp.statusCode).toEqual(403);
     expect(resp.body).toEqual({
       error: {
-        message: "Unauthorized",
-        status: 401,
+        message: "Forbidden",
+        status: 403,
+        code: "FORBIDDEN",
+        requestId: expect.any(String),
       },
     });
   });
@@ -65,6 +114,8 @@ describe("POST /jobs", function () {
       error: {
         message: "Unauthorized",
         status: 401,
+        code: "UNAUTHORIZED",
+        requestId: expect.any(String),
       },
     });
   });
@@ -90,6 +141,72 @@ describe("POST /jobs", function () {
       .set("authorization", `Bearer ${adminToken}`);
     expect(resp.statusCode).toEqual(400);
   });
+
+  test("bad request, not forbidden, for company members", async function () {
+    const { companyHandle, ...noCompany } = newJob;
+    for (const body of [noCompany, { ...newJob, salary: "lots" }]) {
+      const resp = await request(app)
+        .post("/jobs")
+        .send(body)
+        .set("authorization", `Bearer ${u3Token}`);
+      expect(resp.statusCode).toEqual(400);
+    }
+  });
+
+  test("ok with details", async function () {
+    const details = {
+      salaryCurrency: "EUR",
+      salaryPeriod: "month",
+      description: "## Role\n\nShip the *thing*.",
+      city: "Lisbon",
+      country: "PT",
+      remotePolicy: "onsite",
+      employmentType: "part_time",
+      seniority: "junior",
+    };
+    const resp = await request(app)
+      .post("/jobs")
+      .send({ ...newJob, ...details })
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body.job).toEqual(
+      expect.objectContaining({ ...details, region: null }));
+  });
+
+  test("bad request with invalid details", async function () {
+    for (const details of [
+      { country: "Portugal" },
+      { salaryCurrency: "eur" },
+      { salaryPeriod: "fortnight" },
+      { employmentType: "gig" },
+      { seniority: null },
+    ]) {
+      const resp = await request(app)
+        .post("/jobs")
+        .send({ ...newJob, ...details })
+        .set("authorization", `Bearer ${adminToken}`);
+      expect(resp.statusCode).toEqual(400);
+    }
+  });
+
+  test("ok with skills", async function () {
+    const resp = await request(app)
+      .post("/jobs")
+      .send({ ...newJob, skills: ["React", "node"] })
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body.job.skills).toEqual(["node", "react"]);
+  });
+
+  test("bad request with unknown or invalid skills", async function () {
+    for (const skills of [["node", "cobol"], ["node,react"], "node"]) {
+      const resp = await request(app)
+        .post("/jobs")
+        .send({ ...newJob, skills })
+        .set("authorization", `Bearer ${adminToken}`);
+      expect(resp.statusCode).toEqual(400);
+    }
+  });
 });
 
 /************************************** GET /jobs */
@@ -106,7 +223,19 @@ describe("GET /jobs", function () {
           salary: 10000,
           equity: "0.001",
           companyHandle: "c1",
-          companyName: "C1"
+          companyName: "C1",
+          status: "open",
+          postedAt: expect.any(String),
+          closesAt: null,
+          salaryCurrency: "USD",
+          salaryPeriod: "year",
+          city: null,
+          region: null,
+          country: null,
+          remotePolicy: null,
+          employmentType: null,
+          seniority: null,
+          skills: [],
         },
         {
           id: j2Id,
@@ -114,7 +243,19 @@ describe("GET /jobs", function () {
           salary: 20000,
           equity: "0.002",
           companyHandle: "c3",
-          companyName: "C3"
+          companyName: "C3",
+          status: "open",
+          postedAt: expect.any(String),
+          closesAt: null,
+          salaryCurrency: "USD",
+          salaryPeriod: "year",
+          city: null,
+          region: null,
+          country: null,
+          remotePolicy: null,
+          employmentType: null,
+          seniority: null,
+          skills: [],
         },
         {
           id: j3Id,
@@ -122,9 +263,22 @@ describe("GET /jobs", function () {
           salary: 30000,
           equity: null,
           companyHandle: "c3",
-          companyName: "C3"
+          companyName: "C3",
+          status: "open",
+          postedAt: expect.any(String),
+          closesAt: null,
+          salaryCurrency: "USD",
+          salaryPeriod: "year",
+          city: null,
+          region: null,
+          country: null,
+          remotePolicy: null,
+          employmentType: null,
+          seniority: null,
+          skills: [],
         },
       ],
+      pagination: { total: 3, limit: null, offset: 0, nextOffset: null },
     });
   });
 
@@ -144,9 +298,22 @@ describe("GET /jobs", function () {
           salary: 10000,
           equity: "0.001",
           companyHandle: "c1",
-          companyName: "C1"
+          companyName: "C1",
+          status: "open",
+          postedAt: expect.any(String),
+          closesAt: null,
+          salaryCurrency: "USD",
+          salaryPeriod: "year",
+          city: null,
+          region: null,
+          country: null,
+          remotePolicy: null,
+          employmentType: null,
+          seniority: null,
+          skills: [],
         },
       ],
+      pagination: { total: 1, limit: null, offset: 0, nextOffset: null },
     });
   });
 
@@ -166,23 +333,248 @@ describe("GET /jobs", function () {
           salary: 30000,
           equity: null,
           companyHandle: "c3",
-          companyName: "C3"
+          companyName: "C3",
+          status: "open",
+          postedAt: expect.any(String),
+          closesAt: null,
+          salaryCurrency: "USD",
+          salaryPeriod: "year",
+          city: null,
+          region: null,
+          country: null,
+          remotePolicy: null,
+          employmentType: null,
+          seniority: null,
+          skills: [],
         },
       ],
+      pagination: { total: 1, limit: null, offset: 0, nextOffset: null },
     });
   });
 
+  test("works with filters: salary range, minEquity, companyHandle",
+    async function () {
+      const { j2Id } = testJobIds;
+      const resp = await request(app)
+        .get("/jobs")
+        .query("minSalary=0&maxSalary=25000&minEquity=0.0015")
+        .query("companyHandle=c1&companyHandle=c3");
+
+      expect(resp.body.jobs.map((j) => j.id)).toEqual([j2Id]);
+      expect(resp.body.pagination.total).toEqual(1);
+    });
+
+  test("works with company size filters", async function () {
+    const { j1Id } = testJobIds;
+    const resp = await request(app).get("/jobs").query({
+      maxEmployees: 1,
+    });
+
+    expect(resp.body.jobs.map((j) => j.id)).toEqual([j1Id]);
+  });
+
+  test("works with location and detail filters", async function () {
+    const { j1Id, j2Id, j3Id } = testJobIds;
+    await db.query(
+      `UPDATE jobs
+      SET city = 'Austin', region = 'Texas', country = 'US',
+          remote_policy = 'hybrid', seniority = 'lead'
+      WHERE id = $1`,
+      [j1Id]);
+    await db.query(
+      `UPDATE jobs
+      SET country = 'MX', remote_policy = 'remote',
+          employment_type = 'contract', salary_currency = 'MXN'
+      WHERE id IN ($1, $2)`,
+      [j2Id, j3Id]);
+
+    let resp = await request(app)
+      .get("/jobs")
+      .query({ location: "tex", remotePolicy: ["hybrid", "onsite"] });
+    expect(resp.body.jobs.map((j) => j.id)).toEqual([j1Id]);
+    expect(resp.body.jobs[0]).toEqual(expect.objectContaining({
+      city: "Austin",
+      region: "Texas",
+      country: "US",
+      remotePolicy: "hybrid",
+      seniority: "lead",
+    }));
+
+    resp = await request(app).get("/jobs").query({
+      country: "MX",
+      employmentType: "contract",
+      salaryCurrency: "MXN",
+      salaryPeriod: "year",
+      minSalary: 25000,
+    });
+    expect(resp.body.jobs.map((j) => j.id)).toEqual([j3Id]);
+  });
+
+  test("doesn't work: invalid detail filters", async function () {
+    for (const query of [
+      { country: "usa" },
+      { remotePolicy: "sometimes" },
+      { seniority: ["mid", "boss"] },
+      { salaryPeriod: "decade" },
+    ]) {
+      const resp = await request(app).get("/jobs").query(query);
+      expect(resp.statusCode).toEqual(400);
+    }
+  });
+
+  test("works with skills filter", async function () {
+    const { j1Id, j2Id, j3Id } = testJobIds;
+    await Skill.setForJob(j1Id, ["node", "postgres"]);
+    await Skill.setForJob(j2Id, ["node"]);
+    await Skill.setForJob(j3Id, ["react"]);
+
+    let resp = await request(app)
+      .get("/jobs")
+      .query({ skills: "Node,react" });
+    expect(resp.body.jobs.map((j) => j.id)).toEqual([j1Id, j2Id, j3Id]);
+    expect(resp.body.jobs[0].skills).toEqual(["node", "postgres"]);
+
+    resp = await request(app)
+      .get("/jobs")
+      .query({ skills: ["node", "postgres"], skillsMatch: "all" });
+    expect(resp.body.jobs.map((j) => j.id)).toEqual([j1Id]);
+  });
+
+  test("doesn't work: skills naming no skill", async function () {
+    for (const skills of [",", " , ", ["", ","]]) {
+      const resp = await request(app).get("/jobs").query({ skills });
+      expect(resp.statusCode).toEqual(400);
+    }
+  });
+
+  test("doesn't work: invalid skillsMatch", async function () {
+    const resp = await request(app)
+      .get("/jobs")
+      .query({ skills: "node", skillsMatch: "most" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("doesn't work: min greater than max", async function () {
+    const resp = await request(app).get("/jobs").query({
+      minSalary: 2,
+      maxSalary: 1,
+    });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("doesn't work: equity out of range", async function () {
+    const resp = await request(app).get("/jobs").query({ maxEquity: "abc" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("works with sort and paging", async function () {
+    const { j2Id, j1Id } = testJobIds;
+    const resp = await request(app).get("/jobs").query({
+      sort: "-equity,title",
+      limit: 2,
+      offset: 1,
+    });
+
+    expect(resp.body.jobs.map((j) => j.id)).toEqual([j2Id, j1Id]);
+    expect(resp.body.pagination).toEqual({
+      total: 3,
+      limit: 2,
+      offset: 1,
+      nextOffset: null,
+    });
+  });
+
+  test("works with full-text search", async function () {
+    const { j3Id } = testJobIds;
+    const resp = await request(app).get("/jobs").query({ q: "j3" });
+
+    expect(resp.body.jobs.map((j) => j.id)).toEqual([j3Id]);
+    expect(resp.body.pagination.total).toEqual(1);
+  });
+
+  test("doesn't work: invalid paging", async function () {
+    const resp = await request(app).get("/jobs").query({ limit: 1000 });
+    expect(resp.statusCode).toEqual(400);
+  });
+
   test("doesn't work: pass filters with invalid datatypes", async function () {
     const resp = await request(app).get("/jobs").query({
       minSalary: "test",
     });
 
     expect(resp.body.error).toEqual({
-      message: ["instance.minSalary is not of a type(s) integer"],
+      message: "query.minSalary is not of a type(s) integer",
       status: 400,
+      code: "VALIDATION_FAILED",
+      requestId: expect.any(String),
+      details: [
+        {
+          field: "minSalary",
+          location: "query",
+          message: "is not of a type(s) integer",
+        },
+      ],
     });
   });
 
+  test("lists only open jobs for non-admins", async function () {
+    const { j1Id, j2Id, j3Id } = testJobIds;
+    await db.query(`UPDATE jobs SET status = 'closed' WHERE id = $1`, [j1Id]);
+    await db.query(
+      `UPDATE jobs SET closes_at = NOW() - INTERVAL '1 day' WHERE id = $1`,
+      [j2Id]);
+
+    const resp = await request(app)
+      .get("/jobs")
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.jobs.map((j) => j.id)).toEqual([j3Id]);
+
+    const openResp = await request(app).get("/jobs").query({ status: "open" });
+    expect(openResp.body.jobs.map((j) => j.id)).toEqual([j3Id]);
+  });
+
+  test("forbidden for non-admins filtering on other statuses",
+      async function () {
+    const resp = await request(app)
+      .get("/jobs")
+      .query({ status: ["open", "closed"] })
+      .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("admins see every status, and can filter on it", async function () {
+    const { j1Id, j2Id, j3Id } = testJobIds;
+    await db.query(`UPDATE jobs SET status = 'filled' WHERE id = $1`, [j1Id]);
+    const draft = await request(app)
+      .post("/jobs")
+      .send({ title: "j4", companyHandle: "c1" })
+      .set("authorization", `Bearer ${adminToken}`);
+
+    let resp = await request(app)
+      .get("/jobs")
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.jobs.map((j) => [j.id, j.status])).toEqual([
+      [j1Id, "filled"],
+      [j2Id, "open"],
+      [j3Id, "open"],
+      [draft.body.job.id, "draft"],
+    ]);
+
+    resp = await request(app)
+      .get("/jobs")
+      .query({ status: ["draft", "filled"] })
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.jobs.map((j) => j.id)).toEqual([j1Id, draft.body.job.id]);
+  });
+
+  test("doesn't work: invalid status", async function () {
+    const resp = await request(app)
+      .get("/jobs")
+      .query({ status: "nope" })
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
   test("fails: test next() handler", async function () {
     // there's no normal failure event which will cause this route to fail ---
     // thus making it hard to test that the error-handler works with it. This
@@ -208,6 +600,20 @@ describe("GET /jobs/:id", function () {
         salary: 10000,
         equity: "0.001",
         companyHandle: "c1",
+        status: "open",
+        postedAt: expect.any(String),
+        closesAt: null,
+        salaryCurrency: "USD",
+        salaryPeriod: "year",
+        city: null,
+        region: null,
+        country: null,
+        remotePolicy: null,
+        employmentType: null,
+        seniority: null,
+        skills: [],
+        description: null,
+        numApplicants: 0,
         company: {
           name: "C1",
           numEmployees: 1,
@@ -222,6 +628,323 @@ describe("GET /jobs/:id", function () {
     const resp = await request(app).get(`/job/0`);
     expect(resp.statusCode).toEqual(404);
   });
+
+  test("drafts are found only by their company and admins", async function () {
+    const { j1Id } = testJobIds;
+    await db.query(`UPDATE jobs SET status = 'draft' WHERE id = $1`, [j1Id]);
+
+    expect((await request(app).get(`/jobs/${j1Id}`)).statusCode).toEqual(404);
+    for (const [token, status] of [
+      [u1Token, 404],
+      [u2Token, 404],
+      [u3Token, 200],
+      [adminToken, 200],
+    ]) {
+      const resp = await request(app)
+        .get(`/jobs/${j1Id}`)
+        .set("authorization", `Bearer ${token}`);
+      expect(resp.statusCode).toEqual(status);
+    }
+  });
+
+  test("bad request for non-numeric id", async function () {
+    const resp = await request(app).get(`/jobs/abc`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /jobs/:id/restore */
+
+describe("POST /jobs/:id/restore", function () {
+  test("works for admins", async function () {
+    const { j1Id } = testJobIds;
+    await request(app)
+      .delete(`/jobs/${j1Id}`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect((await request(app).get(`/jobs/${j1Id}`)).statusCode).toEqual(404);
+
+    const resp = await request(app)
+      .post(`/jobs/${j1Id}/restore`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ restored: j1Id });
+    expect((await request(app).get(`/jobs/${j1Id}`)).statusCode).toEqual(200);
+  });
+
+  test("forbidden for company members", async function () {
+    const resp = await request(app)
+      .post(`/jobs/${testJobIds.j1Id}/restore`)
+      .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("not found if not deleted", async function () {
+    const resp = await request(app)
+      .post(`/jobs/${testJobIds.j1Id}/restore`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** POST /jobs/:id/publish */
+
+describe("POST /jobs/:id/publish", function () {
+  async function createDraft() {
+    const resp = await request(app)
+      .post("/jobs")
+      .send({ title: "draft", companyHandle: "c1" })
+      .set("authorization", `Bearer ${u3Token}`);
+    return resp.body.job;
+  }
+
+  test("works for company members", async function () {
+    const draft = await createDraft();
+    const resp = await request(app)
+      .post(`/jobs/${draft.id}/publish`)
+      .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.body).toEqual({
+      job: { ...draft, status: "open", postedAt: expect.any(String) },
+    });
+    expect((await request(app).get(`/jobs/${draft.id}`)).statusCode)
+      .toEqual(200);
+
+    const entries = await AuditLog.findAll({
+      entityType: "job",
+      action: "update",
+    });
+    expect(entries).toEqual([
+      expect.objectContaining({
+        actor: "u3",
+        entityId: String(draft.id),
+        before: { status: "draft", postedAt: null },
+        after: { status: "open", postedAt: expect.any(String) },
+      }),
+    ]);
+  });
+
+  test("works for admins", async function () {
+    const draft = await createDraft();
+    const resp = await request(app)
+      .post(`/jobs/${draft.id}/publish`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.job.status).toEqual("open");
+  });
+
+  test("forbidden for members of another company", async function () {
+    const draft = await createDraft();
+    const resp = await request(app)
+      .post(`/jobs/${draft.id}/publish`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("bad request if already open", async function () {
+    const resp = await request(app)
+      .post(`/jobs/${testJobIds.j1Id}/publish`)
+      .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.message).toEqual(
+      "Cannot change job status from open to open");
+  });
+
+  test("not found for no such job", async function () {
+    const resp = await request(app)
+      .post(`/jobs/0/publish`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** POST /jobs/:id/close */
+
+describe("POST /jobs/:id/close", function () {
+  test("works: closed by default", async function () {
+    const { j1Id } = testJobIds;
+    const resp = await request(app)
+      .post(`/jobs/${j1Id}/close`)
+      .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.body.job).toEqual(
+      expect.objectContaining({ id: j1Id, status: "closed" }));
+    expect((await request(app).get("/jobs")).body.pagination.total).toEqual(2);
+
+    const entries = await AuditLog.findAll({ entityType: "job" });
+    expect(entries).toEqual([
+      expect.objectContaining({
+        actor: "u3",
+        action: "update",
+        before: { status: "open" },
+        after: { status: "closed" },
+      }),
+    ]);
+  });
+
+  test("works: filled", async function () {
+    const resp = await request(app)
+      .post(`/jobs/${testJobIds.j2Id}/close`)
+      .send({ status: "filled" })
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.body.job.status).toEqual("filled");
+  });
+
+  test("works: reopened with publish", async function () {
+    const { j1Id } = testJobIds;
+    await request(app)
+      .post(`/jobs/${j1Id}/close`)
+      .set("authorization", `Bearer ${adminToken}`);
+    const resp = await request(app)
+      .post(`/jobs/${j1Id}/publish`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.job.status).toEqual("open");
+  });
+
+  test("forbidden for users", async function () {
+    const resp = await request(app)
+      .post(`/jobs/${testJobIds.j1Id}/close`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app).post(`/jobs/${testJobIds.j1Id}/close`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request on invalid status", async function () {
+    const resp = await request(app)
+      .post(`/jobs/${testJobIds.j1Id}/close`)
+      .send({ status: "open" })
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request closing a filled job", async function () {
+    const { j1Id } = testJobIds;
+    await Job.updateStatus(j1Id, "filled");
+    const resp = await request(app)
+      .post(`/jobs/${j1Id}/close`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** GET /jobs/:id/applications */
+
+describe("GET /jobs/:id/applications", function () {
+  test("works for owner of the job's company", async function () {
+    const { j1Id } = testJobIds;
+    await User.applyForJob("u1", j1Id);
+    const resp = await request(app)
+      .get(`/jobs/${j1Id}/applications`)
+      .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.body).toEqual({
+      applications: [
+        {
+          username: "u1",
+          firstName: "U1F",
+          lastName: "U1L",
+          email: "user1@user.com",
+          status: "applied",
+          appliedAt: expect.any(String),
+          statusChangedAt: expect.any(String),
+        },
+      ],
+      pagination: { total: 1, limit: null, offset: 0, nextOffset: null },
+    });
+  });
+
+  test("works for recruiter of the job's company", async function () {
+    const resp = await request(app)
+      .get(`/jobs/${testJobIds.j2Id}/applications`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.body).toEqual({
+      applications: [],
+      pagination: { total: 0, limit: null, offset: 0, nextOffset: null },
+    });
+  });
+
+  test("works for admins", async function () {
+    const resp = await request(app)
+      .get(`/jobs/${testJobIds.j1Id}/applications`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(200);
+  });
+
+  test("works: filtering on status", async function () {
+    const { j1Id } = testJobIds;
+    await User.applyForJob("u1", j1Id);
+    await User.applyForJob("u2", j1Id, "interested");
+    const resp = await request(app)
+      .get(`/jobs/${j1Id}/applications`)
+      .query({ status: "interested" })
+      .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.body.applications.map(a => a.username)).toEqual(["u2"]);
+  });
+
+  test("works: paging", async function () {
+    const { j1Id } = testJobIds;
+    await User.applyForJob("u1", j1Id);
+    await User.applyForJob("u2", j1Id);
+    const resp = await request(app)
+      .get(`/jobs/${j1Id}/applications`)
+      .query({ sort: "appliedAt", limit: 1, offset: 1 })
+      .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.body.applications.map(a => a.username)).toEqual(["u2"]);
+    expect(resp.body.pagination).toEqual({
+      total: 2,
+      limit: 1,
+      offset: 1,
+      nextOffset: null,
+    });
+  });
+
+  test("works: csv export", async function () {
+    const { j1Id } = testJobIds;
+    await User.applyForJob("u1", j1Id);
+    const resp = await request(app)
+      .get(`/jobs/${j1Id}/applications`)
+      .query({ format: "csv" })
+      .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.headers["content-type"]).toMatch(/^text\/csv/);
+    expect(resp.headers["content-disposition"]).toEqual(
+      `attachment; filename="job-${j1Id}-applications.csv"`
+    );
+
+    const lines = resp.text.split("\r\n");
+    expect(lines[0]).toEqual(
+      "username,firstName,lastName,email,status,appliedAt,statusChangedAt"
+    );
+    expect(lines[1]).toMatch(/^u1,U1F,U1L,user1@user.com,applied,\S+,\S+$/);
+    expect(lines[2]).toEqual("");
+  });
+
+  test("unauth for users not at the job's company", async function () {
+    const resp = await request(app)
+      .get(`/jobs/${testJobIds.j2Id}/applications`)
+      .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app).get(
+      `/jobs/${testJobIds.j1Id}/applications`
+    );
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request on invalid filter", async function () {
+    const resp = await request(app)
+      .get(`/jobs/${testJobIds.j1Id}/applications`)
+      .query({ status: "nope" })
+      .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("not found for no such job", async function () {
+    const resp = await request(app)
+      .get(`/jobs/0/applications`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
 });
 
 /************************************** PATCH /jobs/:id */
@@ -240,11 +963,65 @@ describe("PATCH /jobs/:id", function () {
         id: j1Id,
         title: "j1-new",
         salary: 10000,
-        equity: "0.001"
+        equity: "0.001",
+        companyHandle: "c1",
+        status: "open",
+        postedAt: expect.any(String),
+        closesAt: null,
+        salaryCurrency: "USD",
+        salaryPeriod: "year",
+        city: null,
+        region: null,
+        country: null,
+        remotePolicy: null,
+        employmentType: null,
+        seniority: null,
+        skills: [],
+        description: null,
       },
     });
   });
 
+  test("works for company members", async function () {
+    const { j1Id } = testJobIds;
+    const resp = await request(app)
+      .patch(`/jobs/${j1Id}`)
+      .send({ title: "j1-new" })
+      .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.job.title).toEqual("j1-new");
+  });
+
+  test("works: setting skills", async function () {
+    const { j1Id } = testJobIds;
+    await Skill.setForJob(j1Id, ["node"]);
+
+    const resp = await request(app)
+      .patch(`/jobs/${j1Id}`)
+      .send({ skills: ["postgres", "react"] })
+      .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.job.title).toEqual("j1");
+    expect(resp.body.job.skills).toEqual(["postgres", "react"]);
+  });
+
+  test("doesn't work for members of another company", async function () {
+    const { j1Id } = testJobIds;
+    const resp = await request(app)
+      .patch(`/jobs/${j1Id}`)
+      .send({ title: "j1-new" })
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("not found on no such job for users", async function () {
+    const resp = await request(app)
+      .patch(`/jobs/0`)
+      .send({ title: "j0-new" })
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
   test("doesn't work for users", async function () {
     const { j1Id } = testJobIds;
     const resp = await request(app)
@@ -255,11 +1032,13 @@ describe("PATCH /jobs/:id", function () {
       .set("authorization", `Bearer ${u1Token}`);
     expect(resp.body).toEqual({
       error: {
-        message: "Unauthorized",
-        status: 401,
+        message: "Forbidden",
+        status: 403,
+        code: "FORBIDDEN",
+        requestId: expect.any(String),
       },
     });
-    expect(resp.statusCode).toEqual(401);
+    expect(resp.statusCode).toEqual(403);
   });
 
   test("unauth for anon", async function () {
@@ -301,6 +1080,37 @@ describe("PATCH /jobs/:id", function () {
       .set("authorization", `Bearer ${adminToken}`);
     expect(resp.statusCode).toEqual(400);
   });
+
+  test("works: setting and clearing details", async function () {
+    const { j1Id } = testJobIds;
+    let resp = await request(app)
+      .patch(`/jobs/${j1Id}`)
+      .send({ description: "Hiring now", city: "Paris", country: "FR" })
+      .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.body.job).toEqual(expect.objectContaining({
+      description: "Hiring now",
+      city: "Paris",
+      country: "FR",
+    }));
+
+    resp = await request(app)
+      .patch(`/jobs/${j1Id}`)
+      .send({ city: null, country: null })
+      .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.body.job).toEqual(expect.objectContaining({
+      description: "Hiring now",
+      city: null,
+      country: null,
+    }));
+  });
+
+  test("bad request clearing salaryCurrency", async function () {
+    const resp = await request(app)
+      .patch(`/jobs/${testJobIds.j1Id}`)
+      .send({ salaryCurrency: null })
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
 });
 
 /************************************** DELETE /jobs/:id */
@@ -312,6 +1122,59 @@ describe("DELETE /jobs/:id", function () {
       .delete(`/jobs/${j1Id}`)
       .set("authorization", `Bearer ${adminToken}`);
     expect(resp.body).toEqual({ deleted: j1Id });
+
+    const entries = await AuditLog.findAll({ entityType: "job" });
+    expect(entries).toEqual([
+      expect.objectContaining({
+        actor: "admin",
+        action: "delete",
+        entityId: String(j1Id),
+        before: {
+          id: j1Id,
+          title: "j1",
+          salary: 10000,
+          equity: "0.001",
+          companyHandle: "c1",
+          status: "open",
+          postedAt: expect.any(String),
+          closesAt: null,
+          salaryCurrency: "USD",
+          salaryPeriod: "year",
+          city: null,
+          region: null,
+          country: null,
+          remotePolicy: null,
+          employmentType: null,
+          seniority: null,
+          description: null,
+          skills: [],
+          numApplicants: 0,
+          company: {
+            name: "C1",
+            numEmployees: 1,
+            description: "Desc1",
+            logoUrl: "http://c1.img",
+          },
+        },
+        after: null,
+      }),
+    ]);
+  });
+
+  test("works for company members", async function () {
+    const { j2Id } = testJobIds;
+    const resp = await request(app)
+      .delete(`/jobs/${j2Id}`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.body).toEqual({ deleted: j2Id });
+  });
+
+  test("doesn't work for members of another company", async function () {
+    const { j1Id } = testJobIds;
+    const resp = await request(app)
+      .delete(`/jobs/${j1Id}`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(403);
   });
 
   test("doesnt work for users", async function () {
@@ -321,11 +1184,13 @@ describe("DELETE /jobs/:id", function () {
       .set("authorization", `Bearer ${u1Token}`);
     expect(resp.body).toEqual({
       error: {
-        message: "Unauthorized",
-        status: 401,
+        message: "Forbidden",
+        status: 403,
+        code: "FORBIDDEN",
+        requestId: expect.any(String),
       },
     });
-    expect(resp.statusCode).toEqual(401);
+    expect(resp.statusCode).toEqual(403);
   });
 
   test("unauth for anon", async function () {
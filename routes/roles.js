@@ -0,0 +1,29 @@
+"use strict";
+
+/** Routes for roles. */
+
+const express = require("express");
+
+const { requirePermission } = require("../middleware/auth");
+const Role = require("../models/role");
+
+const router = new express.Router();
+
+/** GET /  =>  { roles: [ { name, description, permissions }, ... ] }
+ *
+ * Lists the roles users can be given (see POST /users/[username]/roles),
+ * with the permissions each one grants.
+ *
+ * Authorization required: permission roles:manage
+ */
+
+router.get(
+  "/",
+  requirePermission("roles:manage"),
+  async function (req, res, next) {
+    const roles = await Role.findAll();
+    return res.json({ roles });
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,48 @@
+"use strict";
+
+const request = require("supertest");
+
+const app = require("../app");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  u1Token,
+  adminToken,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** GET /roles */
+
+describe("GET /roles", function () {
+  test("works for admins", async function () {
+    const resp = await request(app)
+      .get("/roles")
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.roles.map((r) => r.name)).toEqual(["admin", "support"]);
+    expect(resp.body.roles[1]).toEqual({
+      name: "support",
+      description: "Helps users with their accounts and applications",
+      permissions: ["applications:manage", "users:read"],
+    });
+  });
+
+  test("forbidden for users", async function () {
+    const resp = await request(app)
+      .get("/roles")
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app).get("/roles");
+    expect(resp.statusCode).toEqual(401);
+  });
+});
@@ -0,0 +1,43 @@
+"use strict";
+
+/** Routes for searching across companies and jobs. */
+
+const express = require("express");
+
+const { validate } = require("../middleware/validate");
+const Search = require("../models/search");
+const { splitPaging, pageInfo } = require("../helpers/pagination");
+
+const searchQuerySchema = require("../schemas/searchQuery.json");
+
+const router = new express.Router();
+
+/** GET /?q=[query]  =>
+ *   { results: [ result, ... ],
+ *     pagination: { total, limit, offset, nextOffset } }
+ *
+ * result is either
+ *   { type: "company", handle, name, rank, highlight }
+ *   { type: "job", id, title, companyHandle, rank, highlight }
+ *
+ * Best matches come first; highlight is the matching text as HTML, escaped,
+ * with the matched words wrapped in <mark>.
+ *
+ * q takes web search syntax (eg, "data -science", "\"big data\"").
+ * Can page through results with limit (1-100) and offset.
+ *
+ * Authorization required: none
+ */
+
+router.get(
+  "/",
+  validate({ query: searchQuerySchema }),
+  async function (req, res, next) {
+    const { paging, filters } = splitPaging(req.query);
+    const results = await Search.find(filters.q, paging);
+    const total = await Search.count(filters.q);
+    return res.json({ results, pagination: pageInfo(paging, total) });
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,74 @@
+"use strict";
+
+const request = require("supertest");
+
+const app = require("../app");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testJobIds,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** GET /search */
+
+describe("GET /search", function () {
+  test("works for anon", async function () {
+    const { j3Id } = testJobIds;
+    const resp = await request(app).get("/search").query({ q: "desc1 or j3" });
+
+    expect(resp.body).toEqual({
+      results: [
+        {
+          type: "company",
+          handle: "c1",
+          name: "C1",
+          rank: expect.any(Number),
+          highlight: "C1: <mark>Desc1</mark>",
+        },
+        {
+          type: "job",
+          id: j3Id,
+          title: "j3",
+          companyHandle: "c3",
+          rank: expect.any(Number),
+          highlight: "<mark>j3</mark>",
+        },
+      ],
+      pagination: { total: 2, limit: null, offset: 0, nextOffset: null },
+    });
+  });
+
+  test("works with paging", async function () {
+    const resp = await request(app)
+      .get("/search")
+      .query({ q: "desc1 or j3", limit: 1 });
+
+    expect(resp.body.results.map((r) => r.type)).toEqual(["company"]);
+    expect(resp.body.pagination).toEqual({
+      total: 2,
+      limit: 1,
+      offset: 0,
+      nextOffset: 1,
+    });
+  });
+
+  test("bad request without q", async function () {
+    const resp = await request(app).get("/search");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with unknown parameter", async function () {
+    const resp = await request(app)
+      .get("/search")
+      .query({ q: "c1", sort: "name" });
+    expect(resp.statusCode).toEqual(400);
+  });
+});
@@ -0,0 +1,106 @@
+"use strict";
+
+/** Routes for skills. */
+
+const express = require("express");
+
+const db = require("../db");
+const { requirePermission } = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const Skill = require("../models/skill");
+const AuditLog = require("../models/auditLog");
+
+const skillNewSchema = require("../schemas/skillNew.json");
+const skillUpdateSchema = require("../schemas/skillUpdate.json");
+const skillSearchSchema = require("../schemas/skillSearch.json");
+
+const router = new express.Router();
+
+/** GET /  =>  { skills: [ { name, numJobs, numUsers }, ... ] }
+ *
+ * Lists the skills jobs can ask for and users can have, with how many of
+ * each have it.
+ *
+ * Can filter on q (case-insensitive, partial match of the name).
+ *
+ * Authorization required: none
+ */
+
+router.get(
+  "/",
+  validate({ query: skillSearchSchema }),
+  async function (req, res, next) {
+    const skills = await Skill.findAll(req.query);
+    return res.json({ skills });
+  }
+);
+
+/** POST / { name }  =>  { skill: { name } }
+ *
+ * name is stored trimmed and lowercase.
+ *
+ * Authorization required: permission skills:manage
+ */
+
+router.post(
+  "/",
+  requirePermission("skills:manage"),
+  validate({ body: skillNewSchema }),
+  async function (req, res, next) {
+    const skill = await db.withTransaction(async (client) => {
+      const skill = await Skill.create(req.body.name, client);
+      await AuditLog.record(
+        res.locals.user.username, "create", "skill", skill.name,
+        { after: skill }, client);
+      return skill;
+    });
+    return res.status(201).json({ skill });
+  }
+);
+
+/** PATCH /[name] { name }  =>  { skill: { name } }
+ *
+ * Renames a skill; jobs and users that had it keep it.
+ *
+ * Authorization required: permission skills:manage
+ */
+
+router.patch(
+  "/:name",
+  requirePermission("skills:manage"),
+  validate({ body: skillUpdateSchema }),
+  async function (req, res, next) {
+    const skill = await db.withTransaction(async (client) => {
+      const skill = await Skill.rename(
+        req.params.name, req.body.name, client);
+      await AuditLog.record(
+        res.locals.user.username, "update", "skill", req.params.name,
+        { before: { name: req.params.name }, after: skill }, client);
+      return skill;
+    });
+    return res.json({ skill });
+  }
+);
+
+/** DELETE /[name]  =>  { deleted: name }
+ *
+ * Takes the skill off every job and user that had it.
+ *
+ * Authorization required: permission skills:manage
+ */
+
+router.delete(
+  "/:name",
+  requirePermission("skills:manage"),
+  async function (req, res, next) {
+    await db.withTransaction(async (client) => {
+      await Skill.remove(req.params.name, client);
+      await AuditLog.record(
+        res.locals.user.username, "delete", "skill", req.params.name,
+        { before: { name: req.params.name } }, client);
+    });
+    return res.json({ deleted: req.params.name });
+  }
+);
+
+module.exports = router;
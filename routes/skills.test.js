@@ -0,0 +1,198 @@
+"use strict";
+
+const request = require("supertest");
+
+const app = require("../app");
+const AuditLog = require("../models/auditLog");
+const Skill = require("../models/skill");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  u1Token,
+  adminToken,
+  testJobIds,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** GET /skills */
+
+describe("GET /skills", function () {
+  test("works for anon", async function () {
+    await Skill.setForJob(testJobIds.j1Id, ["node"]);
+    await Skill.setForUser("u1", ["node", "react"]);
+
+    const resp = await request(app).get("/skills");
+    expect(resp.body).toEqual({
+      skills: [
+        { name: "node", numJobs: 1, numUsers: 1 },
+        { name: "postgres", numJobs: 0, numUsers: 0 },
+        { name: "react", numJobs: 0, numUsers: 1 },
+      ],
+    });
+  });
+
+  test("works: q", async function () {
+    const resp = await request(app).get("/skills").query({ q: "ea" });
+    expect(resp.body.skills.map((s) => s.name)).toEqual(["react"]);
+  });
+
+  test("bad request on invalid filter", async function () {
+    const resp = await request(app).get("/skills").query({ nope: "x" });
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /skills */
+
+describe("POST /skills", function () {
+  test("works for admins", async function () {
+    const resp = await request(app)
+      .post("/skills")
+      .send({ name: "Python " })
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({ skill: { name: "python" } });
+
+    const entries = await AuditLog.findAll({ entityType: "skill" });
+    expect(entries).toEqual([
+      expect.objectContaining({
+        actor: "admin",
+        action: "create",
+        entityId: "python",
+        before: null,
+        after: { name: "python" },
+      }),
+    ]);
+  });
+
+  test("forbidden for users", async function () {
+    const resp = await request(app)
+      .post("/skills")
+      .send({ name: "python" })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app).post("/skills").send({ name: "python" });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("conflict if it exists", async function () {
+    const resp = await request(app)
+      .post("/skills")
+      .send({ name: "NODE" })
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(409);
+  });
+
+  test("bad request with invalid data", async function () {
+    for (const body of [{}, { name: "" }, { name: "a,b" }, { name: 5 }]) {
+      const resp = await request(app)
+        .post("/skills")
+        .send(body)
+        .set("authorization", `Bearer ${adminToken}`);
+      expect(resp.statusCode).toEqual(400);
+    }
+  });
+});
+
+/************************************** PATCH /skills/:name */
+
+describe("PATCH /skills/:name", function () {
+  test("works for admins", async function () {
+    await Skill.setForJob(testJobIds.j1Id, ["node"]);
+
+    const resp = await request(app)
+      .patch("/skills/node")
+      .send({ name: "node.js" })
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ skill: { name: "node.js" } });
+
+    const job = await request(app).get(`/jobs/${testJobIds.j1Id}`);
+    expect(job.body.job.skills).toEqual(["node.js"]);
+
+    const entries = await AuditLog.findAll({ entityType: "skill" });
+    expect(entries).toEqual([
+      expect.objectContaining({
+        action: "update",
+        entityId: "node",
+        before: { name: "node" },
+        after: { name: "node.js" },
+      }),
+    ]);
+  });
+
+  test("forbidden for users", async function () {
+    const resp = await request(app)
+      .patch("/skills/node")
+      .send({ name: "node.js" })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("not found for no such skill", async function () {
+    const resp = await request(app)
+      .patch("/skills/nope")
+      .send({ name: "still-nope" })
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("conflict if the new name exists", async function () {
+    const resp = await request(app)
+      .patch("/skills/node")
+      .send({ name: "react" })
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(409);
+  });
+});
+
+/************************************** DELETE /skills/:name */
+
+describe("DELETE /skills/:name", function () {
+  test("works for admins", async function () {
+    await Skill.setForUser("u1", ["node", "react"]);
+
+    const resp = await request(app)
+      .delete("/skills/node")
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ deleted: "node" });
+
+    const user = await request(app)
+      .get("/users/u1")
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(user.body.user.skills).toEqual(["react"]);
+
+    const entries = await AuditLog.findAll({ entityType: "skill" });
+    expect(entries).toEqual([
+      expect.objectContaining({
+        action: "delete",
+        entityId: "node",
+        before: { name: "node" },
+        after: null,
+      }),
+    ]);
+  });
+
+  test("forbidden for users", async function () {
+    const resp = await request(app)
+      .delete("/skills/node")
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("not found for no such skill", async function () {
+    const resp = await request(app)
+      .delete("/skills/nope")
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
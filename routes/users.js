@@ -2,70 +2,134 @@
 
 /** Routes for users. */
 
-const jsonschema = require("jsonschema");
-
 const express = require("express");
+
+const db = require("../db");
 const {
   ensureLoggedIn,
-  ensureAdmin,
-  ensureCurrUserOrAdmin,
+  hasPermission,
+  requirePermission,
+  ensureCurrUserOrPermission,
 } = require("../middleware/auth");
-const { BadRequestError } = require("../expressError");
+const { validate } = require("../middleware/validate");
+const { ForbiddenError } = require("../expressError");
 const User = require("../models/user");
+const Application = require("../models/application");
+const Role = require("../models/role");
+const AuditLog = require("../models/auditLog");
 const { createToken } = require("../helpers/tokens");
+const { splitPaging, pageInfo } = require("../helpers/pagination");
 const userNewSchema = require("../schemas/userNew.json");
 const userUpdateSchema = require("../schemas/userUpdate.json");
+const userSearchSchema = require("../schemas/userSearch.json");
+const applicationNewSchema = require("../schemas/applicationNew.json");
+const applicationUpdateSchema = require("../schemas/applicationUpdate.json");
+const applicationSearchSchema = require("../schemas/applicationSearch.json");
+const userMatchSearchSchema = require("../schemas/userMatchSearch.json");
+const userRecommendationSearchSchema = require("../schemas/userRecommendationSearch.json");
+const userRoleNewSchema = require("../schemas/userRoleNew.json");
 
 const router = express.Router();
 
+/** Run change(client) on the application of username for job id, in a
+ * transaction. If the current user made it with applications:manage, it is
+ * audited as action ("create" or "update") in the same transaction.
+ *
+ * Returns what change returns.
+ */
+
+async function changeApplication(res, action, username, id, change) {
+  if (!hasPermission(res.locals.user, "applications:manage")) {
+    return await change(db);
+  }
+
+  return await db.withTransaction(async (client) => {
+    const current = async () => {
+      const { history, ...application } = await Application.get(
+        username, id, client);
+      return application;
+    };
+
+    const before = action === "create" ? null : await current();
+    const result = await change(client);
+    await AuditLog.record(
+      res.locals.user.username, action, "application", `${username}/${id}`,
+      { before, after: await current() }, client);
+    return result;
+  });
+}
+
 /** POST / { user }  => { user, token }
  *
  * Adds a new user. This is not the registration endpoint --- instead, this is
  * only for admin users to add new users. The new user being added can be an
- * admin.
+ * admin, if the caller may give roles.
  *
  * This returns the newly created user and an authentication token for them:
  *  {user: { username, firstName, lastName, email, isAdmin }, token }
  *
- * Authorization required: admin
+ * Authorization required: permission users:write (and roles:manage to add an
+ * admin)
  **/
 
-router.post("/", ensureAdmin, async function (req, res, next) {
-  const validator = jsonschema.validate(req.body, userNewSchema, {
-    required: true,
-  });
-  if (!validator.valid) {
-    const errs = validator.errors.map((e) => e.stack);
-    throw new BadRequestError(errs);
-  }
+router.post(
+  "/",
+  requirePermission("users:write"),
+  validate({ body: userNewSchema }),
+  async function (req, res, next) {
+    if (req.body.isAdmin && !hasPermission(res.locals.user, "roles:manage")) {
+      throw new ForbiddenError("Adding an admin needs roles:manage");
+    }
 
-  const user = await User.register(req.body);
-  const token = createToken(user);
-  return res.status(201).json({ user, token });
-});
+    const user = await db.withTransaction(async (client) => {
+      const user = await User.register(req.body, client);
+      await AuditLog.record(
+        res.locals.user.username, "create", "user", user.username,
+        { after: user }, client);
+      return user;
+    });
+    const token = createToken(user);
+    return res.status(201).json({ user, token });
+  }
+);
 
-/** GET / => { users: [ {username, firstName, lastName, email }, ... ] }
+/** GET / => { users: [ {username, firstName, lastName, email }, ... ],
+ *            pagination: { total, limit, offset, nextOffset } }
  *
  * Returns list of all users.
  *
- * Authorization required: admin
+ * Can page through results with:
+ * - sort (eg, "lastName,firstName"; defaults to "username")
+ * - limit (1-100; all results if not given)
+ * - offset
+ *
+ * Authorization required: permission users:read
  **/
 
-router.get("/", ensureAdmin, async function (req, res, next) {
-  const users = await User.findAll();
-  return res.json({ users });
-});
+router.get(
+  "/",
+  requirePermission("users:read"),
+  validate({ query: userSearchSchema }),
+  async function (req, res, next) {
+    const { paging } = splitPaging(req.query);
+    const users = await User.findAll(paging);
+    const total = await User.count();
+    return res.json({ users, pagination: pageInfo(paging, total) });
+  }
+);
 
 /** GET /[username] => { user }
  *
- * Returns { username, firstName, lastName, isAdmin }
+ * Returns { username, firstName, lastName, isAdmin, roles, emailVerified,
+ *           skills, preferences, jobs }
+ *   where preferences is { remotePolicy, country, employmentType, seniority }
  *
- * Authorization required: admin or current user
+ * Authorization required: current user, or permission users:read
  **/
 
 router.get(
   "/:username",
-  ensureCurrUserOrAdmin,
+  ensureCurrUserOrPermission("users:read"),
   async function (req, res, next) {
     const user = await User.get(req.params.username);
     return res.json({ user });
@@ -75,64 +139,343 @@ router.get(
 /** PATCH /[username] { user } => { user }
  *
  * Data can include:
- *   { firstName, lastName, password, email }
+ *   { firstName, lastName, password, email, skills, preferences }
+ *   where skills is [name, ...] (see GET /skills), replacing the user's
+ *   skills
+ *   and preferences is { remotePolicy, country, employmentType, seniority },
+ *   what the user looks for in a job; any may be given, or null for "any"
  *
- * Returns { username, firstName, lastName, email, isAdmin }
+ * Returns { username, firstName, lastName, email, isAdmin, skills,
+ *           preferences }
  *
- * Authorization required: admin or current user
+ * Authorization required: current user, or permission users:write
  **/
 
 router.patch(
   "/:username",
-  ensureCurrUserOrAdmin,
+  ensureCurrUserOrPermission("users:write"),
+  validate({ body: userUpdateSchema }),
   async function (req, res, next) {
-    const validator = jsonschema.validate(req.body, userUpdateSchema, {
-      required: true,
+    const user = await db.withTransaction(async (client) => {
+      const before = await User.get(req.params.username, client);
+      const user = await User.update(req.params.username, req.body, client);
+      await AuditLog.record(
+        res.locals.user.username, "update", "user", user.username,
+        { before, after: user }, client);
+      return user;
     });
-    if (!validator.valid) {
-      const errs = validator.errors.map((e) => e.stack);
-      throw new BadRequestError(errs);
-    }
-
-    const user = await User.update(req.params.username, req.body);
     return res.json({ user });
   }
 );
 
 /** DELETE /[username]  =>  { deleted: username }
  *
- * Authorization required: admin or current user
+ * The user can no longer log in and is hidden; they can be restored (see
+ * POST /[username]/restore) until purged.
+ *
+ * Authorization required: current user, or permission users:write
  **/
 
 router.delete(
   "/:username",
-  ensureCurrUserOrAdmin,
+  ensureCurrUserOrPermission("users:write"),
   async function (req, res, next) {
-    await User.remove(req.params.username);
+    await db.withTransaction(async (client) => {
+      const before = await User.get(req.params.username, client);
+      await User.remove(req.params.username, client);
+      await AuditLog.record(
+        res.locals.user.username, "delete", "user", req.params.username,
+        { before }, client);
+    });
     return res.json({ deleted: req.params.username });
   }
 );
 
-/** POST /[username]/jobs/[id] => { applied: id }
+/** POST /[username]/jobs/[id] { status } => { applied: id }
  *
  *
  * Creates a job application for the [username] for job [id]
  *
+ * status is optional: "applied" (default) or "interested"
+ *
  * This returns a confirmation of the job application for the job:
  *  {applied: { id }
  *
- * Authorization required: admin or current user
+ * Authorization required: current user, or permission applications:manage
+ * (applications made with the permission are audited)
  **/
 
 router.post(
   "/:username/jobs/:id",
-  ensureCurrUserOrAdmin,
+  ensureCurrUserOrPermission("applications:manage"),
+  validate({ body: applicationNewSchema }),
   async function (req, res, next) {
     const { username, id } = req.params;
-    const application = await User.applyForJob(username, id);
+    const application = await changeApplication(
+      res, "create", username, id,
+      (client) => User.applyForJob(username, id, req.body.status, client));
 
     return res.json({ applied: application.job_id });
   }
 );
 
+/** GET /[username]/jobs/[id] => { application }
+ *
+ * Returns { username, jobId, status, appliedAt, statusChangedAt, history }
+ *   where history is [{ fromStatus, toStatus, changedAt }, ...]
+ *
+ * Authorization required: current user, or permission applications:manage
+ **/
+
+router.get(
+  "/:username/jobs/:id",
+  ensureCurrUserOrPermission("applications:manage"),
+  async function (req, res, next) {
+    const { username, id } = req.params;
+    const application = await Application.get(username, id);
+    return res.json({ application });
+  }
+);
+
+/** PATCH /[username]/jobs/[id] { status } => { application }
+ *
+ * Moves the application to a new status. Only moves allowed by
+ * Application.STATUS_TRANSITIONS are accepted.
+ *
+ * Returns { username, jobId, status, appliedAt, statusChangedAt }
+ *
+ * Authorization required: current user, or permission applications:manage;
+ * without the permission, users may only set interested, applied, accepted
+ * or withdrawn on their own applications. Changes made with the permission
+ * are audited.
+ **/
+
+router.patch(
+  "/:username/jobs/:id",
+  ensureCurrUserOrPermission("applications:manage"),
+  validate({ body: applicationUpdateSchema }),
+  async function (req, res, next) {
+    const { status } = req.body;
+    if (
+      !hasPermission(res.locals.user, "applications:manage") &&
+      !Application.APPLICANT_STATUSES.includes(status)
+    ) {
+      throw new ForbiddenError(
+        `Setting an application to ${status} needs applications:manage`
+      );
+    }
+
+    const { username, id } = req.params;
+    const application = await changeApplication(
+      res, "update", username, id,
+      (client) => Application.updateStatus(username, id, status, client));
+    return res.json({ application });
+  }
+);
+
+/** DELETE /[username]/jobs/[id] => { withdrawn: id }
+ *
+ * Withdraws the application of [username] for job [id]. The application is
+ * kept with status "withdrawn" so its history remains.
+ *
+ * Authorization required: current user, or permission applications:manage
+ * (withdrawals made with the permission are audited)
+ **/
+
+router.delete(
+  "/:username/jobs/:id",
+  ensureCurrUserOrPermission("applications:manage"),
+  async function (req, res, next) {
+    const { username, id } = req.params;
+    const application = await changeApplication(
+      res, "update", username, id,
+      (client) => Application.withdraw(username, id, client));
+    return res.json({ withdrawn: application.jobId });
+  }
+);
+
+/** GET /[username]/applications =>
+ *   { applications: [ application, ... ],
+ *     pagination: { total, limit, offset, nextOffset } }
+ *
+ * application is { jobId, status, appliedAt, statusChangedAt, job }
+ *   where job is { id, title, salary, equity, companyHandle, company }
+ *   and company is { handle, name, description, numEmployees, logoUrl }
+ *
+ * Can filter on provided search filters:
+ * - companyHandle
+ * - status
+ * - sort ("appliedAt" for oldest first; newest first by default)
+ * - limit, offset
+ *
+ * Authorization required: current user, or permission applications:manage
+ **/
+
+router.get(
+  "/:username/applications",
+  ensureCurrUserOrPermission("applications:manage"),
+  validate({ query: applicationSearchSchema }),
+  async function (req, res, next) {
+    const { paging, filters } = splitPaging(req.query);
+    const applications = await Application.findAll(
+      req.params.username,
+      filters,
+      paging
+    );
+    const total = await Application.count(req.params.username, filters);
+    return res.json({ applications, pagination: pageInfo(paging, total) });
+  }
+);
+
+/** GET /[username]/matches  =>
+ *   { jobs: [ { id, title, salary, equity, salaryCurrency, salaryPeriod,
+ *               companyHandle, companyName, city, region, country,
+ *               remotePolicy, employmentType, seniority, status, postedAt,
+ *               closesAt, skills, matchingSkills }, ...],
+ *     pagination: { total, limit, offset, nextOffset } }
+ *
+ * Lists open jobs asking for any of the user's skills, best matches first:
+ * those sharing the most skills with the user, then those asking for fewer
+ * skills the user lacks, then the newest. matchingSkills are the job's
+ * skills the user has.
+ *
+ * Can page through results with limit (1-100) and offset.
+ *
+ * Authorization required: current user, or permission users:read
+ **/
+
+router.get(
+  "/:username/matches",
+  ensureCurrUserOrPermission("users:read"),
+  validate({ query: userMatchSearchSchema }),
+  async function (req, res, next) {
+    const { paging } = splitPaging(req.query);
+    const jobs = await User.findMatches(req.params.username, paging);
+    const total = await User.countMatches(req.params.username);
+    return res.json({ jobs, pagination: pageInfo(paging, total) });
+  }
+);
+
+/** GET /[username]/recommendations  =>
+ *   { jobs: [ { id, title, salary, equity, salaryCurrency, salaryPeriod,
+ *               companyHandle, companyName, city, region, country,
+ *               remotePolicy, employmentType, seniority, status, postedAt,
+ *               closesAt, skills, score, reasons }, ...],
+ *     pagination: { total, limit, offset, nextOffset } }
+ *
+ * Lists open jobs the user hasn't applied to that they may like, scored on
+ * what they share with the jobs the user applied to (company, title words,
+ * salary) and with the user's skills and preferences; highest scores first.
+ * reasons lists what scored (see User.findRecommendations).
+ *
+ * Can page through results with limit (1-100) and offset.
+ *
+ * Authorization required: current user, or permission users:read
+ **/
+
+router.get(
+  "/:username/recommendations",
+  ensureCurrUserOrPermission("users:read"),
+  validate({ query: userRecommendationSearchSchema }),
+  async function (req, res, next) {
+    const { paging } = splitPaging(req.query);
+    const jobs = await User.findRecommendations(req.params.username, paging);
+    const total = await User.countRecommendations(req.params.username);
+    return res.json({ jobs, pagination: pageInfo(paging, total) });
+  }
+);
+
+/** POST /[username]/unlock  =>  { unlocked: username }
+ *
+ * Lifts a lockout from too many failed logins for [username]; audited as
+ * deleting the user's "loginLockout".
+ *
+ * Authorization required: permission users:write
+ **/
+
+router.post(
+  "/:username/unlock",
+  requirePermission("users:write"),
+  async function (req, res, next) {
+    await db.withTransaction(async (client) => {
+      await User.unlock(req.params.username, client);
+      await AuditLog.record(
+        res.locals.user.username, "delete", "loginLockout",
+        req.params.username, { before: { username: req.params.username } },
+        client);
+    });
+    return res.json({ unlocked: req.params.username });
+  }
+);
+
+/** POST /[username]/restore  =>  { restored: username }
+ *
+ * Brings back a deleted user. Tokens they held before deletion, access and
+ * refresh tokens alike, stay revoked.
+ *
+ * Authorization required: permission users:write
+ **/
+
+router.post(
+  "/:username/restore",
+  requirePermission("users:write"),
+  async function (req, res, next) {
+    const user = await db.withTransaction(async (client) => {
+      const user = await User.restore(req.params.username, client);
+      await AuditLog.record(
+        res.locals.user.username, "restore", "user", user.username,
+        { after: user }, client);
+      return user;
+    });
+    return res.json({ restored: user.username });
+  }
+);
+
+/** POST /[username]/roles { role }  =>  { granted: { username, role } }
+ *
+ * Gives [username] a role (see GET /roles). Their existing tokens are
+ * revoked.
+ *
+ * Authorization required: permission roles:manage
+ **/
+
+router.post(
+  "/:username/roles",
+  requirePermission("roles:manage"),
+  validate({ body: userRoleNewSchema }),
+  async function (req, res, next) {
+    const granted = await db.withTransaction(async (client) => {
+      const granted = await Role.grant(
+        req.params.username, req.body.role, client);
+      await AuditLog.record(
+        res.locals.user.username, "create", "userRole",
+        `${granted.username}/${granted.role}`, { after: granted }, client);
+      return granted;
+    });
+    return res.status(201).json({ granted });
+  }
+);
+
+/** DELETE /[username]/roles/[role]  =>  { revoked: role }
+ *
+ * Takes a role away from [username]. Their existing tokens are revoked.
+ *
+ * Authorization required: permission roles:manage
+ **/
+
+router.delete(
+  "/:username/roles/:role",
+  requirePermission("roles:manage"),
+  async function (req, res, next) {
+    const { username, role } = req.params;
+    await db.withTransaction(async (client) => {
+      await Role.revoke(username, role, client);
+      await AuditLog.record(
+        res.locals.user.username, "delete", "userRole", `${username}/${role}`,
+        { before: { username, role } }, client);
+    });
+    return res.json({ revoked: role });
+  }
+);
+
 module.exports = router;
@@ -5,6 +5,11 @@ const request = require("supertest");
 const db = require("../db.js");
 const app = require("../app");
 const User = require("../models/user");
+const Role = require("../models/role");
+const { createToken } = require("../helpers/tokens");
+const Application = require("../models/application");
+const AuditLog = require("../models/auditLog");
+const Skill = require("../models/skill");
 
 const {
   commonBeforeAll,
@@ -22,6 +27,13 @@ beforeEach(commonBeforeEach);
 afterEach(commonAfterEach);
 afterAll(commonAfterAll);
 
+/** Give username a role; returns a token that works after the change. */
+
+async function tokenWithRole(username, role) {
+  await Role.grant(username, role);
+  return createToken(await User.getTokenClaims(username));
+}
+
 /************************************** POST /users */
 
 describe("POST /users", function () {
@@ -75,6 +87,35 @@ describe("POST /users", function () {
     });
   });
 
+  test("forbidden to create admin without roles:manage", async function () {
+    await db.query(`
+        INSERT INTO roles (name, description)
+        VALUES ('user-admin', 'Manages users')`);
+    await db.query(`
+        INSERT INTO role_permissions (role, permission)
+        VALUES ('user-admin', 'users:write')`);
+    const token = await tokenWithRole("u1", "user-admin");
+
+    const newUser = {
+      username: "u-new",
+      firstName: "First-new",
+      lastName: "Last-newL",
+      password: "password-new",
+      email: "new@email.com",
+    };
+    const adminResp = await request(app)
+      .post("/users")
+      .send({ ...newUser, isAdmin: true })
+      .set("authorization", `Bearer ${token}`);
+    expect(adminResp.statusCode).toEqual(403);
+
+    const userResp = await request(app)
+      .post("/users")
+      .send(newUser)
+      .set("authorization", `Bearer ${token}`);
+    expect(userResp.statusCode).toEqual(201);
+  });
+
   test("doesn't work for users", async function () {
     const resp = await request(app)
       .post("/users")
@@ -87,11 +128,13 @@ describe("POST /users", function () {
         isAdmin: true,
       })
       .set("authorization", `Bearer ${u1Token}`);
-    expect(resp.statusCode).toEqual(401);
+    expect(resp.statusCode).toEqual(403);
     expect(resp.body).toEqual({
       error: {
-        message: "Unauthorized",
-        status: 401,
+        message: "Forbidden",
+        status: 403,
+        code: "FORBIDDEN",
+        requestId: expect.any(String),
       },
     });
   });
@@ -110,6 +153,8 @@ describe("POST /users", function () {
       error: {
         message: "Unauthorized",
         status: 401,
+        code: "UNAUTHORIZED",
+        requestId: expect.any(String),
       },
     });
   });
@@ -143,12 +188,28 @@ describe("POST /users", function () {
 /************************************** GET /users */
 
 describe("GET /users", function () {
+  test("works with users:read", async function () {
+    const token = await tokenWithRole("u1", "support");
+    const resp = await request(app)
+      .get("/users")
+      .set("authorization", `Bearer ${token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.users.length).toEqual(4);
+  });
+
   test("works for admins", async function () {
     const resp = await request(app)
       .get("/users")
       .set("authorization", `Bearer ${adminToken}`);
     expect(resp.body).toEqual({
       users: [
+        {
+          username: "admin",
+          firstName: "AdminF",
+          lastName: "AdminL",
+          email: "admin@user.com",
+          isAdmin: true,
+        },
         {
           username: "u1",
           firstName: "U1F",
@@ -171,18 +232,43 @@ describe("GET /users", function () {
           isAdmin: false,
         },
       ],
+      pagination: { total: 4, limit: null, offset: 0, nextOffset: null },
     });
   });
 
+  test("works with sort and paging", async function () {
+    const resp = await request(app)
+      .get("/users")
+      .query({ sort: "-username", limit: 2 })
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.users.map((u) => u.username)).toEqual(["u3", "u2"]);
+    expect(resp.body.pagination).toEqual({
+      total: 4,
+      limit: 2,
+      offset: 0,
+      nextOffset: 2,
+    });
+  });
+
+  test("bad request for invalid sort", async function () {
+    const resp = await request(app)
+      .get("/users")
+      .query({ sort: "password" })
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
   test("doesnt work for users", async function () {
     const resp = await request(app)
       .get("/users")
       .set("authorization", `Bearer ${u1Token}`);
-    expect(resp.statusCode).toEqual(401);
+    expect(resp.statusCode).toEqual(403);
     expect(resp.body).toEqual({
       error: {
-        message: "Unauthorized",
-        status: 401,
+        message: "Forbidden",
+        status: 403,
+        code: "FORBIDDEN",
+        requestId: expect.any(String),
       },
     });
   });
@@ -218,6 +304,15 @@ describe("GET /users/:username", function () {
         lastName: "U1L",
         email: "user1@user.com",
         isAdmin: false,
+        skills: [],
+        preferences: {
+          remotePolicy: null,
+          country: null,
+          employmentType: null,
+          seniority: null,
+        },
+        roles: [],
+        emailVerified: false,
         jobs: []
       },
     });
@@ -234,6 +329,15 @@ describe("GET /users/:username", function () {
         lastName: "U1L",
         email: "user1@user.com",
         isAdmin: false,
+        skills: [],
+        preferences: {
+          remotePolicy: null,
+          country: null,
+          employmentType: null,
+          seniority: null,
+        },
+        roles: [],
+        emailVerified: false,
         jobs: []
       },
     });
@@ -243,11 +347,13 @@ describe("GET /users/:username", function () {
     const resp = await request(app)
       .get(`/users/u2`)
       .set("authorization", `Bearer ${u1Token}`);
-    expect(resp.statusCode).toEqual(401);
+    expect(resp.statusCode).toEqual(403);
     expect(resp.body).toEqual({
       error: {
-        message: "Unauthorized",
-        status: 401,
+        message: "Forbidden",
+        status: 403,
+        code: "FORBIDDEN",
+        requestId: expect.any(String),
       },
     });
   });
@@ -268,6 +374,62 @@ describe("GET /users/:username", function () {
 /************************************** PATCH /users/:username */
 
 describe("PATCH /users/:username", () => {
+  test("records the change in the audit log", async function () {
+    await request(app)
+      .patch(`/users/u1`)
+      .send({ firstName: "New" })
+      .set("authorization", `Bearer ${adminToken}`);
+    const entries = await AuditLog.findAll({ entityType: "user" });
+    expect(entries).toEqual([
+      expect.objectContaining({
+        actor: "admin",
+        action: "update",
+        entityId: "u1",
+        before: { firstName: "U1F" },
+        after: { firstName: "New" },
+      }),
+    ]);
+  });
+
+  test("records skills and preferences changes in the audit log",
+    async function () {
+      await request(app)
+        .patch(`/users/u1`)
+        .send({ skills: ["node"], preferences: { country: "US" } })
+        .set("authorization", `Bearer ${u1Token}`);
+      const entries = await AuditLog.findAll({ entityType: "user" });
+      expect(entries).toEqual([
+        expect.objectContaining({
+          before: {
+            skills: [],
+            preferences: expect.objectContaining({ country: null }),
+          },
+          after: {
+            skills: ["node"],
+            preferences: expect.objectContaining({ country: "US" }),
+          },
+        }),
+      ]);
+    });
+
+  test("makes no change if it can't be audited", async function () {
+    const record = jest
+      .spyOn(AuditLog, "record")
+      .mockRejectedValueOnce(new Error("audit log down"));
+    try {
+      const resp = await request(app)
+        .patch(`/users/u1`)
+        .send({ firstName: "New" })
+        .set("authorization", `Bearer ${adminToken}`);
+      expect(resp.statusCode).toEqual(500);
+    } finally {
+      record.mockRestore();
+    }
+
+    const user = await User.get("u1");
+    expect(user.firstName).toEqual("U1F");
+  });
+
   test("works for users", async function () {
     const resp = await request(app)
       .patch(`/users/u1`)
@@ -282,10 +444,63 @@ describe("PATCH /users/:username", () => {
         lastName: "U1L",
         email: "user1@user.com",
         isAdmin: false,
+        skills: [],
+        preferences: {
+          remotePolicy: null,
+          country: null,
+          employmentType: null,
+          seniority: null,
+        },
       },
     });
   });
 
+  test("works for users: setting skills", async function () {
+    const resp = await request(app)
+      .patch(`/users/u1`)
+      .send({ skills: ["React", "node"] })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.user).toEqual(expect.objectContaining({
+      firstName: "U1F",
+      skills: ["node", "react"],
+    }));
+  });
+
+  test("works for users: setting preferences", async function () {
+    const resp = await request(app)
+      .patch(`/users/u1`)
+      .send({ preferences: { remotePolicy: "hybrid", seniority: "senior" } })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.user.preferences).toEqual({
+      remotePolicy: "hybrid",
+      country: null,
+      employmentType: null,
+      seniority: "senior",
+    });
+  });
+
+  test("bad request for invalid preferences", async function () {
+    for (const preferences of [
+      { remotePolicy: "sometimes" },
+      { country: "usa" },
+      { salary: 100 },
+    ]) {
+      const resp = await request(app)
+        .patch(`/users/u1`)
+        .send({ preferences })
+        .set("authorization", `Bearer ${u1Token}`);
+      expect(resp.statusCode).toEqual(400);
+    }
+  });
+
+  test("bad request for unknown skills", async function () {
+    const resp = await request(app)
+      .patch(`/users/u1`)
+      .send({ skills: ["cobol"] })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
   test("works for admins", async function () {
     const resp = await request(app)
       .patch(`/users/u1`)
@@ -300,6 +515,13 @@ describe("PATCH /users/:username", () => {
         lastName: "U1L",
         email: "user1@user.com",
         isAdmin: false,
+        skills: [],
+        preferences: {
+          remotePolicy: null,
+          country: null,
+          employmentType: null,
+          seniority: null,
+        },
       },
     });
   });
@@ -311,11 +533,13 @@ describe("PATCH /users/:username", () => {
         firstName: "New",
       })
       .set("authorization", `Bearer ${u1Token}`);
-    expect(resp.statusCode).toEqual(401);
+    expect(resp.statusCode).toEqual(403);
     expect(resp.body).toEqual({
       error: {
-        message: "Unauthorized",
-        status: 401,
+        message: "Forbidden",
+        status: 403,
+        code: "FORBIDDEN",
+        requestId: expect.any(String),
       },
     });
   });
@@ -361,11 +585,38 @@ describe("PATCH /users/:username", () => {
         lastName: "U1L",
         email: "user1@user.com",
         isAdmin: false,
+        skills: [],
+        preferences: {
+          remotePolicy: null,
+          country: null,
+          employmentType: null,
+          seniority: null,
+        },
       },
     });
     const isSuccessful = await User.authenticate("u1", "new-password");
     expect(isSuccessful).toBeTruthy();
   });
+
+  test("demoting an admin revokes their token", async function () {
+    await User.register({
+      username: "admin2",
+      firstName: "Admin2F",
+      lastName: "Admin2L",
+      email: "admin2@user.com",
+      password: "password-admin2",
+      isAdmin: true,
+    });
+    const admin2Token = createToken({ username: "admin2", isAdmin: true });
+
+    await Role.revoke("admin2", "admin");
+
+    const resp = await request(app)
+      .get("/users")
+      .set("authorization", `Bearer ${admin2Token}`);
+    expect(resp.statusCode).toEqual(401);
+    expect(resp.body.error.message).toEqual("Token revoked");
+  });
 });
 
 /************************************** DELETE /users/:username */
@@ -389,11 +640,13 @@ describe("DELETE /users/:username", function () {
     const resp = await request(app)
       .delete(`/users/u2`)
       .set("authorization", `Bearer ${u1Token}`);
-    expect(resp.statusCode).toEqual(401);
+    expect(resp.statusCode).toEqual(403);
     expect(resp.body).toEqual({
       error: {
-        message: "Unauthorized",
-        status: 401,
+        message: "Forbidden",
+        status: 403,
+        code: "FORBIDDEN",
+        requestId: expect.any(String),
       },
     });
   });
@@ -405,10 +658,22 @@ describe("DELETE /users/:username", function () {
       error: {
         message: "Unauthorized",
         status: 401,
+        code: "UNAUTHORIZED",
+        requestId: expect.any(String),
       },
     });
   });
 
+  test("deleted user's token stops working", async function () {
+    await request(app)
+      .delete(`/users/u1`)
+      .set("authorization", `Bearer ${adminToken}`);
+    const resp = await request(app)
+      .get(`/users/u1`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
   test("not found if user missing", async function () {
     const resp = await request(app)
       .delete(`/users/nope`)
@@ -429,6 +694,47 @@ describe("POST /users/:username/jobs/:id", function () {
     expect(resp.body).toEqual({ applied: j1Id });
   });
 
+  test("okay for users: starts as interested", async function () {
+    const { j1Id } = testJobIds;
+    const resp = await request(app)
+      .post(`/users/u1/jobs/${j1Id}`)
+      .send({ status: "interested" })
+      .set("authorization", `Bearer ${u1Token}`);
+
+    expect(resp.body).toEqual({ applied: j1Id });
+    const application = await Application.get("u1", j1Id);
+    expect(application.status).toEqual("interested");
+  });
+
+  test("bad request for invalid starting status", async function () {
+    const { j1Id } = testJobIds;
+    const resp = await request(app)
+      .post(`/users/u1/jobs/${j1Id}`)
+      .send({ status: "offered" })
+      .set("authorization", `Bearer ${u1Token}`);
+
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("conflict if already applied", async function () {
+    const { j1Id } = testJobIds;
+    await User.applyForJob("u1", j1Id);
+    const resp = await request(app)
+      .post(`/users/u1/jobs/${j1Id}`)
+      .set("authorization", `Bearer ${u1Token}`);
+
+    expect(resp.statusCode).toEqual(409);
+  });
+
+  test("not found for no such job", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/jobs/0`)
+      .set("authorization", `Bearer ${u1Token}`);
+
+    expect(resp.statusCode).toEqual(404);
+    expect(resp.body.error.message).toEqual("No job: 0");
+  });
+
   test("okay for admin: creates application", async function () {
     const { j1Id } = testJobIds;
     const resp = await request(app)
@@ -436,6 +742,44 @@ describe("POST /users/:username/jobs/:id", function () {
       .set("authorization", `Bearer ${adminToken}`);
 
     expect(resp.body).toEqual({ applied: j1Id });
+
+    const entries = await AuditLog.findAll({ entityType: "application" });
+    expect(entries).toEqual([
+      expect.objectContaining({
+        actor: "admin",
+        action: "create",
+        entityId: `u1/${j1Id}`,
+        before: null,
+        after: expect.objectContaining({ username: "u1", status: "applied" }),
+      }),
+    ]);
+  });
+
+  test("not audited for users applying themselves", async function () {
+    await request(app)
+      .post(`/users/u1/jobs/${testJobIds.j1Id}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(await AuditLog.findAll({ entityType: "application" })).toEqual([]);
+  });
+
+  test("makes no application if it can't be audited", async function () {
+    const { j1Id } = testJobIds;
+    const record = jest
+      .spyOn(AuditLog, "record")
+      .mockRejectedValueOnce(new Error("audit log down"));
+    try {
+      const resp = await request(app)
+        .post(`/users/u1/jobs/${j1Id}`)
+        .set("authorization", `Bearer ${adminToken}`);
+      expect(resp.statusCode).toEqual(500);
+    } finally {
+      record.mockRestore();
+    }
+
+    const found = await db.query(
+      "SELECT * FROM applications WHERE username = 'u1' AND job_id = $1",
+      [j1Id]);
+    expect(found.rows).toEqual([]);
   });
 
   test("not okay for unauth", async function () {
@@ -447,6 +791,8 @@ describe("POST /users/:username/jobs/:id", function () {
       error: {
         message: "Unauthorized",
         status: 401,
+        code: "UNAUTHORIZED",
+        requestId: expect.any(String),
       },
     });
   });
@@ -456,12 +802,684 @@ describe("POST /users/:username/jobs/:id", function () {
       .post(`/users/u1/jobs/${j1Id}`)
       .set("authorization", `Bearer ${u2Token}`);
 
-    expect(resp.statusCode).toEqual(401);
+    expect(resp.statusCode).toEqual(403);
     expect(resp.body).toEqual({
       error: {
-        message: "Unauthorized",
-        status: 401,
+        message: "Forbidden",
+        status: 403,
+        code: "FORBIDDEN",
+        requestId: expect.any(String),
+      },
+    });
+  });
+});
+
+/************************************** GET /users/:username/jobs/:id */
+
+describe("GET /users/:username/jobs/:id", function () {
+  test("works for users", async function () {
+    const { j1Id } = testJobIds;
+    await User.applyForJob("u1", j1Id);
+    const resp = await request(app)
+      .get(`/users/u1/jobs/${j1Id}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({
+      application: {
+        username: "u1",
+        jobId: j1Id,
+        status: "applied",
+        appliedAt: expect.any(String),
+        statusChangedAt: expect.any(String),
+        history: [
+          {
+            fromStatus: null,
+            toStatus: "applied",
+            changedAt: expect.any(String),
+          },
+        ],
       },
     });
   });
+
+  test("not okay for different user", async function () {
+    const { j1Id } = testJobIds;
+    await User.applyForJob("u1", j1Id);
+    const resp = await request(app)
+      .get(`/users/u1/jobs/${j1Id}`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("not found if no application", async function () {
+    const resp = await request(app)
+      .get(`/users/u1/jobs/${testJobIds.j1Id}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** PATCH /users/:username/jobs/:id */
+
+describe("PATCH /users/:username/jobs/:id", function () {
+  test("works for users: applicant status", async function () {
+    const { j1Id } = testJobIds;
+    await User.applyForJob("u1", j1Id, "interested");
+    const resp = await request(app)
+      .patch(`/users/u1/jobs/${j1Id}`)
+      .send({ status: "applied" })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({
+      application: {
+        username: "u1",
+        jobId: j1Id,
+        status: "applied",
+        appliedAt: expect.any(String),
+        statusChangedAt: expect.any(String),
+      },
+    });
+  });
+
+  test("works for admins: employer status", async function () {
+    const { j1Id } = testJobIds;
+    await User.applyForJob("u1", j1Id);
+    const resp = await request(app)
+      .patch(`/users/u1/jobs/${j1Id}`)
+      .send({ status: "interviewing" })
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.application.status).toEqual("interviewing");
+
+    const entries = await AuditLog.findAll({ entityType: "application" });
+    expect(entries).toEqual([
+      expect.objectContaining({
+        actor: "admin",
+        action: "update",
+        entityId: `u1/${j1Id}`,
+        before: expect.objectContaining({ status: "applied" }),
+        after: expect.objectContaining({ status: "interviewing" }),
+      }),
+    ]);
+  });
+
+  test("not audited for applicants moving their own", async function () {
+    const { j1Id } = testJobIds;
+    await User.applyForJob("u1", j1Id, "interested");
+    await request(app)
+      .patch(`/users/u1/jobs/${j1Id}`)
+      .send({ status: "applied" })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(await AuditLog.findAll({ entityType: "application" })).toEqual([]);
+  });
+
+  test("works with applications:manage: employer status", async function () {
+    const { j1Id } = testJobIds;
+    await User.applyForJob("u1", j1Id);
+    const token = await tokenWithRole("u2", "support");
+    const resp = await request(app)
+      .patch(`/users/u1/jobs/${j1Id}`)
+      .send({ status: "interviewing" })
+      .set("authorization", `Bearer ${token}`);
+    expect(resp.body.application.status).toEqual("interviewing");
+  });
+
+  test("forbidden for users: employer status", async function () {
+    const { j1Id } = testJobIds;
+    await User.applyForJob("u1", j1Id);
+    const resp = await request(app)
+      .patch(`/users/u1/jobs/${j1Id}`)
+      .send({ status: "offered" })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("bad request for illegal transition", async function () {
+    const { j1Id } = testJobIds;
+    await User.applyForJob("u1", j1Id);
+    const resp = await request(app)
+      .patch(`/users/u1/jobs/${j1Id}`)
+      .send({ status: "interested" })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request for unknown status", async function () {
+    const { j1Id } = testJobIds;
+    await User.applyForJob("u1", j1Id);
+    const resp = await request(app)
+      .patch(`/users/u1/jobs/${j1Id}`)
+      .send({ status: "hired" })
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("not found if no application", async function () {
+    const resp = await request(app)
+      .patch(`/users/u1/jobs/${testJobIds.j1Id}`)
+      .send({ status: "withdrawn" })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("not found if job or its company is deleted", async function () {
+    const { j1Id, j2Id } = testJobIds;
+    await User.applyForJob("u1", j1Id);
+    await User.applyForJob("u1", j2Id);
+    await db.query("UPDATE jobs SET deleted_at = NOW() WHERE id = $1", [j1Id]);
+    await db.query("UPDATE companies SET deleted_at = NOW() WHERE handle = 'c3'");
+    for (const id of [j1Id, j2Id]) {
+      const resp = await request(app)
+        .patch(`/users/u1/jobs/${id}`)
+        .send({ status: "withdrawn" })
+        .set("authorization", `Bearer ${u1Token}`);
+      expect(resp.statusCode).toEqual(404);
+    }
+  });
+});
+
+/************************************** DELETE /users/:username/jobs/:id */
+
+describe("DELETE /users/:username/jobs/:id", function () {
+  test("works for users", async function () {
+    const { j1Id } = testJobIds;
+    await User.applyForJob("u1", j1Id);
+    const resp = await request(app)
+      .delete(`/users/u1/jobs/${j1Id}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ withdrawn: j1Id });
+
+    const application = await Application.get("u1", j1Id);
+    expect(application.status).toEqual("withdrawn");
+  });
+
+  test("works for admins: audited", async function () {
+    const { j1Id } = testJobIds;
+    await User.applyForJob("u1", j1Id);
+    const resp = await request(app)
+      .delete(`/users/u1/jobs/${j1Id}`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ withdrawn: j1Id });
+
+    const entries = await AuditLog.findAll({ entityType: "application" });
+    expect(entries).toEqual([
+      expect.objectContaining({
+        actor: "admin",
+        action: "update",
+        entityId: `u1/${j1Id}`,
+        before: expect.objectContaining({ status: "applied" }),
+        after: expect.objectContaining({ status: "withdrawn" }),
+      }),
+    ]);
+  });
+
+  test("not audited for users withdrawing their own", async function () {
+    const { j1Id } = testJobIds;
+    await User.applyForJob("u1", j1Id);
+    await request(app)
+      .delete(`/users/u1/jobs/${j1Id}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(await AuditLog.findAll({ entityType: "application" })).toEqual([]);
+  });
+
+  test("not okay for different user", async function () {
+    const { j1Id } = testJobIds;
+    await User.applyForJob("u1", j1Id);
+    const resp = await request(app)
+      .delete(`/users/u1/jobs/${j1Id}`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("bad request if already withdrawn", async function () {
+    const { j1Id } = testJobIds;
+    await User.applyForJob("u1", j1Id);
+    await Application.withdraw("u1", j1Id);
+    const resp = await request(app)
+      .delete(`/users/u1/jobs/${j1Id}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("not found if no application", async function () {
+    const resp = await request(app)
+      .delete(`/users/u1/jobs/${testJobIds.j1Id}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("not found if job or its company is deleted", async function () {
+    const { j1Id, j2Id } = testJobIds;
+    await User.applyForJob("u1", j1Id);
+    await User.applyForJob("u1", j2Id);
+    await db.query("UPDATE jobs SET deleted_at = NOW() WHERE id = $1", [j1Id]);
+    await db.query("UPDATE companies SET deleted_at = NOW() WHERE handle = 'c3'");
+    for (const id of [j1Id, j2Id]) {
+      const resp = await request(app)
+        .delete(`/users/u1/jobs/${id}`)
+        .set("authorization", `Bearer ${u1Token}`);
+      expect(resp.statusCode).toEqual(404);
+    }
+  });
+});
+
+/************************************** GET /users/:username/applications */
+
+describe("GET /users/:username/applications", function () {
+  test("works for users", async function () {
+    const { j1Id } = testJobIds;
+    await User.applyForJob("u1", j1Id);
+    const resp = await request(app)
+      .get(`/users/u1/applications`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({
+      applications: [
+        {
+          jobId: j1Id,
+          status: "applied",
+          appliedAt: expect.any(String),
+          statusChangedAt: expect.any(String),
+          job: {
+            id: j1Id,
+            title: "j1",
+            salary: 10000,
+            equity: "0.001",
+            companyHandle: "c1",
+            company: {
+              handle: "c1",
+              name: "C1",
+              description: "Desc1",
+              numEmployees: 1,
+              logoUrl: "http://c1.img",
+            },
+          },
+        },
+      ],
+      pagination: { total: 1, limit: null, offset: 0, nextOffset: null },
+    });
+  });
+
+  test("works: filtering and sorting", async function () {
+    const { j1Id, j2Id, j3Id } = testJobIds;
+    await User.applyForJob("u1", j1Id);
+    await User.applyForJob("u1", j2Id);
+    await User.applyForJob("u1", j3Id);
+    const resp = await request(app)
+      .get(`/users/u1/applications`)
+      .query({ companyHandle: "c3", sort: "appliedAt", limit: 1 })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.applications.map(a => a.jobId)).toEqual([j2Id]);
+    expect(resp.body.pagination).toEqual({
+      total: 2,
+      limit: 1,
+      offset: 0,
+      nextOffset: 1,
+    });
+  });
+
+  test("bad request for invalid filters", async function () {
+    const resp = await request(app)
+      .get(`/users/u1/applications`)
+      .query({ sort: "title" })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("not okay for different user", async function () {
+    const resp = await request(app)
+      .get(`/users/u1/applications`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("not found if no such user", async function () {
+    const resp = await request(app)
+      .get(`/users/nope/applications`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** GET /users/:username/matches */
+
+describe("GET /users/:username/matches", function () {
+  beforeEach(async function () {
+    const { j1Id, j2Id, j3Id } = testJobIds;
+    await Skill.setForJob(j1Id, ["node", "postgres"]);
+    await Skill.setForJob(j2Id, ["node", "react"]);
+    await Skill.setForJob(j3Id, ["postgres"]);
+    await Skill.setForUser("u1", ["node", "postgres"]);
+  });
+
+  test("works for users: best matches first", async function () {
+    const { j1Id, j2Id, j3Id } = testJobIds;
+    const resp = await request(app)
+      .get(`/users/u1/matches`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.jobs.map((j) => j.id)).toEqual([j1Id, j3Id, j2Id]);
+    expect(resp.body.jobs[2]).toEqual(expect.objectContaining({
+      title: "j2",
+      companyName: "C3",
+      skills: ["node", "react"],
+      matchingSkills: ["node"],
+    }));
+    expect(resp.body.pagination).toEqual(
+      expect.objectContaining({ total: 3 }));
+  });
+
+  test("works: paging", async function () {
+    const resp = await request(app)
+      .get(`/users/u1/matches`)
+      .query({ limit: 1, offset: 1 })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.jobs.map((j) => j.id)).toEqual([testJobIds.j3Id]);
+    expect(resp.body.pagination).toEqual({
+      total: 3,
+      limit: 1,
+      offset: 1,
+      nextOffset: 2,
+    });
+  });
+
+  test("works for admins", async function () {
+    const resp = await request(app)
+      .get(`/users/u1/matches`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.jobs.length).toEqual(3);
+  });
+
+  test("bad request for invalid paging", async function () {
+    const resp = await request(app)
+      .get(`/users/u1/matches`)
+      .query({ limit: 0 })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("not okay for different user", async function () {
+    const resp = await request(app)
+      .get(`/users/u1/matches`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app).get(`/users/u1/matches`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if no such user", async function () {
+    const resp = await request(app)
+      .get(`/users/nope/matches`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** GET /users/:username/recommendations */
+
+describe("GET /users/:username/recommendations", function () {
+  beforeEach(async function () {
+    const { j1Id, j2Id } = testJobIds;
+    await User.applyForJob("u1", j2Id);
+    await db.query("UPDATE jobs SET country = 'US' WHERE id = $1", [j1Id]);
+    await User.update("u1", { preferences: { country: "US" } });
+  });
+
+  test("works for users: best scores first", async function () {
+    const { j1Id, j3Id } = testJobIds;
+    const resp = await request(app)
+      .get(`/users/u1/recommendations`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.jobs.map((j) => [j.id, j.score, j.reasons])).toEqual([
+      [j3Id, 5, ["company", "salary"]],
+      [j1Id, 2, ["country"]],
+    ]);
+    expect(resp.body.jobs[0]).toEqual(expect.objectContaining({
+      title: "j3",
+      companyName: "C3",
+    }));
+    expect(resp.body.pagination).toEqual(
+      expect.objectContaining({ total: 2 }));
+  });
+
+  test("works: paging", async function () {
+    const resp = await request(app)
+      .get(`/users/u1/recommendations`)
+      .query({ limit: 1, offset: 1 })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.jobs.map((j) => j.id)).toEqual([testJobIds.j1Id]);
+    expect(resp.body.pagination).toEqual({
+      total: 2,
+      limit: 1,
+      offset: 1,
+      nextOffset: null,
+    });
+  });
+
+  test("works for admins", async function () {
+    const resp = await request(app)
+      .get(`/users/u1/recommendations`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.jobs.length).toEqual(2);
+  });
+
+  test("bad request for invalid paging", async function () {
+    const resp = await request(app)
+      .get(`/users/u1/recommendations`)
+      .query({ limit: 101 })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("not okay for different user", async function () {
+    const resp = await request(app)
+      .get(`/users/u1/recommendations`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app).get(`/users/u1/recommendations`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if no such user", async function () {
+    const resp = await request(app)
+      .get(`/users/nope/recommendations`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** POST /users/:username/unlock */
+
+describe("POST /users/:username/unlock", function () {
+  async function lockOut() {
+    for (let i = 0; i < 5; i++) {
+      await request(app).post("/auth/token").send({
+        username: "u1",
+        password: "nope",
+      });
+    }
+  }
+
+  test("works for admins", async function () {
+    await lockOut();
+    const resp = await request(app)
+      .post(`/users/u1/unlock`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ unlocked: "u1" });
+
+    const login = await request(app).post("/auth/token").send({
+      username: "u1",
+      password: "password1",
+    });
+    expect(login.statusCode).toEqual(200);
+
+    const entries = await AuditLog.findAll({ entityType: "loginLockout" });
+    expect(entries).toEqual([
+      expect.objectContaining({
+        actor: "admin",
+        action: "delete",
+        entityId: "u1",
+        before: { username: "u1" },
+        after: null,
+      }),
+    ]);
+  });
+
+  test("forbidden for users", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/unlock`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("not found if no such user", async function () {
+    const resp = await request(app)
+      .post(`/users/nope/unlock`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** POST /users/:username/restore */
+
+describe("POST /users/:username/restore", function () {
+  test("works for admins", async function () {
+    await request(app)
+      .delete(`/users/u1`)
+      .set("authorization", `Bearer ${u1Token}`);
+
+    const resp = await request(app)
+      .post(`/users/u1/restore`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ restored: "u1" });
+
+    const getResp = await request(app)
+      .get(`/users/u1`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(getResp.statusCode).toEqual(200);
+  });
+
+  test("old tokens stay revoked", async function () {
+    await User.remove("u1");
+    await User.restore("u1");
+
+    const resp = await request(app)
+      .get(`/users/u1`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("old refresh tokens stay revoked", async function () {
+    const login = await request(app)
+      .post("/auth/token")
+      .send({ username: "u1", password: "password1" });
+    await request(app)
+      .delete(`/users/u1`)
+      .set("authorization", `Bearer ${adminToken}`);
+    await request(app)
+      .post(`/users/u1/restore`)
+      .set("authorization", `Bearer ${adminToken}`);
+
+    const resp = await request(app)
+      .post("/auth/refresh")
+      .send({ refreshToken: login.body.refreshToken });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("forbidden for users", async function () {
+    const resp = await request(app)
+      .post(`/users/u2/restore`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("not found if not deleted", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/restore`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** POST /users/:username/roles */
+
+describe("POST /users/:username/roles", function () {
+  test("works for admins", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/roles`)
+      .send({ role: "support" })
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({ granted: { username: "u1", role: "support" } });
+
+    const user = await User.get("u1");
+    expect(user.roles).toEqual(["support"]);
+  });
+
+  test("revokes the user's tokens", async function () {
+    await request(app)
+      .post(`/users/u1/roles`)
+      .send({ role: "support" })
+      .set("authorization", `Bearer ${adminToken}`);
+
+    const resp = await request(app)
+      .get(`/users/u1`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("forbidden without roles:manage", async function () {
+    const token = await tokenWithRole("u1", "support");
+    const resp = await request(app)
+      .post(`/users/u1/roles`)
+      .send({ role: "admin" })
+      .set("authorization", `Bearer ${token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("not found for no such role", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/roles`)
+      .send({ role: "nope" })
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("bad request with missing role", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/roles`)
+      .send({})
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** DELETE /users/:username/roles/:role */
+
+describe("DELETE /users/:username/roles/:role", function () {
+  test("works for admins", async function () {
+    await Role.grant("u1", "support");
+    const resp = await request(app)
+      .delete(`/users/u1/roles/support`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ revoked: "support" });
+
+    const user = await User.get("u1");
+    expect(user.roles).toEqual([]);
+  });
+
+  test("forbidden for users", async function () {
+    const resp = await request(app)
+      .delete(`/users/admin/roles/admin`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("not found if user doesn't have the role", async function () {
+    const resp = await request(app)
+      .delete(`/users/u1/roles/admin`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
 });
@@ -1,8 +1,32 @@
 "use strict";
 
 const app = require("./app");
+const db = require("./db");
 const { PORT } = require("./config");
 
-app.listen(PORT, function () {
+// How long to wait for open requests to finish when shutting down
+const SHUTDOWN_TIMEOUT_MS = 10000;
+
+const server = app.listen(PORT, function () {
   console.log(`Started on http://localhost:${PORT}`);
 });
+
+/** Stop taking new requests, let open ones finish, then close the database
+ * pool and exit. Gives up after SHUTDOWN_TIMEOUT_MS. */
+
+function shutdown(signal) {
+  console.log(`${signal} received, shutting down`);
+
+  setTimeout(function () {
+    console.error("Shutdown timed out; exiting");
+    process.exit(1);
+  }, SHUTDOWN_TIMEOUT_MS).unref();
+
+  server.close(async function () {
+    await db.end();
+    process.exit(0);
+  });
+}
+
+process.on("SIGTERM", shutdown);
+process.on("SIGINT", shutdown);